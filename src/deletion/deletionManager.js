@@ -1,5 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
+const { stopRequested } = require('../jobs/jobManager');
+const { ThumbnailCache } = require('../scanner/thumbnailCache');
 
 // Dynamic import for ES module
 let trashModule = null;
@@ -11,10 +13,14 @@ async function getTrashModule() {
   return trashModule.default;
 }
 
-async function deleteFiles(filesToDelete, progressCallback) {
+// With options.job the run can be paused or cancelled between files; a cancelled
+// run returns what it finished, with the untouched files listed as `skipped`
+async function deleteFiles(filesToDelete, progressCallback, options = {}) {
   const results = {
     deleted: [],
     failed: [],
+    skipped: [],
+    cancelled: false,
     total: filesToDelete.length
   };
   
@@ -24,6 +30,13 @@ async function deleteFiles(filesToDelete, progressCallback) {
   const trash = await getTrashModule();
   
   for (const filePath of filesToDelete) {
+    // Only stop between files, never part-way through moving one
+    if (await stopRequested(options.job)) {
+      results.cancelled = true;
+      results.skipped = filesToDelete.slice(processed);
+      break;
+    }
+    
     try {
       // Verify file exists before attempting deletion
       if (await fs.pathExists(filePath)) {
@@ -78,8 +91,10 @@ async function bulkDelete(duplicateGroups, keepRecommended = true) {
   
   duplicateGroups.forEach(group => {
     if (keepRecommended) {
-      // Skip the recommended image (usually the first one)
-      const imagesToDelete = group.images.slice(1);
+      // Skip the image the keeper policy picked, or the first one when none is marked
+      const imagesToDelete = group.images.some(img => img.recommended)
+        ? group.images.filter(img => !img.recommended)
+        : group.images.slice(1);
       filesToDelete.push(...imagesToDelete.map(img => img.path));
     } else {
       // Delete all but the first image
@@ -137,6 +152,11 @@ async function cleanupTempFiles() {
     if (await fs.pathExists(tempDir)) {
       await fs.remove(tempDir);
     }
+    
+    // Thumbnails are reused across sessions, so only trim the cache back under its cap
+    const thumbnailCache = await new ThumbnailCache().load();
+    await thumbnailCache.evict();
+    await thumbnailCache.save();
   } catch (error) {
     console.error('Error cleaning up temp files:', error);
   }
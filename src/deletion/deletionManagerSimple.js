@@ -1,16 +1,28 @@
 const fs = require('fs-extra');
 const path = require('path');
+const { stopRequested } = require('../jobs/jobManager');
 
-async function deleteFiles(filesToDelete, progressCallback) {
+// With options.job the run can be paused or cancelled between files; a cancelled
+// run returns what it finished, with the untouched files listed as `skipped`
+async function deleteFiles(filesToDelete, progressCallback, options = {}) {
   const results = {
     deleted: [],
     failed: [],
+    skipped: [],
+    cancelled: false,
     total: filesToDelete.length
   };
   
   let processed = 0;
   
   for (const filePath of filesToDelete) {
+    // Only stop between files, never part-way through moving one
+    if (await stopRequested(options.job)) {
+      results.cancelled = true;
+      results.skipped = filesToDelete.slice(processed);
+      break;
+    }
+    
     try {
       // Verify file exists before attempting deletion
       if (await fs.pathExists(filePath)) {
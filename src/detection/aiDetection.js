@@ -2,14 +2,16 @@ const axios = require('axios');
 const fs = require('fs-extra');
 const jimp = require('jimp');
 const crypto = require('crypto');
+const googleProvider = require('./providers/google');
+const { PrivacyPolicy } = require('./providers/privacyPolicy');
 
 // Enterprise-grade AI Configuration with multiple providers
 const AI_CONFIG = {
   // Google Vision AI - Best for general image analysis
   googleVision: {
     apiKey: process.env.GOOGLE_VISION_API_KEY || 'your-google-api-key',
-    endpoint: 'https://vision.googleapis.com/v1/images:annotate',
-    features: ['OBJECT_LOCALIZATION', 'IMAGE_PROPERTIES', 'FEATURE_DETECTION', 'CROP_HINTS']
+    endpoint: process.env.GOOGLE_VISION_ENDPOINT || 'https://vision.googleapis.com/v1/images:annotate',
+    features: ['OBJECT_LOCALIZATION', 'IMAGE_PROPERTIES', 'CROP_HINTS']
   },
   
   // Microsoft Azure Computer Vision - Excellent for similarity detection
@@ -52,7 +54,8 @@ const AI_CONFIG = {
   detectRotatedImages: true
 };
 
-async function detectDuplicates(images, progressCallback) {
+// options.privacy picks what may be uploaded to the cloud providers (see providers/privacyPolicy)
+async function detectDuplicates(images, progressCallback, options = {}) {
   const duplicateGroups = [];
   let processedImages = 0;
   const totalImages = images.length;
@@ -82,19 +85,26 @@ async function detectDuplicates(images, progressCallback) {
   
   // Phase 3: Enterprise AI-powered similarity detection
   if (uniqueImages.length > 1) {
-    const aiGroups = await detectWithEnterpriseAI(uniqueImages, (progress) => {
-      if (progressCallback) {
-        progressCallback({
-          current: processedImages + progress.current,
-          total: totalImages,
-          percentage: Math.round(((processedImages + progress.current) / totalImages) * 100),
-          stage: 'Enterprise AI Analysis',
-          provider: progress.provider,
-          currentComparison: progress.currentComparison,
-          confidence: progress.confidence
-        });
-      }
-    });
+    const privacy = new PrivacyPolicy({ mode: options.privacy });
+    let aiGroups;
+    try {
+      aiGroups = await detectWithEnterpriseAI(uniqueImages, (progress) => {
+        if (progressCallback) {
+          progressCallback({
+            current: processedImages + progress.current,
+            total: totalImages,
+            percentage: Math.round(((processedImages + progress.current) / totalImages) * 100),
+            stage: 'Enterprise AI Analysis',
+            provider: progress.provider,
+            currentComparison: progress.currentComparison,
+            confidence: progress.confidence
+          });
+        }
+      }, privacy);
+    } finally {
+      // Removes the proxies and writes the audit even when detection fails
+      await privacy.close();
+    }
     
     duplicateGroups.push(...aiGroups);
   }
@@ -153,7 +163,7 @@ async function createAnalysisBackup(images) {
   console.log(`Analysis backup created: ${backupDir}`);
 }
 
-async function detectWithEnterpriseAI(images, progressCallback) {
+async function detectWithEnterpriseAI(images, progressCallback, privacy) {
   const similarGroups = [];
   const processed = new Set();
   const totalComparisons = (images.length * (images.length - 1)) / 2;
@@ -175,7 +185,7 @@ async function detectWithEnterpriseAI(images, progressCallback) {
       
       try {
         // Multi-provider consensus for maximum accuracy
-        const consensus = await getMultiProviderConsensus(currentImage, compareImage);
+        const consensus = await getMultiProviderConsensus(currentImage, compareImage, privacy);
         
         if (consensus.similarity >= AI_CONFIG.similarityThreshold && consensus.confidence >= 0.9) {
           similarImages.push(compareImage);
@@ -222,14 +232,23 @@ async function detectWithEnterpriseAI(images, progressCallback) {
   return similarGroups;
 }
 
-async function getMultiProviderConsensus(image1, image2) {
+// The cloud providers only see the images the privacy policy lets through. The policy is
+// always the caller's, who closes it once the run is over.
+const REMOTE_PROVIDERS = {
+  google: { name: 'google', label: 'Google Vision API', remote: true },
+  azure: { name: 'azure', label: 'Azure Vision API', remote: true },
+  aws: { name: 'aws', label: 'AWS Rekognition', remote: true }
+};
+
+async function getMultiProviderConsensus(image1, image2, privacy) {
+  requirePrivacyPolicy(privacy);
   const results = [];
   let primaryProvider = 'local';
   
   // Google Vision AI
-  if (AI_CONFIG.googleVision.apiKey !== 'your-google-api-key') {
+  if (AI_CONFIG.googleVision.apiKey !== 'your-google-api-key' && privacy.allows(REMOTE_PROVIDERS.google)) {
     try {
-      const googleResult = await compareWithGoogleVision(image1, image2);
+      const googleResult = await compareWithGoogleVision(image1, image2, privacy);
       results.push({ provider: 'google', similarity: googleResult.similarity, confidence: googleResult.confidence });
       primaryProvider = 'google';
     } catch (error) {
@@ -238,9 +257,9 @@ async function getMultiProviderConsensus(image1, image2) {
   }
   
   // Microsoft Azure Computer Vision
-  if (AI_CONFIG.azureVision.apiKey !== 'your-azure-api-key') {
+  if (AI_CONFIG.azureVision.apiKey !== 'your-azure-api-key' && privacy.allows(REMOTE_PROVIDERS.azure)) {
     try {
-      const azureResult = await compareWithAzureVision(image1, image2);
+      const azureResult = await compareWithAzureVision(image1, image2, privacy);
       results.push({ provider: 'azure', similarity: azureResult.similarity, confidence: azureResult.confidence });
       if (primaryProvider === 'local') primaryProvider = 'azure';
     } catch (error) {
@@ -249,9 +268,9 @@ async function getMultiProviderConsensus(image1, image2) {
   }
   
   // AWS Rekognition
-  if (AI_CONFIG.awsRekognition.accessKeyId !== 'your-aws-access-key') {
+  if (AI_CONFIG.awsRekognition.accessKeyId !== 'your-aws-access-key' && privacy.allows(REMOTE_PROVIDERS.aws)) {
     try {
-      const awsResult = await compareWithAWSRekognition(image1, image2);
+      const awsResult = await compareWithAWSRekognition(image1, image2, privacy);
       results.push({ provider: 'aws', similarity: awsResult.similarity, confidence: awsResult.confidence });
       if (primaryProvider === 'local') primaryProvider = 'aws';
     } catch (error) {
@@ -296,12 +315,12 @@ async function getMultiProviderConsensus(image1, image2) {
   };
 }
 
-async function compareWithGoogleVision(image1, image2) {
-  const features1 = await getGoogleVisionFeatures(image1.path);
-  const features2 = await getGoogleVisionFeatures(image2.path);
+async function compareWithGoogleVision(image1, image2, privacy) {
+  const features1 = await privacy.run(REMOTE_PROVIDERS.google, image1, upload => getGoogleVisionFeatures(upload.path));
+  const features2 = await privacy.run(REMOTE_PROVIDERS.google, image2, upload => getGoogleVisionFeatures(upload.path));
   
   // Advanced feature comparison using Google's ML models
-  const similarity = calculateGoogleFeatureSimilarity(features1, features2);
+  const similarity = calculateFeatureSimilarity(features1, features2);
   
   return {
     similarity: similarity,
@@ -333,10 +352,10 @@ async function getGoogleVisionFeatures(imagePath) {
   return response.data.responses[0];
 }
 
-async function compareWithAzureVision(image1, image2) {
+async function compareWithAzureVision(image1, image2, privacy) {
   // Azure Computer Vision similarity analysis
-  const analysis1 = await getAzureImageAnalysis(image1.path);
-  const analysis2 = await getAzureImageAnalysis(image2.path);
+  const analysis1 = await privacy.run(REMOTE_PROVIDERS.azure, image1, upload => getAzureImageAnalysis(upload.path));
+  const analysis2 = await privacy.run(REMOTE_PROVIDERS.azure, image2, upload => getAzureImageAnalysis(upload.path));
   
   const similarity = calculateAzureFeatureSimilarity(analysis1, analysis2);
   
@@ -369,7 +388,7 @@ async function getAzureImageAnalysis(imagePath) {
   return response.data;
 }
 
-async function compareWithAWSRekognition(image1, image2) {
+async function compareWithAWSRekognition(image1, image2, privacy) {
   // AWS Rekognition comparison
   const AWS = require('aws-sdk');
   const rekognition = new AWS.Rekognition({
@@ -378,8 +397,8 @@ async function compareWithAWSRekognition(image1, image2) {
     region: AI_CONFIG.awsRekognition.region
   });
   
-  const features1 = await getAWSFeatures(rekognition, image1.path);
-  const features2 = await getAWSFeatures(rekognition, image2.path);
+  const features1 = await privacy.run(REMOTE_PROVIDERS.aws, image1, upload => getAWSFeatures(rekognition, upload.path));
+  const features2 = await privacy.run(REMOTE_PROVIDERS.aws, image2, upload => getAWSFeatures(rekognition, upload.path));
   
   const similarity = calculateAWSFeatureSimilarity(features1, features2);
   
@@ -611,11 +630,18 @@ function calculateHashSimilarity(hash1, hash2) {
   return matches / hash1.length;
 }
 
+function requirePrivacyPolicy(privacy) {
+  if (!privacy) {
+    throw new Error('Cloud comparisons need the privacy policy of the run');
+  }
+}
+
 // Alternative: Google Vision API integration (requires API key)
-async function compareImagesWithGoogleVision(image1, image2) {
+async function compareImagesWithGoogleVision(image1, image2, privacy) {
+  requirePrivacyPolicy(privacy);
   try {
-    const features1 = await getImageFeatures(image1.path);
-    const features2 = await getImageFeatures(image2.path);
+    const features1 = await privacy.run(REMOTE_PROVIDERS.google, image1, upload => getImageFeatures(upload.path));
+    const features2 = await privacy.run(REMOTE_PROVIDERS.google, image2, upload => getImageFeatures(upload.path));
     
     // Compare features and calculate similarity
     return calculateFeatureSimilarity(features1, features2);
@@ -647,10 +673,9 @@ async function getImageFeatures(imagePath) {
   return response.data.responses[0];
 }
 
+// Objects and dominant colours, scored the same way as by the Google provider
 function calculateFeatureSimilarity(features1, features2) {
-  // Implement feature comparison logic based on Google Vision API response
-  // This is a simplified example
-  return 0.5; // Placeholder
+  return googleProvider.compare(features1, features2);
 }
 
 module.exports = {
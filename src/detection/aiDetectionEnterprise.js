@@ -1,48 +1,30 @@
-const axios = require('axios');
 const fs = require('fs-extra');
-const jimp = require('jimp');
-const crypto = require('crypto');
-
-// Enterprise-grade AI Configuration with multiple providers
+const { BKTree, hammingDistance, hashSimilarity, radiusForSimilarity } = require('./hashIndex');
+const { computeHash, hashBits } = require('./perceptualHash');
+const { clusterBySimilarity, describePairs, resolveLinkage } = require('./clustering');
+const { summarizeSimilarity } = require('./groupStats');
+const { getDefaultRegistry } = require('./providers');
+const { openFeatureCaches, saveFeatureCaches, estimateCost } = require('./providers/featureCache');
+const { REQUEST_CONFIG } = require('./providers/requestLayer');
+const { PrivacyPolicy } = require('./providers/privacyPolicy');
+const { resolveStrategy, decideConsensus } = require('./consensus');
+const { BUILT_IN_POLICIES, validatePolicy, applyKeeperPolicy } = require('./keeperPolicy');
+const { protectSidecarPairs, annotateRoots } = require('./aiDetectionSimplified');
+const { checkpoint } = require('../jobs/jobManager');
+
+// Enterprise-grade AI Configuration. Google, Azure, AWS and the local methods are
+// plugins in ./providers, each configured from the environment.
 const AI_CONFIG = {
-  // Google Vision AI - Best for general image analysis
-  googleVision: {
-    apiKey: process.env.GOOGLE_VISION_API_KEY || 'your-google-api-key',
-    endpoint: 'https://vision.googleapis.com/v1/images:annotate',
-    features: ['OBJECT_LOCALIZATION', 'IMAGE_PROPERTIES', 'FEATURE_DETECTION', 'CROP_HINTS']
-  },
-  
-  // Microsoft Azure Computer Vision - Excellent for similarity detection
-  azureVision: {
-    apiKey: process.env.AZURE_VISION_API_KEY || 'your-azure-api-key',
-    endpoint: process.env.AZURE_VISION_ENDPOINT || 'https://your-resource.cognitiveservices.azure.com/',
-    version: '3.2'
-  },
-  
-  // AWS Rekognition - Advanced ML models
-  awsRekognition: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'your-aws-access-key',
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'your-aws-secret',
-    region: process.env.AWS_REGION || 'us-east-1'
-  },
-  
-  // Apple Core ML via CloudKit (for future implementation)
-  appleCoreML: {
-    teamId: process.env.APPLE_TEAM_ID || 'your-apple-team-id',
-    keyId: process.env.APPLE_KEY_ID || 'your-apple-key-id',
-    privateKey: process.env.APPLE_PRIVATE_KEY || 'your-apple-private-key'
-  },
-  
   // Detection settings for maximum accuracy
   similarityThreshold: 0.92, // Higher threshold for better accuracy
+  candidateSimilarity: 0.75, // Pairs less alike than this locally are never sent to providers
+  clustering: 'complete', // Provider matches are noisier, so every pair in a group must match
   multiProviderConsensus: true, // Use multiple providers for verification
+  // How provider scores become a decision; see consensus.js
+  consensus: process.env.CONSENSUS_STRATEGY || 'weighted-mean',
+  minConfidence: 0.9,
   fallbackMethods: ['perceptual', 'structural', 'histogram'],
-  
-  // Safety and performance settings
-  maxConcurrentRequests: 3,
-  requestDelay: 200, // Slower but more reliable
-  retryAttempts: 3,
-  timeoutMs: 30000,
+  // Concurrency, rate limits and retries of the API calls are set in providers/requestLayer
   
   // Advanced detection features
   detectNearDuplicates: true,
@@ -52,16 +34,26 @@ const AI_CONFIG = {
   detectRotatedImages: true
 };
 
-async function detectDuplicates(images, progressCallback) {
+// options.consensus picks the consensus strategy for this run, and options.onDecision is
+// called with the explanation of every candidate pair, accepted or not. options.privacy
+// picks what may be uploaded (see providers/privacyPolicy), and options.onUploadAudit is
+// called with the summary of what left this machine. options.keeperPolicy picks the image
+// to keep in each group (see keeperPolicy.js), options.clustering the linkage that turns
+// matching pairs into groups (AI_CONFIG.clustering by default), and options.job is
+// polled between units of work so the run can be paused and cancelled.
+async function detectDuplicates(images, progressCallback, options = {}) {
+  const keeperPolicy = validatePolicy(options.keeperPolicy || BUILT_IN_POLICIES.default);
   const duplicateGroups = [];
-  let processedImages = 0;
-  const totalImages = images.length;
   
   // Create comprehensive backup before any analysis
   await createAnalysisBackup(images);
   
+  // Phase 0: RAW+JPEG siblings are protected companions and never reach the providers
+  const sidecars = protectSidecarPairs(images);
+  duplicateGroups.push(...sidecars.groups);
+  
   // Phase 1: Exact hash-based duplicates (instant, 100% accurate)
-  const hashGroups = groupByHash(images);
+  const hashGroups = groupByHash(sidecars.candidates);
   
   // Phase 2: Advanced multi-provider AI detection
   const uniqueImages = [];
@@ -82,25 +74,29 @@ async function detectDuplicates(images, progressCallback) {
   
   // Phase 3: Enterprise AI-powered similarity detection
   if (uniqueImages.length > 1) {
+    // Fetching features and comparing pairs are counted in different units, so each
+    // phase reports its own progress
     const aiGroups = await detectWithEnterpriseAI(uniqueImages, (progress) => {
       if (progressCallback) {
         progressCallback({
-          current: processedImages + progress.current,
-          total: totalImages,
-          percentage: Math.round(((processedImages + progress.current) / totalImages) * 100),
-          stage: 'Enterprise AI Analysis',
+          current: progress.current,
+          total: progress.total,
+          percentage: progress.total > 0 ? Math.round((progress.current / progress.total) * 100) : 100,
+          stage: progress.stage || 'Enterprise AI Analysis',
           provider: progress.provider,
           currentComparison: progress.currentComparison,
           confidence: progress.confidence
         });
       }
-    });
+    }, options);
     
     duplicateGroups.push(...aiGroups);
   }
   
-  // Phase 4: Quality-based ranking with ML scoring
-  await rankImagesWithML(duplicateGroups);
+  // Phase 4: Pick the image to keep in each group
+  applyKeeperPolicy(duplicateGroups, keeperPolicy, { preferredRoot: options.preferredRoot });
+  annotateRoots(duplicateGroups);
+  duplicateGroups.forEach(summarizeSimilarity);
   
   // Phase 5: Final safety verification
   await verifySafetyBeforeReturn(duplicateGroups);
@@ -146,317 +142,390 @@ async function createAnalysisBackup(images) {
   console.log(`Analysis backup created: ${backupDir}`);
 }
 
-async function detectWithEnterpriseAI(images, progressCallback) {
-  const similarGroups = [];
-  const processed = new Set();
-  const totalComparisons = (images.length * (images.length - 1)) / 2;
-  let currentComparison = 0;
+// Provider comparisons are only run for candidate pairs: each image's local perceptual
+// hash is computed once and near neighbours are looked up in a BK-tree, instead of
+// sending every possible pair to the providers. Every candidate pair is compared and the
+// matches are clustered, so groups do not depend on the order of the images.
+async function detectWithEnterpriseAI(images, progressCallback, options = {}) {
+  // Validated up front so a bad choice fails before any hashing work
+  const linkage = resolveLinkage(options.clustering || AI_CONFIG.clustering);
+  const hashes = [];
+  for (const image of images) {
+    await checkpoint(options.job);
+    try {
+      hashes.push(await generatePerceptualHash(image.decodePath || image.path));
+    } catch (error) {
+      console.warn(`Could not hash image ${image.path}:`, error.message);
+      hashes.push(null);
+    }
+  }
   
-  for (let i = 0; i < images.length; i++) {
-    if (processed.has(i)) continue;
+  const context = await openProviderRun(options);
+  const { providers } = context;
+  const edges = [];
+  
+  try {
+    context.caches = await openFeatureCaches(providers);
+    
+    const tree = new BKTree(hammingDistance);
+    hashes.forEach((hash, index) => {
+      if (hash) tree.add(hash, index);
+    });
     
-    const currentImage = images[i];
-    const similarImages = [currentImage];
-    processed.add(i);
+    const candidates = hashes.map((hash, i) => {
+      if (!hash) return [];
+      const radius = radiusForSimilarity(hashBits(hash), AI_CONFIG.candidateSimilarity);
+      return tree.search(hash, radius)
+        .map(match => match.value)
+        .filter(j => j > i)
+        .sort((a, b) => a - b);
+    });
+    const totalComparisons = candidates.reduce((sum, list) => sum + list.length, 0);
+    let currentComparison = 0;
     
-    // Compare with remaining images using multiple AI providers
-    for (let j = i + 1; j < images.length; j++) {
-      if (processed.has(j)) continue;
+    // Remote features are fetched up front, several at a time within each provider's
+    // limits, instead of one pair after another
+    const candidateIndices = new Set();
+    candidates.forEach((list, i) => list.forEach(j => {
+      candidateIndices.add(i);
+      candidateIndices.add(j);
+    }));
+    const candidateImages = images.filter((image, i) => candidateIndices.has(i));
+    await Promise.all(providers.filter(provider => provider.remote).map(provider =>
+      prefetchFeatures(provider, candidateImages, context, progressCallback)));
       
-      const compareImage = images[j];
-      currentComparison++;
+    for (let i = 0; i < images.length; i++) {
+      const currentImage = images[i];
       
-      try {
-        // Multi-provider consensus for maximum accuracy
-        const consensus = await getMultiProviderConsensus(currentImage, compareImage);
-        
-        if (consensus.similarity >= AI_CONFIG.similarityThreshold && consensus.confidence >= 0.9) {
-          similarImages.push(compareImage);
-          processed.add(j);
-        }
+      // Compare with candidate images using multiple AI providers
+      for (const j of candidates[i]) {
+        await checkpoint(options.job);
+        const compareImage = images[j];
+        currentComparison++;
         
-        // Progress update
-        if (progressCallback) {
-          progressCallback({
-            current: currentComparison,
-            total: totalComparisons,
-            provider: consensus.primaryProvider,
-            currentComparison: `${currentImage.name} vs ${compareImage.name}`,
-            confidence: Math.round(consensus.confidence * 100) + '%'
-          });
-        }
-        
-        // Respectful rate limiting
-        await new Promise(resolve => setTimeout(resolve, AI_CONFIG.requestDelay));
-        
-      } catch (error) {
-        console.error(`Error in enterprise AI comparison: ${error.message}`);
-        // Fallback to local methods on API failure
-        const localSimilarity = await calculatePerceptualHash(currentImage.path, compareImage.path);
-        if (localSimilarity >= AI_CONFIG.similarityThreshold) {
-          similarImages.push(compareImage);
-          processed.add(j);
+        try {
+          // Multi-provider consensus for maximum accuracy
+          const consensus = await getMultiProviderConsensus(currentImage, compareImage, context);
+          
+          if (consensus.accepted) {
+            edges.push({ a: i, b: j, similarity: consensus.similarity, method: consensus.providers, explanation: consensus.explanation });
+          }
+          if (options.onDecision) {
+            options.onDecision({ a: currentImage.path, b: compareImage.path, ...consensus.explanation });
+          }
+          
+          // Progress update
+          if (progressCallback) {
+            progressCallback({
+              current: currentComparison,
+              total: totalComparisons,
+              provider: consensus.primaryProvider,
+              currentComparison: `${currentImage.name} vs ${compareImage.name}`,
+              confidence: Math.round(consensus.confidence * 100) + '%'
+            });
+          }
+          
+        } catch (error) {
+          console.error(`Error in enterprise AI comparison: ${error.message}`);
+          // Fallback to the local hashes on API failure
+          const localSimilarity = calculateHashSimilarity(hashes[i], hashes[j]);
+          const accepted = localSimilarity >= AI_CONFIG.similarityThreshold;
+          const explanation = {
+            strategy: 'local-hash-fallback',
+            accepted,
+            reason: `Providers failed (${error.message}); local hash similarity ${Math.round(localSimilarity * 100)}% ` +
+              `${accepted ? 'reaches' : 'is below'} ${Math.round(AI_CONFIG.similarityThreshold * 100)}%`,
+            similarity: localSimilarity
+          };
+          if (accepted) {
+            edges.push({ a: i, b: j, similarity: localSimilarity, method: 'local-hash', explanation });
+          }
+          if (options.onDecision) {
+            options.onDecision({ a: currentImage.path, b: compareImage.path, ...explanation });
+          }
         }
       }
     }
-    
-    // If we found similar images, create a group
-    if (similarImages.length > 1) {
-      similarGroups.push({
-        type: 'ai-detected',
-        images: similarImages,
-        similarity: AI_CONFIG.similarityThreshold,
-        confidence: 'high',
-        detectionMethod: 'multi-provider-ai'
-      });
-    }
+  } finally {
+    await closeProviderRun(context, options);
   }
   
-  return similarGroups;
+  const clusters = clusterBySimilarity(images.length, edges, {
+    linkage,
+    keys: images.map(image => image.path)
+  });
+  
+  return clusters.map(({ members, pairs, sampled }) => ({
+    type: 'ai-detected',
+    images: members.map(index => images[index]),
+    pairs: describePairs(pairs, images),
+    pairsSampled: sampled,
+    clustering: linkage,
+    consensus: context.strategy,
+    confidence: 'high',
+    detectionMethod: 'multi-provider-ai'
+  }));
 }
 
-async function getMultiProviderConsensus(image1, image2) {
-  const results = [];
-  let primaryProvider = 'local';
+// Confirms matches found by the local pipeline (see aiDetectionSimplified) with the
+// providers the privacy mode allows. pairs are [{ a, b }] of images; resolves to one
+// consensus per pair, or null where no cloud provider could judge it and the local
+// match stands. Takes the same options as detectDuplicates.
+async function confirmWithProviders(pairs, progressCallback, options = {}) {
+  const context = await openProviderRun(options);
   
-  // Google Vision AI
-  if (AI_CONFIG.googleVision.apiKey !== 'your-google-api-key') {
-    try {
-      const googleResult = await compareWithGoogleVision(image1, image2);
-      results.push({ provider: 'google', similarity: googleResult.similarity, confidence: googleResult.confidence });
-      primaryProvider = 'google';
-    } catch (error) {
-      console.warn('Google Vision API unavailable:', error.message);
+  try {
+    context.caches = await openFeatureCaches(context.providers);
+    
+    const pairImages = new Map();
+    pairs.forEach(({ a, b }) => {
+      pairImages.set(a.path, a);
+      pairImages.set(b.path, b);
+    });
+    await Promise.all(context.providers.filter(provider => provider.remote).map(provider =>
+      prefetchFeatures(provider, Array.from(pairImages.values()), context, progressCallback)));
+    
+    const decisions = [];
+    for (let n = 0; n < pairs.length; n++) {
+      await checkpoint(options.job);
+      const { a, b } = pairs[n];
+      
+      let consensus = null;
+      try {
+        consensus = await getMultiProviderConsensus(a, b, context);
+      } catch (error) {
+        console.error(`Error in provider confirmation: ${error.message}`);
+      }
+      // Without a cloud answer the local pipeline's own verdict is the better one
+      decisions.push(consensus && consensus.individualResults.some(result => result.remote) ? consensus : null);
+      if (consensus && options.onDecision) {
+        options.onDecision({ a: a.path, b: b.path, ...consensus.explanation });
+      }
+      
+      if (progressCallback) {
+        progressCallback({
+          current: n + 1,
+          total: pairs.length,
+          provider: consensus ? consensus.primaryProvider : 'none',
+          currentComparison: `${a.name} vs ${b.name}`,
+          confidence: consensus ? Math.round(consensus.confidence * 100) + '%' : undefined
+        });
+      }
     }
+    return decisions;
+  } finally {
+    await closeProviderRun(context, options);
   }
+}
+
+// Providers are asked once per run whether they can work here, and each image's
+// features are extracted once per provider rather than once per pair. Features of
+// remote providers are also kept on disk, so later sessions do not pay for them again.
+// The privacy mode is enforced here, for every provider, before any of them is called
+async function openProviderRun(options) {
+  const privacy = new PrivacyPolicy({ mode: options.privacy });
+  const registry = getDefaultRegistry();
+  const providers = privacy.filter(await registry.available());
+  return {
+    registry,
+    providers,
+    features: new Map(),
+    caches: new Map(),
+    privacy,
+    warned: new Set(),
+    strategy: resolveStrategy(options.consensus || AI_CONFIG.consensus),
+    expectedConfidence: expectedConfidence(providers, registry),
+    job: options.job
+  };
+}
+
+// However the run ends, the fetched features are kept, the proxies are removed and
+// the upload audit is written
+async function closeProviderRun(context, options) {
+  await closeProviders(context.providers);
+  await saveFeatureCaches(context.caches);
+  context.caches.forEach(cache => {
+    console.log(`${cache.provider} features: ${cache.stats.hits} from cache, ${cache.stats.misses} fetched`);
+  });
   
-  // Microsoft Azure Computer Vision
-  if (AI_CONFIG.azureVision.apiKey !== 'your-azure-api-key') {
-    try {
-      const azureResult = await compareWithAzureVision(image1, image2);
-      results.push({ provider: 'azure', similarity: azureResult.similarity, confidence: azureResult.confidence });
-      if (primaryProvider === 'local') primaryProvider = 'azure';
-    } catch (error) {
-      console.warn('Azure Vision API unavailable:', error.message);
-    }
+  const uploads = await context.privacy.close();
+  console.log(`Privacy mode ${uploads.mode}: ${uploads.files} files (${uploads.bytesSent} bytes) handed to cloud providers; ` +
+    `audit in ${uploads.auditPath}`);
+  if (options.onUploadAudit) {
+    options.onUploadAudit(uploads);
+  }
+}
+
+// Consensus of every available provider under the run's strategy. context carries the
+// run's registry, its available providers, the per-run feature promises, the on-disk
+// feature caches, the privacy policy and the strategy. The privacy policy is required:
+// the run that owns it closes it, which writes the audit and removes the proxies.
+async function getMultiProviderConsensus(image1, image2, context = {}) {
+  const registry = context.registry || getDefaultRegistry();
+  const providers = context.providers || await registry.available();
+  const features = context.features || new Map();
+  const caches = context.caches || new Map();
+  const privacy = context.privacy;
+  if (!privacy) {
+    throw new Error('Provider consensus needs the privacy policy of the run');
   }
+  const warned = context.warned || new Set();
+  const results = [];
+  const failed = [];
   
-  // AWS Rekognition
-  if (AI_CONFIG.awsRekognition.accessKeyId !== 'your-aws-access-key') {
+  for (const provider of providers) {
     try {
-      const awsResult = await compareWithAWSRekognition(image1, image2);
-      results.push({ provider: 'aws', similarity: awsResult.similarity, confidence: awsResult.confidence });
-      if (primaryProvider === 'local') primaryProvider = 'aws';
+      const cache = caches.get(provider.name);
+      const [features1, features2] = await Promise.all([
+        providerFeatures(provider, image1, features, cache, privacy),
+        providerFeatures(provider, image2, features, cache, privacy)
+      ]);
+      const similarity = await provider.compare(features1, features2);
+      results.push({
+        provider: provider.name,
+        similarity,
+        confidence: provider.confidence || 0.5,
+        weight: registry.weightFor(provider.name),
+        threshold: registry.thresholdFor(provider.name, AI_CONFIG.similarityThreshold),
+        remote: Boolean(provider.remote)
+      });
     } catch (error) {
-      console.warn('AWS Rekognition unavailable:', error.message);
+      failed.push({ provider: provider.name, error: error.message });
+      // Once per provider and run; a provider that is down fails every pair
+      if (!warned.has(provider.name)) {
+        warned.add(provider.name);
+        console.warn(`${provider.label || provider.name} unavailable:`, error.message);
+      }
     }
   }
   
-  // Fallback to local advanced algorithms
-  const localResult = await compareWithAdvancedLocal(image1, image2);
-  results.push({ provider: 'local-advanced', similarity: localResult.similarity, confidence: localResult.confidence });
-  
-  // Calculate weighted consensus
-  if (results.length === 0) {
-    return { similarity: 0, confidence: 0, primaryProvider: 'none' };
-  }
-  
-  // Weight enterprise APIs higher than local methods
-  const weights = {
-    google: 0.4,
-    azure: 0.35,
-    aws: 0.35,
-    'local-advanced': 0.2
-  };
-  
-  let weightedSimilarity = 0;
-  let weightedConfidence = 0;
-  let totalWeight = 0;
-  
-  results.forEach(result => {
-    const weight = weights[result.provider] || 0.1;
-    weightedSimilarity += result.similarity * weight;
-    weightedConfidence += result.confidence * weight;
-    totalWeight += weight;
+  const explanation = decideConsensus(results, {
+    strategy: context.strategy || AI_CONFIG.consensus,
+    threshold: AI_CONFIG.similarityThreshold,
+    minConfidence: AI_CONFIG.minConfidence,
+    expectedConfidence: context.expectedConfidence,
+    failed
   });
   
   return {
-    similarity: weightedSimilarity / totalWeight,
-    confidence: weightedConfidence / totalWeight,
-    primaryProvider,
+    accepted: explanation.accepted,
+    similarity: explanation.similarity,
+    confidence: explanation.confidence,
+    // Providers run heaviest first
+    primaryProvider: results.length > 0 ? results[0].provider : 'none',
     providers: results.map(r => r.provider),
-    individualResults: results
+    individualResults: results,
+    explanation
   };
 }
 
-async function compareWithGoogleVision(image1, image2) {
-  const features1 = await getGoogleVisionFeatures(image1.path);
-  const features2 = await getGoogleVisionFeatures(image2.path);
-  
-  // Advanced feature comparison using Google's ML models
-  const similarity = calculateGoogleFeatureSimilarity(features1, features2);
-  
-  return {
-    similarity: similarity,
-    confidence: 0.95, // Google Vision is highly reliable
-    features: { image1: features1, image2: features2 }
-  };
+// Weighted confidence of every provider in the run, answered or not
+function expectedConfidence(providers, registry) {
+  const totalWeight = providers.reduce((sum, provider) => sum + registry.weightFor(provider.name), 0);
+  if (totalWeight === 0) return 1;
+  return providers.reduce((sum, provider) => sum + (provider.confidence || 0.5) * registry.weightFor(provider.name), 0) / totalWeight;
+}
+
+// A failed extraction is remembered for the run too, so a provider that cannot read an
+// image is not asked again for every pair it is in; only successes reach the disk cache
+function providerFeatures(provider, image, features, cache, privacy) {
+  const key = `${provider.name}:${image.hash || image.path}`;
+  if (!features.has(key)) {
+    features.set(key, loadFeatures(provider, image, cache, privacy));
+  }
+  return features.get(key);
 }
 
-async function getGoogleVisionFeatures(imagePath) {
-  const imageBuffer = await fs.readFile(imagePath);
-  const base64Image = imageBuffer.toString('base64');
+// The request layer queues calls beyond a provider's concurrency limit, so this only
+// needs enough workers to keep it busy
+async function prefetchFeatures(provider, images, context, progressCallback) {
+  const cache = context.caches.get(provider.name);
+  let next = 0;
+  let done = 0;
   
-  const requestBody = {
-    requests: [{
-      image: { content: base64Image },
-      features: AI_CONFIG.googleVision.features.map(feature => ({
-        type: feature,
-        maxResults: 50
-      }))
-    }]
+  const worker = async () => {
+    while (next < images.length) {
+      await checkpoint(context.job);
+      const image = images[next++];
+      try {
+        await providerFeatures(provider, image, context.features, cache, context.privacy);
+      } catch (error) {
+        // Reported once the pairs are compared
+      }
+      done++;
+      if (progressCallback) {
+        progressCallback({
+          current: done,
+          total: images.length,
+          stage: 'Fetching provider features',
+          provider: provider.name,
+          currentComparison: `${provider.label || provider.name}: analysed ${done} of ${images.length} images`
+        });
+      }
+    }
   };
   
-  const response = await axios.post(
-    `${AI_CONFIG.googleVision.endpoint}?key=${AI_CONFIG.googleVision.apiKey}`,
-    requestBody,
-    { timeout: AI_CONFIG.timeoutMs }
-  );
-  
-  return response.data.responses[0];
+  await Promise.all(Array.from({ length: REQUEST_CONFIG.maxConcurrent }, worker));
 }
 
-async function compareWithAzureVision(image1, image2) {
-  // Azure Computer Vision similarity analysis
-  const analysis1 = await getAzureImageAnalysis(image1.path);
-  const analysis2 = await getAzureImageAnalysis(image2.path);
-  
-  const similarity = calculateAzureFeatureSimilarity(analysis1, analysis2);
+// Cached features cost no upload; anything else goes to the provider through the policy
+async function loadFeatures(provider, image, cache, privacy) {
+  const key = privacy.cacheKey(provider, image);
+  if (cache && image.hash) {
+    const cached = cache.get(key);
+    if (cached !== null) return cached;
+  }
   
-  return {
-    similarity: similarity,
-    confidence: 0.93, // Azure is also highly reliable
-    features: { image1: analysis1, image2: analysis2 }
-  };
+  const features = await privacy.run(provider, image, upload => provider.extractFeatures(upload));
+  if (cache && image.hash) {
+    cache.set(key, features);
+  }
+  return features;
 }
 
-async function getAzureImageAnalysis(imagePath) {
-  const imageBuffer = await fs.readFile(imagePath);
-  
-  const response = await axios.post(
-    `${AI_CONFIG.azureVision.endpoint}/vision/v${AI_CONFIG.azureVision.version}/analyze`,
-    imageBuffer,
-    {
-      headers: {
-        'Ocp-Apim-Subscription-Key': AI_CONFIG.azureVision.apiKey,
-        'Content-Type': 'application/octet-stream'
-      },
-      params: {
-        visualFeatures: 'Objects,Tags,Color,ImageType,Categories,Description',
-        details: 'Landmarks,Celebrities'
-      },
-      timeout: AI_CONFIG.timeoutMs
-    }
-  );
-  
-  return response.data;
+// Whether a run with these options would call a cloud provider: one must be configured
+// and the privacy mode options.privacy must let it run. Otherwise nothing leaves this
+// machine and the local pipeline's matches are not sent for confirmation.
+async function usesCloudProviders(options = {}) {
+  const registry = options.registry || getDefaultRegistry();
+  const privacy = new PrivacyPolicy({ mode: options.privacy });
+  return privacy.filter(await registry.available()).some(provider => provider.remote);
 }
 
-async function compareWithAWSRekognition(image1, image2) {
-  // AWS Rekognition comparison
-  const AWS = require('aws-sdk');
-  const rekognition = new AWS.Rekognition({
-    accessKeyId: AI_CONFIG.awsRekognition.accessKeyId,
-    secretAccessKey: AI_CONFIG.awsRekognition.secretAccessKey,
-    region: AI_CONFIG.awsRekognition.region
-  });
-  
-  const features1 = await getAWSFeatures(rekognition, image1.path);
-  const features2 = await getAWSFeatures(rekognition, image2.path);
-  
-  const similarity = calculateAWSFeatureSimilarity(features1, features2);
-  
+// Upper bound on what detection would spend on the configured providers under the
+// privacy mode options.privacy, for showing before a run starts
+async function estimateProviderCost(images, options = {}) {
+  const registry = options.registry || getDefaultRegistry();
+  const privacy = new PrivacyPolicy({ mode: options.privacy });
+  const providers = privacy.filter(await registry.available());
   return {
-    similarity: similarity,
-    confidence: 0.91, // AWS Rekognition reliability
-    features: { image1: features1, image2: features2 }
+    ...estimateCost(images, providers, await openFeatureCaches(providers, options),
+      (provider, image) => privacy.cacheKey(provider, image)),
+    privacy: { ...privacy.describe(), blocked: Array.from(privacy.blocked) }
   };
 }
 
-async function compareWithAdvancedLocal(image1, image2) {
-  // Advanced local comparison using multiple algorithms
-  const methods = [
-    () => calculatePerceptualHash(image1.path, image2.path),
-    () => calculateStructuralSimilarity(image1.path, image2.path),
-    () => calculateHistogramSimilarity(image1.path, image2.path),
-    () => calculateFeatureMatching(image1.path, image2.path)
-  ];
-  
-  const results = await Promise.all(methods.map(async method => {
+async function closeProviders(providers) {
+  for (const provider of providers) {
+    if (!provider.close) continue;
     try {
-      return await method();
+      await provider.close();
     } catch (error) {
-      console.warn('Local comparison method failed:', error.message);
-      return 0;
+      console.warn(`Could not close provider ${provider.name}:`, error.message);
     }
-  }));
-  
-  // Weighted average of local methods
-  const weights = [0.3, 0.3, 0.2, 0.2]; // Perceptual hash and structural similarity weighted higher
-  const weightedSimilarity = results.reduce((sum, result, index) => sum + result * weights[index], 0);
-  
-  return {
-    similarity: weightedSimilarity,
-    confidence: 0.8, // Local methods are good but not as reliable as enterprise APIs
-    methods: ['perceptual-hash', 'structural-similarity', 'histogram', 'feature-matching'],
-    results: results
-  };
-}
-
-async function rankImagesWithML(duplicateGroups) {
-  // ML-based ranking considering multiple quality factors
-  duplicateGroups.forEach(group => {
-    group.images.forEach(image => {
-      // Calculate comprehensive quality score
-      image.qualityScore = calculateQualityScore(image);
-    });
-    
-    // Sort by quality score (highest first)
-    group.images.sort((a, b) => b.qualityScore - a.qualityScore);
-    
-    // Mark the highest quality image as recommended
-    group.images[0].recommended = true;
-    group.images[0].recommendationReason = 'Highest quality score';
-  });
-}
-
-function calculateQualityScore(image) {
-  let score = 0;
-  
-  // Resolution factor (40% weight)
-  score += (image.resolution / 10000000) * 0.4; // Normalize to ~4K resolution
-  
-  // File size factor (20% weight) - larger usually means less compression
-  score += Math.min(image.size / (5 * 1024 * 1024), 1) * 0.2; // Normalize to 5MB
-  
-  // Recency factor (20% weight)
-  const daysSinceModified = (Date.now() - new Date(image.modified).getTime()) / (1000 * 60 * 60 * 24);
-  score += Math.max(0, 1 - daysSinceModified / 365) * 0.2; // Prefer images modified within a year
-  
-  // Format factor (10% weight)
-  const formatScores = { png: 1, tiff: 0.9, jpg: 0.7, jpeg: 0.7, gif: 0.5, bmp: 0.6, webp: 0.8 };
-  score += (formatScores[image.format?.toLowerCase()] || 0.5) * 0.1;
-  
-  // Path depth factor (10% weight) - prefer images in organized folders
-  const pathDepth = image.path.split(/[\/\\]/).length;
-  score += Math.min(pathDepth / 10, 1) * 0.1;
-  
-  return Math.min(score, 1); // Cap at 1.0
+  }
 }
 
 async function verifySafetyBeforeReturn(duplicateGroups) {
   // Final safety checks before returning results
   for (const group of duplicateGroups) {
+    // Protected groups keep every image on purpose
+    if (group.protected) {
+      group.safetyVerified = true;
+      group.verificationTimestamp = new Date().toISOString();
+      continue;
+    }
+    
     // Ensure at least one image is marked as recommended
     const recommendedCount = group.images.filter(img => img.recommended).length;
     if (recommendedCount === 0 && group.images.length > 0) {
@@ -478,344 +547,19 @@ async function verifySafetyBeforeReturn(duplicateGroups) {
   console.log(`Safety verification complete for ${duplicateGroups.length} groups`);
 }
 
-// Helper functions for advanced similarity calculations
-function calculateGoogleFeatureSimilarity(features1, features2) {
-  let similarity = 0;
-  let comparisons = 0;
-  
-  // Compare object detections
-  if (features1.localizedObjectAnnotations && features2.localizedObjectAnnotations) {
-    const objects1 = features1.localizedObjectAnnotations.map(obj => obj.name);
-    const objects2 = features2.localizedObjectAnnotations.map(obj => obj.name);
-    similarity += calculateArraySimilarity(objects1, objects2);
-    comparisons++;
-  }
-  
-  // Compare dominant colors
-  if (features1.imagePropertiesAnnotation && features2.imagePropertiesAnnotation) {
-    const colors1 = features1.imagePropertiesAnnotation.dominantColors?.colors || [];
-    const colors2 = features2.imagePropertiesAnnotation.dominantColors?.colors || [];
-    similarity += calculateColorSimilarity(colors1, colors2);
-    comparisons++;
-  }
-  
-  return comparisons > 0 ? similarity / comparisons : 0;
-}
-
-function calculateAzureFeatureSimilarity(analysis1, analysis2) {
-  let similarity = 0;
-  let comparisons = 0;
-  
-  // Compare objects
-  if (analysis1.objects && analysis2.objects) {
-    const objects1 = analysis1.objects.map(obj => obj.object);
-    const objects2 = analysis2.objects.map(obj => obj.object);
-    similarity += calculateArraySimilarity(objects1, objects2);
-    comparisons++;
-  }
-  
-  // Compare tags
-  if (analysis1.tags && analysis2.tags) {
-    const tags1 = analysis1.tags.map(tag => tag.name);
-    const tags2 = analysis2.tags.map(tag => tag.name);
-    similarity += calculateArraySimilarity(tags1, tags2);
-    comparisons++;
-  }
-  
-  // Compare dominant colors
-  if (analysis1.color && analysis2.color) {
-    similarity += calculateDominantColorSimilarity(analysis1.color, analysis2.color);
-    comparisons++;
-  }
-  
-  return comparisons > 0 ? similarity / comparisons : 0;
-}
-
-async function getAWSFeatures(rekognition, imagePath) {
-  const imageBuffer = await fs.readFile(imagePath);
-  
-  const params = {
-    Image: { Bytes: imageBuffer },
-    MaxLabels: 50,
-    MinConfidence: 70
-  };
-  
-  const labels = await rekognition.detectLabels(params).promise();
-  
-  // Also get text detection
-  const textParams = {
-    Image: { Bytes: imageBuffer }
-  };
-  const text = await rekognition.detectText(textParams).promise();
-  
-  return {
-    labels: labels.Labels,
-    text: text.TextDetections
-  };
-}
-
-function calculateAWSFeatureSimilarity(features1, features2) {
-  let similarity = 0;
-  let comparisons = 0;
-  
-  // Compare labels
-  if (features1.labels && features2.labels) {
-    const labels1 = features1.labels.map(label => label.Name);
-    const labels2 = features2.labels.map(label => label.Name);
-    similarity += calculateArraySimilarity(labels1, labels2);
-    comparisons++;
-  }
-  
-  // Compare detected text
-  if (features1.text && features2.text) {
-    const text1 = features1.text.map(text => text.DetectedText);
-    const text2 = features2.text.map(text => text.DetectedText);
-    similarity += calculateArraySimilarity(text1, text2);
-    comparisons++;
-  }
-  
-  return comparisons > 0 ? similarity / comparisons : 0;
-}
-
-async function calculatePerceptualHash(imagePath1, imagePath2) {
-  try {
-    const hash1 = await generatePerceptualHash(imagePath1);
-    const hash2 = await generatePerceptualHash(imagePath2);
-    return calculateHashSimilarity(hash1, hash2);
-  } catch (error) {
-    console.error('Error calculating perceptual hash:', error);
-    return 0;
-  }
-}
-
-async function calculateStructuralSimilarity(imagePath1, imagePath2) {
-  try {
-    const image1 = await jimp.read(imagePath1);
-    const image2 = await jimp.read(imagePath2);
-    
-    // Resize to same dimensions for comparison
-    const size = 64;
-    image1.resize(size, size);
-    image2.resize(size, size);
-    
-    let totalDiff = 0;
-    let pixelCount = 0;
-    
-    image1.scan(0, 0, size, size, function(x, y, idx) {
-      const r1 = this.bitmap.data[idx];
-      const g1 = this.bitmap.data[idx + 1];
-      const b1 = this.bitmap.data[idx + 2];
-      
-      const pixel2 = jimp.intToRGBA(image2.getPixelColor(x, y));
-      const r2 = pixel2.r;
-      const g2 = pixel2.g;
-      const b2 = pixel2.b;
-      
-      const diff = Math.sqrt(Math.pow(r1 - r2, 2) + Math.pow(g1 - g2, 2) + Math.pow(b1 - b2, 2));
-      totalDiff += diff;
-      pixelCount++;
-    });
-    
-    const avgDiff = totalDiff / pixelCount;
-    const maxDiff = Math.sqrt(3 * Math.pow(255, 2)); // Maximum possible difference
-    
-    return 1 - (avgDiff / maxDiff);
-  } catch (error) {
-    console.error('Error calculating structural similarity:', error);
-    return 0;
-  }
-}
-
-async function calculateHistogramSimilarity(imagePath1, imagePath2) {
-  try {
-    const hist1 = await generateHistogram(imagePath1);
-    const hist2 = await generateHistogram(imagePath2);
-    
-    return compareHistograms(hist1, hist2);
-  } catch (error) {
-    console.error('Error calculating histogram similarity:', error);
-    return 0;
-  }
-}
-
-async function calculateFeatureMatching(imagePath1, imagePath2) {
-  // Simplified feature matching - in production, use more sophisticated algorithms
-  try {
-    const features1 = await extractKeyPoints(imagePath1);
-    const features2 = await extractKeyPoints(imagePath2);
-    
-    return compareKeyPoints(features1, features2);
-  } catch (error) {
-    console.error('Error in feature matching:', error);
-    return 0;
-  }
-}
-
-// Utility functions
-function calculateArraySimilarity(array1, array2) {
-  if (array1.length === 0 && array2.length === 0) return 1;
-  if (array1.length === 0 || array2.length === 0) return 0;
-  
-  const set1 = new Set(array1);
-  const set2 = new Set(array2);
-  const intersection = new Set([...set1].filter(x => set2.has(x)));
-  const union = new Set([...set1, ...set2]);
-  
-  return intersection.size / union.size; // Jaccard similarity
-}
-
-function calculateColorSimilarity(colors1, colors2) {
-  // Simplified color similarity
-  if (!colors1.length || !colors2.length) return 0;
-  
-  let totalSimilarity = 0;
-  let comparisons = 0;
-  
-  colors1.slice(0, 5).forEach(color1 => {
-    colors2.slice(0, 5).forEach(color2 => {
-      const similarity = calculateSingleColorSimilarity(color1.color, color2.color);
-      totalSimilarity += similarity;
-      comparisons++;
-    });
-  });
-  
-  return comparisons > 0 ? totalSimilarity / comparisons : 0;
-}
-
-function calculateSingleColorSimilarity(color1, color2) {
-  const r1 = color1.red || 0;
-  const g1 = color1.green || 0;
-  const b1 = color1.blue || 0;
-  
-  const r2 = color2.red || 0;
-  const g2 = color2.green || 0;
-  const b2 = color2.blue || 0;
-  
-  const distance = Math.sqrt(Math.pow(r1 - r2, 2) + Math.pow(g1 - g2, 2) + Math.pow(b1 - b2, 2));
-  const maxDistance = Math.sqrt(3 * Math.pow(255, 2));
-  
-  return 1 - (distance / maxDistance);
-}
-
-function calculateDominantColorSimilarity(color1, color2) {
-  // Compare dominant colors from Azure
-  const dom1 = color1.dominantColorForeground || color1.dominantColors?.[0];
-  const dom2 = color2.dominantColorForeground || color2.dominantColors?.[0];
-  
-  if (!dom1 || !dom2) return 0;
-  
-  // Simple string comparison for now - could be enhanced with color distance
-  return dom1 === dom2 ? 1 : 0;
-}
-
+// 64-bit DCT hash; an average hash cannot tell apart shots on a plain white background
 async function generatePerceptualHash(imagePath) {
-  const image = await jimp.read(imagePath);
-  
-  // Convert to grayscale and resize
-  image.resize(8, 8).greyscale();
-  
-  // Calculate average pixel value
-  let sum = 0;
-  let pixelCount = 0;
-  
-  image.scan(0, 0, 8, 8, function(x, y, idx) {
-    sum += this.bitmap.data[idx];
-    pixelCount++;
-  });
-  
-  const average = sum / pixelCount;
-  
-  // Generate hash
-  let hash = '';
-  image.scan(0, 0, 8, 8, function(x, y, idx) {
-    hash += this.bitmap.data[idx] > average ? '1' : '0';
-  });
-  
-  return hash;
+  return computeHash(imagePath, 'perceptual');
 }
 
 function calculateHashSimilarity(hash1, hash2) {
-  if (hash1.length !== hash2.length) return 0;
-  
-  let matches = 0;
-  for (let i = 0; i < hash1.length; i++) {
-    if (hash1[i] === hash2[i]) matches++;
-  }
-  
-  return matches / hash1.length;
-}
-
-async function generateHistogram(imagePath) {
-  const image = await jimp.read(imagePath);
-  const histogram = { r: new Array(256).fill(0), g: new Array(256).fill(0), b: new Array(256).fill(0) };
-  
-  image.scan(0, 0, image.bitmap.width, image.bitmap.height, function(x, y, idx) {
-    histogram.r[this.bitmap.data[idx]]++;
-    histogram.g[this.bitmap.data[idx + 1]]++;
-    histogram.b[this.bitmap.data[idx + 2]]++;
-  });
-  
-  return histogram;
-}
-
-function compareHistograms(hist1, hist2) {
-  let similarity = 0;
-  const channels = ['r', 'g', 'b'];
-  
-  channels.forEach(channel => {
-    let correlation = 0;
-    for (let i = 0; i < 256; i++) {
-      correlation += Math.min(hist1[channel][i], hist2[channel][i]);
-    }
-    similarity += correlation;
-  });
-  
-  return similarity / (3 * 256); // Normalize
-}
-
-async function extractKeyPoints(imagePath) {
-  // Simplified keypoint extraction using edge detection
-  const image = await jimp.read(imagePath);
-  image.resize(256, 256).greyscale();
-  
-  const keypoints = [];
-  
-  // Simple edge detection (Sobel-like)
-  image.scan(1, 1, image.bitmap.width - 2, image.bitmap.height - 2, function(x, y, idx) {
-    const current = this.bitmap.data[idx];
-    const right = this.bitmap.data[idx + 4];
-    const bottom = this.bitmap.data[idx + image.bitmap.width * 4];
-    
-    const edgeStrength = Math.abs(current - right) + Math.abs(current - bottom);
-    
-    if (edgeStrength > 50) { // Threshold for edge detection
-      keypoints.push({ x, y, strength: edgeStrength });
-    }
-  });
-  
-  // Return top keypoints
-  return keypoints.sort((a, b) => b.strength - a.strength).slice(0, 100);
-}
-
-function compareKeyPoints(keypoints1, keypoints2) {
-  if (keypoints1.length === 0 || keypoints2.length === 0) return 0;
-  
-  let matches = 0;
-  const threshold = 10; // Distance threshold for matching keypoints
-  
-  keypoints1.forEach(kp1 => {
-    const hasMatch = keypoints2.some(kp2 => {
-      const distance = Math.sqrt(Math.pow(kp1.x - kp2.x, 2) + Math.pow(kp1.y - kp2.y, 2));
-      return distance < threshold;
-    });
-    
-    if (hasMatch) matches++;
-  });
-  
-  return matches / Math.max(keypoints1.length, keypoints2.length);
+  return hashSimilarity(hash1, hash2);
 }
 
 module.exports = {
   detectDuplicates,
+  confirmWithProviders,
+  usesCloudProviders,
+  estimateProviderCost,
   AI_CONFIG
 };
@@ -1,7 +1,18 @@
 const axios = require('axios');
 const fs = require('fs-extra');
-const jimp = require('jimp');
 const crypto = require('crypto');
+const { findSidecarPairs } = require('../scanner/imageFormats');
+const { checkpoint, isCancellation } = require('../jobs/jobManager');
+const { BKTree, hammingDistance, hashSimilarity, hashCentroid } = require('./hashIndex');
+const { clusterBySimilarity, describePairs, resolveLinkage } = require('./clustering');
+const { summarizeSimilarity } = require('./groupStats');
+const { HASH_ALGORITHMS, HASH_VERSION, resolveHashOptions, computeVariantHashes, maxDistanceFor } = require('./perceptualHash');
+const jimp = require('jimp');
+const { describeVariant, applyVariant, fitShortSide, ORIENTATIONS, CROPS } = require('./imageTransforms');
+const { compareStructure, SSIM_CONFIG } = require('./ssim');
+const { extractFeatures, matchFeatures } = require('./featureMatching');
+const { EMBEDDING_CONFIG, openEmbeddingCache, embedImages, searchSimilar } = require('./embeddings');
+const { BUILT_IN_POLICIES, validatePolicy, applyKeeperPolicy } = require('./keeperPolicy');
 
 // Simplified AI Configuration (without problematic dependencies)
 const AI_CONFIG = {
@@ -28,6 +39,16 @@ const AI_CONFIG = {
   
   // Detection settings for maximum accuracy
   similarityThreshold: 0.92,
+  clustering: 'single',
+  // Every hash match is confirmed. Re-encodes, resizes and rotations are compared with
+  // MS-SSIM, which they clear easily and other shots of the same scene do not. Crops are
+  // only roughly aligned by their variant, so they are confirmed with keypoint matching
+  // instead: the cropped copy must map, by a RANSAC homography, inside the original.
+  verifyStructure: true,
+  structuralThreshold: 0.9,
+  // Same shot, different edit, judged by the offline embedding model (when installed).
+  // Off by default: the model is a separate download.
+  semanticSimilarity: false,
   multiProviderConsensus: true,
   fallbackMethods: ['perceptual', 'structural', 'histogram'],
   
@@ -45,7 +66,14 @@ const AI_CONFIG = {
   detectRotatedImages: true
 };
 
-async function detectDuplicates(images, progressCallback) {
+// Untransformed first, then simpler transforms before crops
+const VARIANT_ORDER = [...Object.keys(ORIENTATIONS), ...Object.keys(CROPS)];
+
+// options.keeperPolicy is the keeper policy that picks the image to keep in each group
+// (see keeperPolicy.js); the built-in default when not given. options.confirmMatches,
+// when given, is asked to confirm the near-duplicate matches before they are grouped
+// (see confirmWithProviders in aiDetectionEnterprise)
+async function detectDuplicates(images, progressCallback, options = {}) {
   const duplicateGroups = [];
   let processedImages = 0;
   const totalImages = images.length;
@@ -53,6 +81,20 @@ async function detectDuplicates(images, progressCallback) {
   console.log(`Starting duplicate detection for ${totalImages} images...`);
   
   try {
+    // Phase 0: RAW+JPEG siblings from the same shot are companions, not duplicates
+    const sidecars = protectSidecarPairs(images);
+    duplicateGroups.push(...sidecars.groups);
+    const candidates = sidecars.candidates;
+    // Validated up front so a bad choice fails before any hashing work
+    const hashOptions = {
+      ...resolveHashOptions(options),
+      orientations: options.detectRotatedImages !== undefined ? Boolean(options.detectRotatedImages) : AI_CONFIG.detectRotatedImages,
+      crops: options.detectCroppedVersions !== undefined ? Boolean(options.detectCroppedVersions) : AI_CONFIG.detectCroppedVersions
+    };
+    const linkage = resolveLinkage(options.clustering || AI_CONFIG.clustering);
+    const keeperPolicy = validatePolicy(options.keeperPolicy || BUILT_IN_POLICIES.default);
+    processedImages += images.length - candidates.length;
+    
     // Phase 1: Exact hash-based duplicates (instant, 100% accurate)
     if (progressCallback) {
       progressCallback({
@@ -64,7 +106,7 @@ async function detectDuplicates(images, progressCallback) {
       });
     }
     
-    const hashGroups = await groupByHash(images);
+    const hashGroups = await groupByHash(candidates, options.job);
     
     // Phase 2: Process hash groups
     const uniqueImages = [];
@@ -76,8 +118,7 @@ async function detectDuplicates(images, progressCallback) {
           images: imageGroup,
           similarity: 1.0,
           confidence: 'absolute',
-          detectionMethod: 'file-hash',
-          recommendedToKeep: imageGroup[0] // Keep first one by default
+          detectionMethod: 'file-hash'
         });
       } else {
         uniqueImages.push(imageGroup[0]);
@@ -107,31 +148,69 @@ async function detectDuplicates(images, progressCallback) {
         });
       }
       
-      const similarGroups = await detectPerceptualSimilarity(uniqueImages, progressCallback);
+      const similarGroups = await detectPerceptualSimilarity(uniqueImages, progressCallback, options.job, {
+        resumeFrom: options.resumeFrom,
+        onCheckpoint: options.onCheckpoint,
+        hashOptions,
+        linkage,
+        verifyStructure: options.verifyStructure !== undefined ? Boolean(options.verifyStructure) : AI_CONFIG.verifyStructure,
+        semanticSimilarity: options.semanticSimilarity !== undefined ? Boolean(options.semanticSimilarity) : AI_CONFIG.semanticSimilarity,
+        confirmMatches: options.confirmMatches
+      });
       duplicateGroups.push(...similarGroups);
     }
     
-    // Phase 4: Final ranking and recommendations
-    await rankImagesByQuality(duplicateGroups);
+    // Phase 4: Pick the image to keep in each group
+    applyKeeperPolicy(duplicateGroups, keeperPolicy, { preferredRoot: options.preferredRoot });
+    annotateRoots(duplicateGroups);
+    duplicateGroups.forEach(summarizeSimilarity);
     
     console.log(`Detection complete. Found ${duplicateGroups.length} duplicate groups.`);
     return duplicateGroups;
     
   } catch (error) {
+    if (isCancellation(error)) {
+      throw error;
+    }
     console.error('Error during duplicate detection:', error);
     throw new Error(`Duplicate detection failed: ${error.message}`);
   }
 }
 
-async function groupByHash(images) {
+// RAW+JPEG pairs become protected groups that keep every image. Only the rendered copy
+// takes part in matching, so the RAW is never offered for deletion.
+// Returns { groups, candidates }, candidates being the images left to match.
+function protectSidecarPairs(images) {
+  const pairedRaws = new Set();
+  const groups = findSidecarPairs(images).map(pair => {
+    pair.raw.forEach(image => pairedRaws.add(image.path));
+    const pairImages = [...pair.rendered, ...pair.raw].map(image => ({ ...image, recommended: true }));
+    return {
+      type: 'sidecar-pair',
+      images: pairImages,
+      similarity: 1.0,
+      confidence: 'absolute',
+      detectionMethod: 'sidecar-name',
+      relationship: 'raw+rendered',
+      protected: true,
+      recommendedToKeep: pairImages[0],
+      candidatesForDeletion: []
+    };
+  });
+  
+  return { groups, candidates: images.filter(image => !pairedRaws.has(image.path)) };
+}
+
+async function groupByHash(images, job) {
   const hashMap = new Map();
   
   for (const image of images) {
+    await checkpoint(job);
+    
     try {
       // Create a comprehensive hash based on file size and quick content hash
       const stats = await fs.stat(image.path);
-      const buffer = await fs.readFile(image.path);
-      const contentHash = crypto.createHash('md5').update(buffer).digest('hex');
+      const contentHash = image.hash || await calculateContentHash(image.path);
       const combinedHash = `${stats.size}-${contentHash}`;
       
       if (!hashMap.has(combinedHash)) {
@@ -152,156 +231,355 @@ async function groupByHash(images) {
   return hashMap;
 }
 
-async function detectPerceptualSimilarity(images, progressCallback) {
-  const similarGroups = [];
-  const processed = new Set();
+// The scanner already hashes every file; this is only for images that arrive without one
+async function calculateContentHash(filePath) {
+  const buffer = await fs.readFile(filePath);
+  return crypto.createHash('md5').update(buffer).digest('hex');
+}
+
+// Each image is hashed exactly once with every selected algorithm, as it is and (when
+// enabled) rotated, mirrored and cropped. Near duplicates are found with Hamming-radius
+// queries on a BK-tree over the first algorithm's untransformed hashes: querying with an
+// image's variants finds copies that are a rotated, mirrored or cropped version of it.
+// The remaining algorithms must agree as well. Matching pairs are clustered as a graph,
+// so groups are the same whatever order the images were scanned in.
+// Resumable: onCheckpoint receives a serialisable state while hashing, and passing that
+// state back as resumeFrom continues from the same image.
+async function detectPerceptualSimilarity(images, progressCallback, job, checkpointOptions = {}) {
+  const { onCheckpoint } = checkpointOptions;
+  const hashOptions = checkpointOptions.hashOptions || resolveHashOptions();
+  const { algorithms, bits } = hashOptions;
+  const inputKey = await hashingInputKey(images, hashOptions);
+  const resumeFrom = checkpointOptions.resumeFrom && checkpointOptions.resumeFrom.inputKey === inputKey
+    ? checkpointOptions.resumeFrom
+    : null;
   
-  for (let i = 0; i < images.length; i++) {
-    if (processed.has(i)) continue;
+  // Pass 1: hash every image once
+  const hashes = resumeFrom ? resumeFrom.hashes.slice() : [];
+  for (let i = hashes.length; i < images.length; i++) {
+    await checkpoint(job);
     
-    const currentGroup = [images[i]];
-    processed.add(i);
+    // Passed live rather than copied: the array only ever grows by finished hashes,
+    // so it is consistent whenever the checkpoint is actually written
+    if (onCheckpoint) {
+      onCheckpoint({ stage: 'hashing', inputKey, hashes });
+    }
     
     try {
-      // Get perceptual hash for current image
-      const currentHash = await getPerceptualHash(images[i].path);
-      
-      // Compare with remaining images
-      for (let j = i + 1; j < images.length; j++) {
-        if (processed.has(j)) continue;
+      hashes.push(await computeVariantHashes(images[i].decodePath || images[i].path, hashOptions));
+    } catch (error) {
+      console.warn(`Could not process image ${images[i].path}:`, error.message);
+      hashes.push(null);
+    }
+    
+    if (progressCallback) {
+      progressCallback({
+        current: i + 1,
+        total: images.length,
+        percentage: Math.round(((i + 1) / images.length) * 100),
+        stage: 'Perceptual analysis',
+        provider: 'local',
+        currentComparison: `${images[i].name}`
+      });
+    }
+  }
+  
+  // Pass 2: index the first algorithm's hashes and query each image's neighbourhood
+  const [primary] = algorithms;
+  const tree = new BKTree(hammingDistance);
+  hashes.forEach((variants, index) => {
+    if (variants) tree.add(variants.identity[primary], index);
+  });
+  
+  const maxDistances = Object.fromEntries(algorithms.map(name => [name, maxDistanceFor(name, bits)]));
+  const matchesAll = (a, b) => algorithms.every(name => hammingDistance(a[name], b[name]) <= maxDistances[name]);
+  
+  // An untransformed match wins, otherwise the closest variant. Ties go to the simpler
+  // transform and then to the source path, independent of scan order.
+  const variantRank = variant => VARIANT_ORDER.indexOf(variant);
+  const preferred = (candidate, existing) => candidate.similarity - existing.similarity ||
+    variantRank(existing.variant) - variantRank(candidate.variant) ||
+    (images[candidate.source].path < images[existing.source].path ? 1 : -1);
+  const toPair = (match, target) => ({
+    a: match.source,
+    b: target,
+    similarity: match.similarity,
+    structuralSimilarity: match.structuralSimilarity,
+    featureMatch: match.featureMatch,
+    semanticSimilarity: match.semanticSimilarity,
+    providerSimilarity: match.providerSimilarity,
+    method: match.method,
+    explanation: match.explanation,
+    transform: match.variant === 'identity' ? undefined : describeTransform(match.variant, images[match.source], images[target])
+  });
+  
+  // One edge per matching pair
+  const edges = new Map();
+  hashes.forEach((variants, i) => {
+    if (!variants) return;
+    
+    for (const [variant, hash] of Object.entries(variants)) {
+      tree.search(hash[primary], maxDistances[primary]).forEach(({ value: j }) => {
+        if (j === i || !matchesAll(hash, hashes[j].identity)) return;
         
-        try {
-          const compareHash = await getPerceptualHash(images[j].path);
-          const similarity = calculateHashSimilarity(currentHash, compareHash);
-          
-          if (similarity >= AI_CONFIG.similarityThreshold) {
-            currentGroup.push(images[j]);
-            processed.add(j);
-          }
-        } catch (error) {
-          console.warn(`Could not compare image ${images[j].path}:`, error.message);
+        const key = pairKey(i, j);
+        const candidate = { source: i, target: j, variant, similarity: hashSimilarity(hash[primary], hashes[j].identity[primary]) };
+        const existing = edges.get(key);
+        if (!existing || preferred(candidate, existing) > 0) {
+          edges.set(key, candidate);
         }
+      });
+    }
+  });
+  
+  // Pairs that only ended up together through other members are scored by their
+  // closest variant too, so a rotated copy is not reported as unlike the original
+  const bestMatch = (i, j) => {
+    let best = null;
+    for (const [source, target] of [[i, j], [j, i]]) {
+      for (const [variant, hash] of Object.entries(hashes[source])) {
+        const candidate = { source, variant, similarity: hashSimilarity(hash[primary], hashes[target].identity[primary]) };
+        if (!best || preferred(candidate, best) > 0) best = candidate;
       }
-      
-      // If we found similar images, add to groups
-      if (currentGroup.length > 1) {
-        similarGroups.push({
-          type: 'similar',
-          images: currentGroup,
-          similarity: 0.95, // High confidence for perceptual matching
-          confidence: 'high',
-          detectionMethod: 'perceptual-hash',
-          recommendedToKeep: selectBestImage(currentGroup)
-        });
-      }
-      
-      if (progressCallback) {
-        progressCallback({
-          current: i + 1,
-          total: images.length,
-          percentage: Math.round(((i + 1) / images.length) * 100),
-          stage: 'Perceptual analysis',
-          provider: 'local',
-          currentComparison: `${images[i].name}`
-        });
-      }
-      
-    } catch (error) {
-      console.warn(`Could not process image ${images[i].path}:`, error.message);
     }
+    return toPair(best, best.source === i ? j : i);
+  };
+  
+  // Pass 3: confirm each match structurally
+  let matches = Array.from(edges.values());
+  if (checkpointOptions.verifyStructure) {
+    matches = await verifyStructure(matches, images, job, progressCallback);
   }
   
-  return similarGroups;
+  // Pass 4: same shot, different edit, from the local embedding model
+  if (checkpointOptions.semanticSimilarity) {
+    matches = await addSemanticMatches(matches, images, hashes, job, progressCallback);
+  }
+  
+  // Pass 5: the configured cloud providers confirm each match
+  if (checkpointOptions.confirmMatches) {
+    matches = await confirmMatches(matches, images, checkpointOptions.confirmMatches, progressCallback);
+  }
+  
+  // Pass 6: cluster the matching pairs
+  const linkage = checkpointOptions.linkage || AI_CONFIG.clustering;
+  const clusters = clusterBySimilarity(images.length, matches.map(edge => toPair(edge, edge.target)), {
+    linkage,
+    keys: images.map(image => image.path),
+    score: bestMatch,
+    centroid: members => hashCentroid(members.map(index => hashes[index].identity[primary])),
+    similarityToCentroid: (index, centroid) => hashSimilarity(hashes[index].identity[primary], centroid),
+    centroidThreshold: 1 - maxDistances[primary] / bits
+  });
+  
+  return clusters.map(({ members, pairs, sampled }) => {
+    const currentGroup = members.map(index => images[index]);
+    
+    return {
+      type: 'similar',
+      images: currentGroup,
+      pairs: describePairs(pairs, images),
+      pairsSampled: sampled,
+      clustering: linkage,
+      confidence: 'high',
+      detectionMethod: 'perceptual-hash',
+      hashAlgorithms: algorithms.map(name => HASH_ALGORITHMS[name].label),
+      hashBits: bits
+    };
+  });
 }
 
-async function getPerceptualHash(imagePath) {
-  try {
-    const image = await jimp.read(imagePath);
-    
-    // Resize to standard size for comparison
-    image.resize(32, 32, jimp.RESIZE_BILINEAR);
-    image.greyscale();
+// Identifies exactly what a hashing run covers. Files are stat'ed now rather than trusted
+// from their scan records, which a resumed session reloads from disk, so a file edited
+// since the interrupted run changes the key and its stale hashes are never reused.
+async function hashingInputKey(images, hashOptions) {
+  const { algorithms, bits } = hashOptions;
+  const key = crypto.createHash('md5')
+    .update(`${HASH_VERSION}:${algorithms.join(',')}:${bits}:${Boolean(hashOptions.orientations)}:${Boolean(hashOptions.crops)}\n`);
+  
+  for (const image of images) {
+    const stat = await fs.stat(image.path).catch(() => null);
+    const fingerprint = stat ? `${stat.size}:${Math.floor(stat.mtimeMs)}` : 'missing';
+    key.update(`${image.path}:${image.hash || ''}:${fingerprint}\n`);
+  }
+  return key.digest('hex');
+}
+
+// Decoded images are only kept for the last few pairs; matches arrive grouped by source
+const STRUCTURE_CACHE_SIZE = 32;
+// Decoded at a margin above the SSIM size so crops still have enough pixels
+const STRUCTURE_WORKING_SIDE = Math.round(SSIM_CONFIG.size / 0.7);
+
+// Keeps the matches that are confirmed on pixels: orientations by MS-SSIM after
+// applying the match's orientation to its source, crops by keypoints of the cropped
+// copy landing inside the source. Kept matches record structuralSimilarity or featureMatch.
+async function verifyStructure(matches, images, job, progressCallback) {
+  const decoded = new Map();
+  const load = async (index) => {
+    if (decoded.has(index)) {
+      const entry = decoded.get(index);
+      decoded.delete(index);
+      decoded.set(index, entry);
+      return entry;
+    }
     
-    // Generate simple perceptual hash
-    const pixels = [];
-    const width = image.getWidth();
-    const height = image.getHeight();
+    const image = fitShortSide(await jimp.read(images[index].decodePath || images[index].path), STRUCTURE_WORKING_SIDE);
+    const entry = { image, features: null };
+    decoded.set(index, entry);
+    if (decoded.size > STRUCTURE_CACHE_SIZE) {
+      decoded.delete(decoded.keys().next().value);
+    }
+    return entry;
+  };
+  const featuresOf = entry => {
+    if (!entry.features) entry.features = extractFeatures(entry.image);
+    return entry.features;
+  };
+  
+  const verified = [];
+  for (let n = 0; n < matches.length; n++) {
+    await checkpoint(job);
+    const match = matches[n];
     
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const pixel = jimp.intToRGBA(image.getPixelColor(x, y));
-        pixels.push(pixel.r); // Use red channel as grayscale
+    try {
+      const source = await load(match.source);
+      const target = await load(match.target);
+      
+      if (ORIENTATIONS[match.variant]) {
+        const { msSsim } = compareStructure(applyVariant(source.image, match.variant), target.image);
+        if (msSsim === null) {
+          // Too small to measure structure; the hash match stands
+          verified.push(match);
+        } else if (msSsim >= AI_CONFIG.structuralThreshold) {
+          verified.push({ ...match, structuralSimilarity: msSsim });
+        }
+      } else {
+        const result = matchFeatures(featuresOf(source), featuresOf(target));
+        if (result.verified && result.contained) {
+          verified.push({ ...match, featureMatch: { inliers: result.inliers, matches: result.matches } });
+        }
       }
+    } catch (error) {
+      // The hash match stands if an image cannot be decoded again
+      console.warn(`Could not verify ${images[match.source].path}:`, error.message);
+      verified.push(match);
     }
     
-    // Calculate average
-    const average = pixels.reduce((sum, pixel) => sum + pixel, 0) / pixels.length;
-    
-    // Generate hash based on pixels above/below average
-    let hash = '';
-    for (const pixel of pixels) {
-      hash += pixel > average ? '1' : '0';
+    if (progressCallback) {
+      progressCallback({
+        current: n + 1,
+        total: matches.length,
+        percentage: Math.round(((n + 1) / matches.length) * 100),
+        stage: 'Structural verification',
+        provider: 'local',
+        currentComparison: `${images[match.source].name} vs ${images[match.target].name}`
+      });
     }
-    
-    return hash;
-  } catch (error) {
-    throw new Error(`Failed to generate perceptual hash: ${error.message}`);
   }
+  
+  return verified;
 }
 
-function calculateHashSimilarity(hash1, hash2) {
-  if (hash1.length !== hash2.length) return 0;
-  
-  let matches = 0;
-  for (let i = 0; i < hash1.length; i++) {
-    if (hash1[i] === hash2[i]) matches++;
+// Adds a match for every pair the embedding model puts above its threshold, and records
+// the model's similarity on hash matches it agrees with. Without a usable model the hash
+// matches are returned unchanged. Images that could not be hashed are left out, as
+// grouping scores pairs by their hashes.
+async function addSemanticMatches(matches, images, hashes, job, progressCallback) {
+  let cache;
+  try {
+    cache = await openEmbeddingCache();
+  } catch (error) {
+    console.warn(`Skipping semantic matching: ${error.message}`);
+    return matches;
   }
   
-  return matches / hash1.length;
+  const vectors = await embedImages(images, {
+    cache,
+    job,
+    onProgress: (current, total, image) => {
+      if (progressCallback) {
+        progressCallback({
+          current,
+          total,
+          percentage: Math.round((current / total) * 100),
+          stage: 'Semantic analysis',
+          provider: 'local-embedding',
+          currentComparison: image.name
+        });
+      }
+    }
+  });
+  await cache.save();
+  
+  const byPair = new Map(matches.map(match => [pairKey(match.source, match.target), match]));
+  const usable = vectors.map((vector, index) => (hashes[index] ? vector : null));
+  const semantic = await searchSimilar(usable, EMBEDDING_CONFIG.threshold, job);
+  semantic.forEach(({ a, b, similarity }) => {
+    const key = pairKey(a, b);
+    const existing = byPair.get(key);
+    byPair.set(key, existing
+      ? { ...existing, semanticSimilarity: similarity }
+      : { source: a, target: b, variant: 'identity', similarity, semanticSimilarity: similarity });
+  });
+  
+  return Array.from(byPair.values());
 }
 
-function selectBestImage(images) {
-  // Select image with highest resolution and newest date
-  return images.reduce((best, current) => {
-    const bestStats = best.fileSize || 0;
-    const currentStats = current.fileSize || 0;
-    
-    // Prefer larger file size (usually better quality)
-    if (currentStats > bestStats) return current;
-    if (currentStats < bestStats) return best;
-    
-    // If same size, prefer newer file
-    const bestDate = new Date(best.lastModified || 0);
-    const currentDate = new Date(current.lastModified || 0);
-    
-    return currentDate > bestDate ? current : best;
+// Drops the matches the providers reject and records their verdict on the rest. A pair
+// no provider could judge keeps its local match.
+async function confirmMatches(matches, images, confirm, progressCallback) {
+  const pairs = matches.map(match => ({ a: images[match.source], b: images[match.target] }));
+  const decisions = await confirm(pairs, (progress) => {
+    if (progressCallback) {
+      progressCallback({
+        ...progress,
+        percentage: Math.round((progress.current / progress.total) * 100),
+        stage: progress.stage || 'Cloud provider confirmation'
+      });
+    }
+  });
+  
+  return matches.flatMap((match, n) => {
+    const decision = decisions[n];
+    if (!decision) return [match];
+    if (!decision.accepted) return [];
+    return [{ ...match, providerSimilarity: decision.similarity, method: decision.providers, explanation: decision.explanation }];
   });
 }
 
-async function rankImagesByQuality(groups) {
+function pairKey(a, b) {
+  return a < b ? `${a}:${b}` : `${b}:${a}`;
+}
+
+// How a matched copy relates to the image it was found from: applying the transform to
+// source gives target
+function describeTransform(variant, source, target) {
+  return {
+    kind: ORIENTATIONS[variant] ? 'orientation' : 'crop',
+    variant,
+    label: describeVariant(variant),
+    source: source.path,
+    target: target.path
+  };
+}
+
+// Records which scan roots each group spans so the UI can flag cross-root copies
+function annotateRoots(groups) {
   for (const group of groups) {
-    // Sort images by quality (file size, resolution, date)
-    group.images.sort((a, b) => {
-      // Primary: file size (larger is usually better)
-      const sizeDiff = (b.fileSize || 0) - (a.fileSize || 0);
-      if (sizeDiff !== 0) return sizeDiff;
-      
-      // Secondary: modification date (newer is usually better)
-      const aDate = new Date(a.lastModified || 0);
-      const bDate = new Date(b.lastModified || 0);
-      return bDate - aDate;
+    const labels = new Map();
+    group.images.forEach(image => {
+      if (image.root) labels.set(image.root, image.rootLabel || image.root);
     });
     
-    // Recommend keeping the first (highest quality) image
-    group.recommendedToKeep = group.images[0];
-    
-    // Mark others for potential deletion
-    group.candidatesForDeletion = group.images.slice(1);
+    group.roots = Array.from(labels, ([rootPath, label]) => ({ path: rootPath, label }));
+    group.crossRoot = group.roots.length > 1;
   }
 }
 
 // Export the main functions
 module.exports = {
   detectDuplicates,
+  protectSidecarPairs,
+  annotateRoots,
   AI_CONFIG
 };
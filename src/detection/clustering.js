@@ -0,0 +1,190 @@
+// Clusters with more pairs than this keep only their linked edges: scoring every pair of a
+// chain of a few thousand images would hold millions of pair objects
+const MAX_SCORED_PAIRS = 5000;
+
+const CLUSTER_LINKAGES = {
+  single: 'Chain similar images (single linkage)',
+  complete: 'Every pair must match (complete linkage)',
+  centroid: 'Close to the group average (centroid)'
+};
+
+// Groups items joined by similarity edges { a, b, similarity, ...details }, where a and
+// b are item indices and only pairs already judged alike are passed in. Any details
+// (e.g. method) are carried over to the pair.
+//  - single: connected components, so A~B and B~C put A, B and C together
+//  - complete: two clusters only merge if every pair across them is an edge, so a
+//    chain cannot drift from A to a very different Z
+//  - centroid: two clusters only merge if every member stays within
+//    options.centroidThreshold of the merged cluster's centroid
+// Merges are tried strongest edge first, with ties broken by options.keys (e.g. file
+// paths) rather than by index, so the groups do not depend on the order items arrive in.
+// Returns [{ members, pairs, sampled }] for clusters of two or more, with a score for every
+// pair inside the cluster; pairs that were not an edge are scored with options.score,
+// which returns a similarity or an object of pair details including one. Clusters with
+// more than options.maxScoredPairs pairs only list their edges and are marked sampled.
+function clusterBySimilarity(count, edges, options = {}) {
+  const linkage = resolveLinkage(options.linkage);
+  const keys = options.keys || Array.from({ length: count }, (_, index) => index);
+  const byKey = (a, b) => compareKeys(keys[a], keys[b]);
+
+  const edgeScores = new Map();
+  edges.forEach(edge => edgeScores.set(pairKey(edge.a, edge.b), edge));
+
+  const ordered = edges
+    .map(edge => (byKey(edge.a, edge.b) <= 0 ? edge : { ...edge, a: edge.b, b: edge.a }))
+    .sort((x, y) => y.similarity - x.similarity || byKey(x.a, y.a) || byKey(x.b, y.b));
+
+  const sets = new UnionFind(count);
+  for (const edge of ordered) {
+    const rootA = sets.find(edge.a);
+    const rootB = sets.find(edge.b);
+    if (rootA === rootB) continue;
+
+    const membersA = sets.members(rootA);
+    const membersB = sets.members(rootB);
+    if (linkage === 'complete' && !allLinked(membersA, membersB, edgeScores)) continue;
+    if (linkage === 'centroid' && !closeToCentroid([...membersA, ...membersB], options)) continue;
+
+    sets.union(rootA, rootB);
+  }
+
+  const clusters = sets.groups()
+    .filter(members => members.length > 1)
+    .map(members => members.sort(byKey))
+    .sort((x, y) => byKey(x[0], y[0]));
+
+  const maxScoredPairs = options.maxScoredPairs || MAX_SCORED_PAIRS;
+  const linkedPairs = linkedPairsByCluster(clusters, edgeScores);
+  return clusters.map((members, cluster) => (
+    (members.length * (members.length - 1)) / 2 <= maxScoredPairs
+      ? { members, pairs: scorePairs(members, edgeScores, options.score), sampled: false }
+      : { members, pairs: linkedPairs[cluster], sampled: true }
+  ));
+}
+
+function resolveLinkage(linkage = 'single') {
+  if (!CLUSTER_LINKAGES[linkage]) {
+    throw new Error(`Unknown clustering linkage: ${linkage}`);
+  }
+  return linkage;
+}
+
+class UnionFind {
+  constructor(count) {
+    this.parent = Array.from({ length: count }, (_, index) => index);
+    this.memberLists = Array.from({ length: count }, (_, index) => [index]);
+  }
+
+  find(index) {
+    let root = index;
+    while (this.parent[root] !== root) {
+      root = this.parent[root];
+    }
+    // Path compression
+    while (this.parent[index] !== root) {
+      const next = this.parent[index];
+      this.parent[index] = root;
+      index = next;
+    }
+    return root;
+  }
+
+  members(root) {
+    return this.memberLists[root];
+  }
+
+  // Union by size: the larger member list absorbs the smaller
+  union(rootA, rootB) {
+    const [keep, absorb] = this.memberLists[rootA].length >= this.memberLists[rootB].length
+      ? [rootA, rootB]
+      : [rootB, rootA];
+    this.parent[absorb] = keep;
+    this.memberLists[keep].push(...this.memberLists[absorb]);
+    this.memberLists[absorb] = null;
+  }
+
+  groups() {
+    return this.memberLists.filter(Boolean);
+  }
+}
+
+function allLinked(membersA, membersB, edgeScores) {
+  return membersA.every(a => membersB.every(b => edgeScores.has(pairKey(a, b))));
+}
+
+function closeToCentroid(members, options) {
+  const centroid = options.centroid(members);
+  return members.every(index => options.similarityToCentroid(index, centroid) >= options.centroidThreshold);
+}
+
+function scorePairs(members, edgeScores, score) {
+  const pairs = [];
+  for (let i = 0; i < members.length; i++) {
+    for (let j = i + 1; j < members.length; j++) {
+      const edge = edgeScores.get(pairKey(members[i], members[j]));
+      const pair = { a: members[i], b: members[j], similarity: null, linked: Boolean(edge) };
+      if (edge) {
+        copyDetails(pair, edge);
+      } else if (score) {
+        const scored = score(members[i], members[j]);
+        if (typeof scored === 'number') {
+          pair.similarity = scored;
+        } else {
+          copyDetails(pair, scored);
+        }
+      }
+      pairs.push(pair);
+    }
+  }
+  return pairs;
+}
+
+// Each cluster's edges, found in one pass over all edges rather than once per cluster
+function linkedPairsByCluster(clusters, edgeScores) {
+  const clusterOf = new Map();
+  clusters.forEach((members, cluster) => members.forEach(index => clusterOf.set(index, cluster)));
+
+  const linked = clusters.map(() => []);
+  edgeScores.forEach(edge => {
+    const cluster = clusterOf.get(edge.a);
+    if (cluster === undefined || cluster !== clusterOf.get(edge.b)) return;
+
+    const pair = { a: Math.min(edge.a, edge.b), b: Math.max(edge.a, edge.b), similarity: null, linked: true };
+    copyDetails(pair, edge);
+    linked[cluster].push(pair);
+  });
+  return linked;
+}
+
+function copyDetails(pair, details) {
+  const { a, b, ...rest } = details;
+  Object.keys(rest).forEach(name => {
+    if (rest[name] !== undefined) pair[name] = rest[name];
+  });
+}
+
+// Pair scores keyed by image path instead of index, so they survive serialising a group
+function describePairs(pairs, images) {
+  return pairs.map(pair => ({
+    ...pair,
+    a: images[pair.a].path,
+    b: images[pair.b].path
+  }));
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}:${b}` : `${b}:${a}`;
+}
+
+function compareKeys(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+module.exports = {
+  CLUSTER_LINKAGES,
+  clusterBySimilarity,
+  describePairs,
+  resolveLinkage
+};
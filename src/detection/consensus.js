@@ -0,0 +1,173 @@
+const CONSENSUS_STRATEGIES = {
+  'weighted-mean': 'Weighted average of every provider',
+  majority: 'Most providers must match',
+  unanimous: 'Every provider must match',
+  'local-must-agree': 'Weighted average, and every local method must match too',
+  calibrated: 'Weighted average of scores calibrated to each provider\'s threshold'
+};
+
+const DEFAULT_CONSENSUS = {
+  strategy: 'weighted-mean',
+  threshold: 0.92,
+  // Share of the run's expected confidence the answering providers must carry
+  minConfidence: 0.9
+};
+
+function resolveStrategy(strategy = DEFAULT_CONSENSUS.strategy) {
+  if (!CONSENSUS_STRATEGIES[strategy]) {
+    throw new Error(`Unknown consensus strategy: ${strategy}`);
+  }
+  return strategy;
+}
+
+// Decides one pair from what each provider said. results are
+// [{ provider, similarity, confidence, weight, threshold, remote }]; a provider votes
+// for a match when its similarity reaches its own threshold. failed lists the providers
+// that could not compare the pair, as [{ provider, error }].
+// A match also needs the providers that answered to be trusted enough: their weighted
+// confidence must reach minConfidence of options.expectedConfidence, the weighted
+// confidence of every provider in the run. A run of local methods alone is so judged
+// against what local methods can give, while a pair that the cloud providers of a run
+// failed on still falls short. Without expectedConfidence the floor is minConfidence.
+// Returns an explanation of the decision:
+//   { strategy, accepted, reason, similarity, confidence, confidenceFloor, score,
+//     threshold, providers, failed }
+// where similarity and confidence are weighted means, score is the value the strategy
+// compared with its bar, and providers records every provider's score and vote.
+function decideConsensus(results, options = {}) {
+  const strategy = resolveStrategy(options.strategy);
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_CONSENSUS.threshold;
+  const minConfidence = options.minConfidence !== undefined ? options.minConfidence : DEFAULT_CONSENSUS.minConfidence;
+  const expectedConfidence = options.expectedConfidence !== undefined ? options.expectedConfidence : 1;
+
+  const votes = results.map(result => {
+    const providerThreshold = result.threshold !== undefined && result.threshold !== null ? result.threshold : threshold;
+    return {
+      provider: result.provider,
+      similarity: result.similarity,
+      confidence: result.confidence,
+      weight: result.weight,
+      remote: Boolean(result.remote),
+      threshold: providerThreshold,
+      match: result.similarity >= providerThreshold
+    };
+  });
+
+  const explanation = {
+    strategy,
+    accepted: false,
+    reason: '',
+    similarity: weightedMean(votes, vote => vote.similarity),
+    confidence: weightedMean(votes, vote => vote.confidence),
+    confidenceFloor: minConfidence * expectedConfidence,
+    score: null,
+    threshold,
+    providers: votes,
+    failed: options.failed || []
+  };
+
+  if (votes.length === 0) {
+    explanation.reason = 'No provider could compare this pair';
+    return explanation;
+  }
+
+  const { accepted, reason, score } = DECIDERS[strategy](votes, explanation);
+  explanation.score = score;
+
+  if (accepted && explanation.confidence < explanation.confidenceFloor) {
+    explanation.reason = `${reason}, but the providers' confidence ${percent(explanation.confidence)} is below ${percent(explanation.confidenceFloor)}`;
+    return explanation;
+  }
+
+  explanation.accepted = accepted;
+  explanation.reason = reason;
+  return explanation;
+}
+
+const DECIDERS = {
+  'weighted-mean'(votes, { similarity, threshold }) {
+    return {
+      accepted: similarity >= threshold,
+      score: similarity,
+      reason: `Weighted similarity ${percent(similarity)} ${similarity >= threshold ? 'reaches' : 'is below'} ${percent(threshold)}`
+    };
+  },
+
+  // Ties are rejected: half the providers seeing a difference is reason enough to keep both
+  majority(votes) {
+    const matches = votes.filter(vote => vote.match).length;
+    const accepted = matches * 2 > votes.length;
+    return {
+      accepted,
+      score: matches / votes.length,
+      reason: `${matches} of ${votes.length} providers matched${accepted ? '' : ', not a majority'}`
+    };
+  },
+
+  unanimous(votes) {
+    const dissent = votes.filter(vote => !vote.match).map(vote => vote.provider);
+    return {
+      accepted: dissent.length === 0,
+      score: (votes.length - dissent.length) / votes.length,
+      reason: dissent.length === 0
+        ? `All ${votes.length} providers matched`
+        : `${dissent.join(', ')} did not match`
+    };
+  },
+
+  // Cloud labels and colours can agree on two different photos of one subject; the local
+  // methods compare the pixels, so they get a veto
+  'local-must-agree'(votes, explanation) {
+    const local = votes.filter(vote => !vote.remote);
+    if (local.length === 0) {
+      return { accepted: false, score: null, reason: 'No local method compared this pair' };
+    }
+
+    const dissent = local.filter(vote => !vote.match).map(vote => vote.provider);
+    if (dissent.length > 0) {
+      return { accepted: false, score: explanation.similarity, reason: `Local ${dissent.join(', ')} did not match` };
+    }
+    return DECIDERS['weighted-mean'](votes, explanation);
+  },
+
+  // Providers score on different scales, so each similarity is first mapped so that the
+  // provider's own threshold lands on 0.5, then the weighted mean must reach 0.5
+  calibrated(votes) {
+    const score = weightedMean(votes, vote => calibrate(vote.similarity, vote.threshold));
+    return {
+      accepted: score >= 0.5,
+      score,
+      reason: `Calibrated score ${percent(score)} ${score >= 0.5 ? 'reaches' : 'is below'} 50%`
+    };
+  }
+};
+
+// 0..threshold onto 0..0.5 and threshold..1 onto 0.5..1
+function calibrate(similarity, threshold) {
+  if (threshold >= 1) return similarity >= 1 ? 1 : similarity / 2;
+  if (threshold <= 0) return 0.5 + similarity / 2;
+  return similarity >= threshold
+    ? 0.5 + 0.5 * (similarity - threshold) / (1 - threshold)
+    : 0.5 * similarity / threshold;
+}
+
+// Weighted by provider weight; plain mean when every weight is 0
+function weightedMean(votes, value) {
+  if (votes.length === 0) return 0;
+  const totalWeight = votes.reduce((sum, vote) => sum + (vote.weight || 0), 0);
+  if (totalWeight === 0) {
+    return votes.reduce((sum, vote) => sum + value(vote), 0) / votes.length;
+  }
+  return votes.reduce((sum, vote) => sum + value(vote) * (vote.weight || 0), 0) / totalWeight;
+}
+
+function percent(value) {
+  return `${Math.round(value * 1000) / 10}%`;
+}
+
+module.exports = {
+  CONSENSUS_STRATEGIES,
+  DEFAULT_CONSENSUS,
+  resolveStrategy,
+  decideConsensus
+};
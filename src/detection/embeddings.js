@@ -0,0 +1,373 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const jimp = require('jimp');
+const { checkpoint } = require('../jobs/jobManager');
+
+// Offline image embeddings from an ONNX image encoder (e.g. the vision half of CLIP)
+// run with ONNX Runtime on the CPU. Photos never leave the machine. The model is not
+// bundled: point EMBEDDING_MODEL_PATH at a .onnx file taking a 1x3xSxS float image.
+const EMBEDDING_CONFIG = {
+  modelPath: process.env.EMBEDDING_MODEL_PATH || path.join(__dirname, '../../models/image-encoder.onnx'),
+  inputSize: parseInt(process.env.EMBEDDING_INPUT_SIZE, 10) || 224,
+  // CLIP's preprocessing; ImageNet-trained CNNs use 0.485/0.456/0.406 and 0.229/0.224/0.225
+  mean: [0.48145466, 0.4578275, 0.40821073],
+  std: [0.26862954, 0.26130258, 0.27577711],
+  cacheDir: path.join(__dirname, '../cache/embeddings'),
+  // Cosine similarity above which two photos are the same shot, differently edited.
+  // A starting point for CLIP-style encoders; other shots of one scene mostly fall below.
+  threshold: 0.94
+};
+
+// Bump when the stored vector format changes
+const CACHE_VERSION = 1;
+
+// The pair search blocks candidates on the vectors' leading principal axes, found with
+// this many power iterations on a sample of at most axisSample vectors
+const SEARCH_CONFIG = {
+  axes: 16,
+  iterations: 10,
+  axisSample: 2000,
+  seed: 0x5eed
+};
+
+// One session per model file for the life of the process. A failed load is forgotten
+// once it has been reported, so installing the model or the runtime takes effect on the
+// next run without restarting the app.
+const sessions = new Map();
+
+async function loadEmbeddingModel(modelPath = EMBEDDING_CONFIG.modelPath) {
+  if (!sessions.has(modelPath)) {
+    const session = createSession(modelPath);
+    session.catch(() => sessions.delete(modelPath));
+    sessions.set(modelPath, session);
+  }
+  return sessions.get(modelPath);
+}
+
+async function createSession(modelPath) {
+  if (!await fs.pathExists(modelPath)) {
+    throw new Error(`Local embedding model unavailable: no model at ${modelPath} (set EMBEDDING_MODEL_PATH)`);
+  }
+
+  let ort;
+  try {
+    // Only needed when the feature is used, so the app runs without the native module
+    ort = require('onnxruntime-node');
+  } catch (error) {
+    throw new Error('Local embedding model unavailable: install onnxruntime-node to use it');
+  }
+
+  const session = await ort.InferenceSession.create(modelPath, { executionProviders: ['cpu'] });
+  return { ort, session, modelPath };
+}
+
+async function isEmbeddingModelAvailable(modelPath = EMBEDDING_CONFIG.modelPath) {
+  try {
+    await loadEmbeddingModel(modelPath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Identifies the model file, so swapping it for another model invalidates cached vectors
+async function getModelId(modelPath = EMBEDDING_CONFIG.modelPath) {
+  const stats = await fs.stat(modelPath);
+  return crypto.createHash('md5')
+    .update(`${path.basename(modelPath)}:${stats.size}:${stats.mtimeMs}`)
+    .digest('hex')
+    .slice(0, 12);
+}
+
+// Short side scaled to the input size, centre-cropped square, normalised, planar RGB
+function preprocess(image, options = {}) {
+  const { inputSize, mean, std } = { ...EMBEDDING_CONFIG, ...options };
+  const working = image.clone().cover(inputSize, inputSize, jimp.HORIZONTAL_ALIGN_CENTER | jimp.VERTICAL_ALIGN_MIDDLE, jimp.RESIZE_BILINEAR);
+  const { data } = working.bitmap;
+  const plane = inputSize * inputSize;
+  const tensor = new Float32Array(3 * plane);
+
+  for (let i = 0; i < plane; i++) {
+    for (let channel = 0; channel < 3; channel++) {
+      tensor[channel * plane + i] = (data[i * 4 + channel] / 255 - mean[channel]) / std[channel];
+    }
+  }
+  return tensor;
+}
+
+// Unit-length embedding of a decoded jimp image
+async function embedImage(image, options = {}) {
+  const config = { ...EMBEDDING_CONFIG, ...options };
+  const { ort, session } = await loadEmbeddingModel(config.modelPath);
+  const input = new ort.Tensor('float32', preprocess(image, config), [1, 3, config.inputSize, config.inputSize]);
+  const outputs = await session.run({ [session.inputNames[0]]: input });
+  return normalize(Float32Array.from(outputs[session.outputNames[0]].data));
+}
+
+async function embedFile(imagePath, options = {}) {
+  return embedImage(await jimp.read(imagePath), options);
+}
+
+// Embeddings for every image, from the cache where possible. Images are keyed by their
+// content hash, so a moved or renamed file is not embedded again. Images that cannot be
+// decoded get null.
+async function embedImages(images, options = {}) {
+  const { cache, job, onProgress } = options;
+  const vectors = [];
+
+  for (let i = 0; i < images.length; i++) {
+    await checkpoint(job);
+    const image = images[i];
+    let vector = cache && image.hash ? cache.get(image.hash) : null;
+
+    if (!vector) {
+      try {
+        vector = await embedFile(image.decodePath || image.path, options);
+        if (cache && image.hash) cache.set(image.hash, vector);
+      } catch (error) {
+        console.warn(`Could not embed image ${image.path}:`, error.message);
+        vector = null;
+      }
+    }
+
+    vectors.push(vector);
+    if (onProgress) onProgress(i + 1, images.length, image);
+  }
+
+  return vectors;
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+function cosineSimilarity(vector1, vector2) {
+  if (!vector1 || !vector2 || vector1.length !== vector2.length) return 0;
+
+  let dot = 0;
+  let norm1 = 0;
+  let norm2 = 0;
+  for (let i = 0; i < vector1.length; i++) {
+    dot += vector1[i] * vector2[i];
+    norm1 += vector1[i] * vector1[i];
+    norm2 += vector2[i] * vector2[i];
+  }
+  return norm1 > 0 && norm2 > 0 ? dot / Math.sqrt(norm1 * norm2) : 0;
+}
+
+// Every pair whose cosine similarity reaches the threshold, as [{ a, b, similarity }]
+// with a < b, in order; null vectors are skipped. Cancellable between rows.
+// For unit vectors with u·v >= threshold, |u - v| is at most sqrt(2 - 2 * threshold),
+// and so is the distance between their projections onto any orthonormal axes. The
+// vectors are projected onto their leading principal axes and sorted along the first:
+// only vectors that close along it are candidates, a candidate must be that close in the
+// projected space as well, and only then is the full dot product computed. The blocking
+// is exact, so no pair that reaches the threshold is skipped.
+async function searchSimilar(vectors, threshold = EMBEDDING_CONFIG.threshold, job) {
+  const indices = [];
+  vectors.forEach((vector, index) => {
+    if (vector) indices.push(index);
+  });
+  if (indices.length < 2) return [];
+
+  const units = indices.map(index => normalize(Float32Array.from(vectors[index])));
+  const axes = principalAxes(units);
+  const projections = units.map(unit => axes.map(axis => dotProduct(unit, axis)));
+  const order = units.map((unit, row) => row).sort((x, y) => projections[x][0] - projections[y][0]);
+  // Slack for rounding in the projections
+  const reach = Math.sqrt(Math.max(0, 2 - 2 * threshold)) + 1e-6;
+
+  const pairs = [];
+  for (let i = 0; i < order.length; i++) {
+    await checkpoint(job);
+    const row = order[i];
+
+    for (let j = i + 1; j < order.length; j++) {
+      const other = order[j];
+      if (projections[other][0] - projections[row][0] > reach) break;
+      if (projectedDistanceSquared(projections[row], projections[other]) > reach * reach) continue;
+
+      const dot = dotProduct(units[row], units[other]);
+      if (dot >= threshold) {
+        const [a, b] = indices[row] < indices[other] ? [indices[row], indices[other]] : [indices[other], indices[row]];
+        pairs.push({ a, b, similarity: Math.min(1, dot) });
+      }
+    }
+  }
+  return pairs.sort((x, y) => x.a - y.a || x.b - y.b);
+}
+
+function dotProduct(vector1, vector2) {
+  let dot = 0;
+  for (let i = 0; i < vector1.length; i++) dot += vector1[i] * vector2[i];
+  return dot;
+}
+
+function projectedDistanceSquared(projection1, projection2) {
+  let sum = 0;
+  for (let i = 0; i < projection1.length; i++) {
+    const difference = projection1[i] - projection2[i];
+    sum += difference * difference;
+  }
+  return sum;
+}
+
+// Orthonormal directions of greatest spread of the (centred) vectors, by power iteration
+// with deflation, from a deterministic start so every run blocks the same way. A sample
+// is enough: the axes only decide how well the search prunes, never what it finds.
+function principalAxes(units) {
+  const dimension = units[0].length;
+  const step = Math.max(1, Math.floor(units.length / SEARCH_CONFIG.axisSample));
+  const sample = units.filter((unit, index) => index % step === 0);
+
+  const mean = new Float64Array(dimension);
+  sample.forEach(unit => unit.forEach((value, k) => {
+    mean[k] += value / sample.length;
+  }));
+  const centred = sample.map(unit => unit.map((value, k) => value - mean[k]));
+
+  const random = seededRandom(SEARCH_CONFIG.seed);
+  const axes = [];
+  for (let a = 0; a < Math.min(SEARCH_CONFIG.axes, dimension); a++) {
+    let axis = Float64Array.from({ length: dimension }, () => random() - 0.5);
+    for (let iteration = 0; iteration < SEARCH_CONFIG.iterations; iteration++) {
+      const next = new Float64Array(dimension);
+      for (const vector of centred) {
+        const weight = dotProduct(vector, axis);
+        for (let k = 0; k < dimension; k++) next[k] += weight * vector[k];
+      }
+      axis = orthonormalize(next, axes);
+      if (!axis) break;
+    }
+    // A sample with less spread than axes requested has nothing left to find
+    if (!axis) break;
+    axes.push(axis);
+  }
+  return axes.length > 0 ? axes : [Float64Array.from({ length: dimension }, (value, k) => (k === 0 ? 1 : 0))];
+}
+
+// axis made orthogonal to every earlier axis and unit length; null when nothing is left
+function orthonormalize(axis, axes) {
+  for (const other of axes) {
+    const projection = dotProduct(axis, other);
+    for (let k = 0; k < axis.length; k++) axis[k] -= projection * other[k];
+  }
+  const norm = Math.sqrt(dotProduct(axis, axis));
+  if (!(norm > 1e-12)) return null;
+  for (let k = 0; k < axis.length; k++) axis[k] /= norm;
+  return axis;
+}
+
+// mulberry32: small, fast and the same on every platform
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Vectors persisted per model, keyed by image content hash. One file per model id, so
+// switching models keeps both caches and never mixes their vectors.
+class EmbeddingCache {
+  constructor(modelId, options = {}) {
+    this.modelId = modelId;
+    this.dir = options.dir || EMBEDDING_CONFIG.cacheDir;
+    this.cachePath = path.join(this.dir, `${modelId}.json`);
+    this.vectors = new Map();
+    this.dirty = false;
+  }
+
+  async load() {
+    this.vectors.clear();
+
+    try {
+      if (await fs.pathExists(this.cachePath)) {
+        const data = JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+        if (data.version === CACHE_VERSION && data.modelId === this.modelId) {
+          for (const [hash, encoded] of Object.entries(data.vectors || {})) {
+            this.vectors.set(hash, decodeVector(encoded));
+          }
+        }
+      }
+    } catch (error) {
+      // A corrupt cache only costs re-embedding
+      console.warn(`Failed to read embedding cache: ${error.message}`);
+    }
+
+    return this;
+  }
+
+  async save() {
+    if (!this.dirty) return;
+    await fs.ensureDir(this.dir);
+
+    const vectors = {};
+    this.vectors.forEach((vector, hash) => {
+      vectors[hash] = encodeVector(vector);
+    });
+
+    const tempPath = `${this.cachePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ version: CACHE_VERSION, modelId: this.modelId, vectors }));
+    await fs.move(tempPath, this.cachePath, { overwrite: true });
+    this.dirty = false;
+  }
+
+  get(hash) {
+    return this.vectors.get(hash) || null;
+  }
+
+  set(hash, vector) {
+    this.vectors.set(hash, Float32Array.from(vector));
+    this.dirty = true;
+  }
+
+  get size() {
+    return this.vectors.size;
+  }
+}
+
+// Base64 of the raw float32 bytes: exact and a quarter the size of a JSON number list
+function encodeVector(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64');
+}
+
+function decodeVector(encoded) {
+  const bytes = Buffer.from(encoded, 'base64');
+  const copy = new Uint8Array(bytes.length);
+  copy.set(bytes);
+  return new Float32Array(copy.buffer);
+}
+
+// Loads the configured model and its vector cache; throws, with what to do about it,
+// when the model cannot be used
+async function openEmbeddingCache(options = {}) {
+  const modelPath = options.modelPath || EMBEDDING_CONFIG.modelPath;
+  await loadEmbeddingModel(modelPath);
+  return new EmbeddingCache(await getModelId(modelPath), options).load();
+}
+
+module.exports = {
+  EMBEDDING_CONFIG,
+  EmbeddingCache,
+  loadEmbeddingModel,
+  isEmbeddingModelAvailable,
+  openEmbeddingCache,
+  getModelId,
+  preprocess,
+  embedImage,
+  embedFile,
+  embedImages,
+  cosineSimilarity,
+  searchSimilar
+};
@@ -0,0 +1,585 @@
+const jimp = require('jimp');
+
+// ORB-style features: FAST corners on a small image pyramid, ranked by Harris response,
+// oriented by intensity centroid and described with steered BRIEF. Pure JS, CPU only.
+const FEATURE_CONFIG = {
+  // Images are described at this long side (or their own, if smaller)
+  size: 320,
+  maxKeypoints: 500,
+  // Pyramid levels and the scale step between them (ORB's defaults), so copies zoomed
+  // in up to about 3x still match
+  levels: 8,
+  scaleFactor: 1.2,
+  fastThreshold: 20,
+  // Lowe's ratio test: the best match must be clearly better than the second best
+  ratio: 0.8,
+  maxDescriptorDistance: 64,
+  // RANSAC homography
+  ransacIterations: 1000,
+  ransacConfidence: 0.995,
+  inlierThreshold: 3,
+  // A match is only trusted with this many geometrically consistent correspondences
+  minInliers: 12,
+  minInlierRatio: 0.3,
+  // How far (as a fraction of the other image's size) a contained frame may overhang
+  containmentTolerance: 0.05
+};
+
+const PATCH_RADIUS = 15;
+// Keypoints closer than this to the edge have no full patch to describe
+const EDGE_MARGIN = PATCH_RADIUS + 1;
+const DESCRIPTOR_BITS = 256;
+const DESCRIPTOR_WORDS = DESCRIPTOR_BITS / 32;
+const ANGLE_BINS = 30;
+const HARRIS_K = 0.04;
+
+// Bresenham circle of radius 3 used by FAST
+const FAST_CIRCLE = [
+  [0, -3], [1, -3], [2, -2], [3, -1], [3, 0], [3, 1], [2, 2], [1, 3],
+  [0, 3], [-1, 3], [-2, 2], [-3, 1], [-3, 0], [-3, -1], [-2, -2], [-1, -3]
+];
+// FAST-9: a corner needs 9 contiguous circle pixels all brighter or all darker
+const FAST_ARC = 9;
+
+// BRIEF test pairs, drawn once from a fixed seed so descriptors are comparable across
+// runs, then pre-rotated for each angle bin (steered BRIEF)
+const BRIEF_PATTERN = briefPattern(DESCRIPTOR_BITS, 0x0b5eed);
+const STEERED_PATTERNS = Array.from({ length: ANGLE_BINS }, (_, bin) => rotatePattern(BRIEF_PATTERN, (bin * 2 * Math.PI) / ANGLE_BINS));
+
+// Returns { width, height, keypoints: [{ x, y, angle, level, response }], descriptors }
+// for a decoded jimp image. Coordinates are in the described (downscaled) image;
+// descriptors hold DESCRIPTOR_WORDS 32-bit words per keypoint.
+function extractFeatures(image, options = {}) {
+  const config = { ...FEATURE_CONFIG, ...options };
+  const base = fitLongSide(image, config.size);
+  const { width, height } = base.bitmap;
+
+  const candidates = [];
+  let scale = 1;
+  for (let level = 0; level < config.levels; level++) {
+    const levelWidth = Math.round(width / scale);
+    const levelHeight = Math.round(height / scale);
+    if (Math.min(levelWidth, levelHeight) < 2 * EDGE_MARGIN + 1) break;
+
+    const plane = level === 0 ? greyPlane(base) : greyPlane(base.clone().resize(levelWidth, levelHeight, jimp.RESIZE_BILINEAR));
+    const smoothed = smooth(plane, levelWidth, levelHeight);
+    // Finer levels hold more of the image, so they get a larger share of the keypoints
+    const share = Math.ceil(config.maxKeypoints * levelShare(level, config));
+
+    detectCorners(plane, levelWidth, levelHeight, config.fastThreshold)
+      .sort((a, b) => b.response - a.response || a.y - b.y || a.x - b.x)
+      .slice(0, share)
+      .forEach(corner => {
+        const angle = orientation(plane, levelWidth, corner.x, corner.y);
+        candidates.push({
+          x: corner.x * scale,
+          y: corner.y * scale,
+          angle,
+          level,
+          response: corner.response,
+          descriptor: describe(smoothed, levelWidth, corner.x, corner.y, angle)
+        });
+      });
+    scale *= config.scaleFactor;
+  }
+
+  const keypoints = candidates
+    .sort((a, b) => b.response - a.response)
+    .slice(0, config.maxKeypoints);
+  const descriptors = new Uint32Array(keypoints.length * DESCRIPTOR_WORDS);
+  keypoints.forEach((keypoint, index) => {
+    descriptors.set(keypoint.descriptor, index * DESCRIPTOR_WORDS);
+    delete keypoint.descriptor;
+  });
+
+  return { width, height, keypoints, descriptors };
+}
+
+async function extractFeaturesFile(imagePath, options = {}) {
+  return extractFeatures(await jimp.read(imagePath), options);
+}
+
+// Ratio-test matches between two feature sets, verified with a RANSAC homography.
+// homography maps points of the second image onto the first; contained is whether the
+// whole second frame lands inside the first, i.e. the second is a crop or zoom of it.
+// similarity is the share of the smaller keypoint set that survived verification.
+function matchFeatures(features1, features2, options = {}) {
+  const config = { ...FEATURE_CONFIG, ...options };
+  const matches = ratioMatches(features2.descriptors, features1.descriptors, config);
+  const correspondences = matches.map(match => ({
+    from: features2.keypoints[match.query],
+    to: features1.keypoints[match.train]
+  }));
+
+  const fit = ransacHomography(correspondences, config);
+  const inliers = fit ? fit.inliers.length : 0;
+  const verified = Boolean(fit) && inliers >= config.minInliers && inliers / matches.length >= config.minInlierRatio;
+  const smaller = Math.min(features1.keypoints.length, features2.keypoints.length);
+
+  return {
+    matches: matches.length,
+    inliers,
+    verified,
+    homography: verified ? fit.homography : null,
+    contained: verified && frameInside(fit.homography, features2, features1, config.containmentTolerance),
+    similarity: verified && smaller > 0 ? Math.min(1, inliers / smaller) : 0
+  };
+}
+
+function compareFeatures(image1, image2, options = {}) {
+  return matchFeatures(extractFeatures(image1, options), extractFeatures(image2, options), options);
+}
+
+async function compareFeatureFiles(imagePath1, imagePath2, options = {}) {
+  const [image1, image2] = await Promise.all([jimp.read(imagePath1), jimp.read(imagePath2)]);
+  return compareFeatures(image1, image2, options);
+}
+
+function fitLongSide(image, side) {
+  const working = image.clone();
+  const { width, height } = working.bitmap;
+  if (Math.max(width, height) > side) {
+    if (width >= height) {
+      working.resize(side, jimp.AUTO, jimp.RESIZE_BILINEAR);
+    } else {
+      working.resize(jimp.AUTO, side, jimp.RESIZE_BILINEAR);
+    }
+  }
+  return working;
+}
+
+function levelShare(level, config) {
+  let total = 0;
+  for (let i = 0; i < config.levels; i++) {
+    total += config.scaleFactor ** (-2 * i);
+  }
+  return config.scaleFactor ** (-2 * level) / total;
+}
+
+function greyPlane(image) {
+  const { width, height, data } = image.bitmap;
+  const plane = new Float32Array(width * height);
+  for (let i = 0; i < plane.length; i++) {
+    plane[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return plane;
+}
+
+// Separable 1-4-6-4-1 binomial blur with clamped edges; BRIEF compares single pixels,
+// which is too noisy unsmoothed
+function smooth(plane, width, height) {
+  const horizontal = new Float32Array(plane.length);
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      const left2 = plane[row + Math.max(0, x - 2)];
+      const left1 = plane[row + Math.max(0, x - 1)];
+      const right1 = plane[row + Math.min(width - 1, x + 1)];
+      const right2 = plane[row + Math.min(width - 1, x + 2)];
+      horizontal[row + x] = (left2 + 4 * left1 + 6 * plane[row + x] + 4 * right1 + right2) / 16;
+    }
+  }
+
+  const result = new Float32Array(plane.length);
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    const up2 = Math.max(0, y - 2) * width;
+    const up1 = Math.max(0, y - 1) * width;
+    const down1 = Math.min(height - 1, y + 1) * width;
+    const down2 = Math.min(height - 1, y + 2) * width;
+    for (let x = 0; x < width; x++) {
+      result[row + x] = (horizontal[up2 + x] + 4 * horizontal[up1 + x] + 6 * horizontal[row + x] +
+        4 * horizontal[down1 + x] + horizontal[down2 + x]) / 16;
+    }
+  }
+  return result;
+}
+
+// FAST-9 corners after 3x3 non-maximum suppression on the FAST score, each with its
+// Harris response for ranking
+function detectCorners(plane, width, height, threshold) {
+  const scores = new Float32Array(width * height);
+  const offsets = FAST_CIRCLE.map(([dx, dy]) => dy * width + dx);
+  const differences = new Float32Array(FAST_CIRCLE.length);
+  for (let y = EDGE_MARGIN; y < height - EDGE_MARGIN; y++) {
+    for (let x = EDGE_MARGIN; x < width - EDGE_MARGIN; x++) {
+      scores[y * width + x] = fastScore(plane, y * width + x, offsets, differences, threshold);
+    }
+  }
+
+  const corners = [];
+  for (let y = EDGE_MARGIN; y < height - EDGE_MARGIN; y++) {
+    for (let x = EDGE_MARGIN; x < width - EDGE_MARGIN; x++) {
+      const score = scores[y * width + x];
+      if (score === 0 || !isLocalMaximum(scores, width, x, y)) continue;
+      corners.push({ x, y, response: harrisResponse(plane, width, x, y) });
+    }
+  }
+  return corners;
+}
+
+// Sum of how far the qualifying arc exceeds the threshold, or 0 when not a corner.
+// differences is scratch space reused across pixels.
+function fastScore(plane, centreIndex, offsets, differences, threshold) {
+  const centre = plane[centreIndex];
+
+  // Quick rejection on the four compass points: a 9-arc covers at least two of them
+  let compass = 0;
+  for (let i = 0; i < 16; i += 4) {
+    if (Math.abs(plane[centreIndex + offsets[i]] - centre) > threshold) compass++;
+  }
+  if (compass < 2) return 0;
+
+  for (let i = 0; i < 16; i++) {
+    differences[i] = plane[centreIndex + offsets[i]] - centre;
+  }
+
+  let best = 0;
+  for (let sign = 1; sign >= -1; sign -= 2) {
+    let run = 0;
+    let sum = 0;
+    // Twice round the circle so arcs that wrap past the start are found
+    for (let i = 0; i < 32; i++) {
+      const value = sign * differences[i % 16];
+      if (value > threshold) {
+        run++;
+        sum += value - threshold;
+        if (run >= FAST_ARC) best = Math.max(best, sum);
+        if (run >= 16) break;
+      } else {
+        run = 0;
+        sum = 0;
+      }
+    }
+  }
+  return best;
+}
+
+function isLocalMaximum(scores, width, x, y) {
+  const score = scores[y * width + x];
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (dx === 0 && dy === 0) continue;
+      const neighbour = scores[(y + dy) * width + x + dx];
+      // Ties go to the earlier pixel so plateaus keep exactly one corner
+      if (neighbour > score || (neighbour === score && (dy < 0 || (dy === 0 && dx < 0)))) return false;
+    }
+  }
+  return true;
+}
+
+// Harris corner response over a 7x7 window of central-difference gradients
+function harrisResponse(plane, width, x, y) {
+  let xx = 0;
+  let yy = 0;
+  let xy = 0;
+  for (let dy = -3; dy <= 3; dy++) {
+    for (let dx = -3; dx <= 3; dx++) {
+      const idx = (y + dy) * width + x + dx;
+      const gx = (plane[idx + 1] - plane[idx - 1]) / 2;
+      const gy = (plane[idx + width] - plane[idx - width]) / 2;
+      xx += gx * gx;
+      yy += gy * gy;
+      xy += gx * gy;
+    }
+  }
+  return xx * yy - xy * xy - HARRIS_K * (xx + yy) ** 2;
+}
+
+// Angle from the patch centre to its intensity centroid, which turns with the image
+function orientation(plane, width, x, y) {
+  let m10 = 0;
+  let m01 = 0;
+  for (let dy = -PATCH_RADIUS; dy <= PATCH_RADIUS; dy++) {
+    const span = Math.floor(Math.sqrt(PATCH_RADIUS * PATCH_RADIUS - dy * dy));
+    for (let dx = -span; dx <= span; dx++) {
+      const value = plane[(y + dy) * width + x + dx];
+      m10 += dx * value;
+      m01 += dy * value;
+    }
+  }
+  return Math.atan2(m01, m10);
+}
+
+function describe(smoothed, width, x, y, angle) {
+  const turn = ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+  const pattern = STEERED_PATTERNS[Math.round((turn * ANGLE_BINS) / (2 * Math.PI)) % ANGLE_BINS];
+  const descriptor = new Uint32Array(DESCRIPTOR_WORDS);
+  for (let bit = 0; bit < DESCRIPTOR_BITS; bit++) {
+    const [x1, y1, x2, y2] = pattern[bit];
+    if (smoothed[(y + y1) * width + x + x1] < smoothed[(y + y2) * width + x + x2]) {
+      descriptor[bit >> 5] |= 1 << (bit & 31);
+    }
+  }
+  return descriptor;
+}
+
+// Test points from an isotropic Gaussian around the centre (BRIEF's G II sampling),
+// kept inside a circle so every rotation stays within the patch
+function briefPattern(bits, seed) {
+  const random = seededRandom(seed);
+  const limit = PATCH_RADIUS - 2;
+  const sigma = (2 * PATCH_RADIUS + 1) / 5;
+  const point = () => {
+    for (;;) {
+      const u = Math.max(random(), 1e-12);
+      const radius = sigma * Math.sqrt(-2 * Math.log(u));
+      const theta = 2 * Math.PI * random();
+      const px = radius * Math.cos(theta);
+      const py = radius * Math.sin(theta);
+      if (px * px + py * py <= limit * limit) return [px, py];
+    }
+  };
+  return Array.from({ length: bits }, () => [...point(), ...point()]);
+}
+
+function rotatePattern(pattern, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const turn = (px, py) => [Math.round(px * cos - py * sin), Math.round(px * sin + py * cos)];
+  return pattern.map(([x1, y1, x2, y2]) => [...turn(x1, y1), ...turn(x2, y2)]);
+}
+
+// mulberry32: small, fast and reproducible
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function descriptorDistance(descriptors1, index1, descriptors2, index2) {
+  let distance = 0;
+  for (let word = 0; word < DESCRIPTOR_WORDS; word++) {
+    distance += popcount(descriptors1[index1 * DESCRIPTOR_WORDS + word] ^ descriptors2[index2 * DESCRIPTOR_WORDS + word]);
+  }
+  return distance;
+}
+
+function popcount(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (Math.imul((v + (v >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24);
+}
+
+// Brute-force nearest neighbours passing the ratio test. A train descriptor claimed by
+// several queries keeps only its closest one.
+function ratioMatches(queryDescriptors, trainDescriptors, config) {
+  const queryCount = queryDescriptors.length / DESCRIPTOR_WORDS;
+  const trainCount = trainDescriptors.length / DESCRIPTOR_WORDS;
+  const claimed = new Map();
+
+  for (let query = 0; query < queryCount; query++) {
+    let best = Infinity;
+    let second = Infinity;
+    let bestTrain = -1;
+    for (let train = 0; train < trainCount; train++) {
+      const distance = descriptorDistance(queryDescriptors, query, trainDescriptors, train);
+      if (distance < best) {
+        second = best;
+        best = distance;
+        bestTrain = train;
+      } else if (distance < second) {
+        second = distance;
+      }
+    }
+
+    if (bestTrain < 0 || best > config.maxDescriptorDistance || best >= config.ratio * second) continue;
+    const existing = claimed.get(bestTrain);
+    if (!existing || best < existing.distance) {
+      claimed.set(bestTrain, { query, train: bestTrain, distance: best });
+    }
+  }
+
+  return Array.from(claimed.values()).sort((a, b) => a.query - b.query);
+}
+
+// Samples 4 correspondences at a time with a fixed seed, so the same pair of images
+// always gives the same answer, and refits on the largest consensus set
+function ransacHomography(correspondences, config) {
+  if (correspondences.length < 4) return null;
+
+  const random = seededRandom(correspondences.length);
+  const thresholdSquared = config.inlierThreshold ** 2;
+  let best = null;
+  let iterations = config.ransacIterations;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const sample = sampleIndices(correspondences.length, 4, random).map(index => correspondences[index]);
+    if (degenerate(sample.map(pair => pair.from)) || degenerate(sample.map(pair => pair.to))) continue;
+
+    const homography = solveHomography(sample);
+    if (!homography || !plausible(homography)) continue;
+
+    const inliers = correspondences.filter(pair => reprojectionError(homography, pair) <= thresholdSquared);
+    if (!best || inliers.length > best.inliers.length) {
+      best = { homography, inliers };
+      // Stop once another sample is very unlikely to find a larger consensus
+      const inlierShare = inliers.length / correspondences.length;
+      const needed = Math.log(1 - config.ransacConfidence) / Math.log(1 - inlierShare ** 4);
+      if (Number.isFinite(needed)) iterations = Math.min(iterations, Math.ceil(needed));
+    }
+  }
+
+  if (!best || best.inliers.length < 4) return null;
+
+  // Least-squares refit on the consensus set, kept only if it does not lose inliers
+  const refit = solveHomography(best.inliers);
+  if (refit && plausible(refit)) {
+    const inliers = correspondences.filter(pair => reprojectionError(refit, pair) <= thresholdSquared);
+    if (inliers.length >= best.inliers.length) return { homography: refit, inliers };
+  }
+  return best;
+}
+
+function sampleIndices(count, size, random) {
+  const chosen = new Set();
+  while (chosen.size < size) {
+    chosen.add(Math.floor(random() * count));
+  }
+  return Array.from(chosen);
+}
+
+// Three nearly collinear points in a sample give an unstable homography
+function degenerate(points) {
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      for (let k = j + 1; k < points.length; k++) {
+        const area = (points[j].x - points[i].x) * (points[k].y - points[i].y) -
+          (points[k].x - points[i].x) * (points[j].y - points[i].y);
+        if (Math.abs(area) < 1) return true;
+      }
+    }
+  }
+  return false;
+}
+
+// Copies are not mirrored or squashed beyond recognition: keep the orientation and
+// a sane scale
+function plausible(homography) {
+  const determinant = homography[0] * homography[4] - homography[1] * homography[3];
+  return determinant > 1 / 64 && determinant < 64;
+}
+
+// Direct linear transform with Hartley normalisation, h33 fixed to 1. Exact for four
+// correspondences, least squares for more. Returns the 3x3 matrix row-major.
+function solveHomography(correspondences) {
+  const [fromNorm, fromPoints] = normalise(correspondences.map(pair => pair.from));
+  const [toNorm, toPoints] = normalise(correspondences.map(pair => pair.to));
+
+  const normal = Array.from({ length: 8 }, () => new Array(9).fill(0));
+  const accumulate = (row, rhs) => {
+    for (let i = 0; i < 8; i++) {
+      for (let j = 0; j < 8; j++) normal[i][j] += row[i] * row[j];
+      normal[i][8] += row[i] * rhs;
+    }
+  };
+  fromPoints.forEach(([x, y], index) => {
+    const [u, v] = toPoints[index];
+    accumulate([x, y, 1, 0, 0, 0, -u * x, -u * y], u);
+    accumulate([0, 0, 0, x, y, 1, -v * x, -v * y], v);
+  });
+
+  const solution = solveLinear(normal);
+  if (!solution) return null;
+
+  const normalised = [...solution, 1];
+  // Undo the normalisation: H = inverse(toNorm) * Hn * fromNorm
+  const homography = multiply(invertSimilarity(toNorm), multiply(normalised, fromNorm));
+  if (Math.abs(homography[8]) < 1e-12) return null;
+  return homography.map(value => value / homography[8]);
+}
+
+// Translates the centroid to the origin and scales the mean distance to sqrt(2)
+function normalise(points) {
+  const cx = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+  const cy = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const spread = points.reduce((sum, point) => sum + Math.hypot(point.x - cx, point.y - cy), 0) / points.length;
+  const s = spread > 0 ? Math.SQRT2 / spread : 1;
+  return [
+    [s, 0, -s * cx, 0, s, -s * cy, 0, 0, 1],
+    points.map(point => [s * (point.x - cx), s * (point.y - cy)])
+  ];
+}
+
+function invertSimilarity(matrix) {
+  const s = matrix[0];
+  return [1 / s, 0, -matrix[2] / s, 0, 1 / s, -matrix[5] / s, 0, 0, 1];
+}
+
+function multiply(a, b) {
+  const result = new Array(9).fill(0);
+  for (let row = 0; row < 3; row++) {
+    for (let column = 0; column < 3; column++) {
+      for (let k = 0; k < 3; k++) {
+        result[row * 3 + column] += a[row * 3 + k] * b[k * 3 + column];
+      }
+    }
+  }
+  return result;
+}
+
+// Gaussian elimination with partial pivoting on an augmented n x (n+1) matrix
+function solveLinear(matrix) {
+  const n = matrix.length;
+  for (let column = 0; column < n; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < n; row++) {
+      if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) pivot = row;
+    }
+    if (Math.abs(matrix[pivot][column]) < 1e-10) return null;
+    [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+
+    for (let row = column + 1; row < n; row++) {
+      const factor = matrix[row][column] / matrix[column][column];
+      for (let k = column; k <= n; k++) matrix[row][k] -= factor * matrix[column][k];
+    }
+  }
+
+  const solution = new Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = matrix[row][n];
+    for (let k = row + 1; k < n; k++) sum -= matrix[row][k] * solution[k];
+    solution[row] = sum / matrix[row][row];
+  }
+  return solution;
+}
+
+function project(homography, x, y) {
+  const w = homography[6] * x + homography[7] * y + homography[8];
+  return [
+    (homography[0] * x + homography[1] * y + homography[2]) / w,
+    (homography[3] * x + homography[4] * y + homography[5]) / w,
+    w
+  ];
+}
+
+function reprojectionError(homography, pair) {
+  const [x, y, w] = project(homography, pair.from.x, pair.from.y);
+  if (w <= 0) return Infinity;
+  return (x - pair.to.x) ** 2 + (y - pair.to.y) ** 2;
+}
+
+// Whether all four corners of the inner frame map inside the outer one
+function frameInside(homography, inner, outer, tolerance) {
+  const marginX = outer.width * tolerance;
+  const marginY = outer.height * tolerance;
+  const corners = [[0, 0], [inner.width, 0], [inner.width, inner.height], [0, inner.height]];
+  return corners.every(([cx, cy]) => {
+    const [x, y, w] = project(homography, cx, cy);
+    return w > 0 && x >= -marginX && x <= outer.width + marginX && y >= -marginY && y <= outer.height + marginY;
+  });
+}
+
+module.exports = {
+  FEATURE_CONFIG,
+  extractFeatures,
+  extractFeaturesFile,
+  matchFeatures,
+  compareFeatures,
+  compareFeatureFiles
+};
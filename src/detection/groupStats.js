@@ -0,0 +1,105 @@
+// Fills in a group's real similarity figures from its pair scores:
+//  - similarityStats: min, mean and max over every scored pair in the group, marked
+//    sampled when a large cluster only kept its linked pairs
+//  - keeperSimilarity: each member's similarity to the image recommended to keep
+//  - matchedBy: the methods that produced the match
+//  - transforms: rotations, flips and crops found between members, and
+//    keeperTransform: for each member, how it relates to the keeper if it is transformed
+// group.similarity is the weakest pair, so a badge never overstates a group.
+// Call after ranking, once the keeper is known.
+function summarizeSimilarity(group) {
+  const keeper = group.recommendedToKeep || group.images[0];
+
+  // Byte-identical files: every pair is a perfect match, so nothing is enumerated
+  if (group.type === 'exact' && !group.pairs) {
+    const count = group.images.length;
+    group.similarityStats = { min: 1, mean: 1, max: 1, pairs: (count * (count - 1)) / 2 };
+    group.similarity = 1;
+    group.keeperSimilarity = Object.fromEntries(group.images.map(image => [image.path, 1]));
+    group.matchedBy = matchingMethods(group, []);
+    group.transforms = [];
+    group.keeperTransform = {};
+    return group;
+  }
+
+  const pairs = group.pairs || [];
+  group.similarityStats = scoreStats(pairs);
+  if (group.similarityStats) {
+    group.similarity = group.similarityStats.min;
+    if (group.pairsSampled) group.similarityStats.sampled = true;
+  }
+
+  const scores = pairScores(pairs);
+  group.keeperSimilarity = {};
+  group.images.forEach(image => {
+    group.keeperSimilarity[image.path] = image.path === keeper.path ? 1 : pairScore(scores, image.path, keeper.path);
+  });
+
+  group.matchedBy = matchingMethods(group, pairs);
+
+  group.transforms = pairs.filter(pair => pair.transform).map(pair => pair.transform);
+  group.keeperTransform = {};
+  group.transforms.forEach(transform => {
+    if (transform.source === keeper.path) {
+      group.keeperTransform[transform.target] = { ...transform, relation: 'keeper-transformed' };
+    } else if (transform.target === keeper.path) {
+      group.keeperTransform[transform.source] = { ...transform, relation: 'transformed-to-keeper' };
+    }
+  });
+
+  return group;
+}
+
+// One pass, since groups can hold far more pairs than fit in a spread argument list
+function scoreStats(pairs) {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let count = 0;
+  for (const pair of pairs) {
+    if (typeof pair.similarity !== 'number') continue;
+    min = Math.min(min, pair.similarity);
+    max = Math.max(max, pair.similarity);
+    sum += pair.similarity;
+    count++;
+  }
+  return count > 0 ? { min, mean: sum / count, max, pairs: count } : null;
+}
+
+function pairScores(pairs) {
+  const scores = new Map();
+  pairs.forEach(pair => {
+    if (typeof pair.similarity === 'number') scores.set(pathPairKey(pair.a, pair.b), pair.similarity);
+  });
+  return scores;
+}
+
+function pairScore(scores, path1, path2) {
+  const score = scores.get(pathPairKey(path1, path2));
+  return score === undefined ? null : score;
+}
+
+function pathPairKey(path1, path2) {
+  return path1 < path2 ? `${path1}\n${path2}` : `${path2}\n${path1}`;
+}
+
+function matchingMethods(group, pairs) {
+  const methods = new Set();
+  if (group.detectionMethod) methods.add(group.detectionMethod);
+  (group.hashAlgorithms || []).forEach(method => methods.add(method));
+  pairs.forEach(pair => [].concat(pair.method || []).forEach(method => methods.add(method)));
+  if (pairs.some(pair => typeof pair.structuralSimilarity === 'number')) {
+    methods.add('MS-SSIM');
+  }
+  if (pairs.some(pair => pair.featureMatch)) {
+    methods.add('Keypoint matching');
+  }
+  if (pairs.some(pair => typeof pair.semanticSimilarity === 'number')) {
+    methods.add('Local embedding model');
+  }
+  return Array.from(methods);
+}
+
+module.exports = {
+  summarizeSimilarity
+};
@@ -0,0 +1,118 @@
+// Burkhard-Keller tree: a metric tree that answers "everything within distance r of
+// this hash" without comparing against every stored hash. Each child hangs off its
+// parent by their exact distance, so by the triangle inequality a query at distance d
+// from a node only has to descend into edges in [d - r, d + r].
+class BKTree {
+  constructor(distance = hammingDistance) {
+    this.distance = distance;
+    this.root = null;
+    this.size = 0;
+  }
+
+  add(hash, value) {
+    this.size++;
+
+    if (!this.root) {
+      this.root = createNode(hash, value);
+      return;
+    }
+
+    let node = this.root;
+    for (;;) {
+      const distance = this.distance(hash, node.hash);
+
+      // Identical hashes share a node
+      if (distance === 0) {
+        node.values.push(value);
+        return;
+      }
+
+      const child = node.children.get(distance);
+      if (!child) {
+        node.children.set(distance, createNode(hash, value));
+        return;
+      }
+      node = child;
+    }
+  }
+
+  // Returns [{ value, distance }] for every stored hash within radius of hash
+  search(hash, radius) {
+    const results = [];
+    if (!this.root) return results;
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const distance = this.distance(hash, node.hash);
+
+      if (distance <= radius) {
+        node.values.forEach(value => results.push({ value, distance }));
+      }
+
+      for (const [edge, child] of node.children) {
+        if (edge >= distance - radius && edge <= distance + radius) {
+          stack.push(child);
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+function createNode(hash, value) {
+  return { hash, values: [value], children: new Map() };
+}
+
+// Set bits in each hex digit
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+// Hashes are hex strings; hashes of different lengths are never close
+function hammingDistance(hash1, hash2) {
+  if (hash1.length !== hash2.length) {
+    return Math.max(hash1.length, hash2.length) * 4;
+  }
+
+  let distance = 0;
+  for (let i = 0; i < hash1.length; i++) {
+    if (hash1[i] !== hash2[i]) {
+      distance += NIBBLE_BITS[parseInt(hash1[i], 16) ^ parseInt(hash2[i], 16)];
+    }
+  }
+  return distance;
+}
+
+// Fraction of matching bits, 0..1
+function hashSimilarity(hash1, hash2) {
+  if (hash1.length !== hash2.length) return 0;
+  return 1 - hammingDistance(hash1, hash2) / (hash1.length * 4);
+}
+
+// Bitwise majority of equal-length hashes; ties give 0
+function hashCentroid(hashes) {
+  let centroid = '';
+  for (let i = 0; i < hashes[0].length; i++) {
+    let nibble = 0;
+    for (let bit = 3; bit >= 0; bit--) {
+      const set = hashes.filter(hash => (parseInt(hash[i], 16) >> bit) & 1).length;
+      if (set * 2 > hashes.length) nibble |= 1 << bit;
+    }
+    centroid += nibble.toString(16);
+  }
+  return centroid;
+}
+
+// Largest Hamming distance that still meets a bitwise similarity threshold
+function radiusForSimilarity(bits, threshold) {
+  // Small epsilon so e.g. 0.92 * 1024 is not lost to floating point rounding
+  return Math.floor(bits * (1 - threshold) + 1e-9);
+}
+
+module.exports = {
+  BKTree,
+  hammingDistance,
+  hashSimilarity,
+  hashCentroid,
+  radiusForSimilarity
+};
@@ -0,0 +1,159 @@
+const jimp = require('jimp');
+
+// The 8 dihedral orientations. Each maps a pixel of the result (size width x height,
+// swapped for quarter turns) back to the source pixel it comes from.
+const ORIENTATIONS = {
+  identity: { label: 'Original', swap: false, source: (x, y) => [x, y] },
+  rotate90: { label: 'Rotated 90°', swap: true, source: (x, y, w, h) => [y, h - 1 - x] },
+  rotate180: { label: 'Rotated 180°', swap: false, source: (x, y, w, h) => [w - 1 - x, h - 1 - y] },
+  rotate270: { label: 'Rotated 270°', swap: true, source: (x, y, w) => [w - 1 - y, x] },
+  mirror: { label: 'Mirrored', swap: false, source: (x, y, w) => [w - 1 - x, y] },
+  flip: { label: 'Flipped upside down', swap: false, source: (x, y, w, h) => [x, h - 1 - y] },
+  transpose: { label: 'Mirrored and rotated 90°', swap: true, source: (x, y) => [y, x] },
+  transverse: { label: 'Mirrored and rotated 270°', swap: true, source: (x, y, w, h) => [w - 1 - y, h - 1 - x] }
+};
+
+// Sub-regions tried to find a copy that was cropped out of a larger picture
+const CROPS = {
+  letterbox: { label: 'Borders or padding removed' },
+  'centre-90': { label: 'Cropped to 90%', fraction: 0.9 },
+  'centre-80': { label: 'Cropped to 80%', fraction: 0.8 },
+  'centre-70': { label: 'Cropped to 70%', fraction: 0.7 },
+  square: { label: 'Cropped to a square' }
+};
+
+// A border row or column is one where nearly every pixel is within this many grey
+// levels (per channel) of the border colour
+const BORDER_TOLERANCE = 16;
+const BORDER_COVERAGE = 0.98;
+// Never trim more than this fraction from one side; beyond it this is content, not padding
+const MAX_BORDER_FRACTION = 0.4;
+
+function orient(image, orientation) {
+  if (orientation === 'identity') return image;
+
+  const { swap, source } = ORIENTATIONS[orientation];
+  const { width, height, data } = image.bitmap;
+  const result = new jimp(swap ? height : width, swap ? width : height);
+  const target = result.bitmap;
+
+  for (let y = 0; y < target.height; y++) {
+    for (let x = 0; x < target.width; x++) {
+      const [sx, sy] = source(x, y, width, height);
+      const from = (sy * width + sx) * 4;
+      const to = (y * target.width + x) * 4;
+      target.data[to] = data[from];
+      target.data[to + 1] = data[from + 1];
+      target.data[to + 2] = data[from + 2];
+      target.data[to + 3] = data[from + 3];
+    }
+  }
+
+  return result;
+}
+
+// Returns the cropped image for a CROPS entry, or null when it does not apply
+// (no borders to remove, or the image is already square)
+function crop(image, name) {
+  const { width, height } = image.bitmap;
+
+  if (name === 'letterbox') {
+    const borders = findBorders(image);
+    const trimmedWidth = width - borders.left - borders.right;
+    const trimmedHeight = height - borders.top - borders.bottom;
+    if (trimmedWidth === width && trimmedHeight === height) return null;
+    return image.clone().crop(borders.left, borders.top, trimmedWidth, trimmedHeight);
+  }
+
+  if (name === 'square') {
+    const side = Math.min(width, height);
+    if (width === height) return null;
+    return image.clone().crop(Math.floor((width - side) / 2), Math.floor((height - side) / 2), side, side);
+  }
+
+  const { fraction } = CROPS[name];
+  const cropWidth = Math.max(1, Math.round(width * fraction));
+  const cropHeight = Math.max(1, Math.round(height * fraction));
+  return image.clone().crop(Math.floor((width - cropWidth) / 2), Math.floor((height - cropHeight) / 2), cropWidth, cropHeight);
+}
+
+// Uniform bands along each edge (letterboxing, pillarboxing or padding), in pixels.
+// The border colour is taken from the corner, so black, white and coloured bars all count.
+function findBorders(image) {
+  const { width, height, data } = image.bitmap;
+  const corner = [data[0], data[1], data[2]];
+
+  const matches = (x, y) => {
+    const idx = (y * width + x) * 4;
+    return Math.abs(data[idx] - corner[0]) <= BORDER_TOLERANCE &&
+      Math.abs(data[idx + 1] - corner[1]) <= BORDER_TOLERANCE &&
+      Math.abs(data[idx + 2] - corner[2]) <= BORDER_TOLERANCE;
+  };
+  const isBorderRow = y => countMatches(width, x => matches(x, y)) >= width * BORDER_COVERAGE;
+  const isBorderColumn = x => countMatches(height, y => matches(x, y)) >= height * BORDER_COVERAGE;
+
+  const maxRows = Math.floor(height * MAX_BORDER_FRACTION);
+  const maxColumns = Math.floor(width * MAX_BORDER_FRACTION);
+
+  let top = 0;
+  while (top < maxRows && isBorderRow(top)) top++;
+  let bottom = 0;
+  while (bottom < maxRows && isBorderRow(height - 1 - bottom)) bottom++;
+  let left = 0;
+  while (left < maxColumns && isBorderColumn(left)) left++;
+  let right = 0;
+  while (right < maxColumns && isBorderColumn(width - 1 - right)) right++;
+
+  // A band that reaches the limit is most likely a plain background, not padding
+  return {
+    top: top < maxRows ? top : 0,
+    bottom: bottom < maxRows ? bottom : 0,
+    left: left < maxColumns ? left : 0,
+    right: right < maxColumns ? right : 0
+  };
+}
+
+function countMatches(length, test) {
+  let count = 0;
+  for (let i = 0; i < length; i++) {
+    if (test(i)) count++;
+  }
+  return count;
+}
+
+// Applies an orientation or crop by name; a crop that does not apply leaves the image as is
+function applyVariant(image, variant) {
+  if (ORIENTATIONS[variant]) return orient(image, variant);
+  return crop(image, variant) || image;
+}
+
+// Downscaled copy whose short side is at most `side`, keeping the aspect ratio
+function fitShortSide(image, side) {
+  const working = image.clone();
+  const { width, height } = working.bitmap;
+  if (Math.min(width, height) > side) {
+    if (width <= height) {
+      working.resize(side, jimp.AUTO, jimp.RESIZE_BILINEAR);
+    } else {
+      working.resize(jimp.AUTO, side, jimp.RESIZE_BILINEAR);
+    }
+  }
+  return working;
+}
+
+// Human readable name for an orientation or crop
+function describeVariant(variant) {
+  const entry = ORIENTATIONS[variant] || CROPS[variant];
+  return entry ? entry.label : variant;
+}
+
+module.exports = {
+  ORIENTATIONS,
+  CROPS,
+  orient,
+  crop,
+  findBorders,
+  applyVariant,
+  fitShortSide,
+  describeVariant
+};
@@ -0,0 +1,365 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const KEEPER_CONFIG = {
+  path: path.join(__dirname, '../settings/keeper-policies.json'),
+  defaultPolicy: 'default'
+};
+
+// The rules a keeper policy is made of. score rates an image (higher is kept first),
+// label names the rule in explanations and describe says how an image fared under it.
+// Rules that take a value read it from the rule: { rule: 'prefer-folder', folder: 'Masters' }.
+const KEEPER_RULES = {
+  'never-folder': {
+    value: 'folder',
+    label: rule => `Never pick from ${rule.folder}`,
+    score: (image, rule) => (inFolder(image, rule.folder) ? 0 : 1),
+    describe: (image, rule) => (inFolder(image, rule.folder) ? `in ${rule.folder}` : `not in ${rule.folder}`)
+  },
+  'prefer-folder': {
+    value: 'folder',
+    label: rule => `Prefer folder ${rule.folder}`,
+    score: (image, rule) => (inFolder(image, rule.folder) ? 1 : 0),
+    describe: (image, rule) => (inFolder(image, rule.folder) ? `in ${rule.folder}` : `not in ${rule.folder}`)
+  },
+  // The root picked in the UI, unless the rule names one
+  'prefer-root': {
+    label: () => 'Prefer the preferred scan root',
+    score: (image, rule, options) => {
+      const root = rule.root || options.preferredRoot;
+      return root && image.root && sameRoot(image.root, root) ? 1 : 0;
+    },
+    describe: image => `on ${image.rootLabel || image.root || 'an unknown root'}`
+  },
+  // A copy whose capture date survived, and of those the earliest capture: re-saved
+  // and exported copies lose the date or get a later one
+  'prefer-original-capture': {
+    label: () => 'Prefer original capture date',
+    score: image => (captureTime(image) !== null ? -captureTime(image) : -Infinity),
+    describe: image => (captureTime(image) !== null ? `captured ${image.captureDate}` : 'no capture date')
+  },
+  'prefer-highest-resolution': {
+    label: () => 'Prefer highest resolution',
+    score: image => image.resolution || (image.width || 0) * (image.height || 0),
+    describe: image => `${image.width || '?'}x${image.height || '?'}`
+  },
+  // Exports and messengers often strip the camera metadata
+  'prefer-exif': {
+    label: () => 'Prefer has EXIF',
+    score: image => (image.exif && image.exif.hasExif ? 1 : 0),
+    describe: image => (image.exif && image.exif.hasExif ? 'has camera metadata' : 'no camera metadata')
+  },
+  'prefer-shortest-path': {
+    label: () => 'Prefer shortest path',
+    score: image => -image.path.length,
+    describe: image => `${image.path.length} characters`
+  },
+  'prefer-largest-file': {
+    label: () => 'Prefer largest file',
+    score: image => image.size || 0,
+    describe: image => `${image.size || 0} bytes`
+  },
+  'prefer-newest': {
+    label: () => 'Prefer newest file',
+    score: image => modifiedTime(image),
+    describe: image => `modified ${new Date(modifiedTime(image)).toISOString()}`
+  },
+  'prefer-oldest': {
+    label: () => 'Prefer oldest file',
+    score: image => -modifiedTime(image),
+    describe: image => `modified ${new Date(modifiedTime(image)).toISOString()}`
+  },
+  // Formats listed first win; unlisted formats come last
+  'prefer-format': {
+    value: 'formats',
+    label: rule => `Prefer format ${rule.formats.join(', ')}`,
+    score: (image, rule) => {
+      const index = rule.formats.indexOf(formatOf(image));
+      return index === -1 ? 0 : rule.formats.length - index;
+    },
+    describe: image => formatOf(image) || 'unknown format'
+  }
+};
+
+const RAW_FORMATS = ['cr2', 'cr3', 'nef', 'nrw', 'arw', 'srf', 'sr2', 'dng', 'orf', 'rw2', 'raf', 'pef', 'srw'];
+
+const BUILT_IN_POLICIES = {
+  default: {
+    name: 'default',
+    label: 'Best quality',
+    rules: ['prefer-root', 'prefer-exif', 'prefer-highest-resolution', 'prefer-largest-file', 'prefer-newest']
+  },
+  'camera-originals': {
+    name: 'camera-originals',
+    label: 'Camera originals',
+    rules: [
+      { rule: 'never-folder', folder: 'Downloads' },
+      'prefer-root',
+      { rule: 'prefer-format', formats: [...RAW_FORMATS, 'tif', 'tiff', 'png', 'heic', 'heif', 'jpg', 'jpeg'] },
+      'prefer-original-capture',
+      'prefer-exif',
+      'prefer-highest-resolution',
+      'prefer-shortest-path'
+    ]
+  }
+};
+
+// { name, label, rules } with every rule checked and written out as an object
+function validatePolicy(policy) {
+  if (!policy || typeof policy.name !== 'string' || !policy.name.trim()) {
+    throw new Error('Keeper policy must have a name');
+  }
+  if (!Array.isArray(policy.rules) || policy.rules.length === 0) {
+    throw new Error(`Keeper policy ${policy.name} has no rules`);
+  }
+
+  const rules = policy.rules.map(entry => {
+    const rule = typeof entry === 'string' ? { rule: entry } : { ...entry };
+    const definition = KEEPER_RULES[rule.rule];
+    if (!definition) {
+      throw new Error(`Unknown keeper rule: ${rule.rule}`);
+    }
+    if (definition.value === 'folder' && (typeof rule.folder !== 'string' || !rule.folder.trim())) {
+      throw new Error(`Keeper rule ${rule.rule} needs a folder`);
+    }
+    if (definition.value === 'formats') {
+      if (!Array.isArray(rule.formats) || rule.formats.length === 0) {
+        throw new Error(`Keeper rule ${rule.rule} needs formats`);
+      }
+      rule.formats = rule.formats.map(format => String(format).toLowerCase().replace(/^\./, ''));
+    }
+    return rule;
+  });
+
+  return { name: policy.name.trim(), label: policy.label || policy.name.trim(), rules };
+}
+
+// Rates every image of a group under the policy and picks the keeper. never-* rules are
+// hard limits and apply before any preference wherever they appear in the policy; the
+// preferences then decide in order, each one only between the images the rules before
+// it rated equally. Returns { ranked, keeper, explanation }, where explanation is
+//   { policy, keeper, rule, label, reason, setAside }
+// naming the rule that put the keeper ahead of the runner-up (null on a full tie) and
+// the never-* rules set aside because every image broke them.
+function chooseKeeper(images, policy, options = {}) {
+  const rules = [
+    ...policy.rules.filter(rule => rule.rule.startsWith('never-')),
+    ...policy.rules.filter(rule => !rule.rule.startsWith('never-'))
+  ];
+
+  const ranked = images
+    .map((image, index) => ({
+      image,
+      index,
+      scores: rules.map(rule => KEEPER_RULES[rule.rule].score(image, rule, options))
+    }))
+    .sort((a, b) => compareScores(a.scores, b.scores) || a.index - b.index);
+
+  const [keeper, runnerUp] = ranked;
+  const explanation = {
+    policy: policy.name,
+    keeper: keeper.image.path,
+    rule: null,
+    label: null,
+    reason: '',
+    setAside: rules
+      .filter((rule, i) => rule.rule.startsWith('never-') && ranked.every(entry => entry.scores[i] === 0))
+      .map(rule => KEEPER_RULES[rule.rule].label(rule))
+  };
+
+  const deciding = runnerUp ? keeper.scores.findIndex((score, i) => score !== runnerUp.scores[i]) : -1;
+  if (!runnerUp) {
+    explanation.reason = 'Only image in the group';
+  } else if (deciding === -1) {
+    explanation.reason = 'Every rule rated the copies equally; keeping the first one found';
+  } else {
+    const rule = rules[deciding];
+    const definition = KEEPER_RULES[rule.rule];
+    explanation.rule = rule.rule;
+    explanation.label = definition.label(rule);
+    // Copies often share a file name, and then only their paths tell them apart
+    const byPath = !keeper.image.name || keeper.image.name === runnerUp.image.name;
+    const title = entry => (byPath ? entry.path : entry.name);
+    explanation.reason = `${explanation.label} (${title(keeper.image)}: ${definition.describe(keeper.image, rule, options)}; ` +
+      `${title(runnerUp.image)}: ${definition.describe(runnerUp.image, rule, options)})`;
+  }
+
+  return { ranked: ranked.map(entry => entry.image), keeper: keeper.image, explanation };
+}
+
+// Orders each group keeper first and marks the keeper as the one image recommended to
+// keep. Protected groups (RAW + JPEG pairs) keep every image and are left alone.
+// options.preferredRoot is the root the prefer-root rule favours.
+function applyKeeperPolicy(groups, policy, options = {}) {
+  for (const group of groups) {
+    if (group.protected || group.images.length === 0) continue;
+
+    const { ranked, keeper, explanation } = chooseKeeper(group.images, policy, options);
+    group.images = ranked;
+    group.images.forEach(image => {
+      image.recommended = image === keeper;
+    });
+    group.recommendedToKeep = keeper;
+    group.candidatesForDeletion = ranked.slice(1);
+    group.keeperPolicy = policy.name;
+    group.keeperExplanation = explanation;
+  }
+  return groups;
+}
+
+// Built-in policies plus the ones saved by the user, by name
+class KeeperPolicyStore {
+  constructor(options = {}) {
+    this.path = options.path || KEEPER_CONFIG.path;
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.path)) {
+        const data = await fs.readJson(this.path);
+        return data.policies || {};
+      }
+    } catch (error) {
+      console.warn('Failed to read saved keeper policies:', error.message);
+    }
+    return {};
+  }
+
+  async list() {
+    const saved = await this.load();
+    return [
+      ...Object.values(BUILT_IN_POLICIES).map(policy => ({ ...validatePolicy(policy), builtIn: true })),
+      ...Object.values(saved).map(policy => ({ ...policy, builtIn: false }))
+    ];
+  }
+
+  async save(policy) {
+    const valid = validatePolicy(policy);
+    if (BUILT_IN_POLICIES[valid.name]) {
+      throw new Error(`${valid.name} is a built-in keeper policy and cannot be replaced`);
+    }
+
+    const policies = await this.load();
+    policies[valid.name] = valid;
+    await this.write(policies);
+    return valid;
+  }
+
+  async remove(name) {
+    const policies = await this.load();
+    if (!policies[name]) return false;
+    delete policies[name];
+    await this.write(policies);
+    return true;
+  }
+
+  // A policy given by name, or an inline policy; the default when none is given
+  async resolve(policy = KEEPER_CONFIG.defaultPolicy) {
+    if (typeof policy !== 'string') {
+      return validatePolicy(policy);
+    }
+    if (BUILT_IN_POLICIES[policy]) {
+      return validatePolicy(BUILT_IN_POLICIES[policy]);
+    }
+
+    const saved = (await this.load())[policy];
+    if (!saved) {
+      throw new Error(`Unknown keeper policy: ${policy}`);
+    }
+    return validatePolicy(saved);
+  }
+
+  async write(policies) {
+    await fs.ensureDir(path.dirname(this.path));
+    const tempPath = `${this.path}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ policies }, null, 2));
+    await fs.move(tempPath, this.path, { overwrite: true });
+  }
+}
+
+// One rule per line, written as the rule name and its value, e.g.
+//   never-folder Downloads
+//   prefer-folder /Photos/Masters
+//   prefer-format dng, tiff, jpg
+//   prefer-highest-resolution
+// Blank lines and lines starting with # are skipped.
+function parsePolicyRules(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const [name, ...rest] = line.split(/\s+/);
+      const value = line.slice(name.length).trim();
+      const definition = KEEPER_RULES[name];
+      if (!definition) {
+        throw new Error(`Unknown keeper rule: ${name}`);
+      }
+      if (definition.value === 'folder') return { rule: name, folder: value };
+      if (definition.value === 'formats') return { rule: name, formats: value.split(/[\s,]+/).filter(Boolean) };
+      if (rest.length > 0) {
+        throw new Error(`Keeper rule ${name} takes no value`);
+      }
+      return { rule: name };
+    });
+}
+
+function formatPolicyRules(policy) {
+  return validatePolicy(policy).rules.map(rule => {
+    const definition = KEEPER_RULES[rule.rule];
+    if (definition.value === 'folder') return `${rule.rule} ${rule.folder}`;
+    if (definition.value === 'formats') return `${rule.rule} ${rule.formats.join(', ')}`;
+    return rule.rule;
+  }).join('\n');
+}
+
+// Folders match whole path segments, case-insensitively: "Downloads" matches any folder
+// called Downloads, "/Photos/Masters" any path containing Photos/Masters
+function inFolder(image, folder) {
+  const dir = `/${path.dirname(image.path).replace(/\\/g, '/').replace(/^\/+|\/+$/g, '')}/`.toLowerCase();
+  const wanted = `/${folder.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '')}/`.toLowerCase();
+  return dir.includes(wanted);
+}
+
+// Roots come resolved from the scanner but as typed from the renderer, so trailing
+// separators and (on Windows) drive-letter case must not matter
+function sameRoot(a, b) {
+  const normalize = root => {
+    const resolved = path.resolve(root);
+    return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+  };
+  return normalize(a) === normalize(b);
+}
+
+function captureTime(image) {
+  const time = image.captureDate ? new Date(image.captureDate).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+function modifiedTime(image) {
+  const time = new Date(image.modified || 0).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+// By extension: a RAW file's decoded format is that of its embedded preview
+function formatOf(image) {
+  return (path.extname(image.path).slice(1) || image.format || '').toLowerCase();
+}
+
+function compareScores(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return b[i] > a[i] ? 1 : -1;
+  }
+  return 0;
+}
+
+module.exports = {
+  KEEPER_CONFIG,
+  KEEPER_RULES,
+  BUILT_IN_POLICIES,
+  KeeperPolicyStore,
+  validatePolicy,
+  chooseKeeper,
+  applyKeeperPolicy,
+  parsePolicyRules,
+  formatPolicyRules
+};
@@ -0,0 +1,337 @@
+const jimp = require('jimp');
+const { ORIENTATIONS, CROPS, orient, crop, fitShortSide } = require('./imageTransforms');
+
+// maxDistance is the Hamming distance, per 64 bits, up to which two hashes are treated
+// as the same picture. It scales with the hash size, so a 256-bit hash allows 4x as many.
+// These are starting points taken from common practice, not tuned on our own library.
+const HASH_ALGORITHMS = {
+  average: {
+    label: 'Average hash (aHash)',
+    maxDistance: 5
+  },
+  difference: {
+    label: 'Difference hash (dHash)',
+    maxDistance: 10
+  },
+  perceptual: {
+    label: 'DCT hash (pHash)',
+    maxDistance: 10
+  },
+  wavelet: {
+    label: 'Wavelet hash (wHash)',
+    maxDistance: 8
+  },
+  color: {
+    label: 'Colour-moment hash',
+    maxDistance: 8
+  }
+};
+
+// Bump when a hasher's output changes, so hashes saved by an interrupted run of an
+// older version are not compared with new ones
+const HASH_VERSION = 2;
+
+// Supported hash lengths in bits, mapped to the side of the square grid they cover
+const HASH_BITS = {
+  64: 8,
+  256: 16
+};
+
+// Grey levels a wavelet detail or a block's chroma must exceed to count, so that
+// recompression noise on flat areas does not flip bits
+const WAVELET_EDGE_MARGIN = 4;
+const CHROMA_MARGIN = 6;
+
+// aHash alone thresholds every pixel against the mean, and on a mostly white product
+// shot the background drags that mean so high that only the product's outline is left.
+// pHash looks at the image's structure, and the colour hash tells colour variants apart.
+// Variant hashes are taken from a working copy whose short side is this many hash
+// cells, which leaves every hasher enough resolution after cropping
+const WORKING_SCALE = 16;
+
+const DEFAULT_HASH_OPTIONS = {
+  algorithms: ['perceptual', 'color'],
+  bits: 64
+};
+
+// Validates the per-run choice. The first algorithm is the one indexed for search;
+// the others only have to agree.
+function resolveHashOptions(options = {}) {
+  const requested = options.hashAlgorithms || options.algorithms || DEFAULT_HASH_OPTIONS.algorithms;
+  const algorithms = Array.from(new Set(Array.isArray(requested) ? requested : [requested]));
+  const bits = Number(options.hashBits || options.bits || DEFAULT_HASH_OPTIONS.bits);
+
+  const unknown = algorithms.filter(name => !HASH_ALGORITHMS[name]);
+  if (algorithms.length === 0 || unknown.length > 0) {
+    throw new Error(`Unknown hash algorithm: ${unknown.join(', ') || '(none)'}`);
+  }
+  if (!HASH_BITS[bits]) {
+    throw new Error(`Unsupported hash size: ${bits} bits (use ${Object.keys(HASH_BITS).join(' or ')})`);
+  }
+
+  return { algorithms, bits };
+}
+
+async function computeHashes(imagePath, options = {}) {
+  const image = await jimp.read(imagePath);
+  return hashImage(image, options);
+}
+
+async function computeHash(imagePath, algorithm, bits = DEFAULT_HASH_OPTIONS.bits) {
+  const hashes = await computeHashes(imagePath, { algorithms: [algorithm], bits });
+  return hashes[algorithm];
+}
+
+// Returns { [algorithm]: hex } for an already decoded jimp image
+function hashImage(image, options = {}) {
+  const { algorithms, bits } = resolveHashOptions(options);
+  const size = HASH_BITS[bits];
+  const hashes = {};
+
+  for (const algorithm of algorithms) {
+    hashes[algorithm] = toHex(HASHERS[algorithm](image, size));
+  }
+
+  return hashes;
+}
+
+async function computeVariantHashes(imagePath, options = {}) {
+  const image = await jimp.read(imagePath);
+  return hashVariants(image, options);
+}
+
+// Hashes of the image as it is ('identity') and, when asked for, under each of the 8
+// orientations and each crop: { [variant]: { [algorithm]: hex } }. Comparing one image's
+// variants with another's identity hashes finds rotated, mirrored and cropped copies.
+function hashVariants(image, options = {}) {
+  const { algorithms, bits } = resolveHashOptions(options);
+  const working = fitShortSide(image, HASH_BITS[bits] * WORKING_SCALE);
+  const variants = { identity: hashImage(working, { algorithms, bits }) };
+
+  if (options.orientations) {
+    for (const orientation of Object.keys(ORIENTATIONS)) {
+      if (orientation === 'identity') continue;
+      variants[orientation] = hashImage(orient(working, orientation), { algorithms, bits });
+    }
+  }
+
+  if (options.crops) {
+    for (const name of Object.keys(CROPS)) {
+      const cropped = crop(working, name);
+      if (cropped) {
+        variants[name] = hashImage(cropped, { algorithms, bits });
+      }
+    }
+  }
+
+  return variants;
+}
+
+const HASHERS = {
+  // Each cell brighter than the mean
+  average(image, size) {
+    const pixels = greyPixels(image, size, size);
+    const average = mean(pixels);
+    return pixels.map(value => value > average);
+  },
+
+  // Each cell brighter than its right-hand neighbour
+  difference(image, size) {
+    const width = size + 1;
+    const pixels = greyPixels(image, width, size);
+    const bits = [];
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        bits.push(pixels[y * width + x] > pixels[y * width + x + 1]);
+      }
+    }
+    return bits;
+  },
+
+  // DCT frequencies 1 to size in each direction of a 4x larger thumbnail, above their
+  // median. As in the reference pHash, row and column 0 are left out, so the DC term
+  // (the overall brightness) never reaches the bits or the median.
+  perceptual(image, size) {
+    const side = size * 4;
+    const keep = size + 1;
+    const frequencies = lowFrequencyDct(greyPixels(image, side, side), side, keep);
+    const coefficients = [];
+    for (let v = 1; v < keep; v++) {
+      for (let u = 1; u < keep; u++) {
+        coefficients.push(frequencies[v * keep + u]);
+      }
+    }
+    const threshold = median(coefficients);
+    return coefficients.map(value => value > threshold);
+  },
+
+  // Haar decomposition of an 8x larger thumbnail, taken one level below the hash grid.
+  // Per 2x2 cell of the grid: approximation above the mean, then horizontal, vertical
+  // and diagonal detail above a small margin. The details follow edges and ignore the
+  // overall brightness. Four bits per cell.
+  wavelet(image, size) {
+    let side = size * 8;
+    let band = greyPixels(image, side, side);
+    while (side > size) {
+      band = haarApproximation(band, side);
+      side /= 2;
+    }
+
+    const half = size / 2;
+    const approximation = [];
+    const details = [];
+    for (let y = 0; y < half; y++) {
+      for (let x = 0; x < half; x++) {
+        const a = band[2 * y * size + 2 * x];
+        const b = band[2 * y * size + 2 * x + 1];
+        const c = band[(2 * y + 1) * size + 2 * x];
+        const d = band[(2 * y + 1) * size + 2 * x + 1];
+        approximation.push((a + b + c + d) / 4);
+        details.push([(a + b - c - d) / 2, (a - b + c - d) / 2, (a - b - c + d) / 2]);
+      }
+    }
+
+    const average = mean(approximation);
+    const bits = [];
+    approximation.forEach((value, cell) => {
+      bits.push(value > average);
+      details[cell].forEach(detail => bits.push(detail > WAVELET_EDGE_MARGIN));
+    });
+    return bits;
+  },
+
+  // Per block of the image: whether its mean blue and red chroma (the first colour
+  // moment) lean clearly positive or negative. Four bits per block; neutral greys and
+  // whites set none, so a white background leaves only the product's colour.
+  color(image, size) {
+    const grid = size / 2;
+    const blockSide = 4;
+    const side = grid * blockSide;
+    const thumbnail = image.clone().resize(side, side, jimp.RESIZE_BILINEAR);
+    const data = thumbnail.bitmap.data;
+
+    const bits = [];
+    for (let by = 0; by < grid; by++) {
+      for (let bx = 0; bx < grid; bx++) {
+        let cb = 0;
+        let cr = 0;
+
+        for (let y = by * blockSide; y < (by + 1) * blockSide; y++) {
+          for (let x = bx * blockSide; x < (bx + 1) * blockSide; x++) {
+            const idx = (y * side + x) * 4;
+            const luma = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+            cb += data[idx + 2] - luma;
+            cr += data[idx] - luma;
+          }
+        }
+
+        cb /= blockSide * blockSide;
+        cr /= blockSide * blockSide;
+        bits.push(cb > CHROMA_MARGIN, cb < -CHROMA_MARGIN, cr > CHROMA_MARGIN, cr < -CHROMA_MARGIN);
+      }
+    }
+    return bits;
+  }
+};
+
+function greyPixels(image, width, height) {
+  const thumbnail = image.clone().resize(width, height, jimp.RESIZE_BILINEAR);
+  const data = thumbnail.bitmap.data;
+  const pixels = new Array(width * height);
+
+  for (let i = 0; i < pixels.length; i++) {
+    const idx = i * 4;
+    pixels[i] = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+  }
+  return pixels;
+}
+
+// Separable DCT-II that only computes the first `keep` coefficients in each direction
+function lowFrequencyDct(pixels, side, keep) {
+  const cosines = [];
+  for (let u = 0; u < keep; u++) {
+    cosines.push([]);
+    for (let x = 0; x < side; x++) {
+      cosines[u].push(Math.cos(((2 * x + 1) * u * Math.PI) / (2 * side)));
+    }
+  }
+
+  const rows = [];
+  for (let y = 0; y < side; y++) {
+    for (let u = 0; u < keep; u++) {
+      let sum = 0;
+      for (let x = 0; x < side; x++) {
+        sum += pixels[y * side + x] * cosines[u][x];
+      }
+      rows[y * keep + u] = sum;
+    }
+  }
+
+  const coefficients = [];
+  for (let v = 0; v < keep; v++) {
+    for (let u = 0; u < keep; u++) {
+      let sum = 0;
+      for (let y = 0; y < side; y++) {
+        sum += rows[y * keep + u] * cosines[v][y];
+      }
+      coefficients.push(sum);
+    }
+  }
+  return coefficients;
+}
+
+function haarApproximation(values, side) {
+  const half = side / 2;
+  const band = new Array(half * half);
+  for (let y = 0; y < half; y++) {
+    for (let x = 0; x < half; x++) {
+      const top = (2 * y) * side + 2 * x;
+      const bottom = top + side;
+      band[y * half + x] = (values[top] + values[top + 1] + values[bottom] + values[bottom + 1]) / 4;
+    }
+  }
+  return band;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function toHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    const nibble = (bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3];
+    hex += nibble.toString(16);
+  }
+  return hex;
+}
+
+function hashBits(hash) {
+  return hash.length * 4;
+}
+
+// Largest Hamming distance at which two hashes of this algorithm and size still match
+function maxDistanceFor(algorithm, bits) {
+  return Math.round(HASH_ALGORITHMS[algorithm].maxDistance * bits / 64);
+}
+
+module.exports = {
+  HASH_ALGORITHMS,
+  HASH_BITS,
+  HASH_VERSION,
+  DEFAULT_HASH_OPTIONS,
+  resolveHashOptions,
+  computeHashes,
+  computeHash,
+  computeVariantHashes,
+  hashImage,
+  hashVariants,
+  hashBits,
+  maxDistanceFor
+};
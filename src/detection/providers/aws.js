@@ -0,0 +1,112 @@
+const fs = require('fs-extra');
+const { REQUEST_TIMEOUT_MS, hasCredential, calculateArraySimilarity } = require('./shared');
+const { requestLayer } = require('./requestLayer');
+
+const AWS_CONFIG = {
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  region: process.env.AWS_REGION || 'us-east-1',
+  // Overridable to point at a proxy or at tools/mockVisionServer.js
+  endpoint: process.env.AWS_REKOGNITION_ENDPOINT
+};
+
+let rekognition = null;
+let sdkMissingReported = false;
+
+// aws-sdk is an optional dependency. Without it the provider is unavailable rather than
+// failing every call, which would count against it and pause it as if AWS were down.
+function hasSdk() {
+  try {
+    require.resolve('aws-sdk');
+    return true;
+  } catch (error) {
+    if (!sdkMissingReported) {
+      sdkMissingReported = true;
+      console.warn('AWS Rekognition is configured but aws-sdk is not installed; run npm install aws-sdk to use it');
+    }
+    return false;
+  }
+}
+
+function isConfigured() {
+  return hasCredential(AWS_CONFIG.accessKeyId) && hasCredential(AWS_CONFIG.secretAccessKey) && hasSdk();
+}
+
+// The SDK is only loaded once AWS is actually used
+function getClient() {
+  if (!rekognition) {
+    const AWS = require('aws-sdk');
+    rekognition = new AWS.Rekognition({
+      accessKeyId: AWS_CONFIG.accessKeyId,
+      secretAccessKey: AWS_CONFIG.secretAccessKey,
+      region: AWS_CONFIG.region,
+      // Retries are left to the request layer, which also counts them towards health
+      maxRetries: 0,
+      httpOptions: { timeout: REQUEST_TIMEOUT_MS },
+      ...(AWS_CONFIG.endpoint ? { endpoint: AWS_CONFIG.endpoint } : {})
+    });
+  }
+  return rekognition;
+}
+
+async function getAWSFeatures(imagePath) {
+  const imageBuffer = await fs.readFile(imagePath);
+  
+  const params = {
+    Image: { Bytes: imageBuffer },
+    MaxLabels: 50,
+    MinConfidence: 70
+  };
+  
+  const labels = await requestLayer.run('aws', () => getClient().detectLabels(params).promise());
+  
+  // Also get text detection
+  const textParams = {
+    Image: { Bytes: imageBuffer }
+  };
+  const text = await requestLayer.run('aws', () => getClient().detectText(textParams).promise());
+  
+  return {
+    labels: labels.Labels,
+    text: text.TextDetections
+  };
+}
+
+function calculateAWSFeatureSimilarity(features1, features2) {
+  let similarity = 0;
+  let comparisons = 0;
+  
+  // Compare labels
+  if (features1.labels && features2.labels) {
+    const labels1 = features1.labels.map(label => label.Name);
+    const labels2 = features2.labels.map(label => label.Name);
+    similarity += calculateArraySimilarity(labels1, labels2);
+    comparisons++;
+  }
+  
+  // Compare detected text
+  if (features1.text && features2.text) {
+    const text1 = features1.text.map(text => text.DetectedText);
+    const text2 = features2.text.map(text => text.DetectedText);
+    similarity += calculateArraySimilarity(text1, text2);
+    comparisons++;
+  }
+  
+  return comparisons > 0 ? similarity / comparisons : 0;
+}
+
+module.exports = {
+  name: 'aws',
+  label: 'AWS Rekognition',
+  version: '1',
+  capabilities: ['labels', 'text'],
+  remote: true,
+  defaultWeight: 0.35,
+  confidence: 0.91, // AWS Rekognition reliability
+  // Two calls per image: labels and text
+  hints: { costPerImage: 0.002, latencyMs: 900 },
+  config: AWS_CONFIG,
+  isConfigured,
+  extractFeatures: image => getAWSFeatures(image.path),
+  compare: calculateAWSFeatureSimilarity
+};
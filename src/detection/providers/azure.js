@@ -0,0 +1,89 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const { REQUEST_TIMEOUT_MS, hasCredential, calculateArraySimilarity } = require('./shared');
+const { requestLayer } = require('./requestLayer');
+
+const AZURE_CONFIG = {
+  apiKey: process.env.AZURE_VISION_API_KEY,
+  endpoint: process.env.AZURE_VISION_ENDPOINT,
+  version: '3.2'
+};
+
+function getAzureImageAnalysis(imagePath) {
+  return requestLayer.run('azure', async () => {
+    const imageBuffer = await fs.readFile(imagePath);
+    
+    const response = await axios.post(
+      `${AZURE_CONFIG.endpoint.replace(/\/+$/, '')}/vision/v${AZURE_CONFIG.version}/analyze`,
+      imageBuffer,
+      {
+        headers: {
+          'Ocp-Apim-Subscription-Key': AZURE_CONFIG.apiKey,
+          'Content-Type': 'application/octet-stream'
+        },
+        params: {
+          visualFeatures: 'Objects,Tags,Color,ImageType,Categories,Description',
+          details: 'Landmarks,Celebrities'
+        },
+        timeout: REQUEST_TIMEOUT_MS
+      }
+    );
+    
+    return response.data;
+  });
+}
+
+function calculateAzureFeatureSimilarity(analysis1, analysis2) {
+  let similarity = 0;
+  let comparisons = 0;
+  
+  // Compare objects
+  if (analysis1.objects && analysis2.objects) {
+    const objects1 = analysis1.objects.map(obj => obj.object);
+    const objects2 = analysis2.objects.map(obj => obj.object);
+    similarity += calculateArraySimilarity(objects1, objects2);
+    comparisons++;
+  }
+  
+  // Compare tags
+  if (analysis1.tags && analysis2.tags) {
+    const tags1 = analysis1.tags.map(tag => tag.name);
+    const tags2 = analysis2.tags.map(tag => tag.name);
+    similarity += calculateArraySimilarity(tags1, tags2);
+    comparisons++;
+  }
+  
+  // Compare dominant colors
+  if (analysis1.color && analysis2.color) {
+    similarity += calculateDominantColorSimilarity(analysis1.color, analysis2.color);
+    comparisons++;
+  }
+  
+  return comparisons > 0 ? similarity / comparisons : 0;
+}
+
+function calculateDominantColorSimilarity(color1, color2) {
+  const dom1 = color1.dominantColorForeground || color1.dominantColors?.[0];
+  const dom2 = color2.dominantColorForeground || color2.dominantColors?.[0];
+  
+  if (!dom1 || !dom2) return 0;
+  
+  // Simple string comparison for now - could be enhanced with color distance
+  return dom1 === dom2 ? 1 : 0;
+}
+
+module.exports = {
+  name: 'azure',
+  label: 'Azure Computer Vision',
+  version: '1',
+  capabilities: ['objects', 'tags', 'colors'],
+  remote: true,
+  defaultWeight: 0.35,
+  confidence: 0.93, // Azure is also highly reliable
+  hints: { costPerImage: 0.001, latencyMs: 700 },
+  config: AZURE_CONFIG,
+  isConfigured: () => hasCredential(AZURE_CONFIG.apiKey) && hasCredential(AZURE_CONFIG.endpoint) &&
+    !AZURE_CONFIG.endpoint.includes('your-resource'),
+  extractFeatures: image => getAzureImageAnalysis(image.path),
+  compare: calculateAzureFeatureSimilarity
+};
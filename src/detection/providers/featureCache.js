@@ -0,0 +1,154 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Provider features persisted per provider and version, keyed by image content hash, so
+// each image is sent to a paid API once rather than once per pair and once per session.
+// Bumping a provider's version starts a new file and leaves the old one unused.
+const FEATURE_CACHE_DIR = path.join(__dirname, '../../cache/provider-features');
+
+// Bump when the stored file format changes. 2: keys name what the provider was shown
+// (see PrivacyPolicy.cacheKey), since version 1 kept features of proxies and originals
+// under the same content hash.
+const CACHE_VERSION = 2;
+
+// Providers say whether their features are worth keeping with cacheFeatures; by default
+// remote ones are, since their features cost money and time, and local ones are not
+function isCacheable(provider) {
+  return provider.cacheFeatures !== undefined ? Boolean(provider.cacheFeatures) : Boolean(provider.remote);
+}
+
+class FeatureCache {
+  constructor(provider, options = {}) {
+    this.provider = provider.name;
+    this.version = String(provider.version || '1');
+    this.dir = options.dir || FEATURE_CACHE_DIR;
+    this.cachePath = path.join(this.dir, `${safeFileName(this.provider)}-v${safeFileName(this.version)}.json`);
+    this.features = new Map();
+    this.dirty = false;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  async load() {
+    this.features.clear();
+
+    try {
+      if (await fs.pathExists(this.cachePath)) {
+        const data = JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+        if (data.version === CACHE_VERSION && data.provider === this.provider && data.providerVersion === this.version) {
+          for (const [hash, features] of Object.entries(data.features || {})) {
+            this.features.set(hash, features);
+          }
+        }
+      }
+    } catch (error) {
+      // A corrupt cache only costs fetching the features again
+      console.warn(`Failed to read ${this.provider} feature cache: ${error.message}`);
+    }
+
+    return this;
+  }
+
+  async save() {
+    if (!this.dirty) return;
+    await fs.ensureDir(this.dir);
+
+    const data = {
+      version: CACHE_VERSION,
+      provider: this.provider,
+      providerVersion: this.version,
+      savedAt: new Date().toISOString(),
+      features: Object.fromEntries(this.features)
+    };
+
+    const tempPath = `${this.cachePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data));
+    await fs.move(tempPath, this.cachePath, { overwrite: true });
+    this.dirty = false;
+  }
+
+  has(hash) {
+    return this.features.has(hash);
+  }
+
+  get(hash) {
+    if (this.features.has(hash)) {
+      this.stats.hits++;
+      return this.features.get(hash);
+    }
+    this.stats.misses++;
+    return null;
+  }
+
+  set(hash, features) {
+    this.features.set(hash, features);
+    this.dirty = true;
+  }
+
+  get size() {
+    return this.features.size;
+  }
+}
+
+// { [provider name]: FeatureCache } for the providers whose features are cached
+async function openFeatureCaches(providers, options = {}) {
+  const caches = new Map();
+  for (const provider of providers) {
+    if (isCacheable(provider)) {
+      caches.set(provider.name, await new FeatureCache(provider, options).load());
+    }
+  }
+  return caches;
+}
+
+async function saveFeatureCaches(caches) {
+  for (const cache of caches.values()) {
+    try {
+      await cache.save();
+    } catch (error) {
+      console.warn(`Could not save ${cache.provider} feature cache:`, error.message);
+    }
+  }
+}
+
+// What a run would cost at most: every distinct image whose features are not cached yet
+// is sent once to each provider. Candidate filtering usually sends fewer. keyFor gives
+// an image's cache key for a provider, as the run would look it up.
+function estimateCost(images, providers, caches = new Map(), keyFor = (provider, image) => image.hash || image.path) {
+  const distinct = Array.from(new Map(images.map(image => [image.hash || image.path, image])).values());
+  const estimates = providers.map(provider => {
+    const cache = caches.get(provider.name);
+    const cached = cache ? distinct.filter(image => cache.has(keyFor(provider, image))).length : 0;
+    const toFetch = distinct.length - cached;
+    const hints = provider.hints || {};
+
+    return {
+      name: provider.name,
+      label: provider.label || provider.name,
+      remote: Boolean(provider.remote),
+      images: toFetch,
+      cached,
+      cost: toFetch * (hints.costPerImage || 0),
+      seconds: toFetch * (hints.latencyMs || 0) / 1000
+    };
+  });
+
+  return {
+    images: distinct.length,
+    providers: estimates,
+    totalCost: estimates.reduce((sum, estimate) => sum + estimate.cost, 0),
+    totalSeconds: estimates.reduce((sum, estimate) => sum + estimate.seconds, 0)
+  };
+}
+
+function safeFileName(value) {
+  return value.replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+module.exports = {
+  FEATURE_CACHE_DIR,
+  FeatureCache,
+  isCacheable,
+  openFeatureCaches,
+  saveFeatureCaches,
+  estimateCost
+};
@@ -0,0 +1,95 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const { REQUEST_TIMEOUT_MS, hasCredential, calculateArraySimilarity, calculateColorSimilarity } = require('./shared');
+const { requestLayer } = require('./requestLayer');
+
+const GOOGLE_CONFIG = {
+  apiKey: process.env.GOOGLE_VISION_API_KEY,
+  // Overridable to point at a proxy or at tools/mockVisionServer.js
+  endpoint: process.env.GOOGLE_VISION_ENDPOINT || 'https://vision.googleapis.com/v1/images:annotate',
+  features: ['OBJECT_LOCALIZATION', 'IMAGE_PROPERTIES', 'CROP_HINTS']
+};
+
+// Google reports the failure of one image inside a 200 response, as a gRPC status. It is
+// turned into the HTTP status the request layer judges errors by: a rejected image is
+// neither retried nor counted against the provider, an overloaded service is retried.
+const GRPC_HTTP_STATUS = { 3: 400, 5: 404, 7: 403, 8: 429, 13: 500, 14: 503 };
+
+// The file is read inside the request, so images waiting for a slot hold no memory
+function getGoogleVisionFeatures(imagePath) {
+  return requestLayer.run('google', async () => {
+    const imageBuffer = await fs.readFile(imagePath);
+    const base64Image = imageBuffer.toString('base64');
+    
+    const requestBody = {
+      requests: [{
+        image: { content: base64Image },
+        features: GOOGLE_CONFIG.features.map(feature => ({
+          type: feature,
+          maxResults: 50
+        }))
+      }]
+    };
+    
+    const response = await axios.post(
+      `${GOOGLE_CONFIG.endpoint}?key=${GOOGLE_CONFIG.apiKey}`,
+      requestBody,
+      { timeout: REQUEST_TIMEOUT_MS }
+    );
+    
+    const result = response.data.responses && response.data.responses[0];
+    if (!result) {
+      throw new Error('Google Vision returned no result for the image');
+    }
+    // Thrown before the features are used or cached, so the image is asked for again next run
+    if (result.error) {
+      throw imageError(result.error);
+    }
+    return result;
+  });
+}
+
+function imageError(status) {
+  const error = new Error(`Google Vision could not analyse the image: ${status.message || `code ${status.code}`}`);
+  error.statusCode = GRPC_HTTP_STATUS[status.code] || 400;
+  return error;
+}
+
+function calculateGoogleFeatureSimilarity(features1, features2) {
+  let similarity = 0;
+  let comparisons = 0;
+  
+  // Compare object detections
+  if (features1.localizedObjectAnnotations && features2.localizedObjectAnnotations) {
+    const objects1 = features1.localizedObjectAnnotations.map(obj => obj.name);
+    const objects2 = features2.localizedObjectAnnotations.map(obj => obj.name);
+    similarity += calculateArraySimilarity(objects1, objects2);
+    comparisons++;
+  }
+  
+  // Compare dominant colors
+  if (features1.imagePropertiesAnnotation && features2.imagePropertiesAnnotation) {
+    const colors1 = features1.imagePropertiesAnnotation.dominantColors?.colors || [];
+    const colors2 = features2.imagePropertiesAnnotation.dominantColors?.colors || [];
+    similarity += calculateColorSimilarity(colors1, colors2);
+    comparisons++;
+  }
+  
+  return comparisons > 0 ? similarity / comparisons : 0;
+}
+
+module.exports = {
+  name: 'google',
+  label: 'Google Vision AI',
+  // 2: version 1 could cache a rejected image's error as its features
+  version: '2',
+  capabilities: ['objects', 'colors'],
+  remote: true,
+  defaultWeight: 0.4,
+  confidence: 0.95, // Google Vision is highly reliable
+  hints: { costPerImage: 0.0015, latencyMs: 800 },
+  config: GOOGLE_CONFIG,
+  isConfigured: () => hasCredential(GOOGLE_CONFIG.apiKey),
+  extractFeatures: image => getGoogleVisionFeatures(image.path),
+  compare: calculateGoogleFeatureSimilarity
+};
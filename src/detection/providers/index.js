@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+
+// A detection provider is a module exporting:
+//   name            unique id, used in weights and results ('google', 'my-model-server')
+//   label           display name
+//   version         bump when extractFeatures output changes
+//   capabilities    what it looks at, e.g. ['objects', 'colors']
+//   remote          true if image data leaves this machine
+//   defaultWeight   share in the consensus, overridable per install
+//   confidence      how far its similarity can be trusted, 0..1
+//   threshold       optional; similarity at which this provider alone calls a pair a match,
+//                   calibrated on its own scores. Defaults to the detector's threshold.
+//   hints           { costPerImage (USD per extractFeatures call), latencyMs }
+//   isConfigured()  whether it can run here (keys set, model installed); may be async
+//   extractFeatures(image)            per-image features; image is a scanned image record
+//   compare(features1, features2)     similarity 0..1; may be async
+//   close()         optional; release resources and persist caches after a run
+//   cacheFeatures   optional; keep extractFeatures output (plain JSON) on disk by content
+//                   hash. Defaults to remote.
+// Drop a module like that into this directory, or into a directory listed in
+// DETECTION_PROVIDER_DIRS, and it takes part in the consensus. Remote providers make
+// their API calls through requestLayer.run(name, call), which rate limits, retries
+// and reports their health. They read the image from image.path of the record they are
+// given, which under the privacy policy may be a downscaled copy rather than the original.
+const REQUIRED_FUNCTIONS = ['extractFeatures', 'compare'];
+
+// Modules in this directory that are not providers
+const SUPPORT_MODULES = ['index.js', 'shared.js', 'featureCache.js', 'requestLayer.js', 'privacyPolicy.js'];
+
+const PROVIDER_CONFIG = {
+  // Extra provider directories, separated like PATH
+  dirs: splitList(process.env.DETECTION_PROVIDER_DIRS, path.delimiter),
+  // e.g. "google=0.5,my-model-server=0.4"; a weight of 0 switches a provider off
+  weights: parseWeights(process.env.PROVIDER_WEIGHTS),
+  disabled: splitList(process.env.DISABLED_PROVIDERS, ','),
+  // e.g. "google=0.85,azure=0.9", overriding the providers' own thresholds
+  thresholds: parseProviderNumbers(process.env.PROVIDER_THRESHOLDS, 'threshold')
+};
+
+class ProviderRegistry {
+  constructor(options = {}) {
+    this.providers = new Map();
+    this.weights = { ...(options.weights || {}) };
+    this.thresholds = { ...(options.thresholds || {}) };
+    this.disabled = new Set(options.disabled || []);
+  }
+
+  register(provider) {
+    validateProvider(provider);
+    if (this.providers.has(provider.name)) {
+      throw new Error(`Provider already registered: ${provider.name}`);
+    }
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  // Heaviest first, so the first provider with a result is the primary one
+  list() {
+    return Array.from(this.providers.values())
+      .sort((a, b) => this.weightFor(b.name) - this.weightFor(a.name) || a.name.localeCompare(b.name));
+  }
+
+  weightFor(name) {
+    if (this.weights[name] !== undefined) return this.weights[name];
+    const provider = this.providers.get(name);
+    return provider ? provider.defaultWeight || 0 : 0;
+  }
+
+  // The similarity at which the provider votes for a match, or fallback when it has none
+  thresholdFor(name, fallback) {
+    if (this.thresholds[name] !== undefined) return this.thresholds[name];
+    const provider = this.providers.get(name);
+    return provider && provider.threshold !== undefined ? provider.threshold : fallback;
+  }
+
+  setWeight(name, weight) {
+    if (!(weight >= 0)) {
+      throw new Error(`Invalid weight for provider ${name}: ${weight}`);
+    }
+    this.weights[name] = weight;
+  }
+
+  // Providers that are enabled, carry weight and report themselves ready to run
+  async available() {
+    const ready = [];
+    for (const provider of this.list()) {
+      if (this.disabled.has(provider.name) || this.weightFor(provider.name) <= 0) continue;
+      try {
+        if (!provider.isConfigured || await provider.isConfigured()) {
+          ready.push(provider);
+        }
+      } catch (error) {
+        console.warn(`Provider ${provider.name} could not check its configuration:`, error.message);
+      }
+    }
+    return ready;
+  }
+
+  // Registers every provider module in dir. A broken plugin is reported and skipped so
+  // it cannot take detection down with it.
+  loadDirectory(dir) {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+    } catch (error) {
+      console.warn(`Could not read provider directory ${dir}:`, error.message);
+      return [];
+    }
+
+    const loaded = [];
+    for (const file of files) {
+      if (dir === __dirname && SUPPORT_MODULES.includes(file)) continue;
+      try {
+        loaded.push(this.register(require(path.join(dir, file))));
+      } catch (error) {
+        console.error(`Could not load provider ${path.join(dir, file)}:`, error.message);
+      }
+    }
+    return loaded;
+  }
+}
+
+function validateProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || !provider.name) {
+    throw new Error('Provider must have a name');
+  }
+  const missing = REQUIRED_FUNCTIONS.filter(name => typeof provider[name] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Provider ${provider.name} must implement ${missing.join(', ')}`);
+  }
+  if (provider.defaultWeight !== undefined && !(provider.defaultWeight >= 0)) {
+    throw new Error(`Provider ${provider.name} has an invalid defaultWeight`);
+  }
+  if (provider.threshold !== undefined && !(provider.threshold >= 0 && provider.threshold <= 1)) {
+    throw new Error(`Provider ${provider.name} has an invalid threshold`);
+  }
+}
+
+// Plain description for logs and the UI
+function describeProvider(provider, registry) {
+  return {
+    name: provider.name,
+    label: provider.label || provider.name,
+    version: provider.version || '1',
+    capabilities: provider.capabilities || [],
+    remote: Boolean(provider.remote),
+    weight: registry ? registry.weightFor(provider.name) : provider.defaultWeight || 0,
+    threshold: registry ? registry.thresholdFor(provider.name, null) : (provider.threshold !== undefined ? provider.threshold : null),
+    hints: provider.hints || {}
+  };
+}
+
+// The built-in providers plus any configured plugin directories
+function createDefaultRegistry(options = {}) {
+  const registry = new ProviderRegistry({
+    weights: options.weights || PROVIDER_CONFIG.weights,
+    thresholds: options.thresholds || PROVIDER_CONFIG.thresholds,
+    disabled: options.disabled || PROVIDER_CONFIG.disabled
+  });
+  [__dirname, ...(options.dirs || PROVIDER_CONFIG.dirs)].forEach(dir => registry.loadDirectory(dir));
+  return registry;
+}
+
+let defaultRegistry = null;
+
+function getDefaultRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = createDefaultRegistry();
+  }
+  return defaultRegistry;
+}
+
+function splitList(value, separator) {
+  return (value || '').split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+function parseWeights(value) {
+  return parseProviderNumbers(value, 'weight');
+}
+
+// "name=number,..." into { name: number }; bad entries are reported and skipped
+function parseProviderNumbers(value, what) {
+  const numbers = {};
+  splitList(value, ',').forEach(entry => {
+    const [name, number] = entry.split('=').map(part => part.trim());
+    const parsed = parseFloat(number);
+    if (name && parsed >= 0) {
+      numbers[name] = parsed;
+    } else {
+      console.warn(`Ignoring provider ${what} "${entry}"`);
+    }
+  });
+  return numbers;
+}
+
+module.exports = {
+  PROVIDER_CONFIG,
+  ProviderRegistry,
+  validateProvider,
+  describeProvider,
+  createDefaultRegistry,
+  getDefaultRegistry,
+  parseWeights,
+  parseProviderNumbers
+};
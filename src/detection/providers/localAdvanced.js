@@ -0,0 +1,107 @@
+const jimp = require('jimp');
+const { computeHash } = require('../perceptualHash');
+const { hashSimilarity } = require('../hashIndex');
+const { compareStructureFiles } = require('../ssim');
+const { extractFeaturesFile, matchFeatures } = require('../featureMatching');
+
+// Weighted average of local methods; perceptual hash and structural similarity weighted higher
+const METHOD_WEIGHTS = {
+  'perceptual-hash': 0.3,
+  'structural-similarity': 0.3,
+  histogram: 0.2,
+  'feature-matching': 0.2
+};
+
+// Everything that can be computed once per image. A method that fails leaves null and
+// scores 0, so one unreadable detail does not sink the comparison.
+async function extractLocalFeatures(image) {
+  // RAW, HEIF and other formats jimp cannot read are compared through their scan proxies
+  const imagePath = image.decodePath || image.path;
+  const attempt = async (name, method) => {
+    try {
+      return await method();
+    } catch (error) {
+      console.warn(`Local ${name} failed for ${image.path}:`, error.message);
+      return null;
+    }
+  };
+  
+  return {
+    path: imagePath,
+    hash: await attempt('perceptual hash', () => computeHash(imagePath, 'perceptual')),
+    histogram: await attempt('histogram', () => generateHistogram(imagePath)),
+    keypoints: await attempt('feature extraction', () => extractFeaturesFile(imagePath))
+  };
+}
+
+async function compareLocalFeatures(features1, features2) {
+  const scores = {
+    'perceptual-hash': features1.hash && features2.hash ? hashSimilarity(features1.hash, features2.hash) : 0,
+    // Windowed MS-SSIM on luminance needs both images at once
+    'structural-similarity': await calculateStructuralSimilarity(features1.path, features2.path),
+    histogram: features1.histogram && features2.histogram ? compareHistograms(features1.histogram, features2.histogram) : 0,
+    // ORB-style keypoints verified with a RANSAC homography, so crops, zooms and
+    // screenshots still match
+    'feature-matching': features1.keypoints && features2.keypoints ? matchFeatures(features1.keypoints, features2.keypoints).similarity : 0
+  };
+  
+  // Icons too small for a structure window are judged on the other methods alone
+  const measured = Object.keys(METHOD_WEIGHTS).filter(method => scores[method] !== null);
+  const totalWeight = measured.reduce((sum, method) => sum + METHOD_WEIGHTS[method], 0);
+  return measured.reduce((sum, method) => sum + scores[method] * METHOD_WEIGHTS[method], 0) / totalWeight;
+}
+
+async function calculateStructuralSimilarity(imagePath1, imagePath2) {
+  try {
+    const { msSsim } = await compareStructureFiles(imagePath1, imagePath2);
+    return msSsim;
+  } catch (error) {
+    console.error('Error calculating structural similarity:', error);
+    return 0;
+  }
+}
+
+async function generateHistogram(imagePath) {
+  const image = await jimp.read(imagePath);
+  const histogram = { r: new Array(256).fill(0), g: new Array(256).fill(0), b: new Array(256).fill(0) };
+  
+  image.scan(0, 0, image.bitmap.width, image.bitmap.height, function(x, y, idx) {
+    histogram.r[this.bitmap.data[idx]]++;
+    histogram.g[this.bitmap.data[idx + 1]]++;
+    histogram.b[this.bitmap.data[idx + 2]]++;
+  });
+  
+  return histogram;
+}
+
+// Histogram intersection per channel, on pixel shares so image size does not matter
+function compareHistograms(hist1, hist2) {
+  let similarity = 0;
+  const channels = ['r', 'g', 'b'];
+  
+  channels.forEach(channel => {
+    const total1 = hist1[channel].reduce((sum, count) => sum + count, 0) || 1;
+    const total2 = hist2[channel].reduce((sum, count) => sum + count, 0) || 1;
+    let intersection = 0;
+    for (let i = 0; i < 256; i++) {
+      intersection += Math.min(hist1[channel][i] / total1, hist2[channel][i] / total2);
+    }
+    similarity += intersection;
+  });
+  
+  return similarity / channels.length;
+}
+
+module.exports = {
+  name: 'local-advanced',
+  label: 'Local Advanced',
+  version: '2',
+  capabilities: Object.keys(METHOD_WEIGHTS),
+  remote: false,
+  defaultWeight: 0.2,
+  confidence: 0.8, // Local methods are good but not as reliable as enterprise APIs
+  hints: { costPerImage: 0, latencyMs: 400 },
+  isConfigured: () => true,
+  extractFeatures: extractLocalFeatures,
+  compare: compareLocalFeatures
+};
@@ -0,0 +1,38 @@
+const { isEmbeddingModelAvailable, openEmbeddingCache, embedImages, cosineSimilarity } = require('../embeddings');
+
+// Opened on first use and saved when the run closes the provider
+let cachePromise = null;
+
+async function embed(image) {
+  if (!cachePromise) cachePromise = openEmbeddingCache();
+  const cache = await cachePromise;
+  const [vector] = await embedImages([image], { cache });
+  if (!vector) {
+    throw new Error(`Could not embed ${image.path}`);
+  }
+  return vector;
+}
+
+async function close() {
+  if (!cachePromise) return;
+  const cache = await cachePromise;
+  cachePromise = null;
+  await cache.save();
+}
+
+// Semantic comparison that never sends the photos anywhere; only available once the
+// model is installed (see EMBEDDING_MODEL_PATH)
+module.exports = {
+  name: 'local-embedding',
+  label: 'Local embedding model',
+  version: '1',
+  capabilities: ['semantic-embedding'],
+  remote: false,
+  defaultWeight: 0.3,
+  confidence: 0.9,
+  hints: { costPerImage: 0, latencyMs: 150 },
+  isConfigured: () => isEmbeddingModelAvailable(),
+  extractFeatures: embed,
+  compare: cosineSimilarity,
+  close
+};
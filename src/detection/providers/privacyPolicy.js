@@ -0,0 +1,250 @@
+const fs = require('fs-extra');
+const path = require('path');
+const jimp = require('jimp');
+
+const UPLOAD_BLOCKED = 'UPLOAD_BLOCKED';
+
+// What may leave this machine for a remote provider
+const PRIVACY_MODES = {
+  'local-only': 'Nothing is uploaded; cloud providers are switched off',
+  proxy: 'Only downscaled copies without metadata are uploaded',
+  full: 'Original files are uploaded'
+};
+
+const PRIVACY_CONFIG = {
+  mode: process.env.PRIVACY_MODE || 'full',
+  // Longest side of an uploaded copy, in pixels
+  proxyMaxSize: parseInt(process.env.PRIVACY_PROXY_SIZE, 10) || 1024,
+  proxyQuality: 85,
+  proxyDir: path.join(__dirname, '../../temp/upload-proxies'),
+  auditDir: path.join(__dirname, '../../logs/uploads')
+};
+
+function resolvePrivacyMode(mode = PRIVACY_CONFIG.mode) {
+  if (!PRIVACY_MODES[mode]) {
+    throw new Error(`Unknown privacy mode: ${mode}`);
+  }
+  return mode;
+}
+
+// One detection run's upload policy. Remote providers only ever see an image through
+// run(), which hands them the original or a proxy according to the mode and records
+// every file that was sent. close() writes the run's audit and removes the proxies.
+class PrivacyPolicy {
+  constructor(options = {}) {
+    this.mode = resolvePrivacyMode(options.mode || PRIVACY_CONFIG.mode);
+    this.proxyMaxSize = options.proxyMaxSize || PRIVACY_CONFIG.proxyMaxSize;
+    this.proxyQuality = options.proxyQuality || PRIVACY_CONFIG.proxyQuality;
+    this.runId = options.runId || Date.now().toString();
+    this.proxyDir = path.join(options.proxyDir || PRIVACY_CONFIG.proxyDir, this.runId);
+    this.auditPath = path.join(options.auditDir || PRIVACY_CONFIG.auditDir, `upload-audit-${this.runId}.json`);
+    this.startedAt = new Date().toISOString();
+    this.proxies = new Map();
+    this.proxyCount = 0;
+    this.uploads = [];
+    this.blocked = new Set();
+  }
+
+  allows(provider) {
+    return !provider.remote || this.mode !== 'local-only';
+  }
+
+  // The providers this run may use; the ones the mode switches off are named in the audit
+  filter(providers) {
+    return providers.filter(provider => {
+      if (this.allows(provider)) return true;
+      this.blocked.add(provider.name);
+      return false;
+    });
+  }
+
+  // The feature-cache key of an image for a provider. A remote provider's features depend
+  // on what it was shown, so features of an original and of a proxy of some size are kept
+  // apart and never stand in for one another.
+  cacheKey(provider, image) {
+    const key = image.hash || image.path;
+    if (!provider.remote) return key;
+    return this.mode === 'proxy' ? `${key}:proxy-${this.proxyMaxSize}` : `${key}:original`;
+  }
+
+  // Calls task with the image record the provider may see: the scanned record for local
+  // providers, and for remote ones the original or a proxy record that carries no name
+  // or path of the original. A failed call is recorded too, since the image may have
+  // reached the provider before it failed.
+  async run(provider, image, task) {
+    if (!provider.remote) return task(image);
+
+    const upload = await this.prepare(provider, image);
+    try {
+      const result = await task(upload.image);
+      this.record(provider, image, upload, 'sent');
+      return result;
+    } catch (error) {
+      this.record(provider, image, upload, 'failed', error);
+      throw error;
+    }
+  }
+
+  async prepare(provider, image) {
+    if (this.mode === 'local-only') {
+      const error = new Error(`${provider.label || provider.name} would upload ${image.path}, but uploads are switched off`);
+      error.code = UPLOAD_BLOCKED;
+      throw error;
+    }
+
+    if (this.mode === 'full') {
+      const bytes = image.size !== undefined ? image.size : (await fs.stat(image.path)).size;
+      const original = { bytes, width: image.width || null, height: image.height || null };
+      return {
+        image,
+        original,
+        sent: { ...original, format: image.format || path.extname(image.path).slice(1).toLowerCase(), metadata: 'original' }
+      };
+    }
+
+    const proxy = await this.proxyFor(image);
+    return {
+      image: {
+        path: proxy.path,
+        hash: image.hash,
+        format: 'jpeg',
+        width: proxy.width,
+        height: proxy.height,
+        resolution: proxy.width * proxy.height,
+        size: proxy.bytes
+      },
+      original: proxy.original,
+      sent: { bytes: proxy.bytes, width: proxy.width, height: proxy.height, format: 'jpeg', metadata: 'stripped' }
+    };
+  }
+
+  // One proxy per image and run, shared by every provider
+  proxyFor(image) {
+    const key = image.hash || image.path;
+    if (!this.proxies.has(key)) {
+      const proxy = this.createProxy(image, this.proxyCount++);
+      // A failed proxy is not remembered, so the next provider can try again
+      proxy.catch(() => this.proxies.delete(key));
+      this.proxies.set(key, proxy);
+    }
+    return this.proxies.get(key);
+  }
+
+  async createProxy(image, index) {
+    const picture = await jimp.read(image.decodePath || image.path);
+    const original = {
+      bytes: image.size !== undefined ? image.size : (await fs.stat(image.path)).size,
+      width: picture.bitmap.width,
+      height: picture.bitmap.height
+    };
+
+    if (Math.max(original.width, original.height) > this.proxyMaxSize) {
+      picture.scaleToFit(this.proxyMaxSize, this.proxyMaxSize);
+    }
+
+    // Re-encoding keeps only the pixels: EXIF (GPS, camera serials), XMP, IPTC and
+    // comments of the original are left behind. The decoder holds on to the EXIF block
+    // and the encoder would write it back out, so it is dropped first; the orientation
+    // it carried has already been applied to the pixels.
+    delete picture.bitmap.exifBuffer;
+    const buffer = await picture.quality(this.proxyQuality).getBufferAsync(jimp.MIME_JPEG);
+    const proxyPath = path.join(this.proxyDir, `proxy-${index}.jpg`);
+    await fs.ensureDir(this.proxyDir);
+    await fs.writeFile(proxyPath, buffer);
+
+    return {
+      path: proxyPath,
+      bytes: buffer.length,
+      width: picture.bitmap.width,
+      height: picture.bitmap.height,
+      original
+    };
+  }
+
+  record(provider, image, upload, status, error) {
+    this.uploads.push({
+      file: image.path,
+      hash: image.hash || null,
+      provider: provider.name,
+      status,
+      ...(error ? { error: error.message } : {}),
+      sent: upload.sent,
+      original: upload.original,
+      at: new Date().toISOString()
+    });
+  }
+
+  summary() {
+    const providers = {};
+    this.uploads.forEach(upload => {
+      const totals = providers[upload.provider] || (providers[upload.provider] = { files: new Set(), bytes: 0 });
+      totals.files.add(upload.file);
+      totals.bytes += upload.sent.bytes;
+    });
+
+    return {
+      runId: this.runId,
+      mode: this.mode,
+      files: new Set(this.uploads.map(upload => upload.file)).size,
+      uploads: this.uploads.length,
+      bytesSent: this.uploads.reduce((sum, upload) => sum + upload.sent.bytes, 0),
+      providers: Object.fromEntries(Object.entries(providers)
+        .map(([name, totals]) => [name, { files: totals.files.size, bytes: totals.bytes }])),
+      blocked: Array.from(this.blocked),
+      auditPath: this.auditPath
+    };
+  }
+
+  describe() {
+    return {
+      mode: this.mode,
+      description: PRIVACY_MODES[this.mode],
+      proxyMaxSize: this.mode === 'proxy' ? this.proxyMaxSize : null
+    };
+  }
+
+  // Writes the audit even when nothing was sent, so every run has a record
+  async close() {
+    const summary = this.summary();
+    const audit = {
+      runId: this.runId,
+      mode: this.mode,
+      proxy: this.mode === 'proxy' ? { maxSize: this.proxyMaxSize, quality: this.proxyQuality } : null,
+      startedAt: this.startedAt,
+      finishedAt: new Date().toISOString(),
+      files: summary.files,
+      bytesSent: summary.bytesSent,
+      providers: summary.providers,
+      blockedProviders: summary.blocked,
+      uploads: this.uploads
+    };
+
+    try {
+      await fs.ensureDir(path.dirname(this.auditPath));
+      await fs.writeFile(this.auditPath, JSON.stringify(audit, null, 2));
+    } catch (error) {
+      console.error('Could not write upload audit:', error.message);
+    }
+
+    try {
+      await fs.remove(this.proxyDir);
+    } catch (error) {
+      console.warn('Could not remove upload proxies:', error.message);
+    }
+
+    return summary;
+  }
+}
+
+function isUploadBlocked(error) {
+  return Boolean(error) && error.code === UPLOAD_BLOCKED;
+}
+
+module.exports = {
+  PRIVACY_MODES,
+  PRIVACY_CONFIG,
+  UPLOAD_BLOCKED,
+  PrivacyPolicy,
+  resolvePrivacyMode,
+  isUploadBlocked
+};
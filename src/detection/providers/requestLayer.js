@@ -0,0 +1,281 @@
+const { EventEmitter } = require('events');
+
+const CIRCUIT_OPEN = 'CIRCUIT_OPEN';
+
+// Every call a remote provider makes goes through its gate. Limits apply per provider,
+// so a slow or failing API never holds up the others.
+const REQUEST_CONFIG = {
+  maxConcurrent: parseInt(process.env.MAX_CONCURRENT_REQUESTS, 10) || 3,
+  // Minimum gap between the starts of two requests to one provider
+  minIntervalMs: parseInt(process.env.REQUEST_DELAY_MS, 10) || 200,
+  retryAttempts: parseInt(process.env.API_RETRY_ATTEMPTS, 10) || 3,
+  // Exponential backoff with full jitter: a random wait up to base * 2^attempt
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  // Consecutive failed requests that open the circuit, and how long it stays open
+  // before a single trial request is let through
+  failureThreshold: 5,
+  cooldownMs: 60000
+};
+
+// Request errors about one image (a file the API rejects) say nothing about the
+// provider's health, so they are neither retried nor counted against it
+const CLIENT_ERRORS = [400, 404, 413, 415, 422];
+
+// Throttling and transient network failures are worth retrying
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE',
+  'ThrottlingException', 'ProvisionedThroughputExceededException', 'TooManyRequestsException'];
+
+class ProviderGate extends EventEmitter {
+  constructor(provider, options = {}) {
+    super();
+    this.provider = provider;
+    this.config = { ...REQUEST_CONFIG, ...options };
+    this.active = 0;
+    this.waiting = [];
+    this.nextStart = 0;
+    this.circuit = 'closed';
+    this.consecutiveFailures = 0;
+    this.openUntil = 0;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.retryAt = null;
+    this.stats = { requests: 0, retries: 0, failures: 0 };
+    this.state = 'healthy';
+  }
+
+  // Runs task (a function returning a promise for one API call) within the limits,
+  // retrying throttled and failed calls. Throws the last error once retries run out, or
+  // a CIRCUIT_OPEN error without calling the API while the provider is considered down.
+  async run(task) {
+    const trial = this.admit();
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        let result;
+        let failure = null;
+
+        await this.acquire();
+        try {
+          this.stats.requests++;
+          result = await task();
+        } catch (error) {
+          failure = error;
+        } finally {
+          this.release();
+        }
+
+        // The provider answered, even if it turned this image down
+        if (!failure || !countsAgainstProvider(failure)) {
+          this.recordSuccess();
+          if (failure) throw failure;
+          return result;
+        }
+
+        this.lastError = describeError(failure);
+        const delay = this.retryDelay(failure, attempt);
+        if (delay === null) {
+          this.recordFailure();
+          throw failure;
+        }
+
+        this.stats.retries++;
+        this.retryAt = Date.now() + delay;
+        this.update('degraded');
+        await sleep(delay);
+      }
+    } finally {
+      if (trial) this.trialInFlight = false;
+    }
+  }
+
+  // Returns whether this call is the one trial request of a half-open circuit
+  admit() {
+    if (this.circuit === 'closed') return false;
+
+    if (this.circuit === 'open' && Date.now() >= this.openUntil) {
+      this.circuit = 'half-open';
+    }
+    if (this.circuit === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    const error = new Error(`${this.provider} is paused after repeated failures (${this.lastError || 'unknown error'}); ` +
+      `trying again after ${new Date(this.openUntil).toLocaleTimeString()}`);
+    error.code = CIRCUIT_OPEN;
+    throw error;
+  }
+
+  async acquire() {
+    while (this.active >= this.config.maxConcurrent) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    this.active++;
+
+    // Space request starts out; the slot is reserved before waiting so concurrent
+    // callers queue behind each other instead of all starting together
+    const now = Date.now();
+    const start = Math.max(now, this.nextStart);
+    this.nextStart = start + this.config.minIntervalMs;
+    if (start > now) await sleep(start - now);
+  }
+
+  release() {
+    this.active--;
+    const next = this.waiting.shift();
+    if (next) next();
+  }
+
+  // Milliseconds to wait before retrying, or null when the error is final
+  retryDelay(error, attempt) {
+    if (attempt >= this.config.retryAttempts || !isRetryable(error)) return null;
+
+    const retryAfter = retryAfterMs(error);
+    if (retryAfter !== null) {
+      // Asked to stay away for longer than a retry is worth: treat the provider as
+      // down until then rather than holding the run up
+      if (retryAfter > this.config.maxDelayMs) {
+        this.openCircuit(retryAfter);
+        return null;
+      }
+      return retryAfter;
+    }
+
+    const ceiling = Math.min(this.config.maxDelayMs, this.config.baseDelayMs * Math.pow(2, attempt));
+    return Math.round(Math.random() * ceiling);
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.circuit = 'closed';
+    this.retryAt = null;
+    this.update('healthy');
+  }
+
+  recordFailure() {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+
+    // Already opened for as long as a Retry-After asked for
+    if (this.circuit === 'open') return;
+
+    if (this.circuit === 'half-open' || this.consecutiveFailures >= this.config.failureThreshold) {
+      this.openCircuit(this.config.cooldownMs);
+    } else {
+      this.update('degraded');
+    }
+  }
+
+  openCircuit(duration) {
+    this.circuit = 'open';
+    this.openUntil = Date.now() + duration;
+    this.retryAt = this.openUntil;
+    this.update('down');
+  }
+
+  health() {
+    return {
+      provider: this.provider,
+      state: this.state,
+      circuit: this.circuit,
+      consecutiveFailures: this.consecutiveFailures,
+      lastError: this.lastError,
+      retryAt: this.retryAt ? new Date(this.retryAt).toISOString() : null,
+      stats: { ...this.stats }
+    };
+  }
+
+  // Reports every change, and every problem while there is one, but not each success
+  update(state) {
+    const changed = state !== this.state;
+    this.state = state;
+    if (changed || state !== 'healthy') {
+      this.emit('health', this.health());
+    }
+  }
+}
+
+// One gate per remote provider for the life of the process. Emits 'health' with a
+// provider's health whenever it changes.
+class RequestLayer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.gates = new Map();
+  }
+
+  gate(provider, options = {}) {
+    if (!this.gates.has(provider)) {
+      const gate = new ProviderGate(provider, { ...this.options, ...options });
+      gate.on('health', health => this.emit('health', health));
+      this.gates.set(provider, gate);
+    }
+    return this.gates.get(provider);
+  }
+
+  run(provider, task, options) {
+    return this.gate(provider, options).run(task);
+  }
+
+  health() {
+    return Array.from(this.gates.values()).map(gate => gate.health());
+  }
+}
+
+const requestLayer = new RequestLayer();
+
+function isCircuitOpen(error) {
+  return Boolean(error) && error.code === CIRCUIT_OPEN;
+}
+
+// Status code of an axios or AWS SDK error
+function statusOf(error) {
+  if (error.response && error.response.status) return error.response.status;
+  return error.statusCode || null;
+}
+
+function isRetryable(error) {
+  const status = statusOf(error);
+  if (status === 429 || status >= 500) return true;
+  if (RETRYABLE_CODES.includes(error.code)) return true;
+  // The AWS SDK marks throttling and transient errors itself
+  return status === null && error.retryable === true;
+}
+
+function countsAgainstProvider(error) {
+  return !CLIENT_ERRORS.includes(statusOf(error));
+}
+
+// Retry-After in seconds or as an HTTP date, in milliseconds from now
+function retryAfterMs(error) {
+  const headers = (error.response && error.response.headers) || {};
+  const value = headers['retry-after'] || headers['Retry-After'];
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function describeError(error) {
+  const status = statusOf(error);
+  return status ? `HTTP ${status}: ${error.message}` : error.message;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  REQUEST_CONFIG,
+  CIRCUIT_OPEN,
+  ProviderGate,
+  RequestLayer,
+  requestLayer,
+  isCircuitOpen,
+  isRetryable,
+  retryAfterMs
+};
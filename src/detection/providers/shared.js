@@ -0,0 +1,69 @@
+// Helpers shared by the built-in providers
+
+// Per request to a remote provider
+const REQUEST_TIMEOUT_MS = parseInt(process.env.API_TIMEOUT_MS, 10) || 30000;
+
+// Unset keys and the placeholders from .env.example ('your-...', 'demo-...') do not count
+function hasCredential(value) {
+  return typeof value === 'string' && value.trim() !== '' && !/^(your|demo)-/i.test(value.trim());
+}
+
+// Jaccard similarity of two lists of names
+function calculateArraySimilarity(array1, array2) {
+  if (array1.length === 0 && array2.length === 0) return 1;
+  if (array1.length === 0 || array2.length === 0) return 0;
+  
+  const set1 = new Set(array1);
+  const set2 = new Set(array2);
+  const intersection = new Set([...set1].filter(x => set2.has(x)));
+  const union = new Set([...set1, ...set2]);
+  
+  return intersection.size / union.size;
+}
+
+// Each of the top 5 dominant colours is matched with the closest colour of the other
+// image, weighted by how much of its image it covers. Averaging every colour against
+// every other one would score an image against itself well below 1.
+function calculateColorSimilarity(colors1, colors2) {
+  if (!colors1.length || !colors2.length) return 0;
+  
+  const top1 = colors1.slice(0, 5);
+  const top2 = colors2.slice(0, 5);
+  return (closestColorSimilarity(top1, top2) + closestColorSimilarity(top2, top1)) / 2;
+}
+
+function closestColorSimilarity(from, to) {
+  let totalSimilarity = 0;
+  let totalWeight = 0;
+  
+  from.forEach(entry => {
+    const weight = entry.pixelFraction || entry.score || 1;
+    const closest = Math.max(...to.map(other => calculateSingleColorSimilarity(entry.color, other.color)));
+    totalSimilarity += closest * weight;
+    totalWeight += weight;
+  });
+  
+  return totalWeight > 0 ? totalSimilarity / totalWeight : 0;
+}
+
+function calculateSingleColorSimilarity(color1, color2) {
+  const r1 = color1.red || 0;
+  const g1 = color1.green || 0;
+  const b1 = color1.blue || 0;
+  
+  const r2 = color2.red || 0;
+  const g2 = color2.green || 0;
+  const b2 = color2.blue || 0;
+  
+  const distance = Math.sqrt(Math.pow(r1 - r2, 2) + Math.pow(g1 - g2, 2) + Math.pow(b1 - b2, 2));
+  const maxDistance = Math.sqrt(3 * Math.pow(255, 2));
+  
+  return 1 - (distance / maxDistance);
+}
+
+module.exports = {
+  REQUEST_TIMEOUT_MS,
+  hasCredential,
+  calculateArraySimilarity,
+  calculateColorSimilarity
+};
@@ -0,0 +1,217 @@
+const jimp = require('jimp');
+
+const SSIM_CONFIG = {
+  // Both images are compared at this short side (or the smaller image's, if less)
+  size: 192,
+  // Aspect ratios further apart than this are different framings, not re-encodes
+  aspectTolerance: 0.05,
+  windowSize: 11,
+  sigma: 1.5
+};
+
+// Standard constants for 8-bit data (Wang et al. 2004)
+const DYNAMIC_RANGE = 255;
+const C1 = (0.01 * DYNAMIC_RANGE) ** 2;
+const C2 = (0.03 * DYNAMIC_RANGE) ** 2;
+
+// Per-scale weights from the MS-SSIM paper (Wang, Simoncelli and Bovik 2003)
+const MS_SSIM_WEIGHTS = [0.0448, 0.2856, 0.3001, 0.2363, 0.1333];
+
+// Structural comparison of two decoded jimp images on luminance. Both are resized to a
+// common size that keeps their aspect ratio; images whose aspect ratios differ are not
+// the same picture and score 0. Images smaller than one window cannot be measured and
+// score null. Returns { ssim, msSsim, width, height, aspectMismatch }.
+function compareStructure(image1, image2, options = {}) {
+  const config = { ...SSIM_CONFIG, ...options };
+  const size = commonSize(image1.bitmap, image2.bitmap, config);
+
+  if (!size) {
+    return { ssim: 0, msSsim: 0, width: 0, height: 0, aspectMismatch: true };
+  }
+
+  const plane1 = luminance(image1, size.width, size.height);
+  const plane2 = luminance(image2, size.width, size.height);
+  const kernel = gaussianKernel(config.windowSize, config.sigma);
+
+  return {
+    ssim: ssim(plane1, plane2, size.width, size.height, kernel),
+    msSsim: msSsim(plane1, plane2, size.width, size.height, kernel),
+    width: size.width,
+    height: size.height,
+    aspectMismatch: false
+  };
+}
+
+async function compareStructureFiles(imagePath1, imagePath2, options = {}) {
+  const [image1, image2] = await Promise.all([jimp.read(imagePath1), jimp.read(imagePath2)]);
+  return compareStructure(image1, image2, options);
+}
+
+function commonSize(bitmap1, bitmap2, config) {
+  const aspect1 = bitmap1.width / bitmap1.height;
+  const aspect2 = bitmap2.width / bitmap2.height;
+  if (Math.abs(Math.log(aspect1 / aspect2)) > Math.log(1 + config.aspectTolerance)) {
+    return null;
+  }
+
+  // Never upscale: a small re-encode is compared at its own resolution
+  const shortSide = Math.min(
+    config.size,
+    Math.min(bitmap1.width, bitmap1.height),
+    Math.min(bitmap2.width, bitmap2.height)
+  );
+  const aspect = Math.sqrt(aspect1 * aspect2);
+
+  return aspect >= 1
+    ? { width: Math.round(shortSide * aspect), height: shortSide }
+    : { width: shortSide, height: Math.round(shortSide / aspect) };
+}
+
+function luminance(image, width, height) {
+  const data = image.clone().resize(width, height, jimp.RESIZE_BILINEAR).bitmap.data;
+  const plane = new Float64Array(width * height);
+  for (let i = 0; i < plane.length; i++) {
+    plane[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return plane;
+}
+
+// Mean SSIM over all full windows, or null when not even one window fits
+function ssim(plane1, plane2, width, height, kernel = gaussianKernel(SSIM_CONFIG.windowSize, SSIM_CONFIG.sigma)) {
+  if (Math.min(width, height) < kernel.length) {
+    return null;
+  }
+  return ssimMaps(plane1, plane2, width, height, kernel).ssim;
+}
+
+// Contrast-structure is taken at every scale and luminance only at the coarsest.
+// Scales that would be smaller than one window are dropped and the weights renormalised.
+function msSsim(plane1, plane2, width, height, kernel = gaussianKernel(SSIM_CONFIG.windowSize, SSIM_CONFIG.sigma)) {
+  if (Math.min(width, height) < kernel.length) {
+    return null;
+  }
+
+  let levels = 1;
+  while (levels < MS_SSIM_WEIGHTS.length && Math.min(width, height) >> levels >= kernel.length) {
+    levels++;
+  }
+  const weights = MS_SSIM_WEIGHTS.slice(0, levels);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  let a = plane1;
+  let b = plane2;
+  let w = width;
+  let h = height;
+  let score = 1;
+
+  for (let level = 0; level < levels; level++) {
+    const maps = ssimMaps(a, b, w, h, kernel);
+    const value = level === levels - 1 ? maps.ssim : maps.cs;
+    // Negative correlation means no structural match at this scale
+    score *= Math.max(value, 0) ** (weights[level] / totalWeight);
+
+    if (level < levels - 1) {
+      a = downsample(a, w, h);
+      b = downsample(b, w, h);
+      w = Math.floor(w / 2);
+      h = Math.floor(h / 2);
+    }
+  }
+
+  return score;
+}
+
+function ssimMaps(plane1, plane2, width, height, kernel) {
+  const products11 = new Float64Array(plane1.length);
+  const products22 = new Float64Array(plane1.length);
+  const products12 = new Float64Array(plane1.length);
+  for (let i = 0; i < plane1.length; i++) {
+    products11[i] = plane1[i] * plane1[i];
+    products22[i] = plane2[i] * plane2[i];
+    products12[i] = plane1[i] * plane2[i];
+  }
+
+  const mu1 = blur(plane1, width, height, kernel);
+  const mu2 = blur(plane2, width, height, kernel);
+  const sigma11 = blur(products11, width, height, kernel);
+  const sigma22 = blur(products22, width, height, kernel);
+  const sigma12 = blur(products12, width, height, kernel);
+
+  let ssimSum = 0;
+  let csSum = 0;
+  const count = mu1.length;
+  for (let i = 0; i < count; i++) {
+    const variance1 = sigma11[i] - mu1[i] * mu1[i];
+    const variance2 = sigma22[i] - mu2[i] * mu2[i];
+    const covariance = sigma12[i] - mu1[i] * mu2[i];
+
+    const cs = (2 * covariance + C2) / (variance1 + variance2 + C2);
+    const l = (2 * mu1[i] * mu2[i] + C1) / (mu1[i] * mu1[i] + mu2[i] * mu2[i] + C1);
+    csSum += cs;
+    ssimSum += l * cs;
+  }
+
+  return { ssim: ssimSum / count, cs: csSum / count };
+}
+
+// Separable Gaussian filter over the 'valid' region only, so borders are never padded
+function blur(plane, width, height, kernel) {
+  const k = kernel.length;
+  const outWidth = width - k + 1;
+  const outHeight = height - k + 1;
+
+  const horizontal = new Float64Array(outWidth * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sum = 0;
+      for (let i = 0; i < k; i++) {
+        sum += plane[y * width + x + i] * kernel[i];
+      }
+      horizontal[y * outWidth + x] = sum;
+    }
+  }
+
+  const result = new Float64Array(outWidth * outHeight);
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sum = 0;
+      for (let i = 0; i < k; i++) {
+        sum += horizontal[(y + i) * outWidth + x] * kernel[i];
+      }
+      result[y * outWidth + x] = sum;
+    }
+  }
+  return result;
+}
+
+function gaussianKernel(size, sigma) {
+  const centre = (size - 1) / 2;
+  const kernel = [];
+  for (let i = 0; i < size; i++) {
+    kernel.push(Math.exp(-((i - centre) ** 2) / (2 * sigma * sigma)));
+  }
+  const total = kernel.reduce((sum, value) => sum + value, 0);
+  return kernel.map(value => value / total);
+}
+
+// 2x2 average pooling
+function downsample(plane, width, height) {
+  const halfWidth = Math.floor(width / 2);
+  const halfHeight = Math.floor(height / 2);
+  const result = new Float64Array(halfWidth * halfHeight);
+  for (let y = 0; y < halfHeight; y++) {
+    for (let x = 0; x < halfWidth; x++) {
+      const top = 2 * y * width + 2 * x;
+      result[y * halfWidth + x] = (plane[top] + plane[top + 1] + plane[top + width] + plane[top + width + 1]) / 4;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  SSIM_CONFIG,
+  compareStructure,
+  compareStructureFiles,
+  ssim,
+  msSsim
+};
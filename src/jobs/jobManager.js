@@ -0,0 +1,191 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+const JOB_CANCELLED = 'JOB_CANCELLED';
+
+// A long-running operation (scan, detection, deletion). Workers poll it through
+// checkpoint() between units of work, so pausing and cancelling only ever take
+// effect at points where the operation's state is consistent. Emits 'status'.
+class Job extends EventEmitter {
+  constructor(type) {
+    super();
+    this.id = `${type}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+    this.type = type;
+    this.status = 'running';
+    this.startedAt = new Date().toISOString();
+    this.controller = new AbortController();
+    this.resumeWaiters = [];
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  get cancelled() {
+    return this.signal.aborted;
+  }
+
+  pause() {
+    if (this.status !== 'running') return false;
+    this.setStatus('paused');
+    return true;
+  }
+
+  resume() {
+    if (this.status !== 'paused') return false;
+    this.setStatus('running');
+    this.releaseWaiters();
+    return true;
+  }
+
+  cancel(reason = 'Cancelled by user') {
+    if (this.cancelled || this.isFinished()) return false;
+
+    const error = new Error(reason);
+    error.code = JOB_CANCELLED;
+    this.controller.abort(error);
+    this.setStatus('cancelling');
+    // Paused work has to wake up to notice the cancellation
+    this.releaseWaiters();
+    return true;
+  }
+
+  // Throws once cancelled, and blocks for as long as the job is paused
+  async checkpoint() {
+    this.signal.throwIfAborted();
+
+    while (this.status === 'paused') {
+      await new Promise(resolve => this.resumeWaiters.push(resolve));
+      this.signal.throwIfAborted();
+    }
+  }
+
+  finish(status) {
+    this.setStatus(status);
+    this.finishedAt = new Date().toISOString();
+    this.releaseWaiters();
+  }
+
+  isFinished() {
+    return ['completed', 'cancelled', 'failed'].includes(this.status);
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.emit('status', status);
+  }
+
+  releaseWaiters() {
+    const waiters = this.resumeWaiters;
+    this.resumeWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      status: this.status,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt || null
+    };
+  }
+}
+
+class JobManager extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+  }
+
+  create(type) {
+    const job = new Job(type);
+    job.on('status', () => this.emit('update', job.toJSON()));
+    this.jobs.set(job.id, job);
+    this.emit('update', job.toJSON());
+    return job;
+  }
+
+  // Runs task(job) as a tracked job and settles its final status
+  async run(type, task) {
+    const job = this.create(type);
+
+    try {
+      const result = await task(job);
+      job.finish(job.cancelled ? 'cancelled' : 'completed');
+      return result;
+    } catch (error) {
+      job.finish(isCancellation(error) ? 'cancelled' : 'failed');
+      throw error;
+    } finally {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values()).map(job => job.toJSON());
+  }
+
+  pause(id) {
+    const job = this.requireJob(id);
+    return job.pause();
+  }
+
+  resume(id) {
+    const job = this.requireJob(id);
+    return job.resume();
+  }
+
+  cancel(id, reason) {
+    const job = this.requireJob(id);
+    return job.cancel(reason);
+  }
+
+  cancelAll(reason) {
+    return Array.from(this.jobs.values()).filter(job => job.cancel(reason)).map(job => job.id);
+  }
+
+  requireJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error(`No running job with id ${id}`);
+    }
+    return job;
+  }
+}
+
+// Operations accept an optional job; without one they run uninterruptibly as before
+async function checkpoint(job) {
+  if (job) {
+    await job.checkpoint();
+  }
+}
+
+// Like checkpoint(), but reports cancellation by returning true instead of throwing,
+// for operations that hand back partial results when stopped
+async function stopRequested(job) {
+  try {
+    await checkpoint(job);
+    return false;
+  } catch (error) {
+    if (isCancellation(error)) return true;
+    throw error;
+  }
+}
+
+function isCancellation(error) {
+  return Boolean(error && error.code === JOB_CANCELLED);
+}
+
+module.exports = {
+  JobManager,
+  Job,
+  JOB_CANCELLED,
+  checkpoint,
+  stopRequested,
+  isCancellation
+};
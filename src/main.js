@@ -1,13 +1,39 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs-extra');
-const { scanFolder } = require('./scanner/fileScanner');
+const { scanFolders, retryScanErrors, renderThumbnail } = require('./scanner/fileScanner');
 const { detectDuplicates } = require('./detection/aiDetectionSimplified');
+const { confirmWithProviders, usesCloudProviders, estimateProviderCost } = require('./detection/aiDetectionEnterprise');
+const { requestLayer } = require('./detection/providers/requestLayer');
 const { deleteFiles } = require('./deletion/deletionManagerSimple');
 const DataSafetyManager = require('./safety/dataSafetyManager');
+const ScanIndex = require('./scanner/scanIndex');
+const { ThumbnailCache, THUMBNAIL_SIZES } = require('./scanner/thumbnailCache');
+const { JobManager, isCancellation } = require('./jobs/jobManager');
+const { SessionStore, isInterrupted } = require('./sessions/sessionStore');
+const { KeeperPolicyStore, parsePolicyRules, formatPolicyRules } = require('./detection/keeperPolicy');
 
 let mainWindow;
 let safetyManager;
+let scanIndex;
+let thumbnailCache;
+let sessionStore;
+let keeperPolicyStore;
+
+// Every long-running operation runs as a job the renderer can pause, resume or cancel
+const jobManager = new JobManager();
+jobManager.on('update', (job) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('job-update', job);
+  }
+});
+
+// Cloud provider retries and outages show on the provider indicators as they happen
+requestLayer.on('health', (health) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('provider-health', health);
+  }
+});
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -34,6 +60,20 @@ app.whenReady().then(async () => {
   safetyManager = new DataSafetyManager();
   await safetyManager.initializeSafety();
   
+  // Load the persistent scan index so rescans only process changed files
+  scanIndex = new ScanIndex();
+  await scanIndex.load();
+  
+  // Thumbnails are shared across sessions and trimmed to a size cap
+  thumbnailCache = new ThumbnailCache();
+  await thumbnailCache.load();
+  
+  // Sessions are checkpointed to disk so interrupted runs can be resumed after a restart
+  sessionStore = new SessionStore();
+  
+  // Built-in and saved rules for which copy of a duplicate to keep
+  keeperPolicyStore = new KeeperPolicyStore();
+  
   createWindow();
 });
 
@@ -52,102 +92,304 @@ app.on('activate', () => {
 // IPC handlers with enhanced safety
 ipcMain.handle('select-folder', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
-    properties: ['openDirectory'],
-    title: 'Select folder to scan for duplicate images'
+    properties: ['openDirectory', 'multiSelections'],
+    title: 'Select folders to scan for duplicate images'
   });
   
   if (!result.canceled && result.filePaths.length > 0) {
-    return result.filePaths[0];
+    return result.filePaths;
   }
   return null;
 });
 
-ipcMain.handle('scan-folder', async (event, folderPath) => {
+// Accepts a single path or a list of { path, label } roots
+// session: { id } to resume an interrupted session, plus { preferredRoot } for new ones
+ipcMain.handle('scan-folder', async (event, roots, walkOptions = {}, session = {}) => {
+  const rootList = Array.isArray(roots) ? roots : [roots];
+  const sessionId = session.id
+    ? (await sessionStore.update(session.id, { status: 'scanning' })).id
+    : (await sessionStore.create({ roots: rootList, walkOptions, preferredRoot: session.preferredRoot || null })).id;
+  
   try {
-    const images = await scanFolder(folderPath, (progress) => {
-      event.sender.send('scan-progress', progress);
+    return await jobManager.run('scan', async (job) => {
+      // Unchanged files come straight from the scan index, which is checkpointed
+      // during the scan, so resuming only processes what was not finished
+      const { images, changes, errors } = await scanFolders(rootList, (progress) => {
+        event.sender.send('scan-progress', { ...progress, jobId: job.id });
+      }, { index: scanIndex, thumbnailCache, walk: walkOptions, job });
+      
+      // Create pre-analysis backup for maximum safety
+      const backupId = await safetyManager.createPreAnalysisBackup(images);
+      
+      await sessionStore.saveData(sessionId, 'images', images);
+      await sessionStore.saveData(sessionId, 'errors', errors);
+      await sessionStore.update(sessionId, { status: 'scanned', imageCount: images.length, changes, backupId });
+      
+      return { images, backupId, changes, errors, sessionId };
     });
-    
-    // Create pre-analysis backup for maximum safety
-    const backupId = await safetyManager.createPreAnalysisBackup(images);
-    
-    return { images, backupId };
   } catch (error) {
+    if (isCancellation(error)) {
+      await sessionStore.update(sessionId, { status: 'cancelled' });
+      return { cancelled: true };
+    }
+    await sessionStore.update(sessionId, { status: 'failed', error: error.message });
     console.error('Error scanning folder:', error);
     throw error;
   }
 });
 
-ipcMain.handle('detect-duplicates', async (event, images) => {
+ipcMain.handle('retry-scan-errors', async (event, failures, walkOptions = {}, sessionId = null) => {
   try {
-    event.sender.send('detection-progress', {
-      current: 0,
-      total: images.length,
-      percentage: 0,
-      stage: 'Initializing Enterprise AI Detection',
-      provider: 'multi-provider',
-      confidence: '99%'
-    });
-    
-    const duplicates = await detectDuplicates(images, (progress) => {
-      event.sender.send('detection-progress', progress);
+    return await jobManager.run('scan', async (job) => {
+      const { images, errors } = await retryScanErrors(failures, (progress) => {
+        event.sender.send('scan-progress', { ...progress, jobId: job.id });
+      }, { index: scanIndex, thumbnailCache, walk: walkOptions, job });
+      
+      if (sessionId) {
+        const saved = await sessionStore.loadData(sessionId, 'images') || [];
+        const known = new Set(saved.map(image => image.path));
+        const merged = [...saved, ...images.filter(image => !known.has(image.path))];
+        await sessionStore.saveData(sessionId, 'images', merged);
+        await sessionStore.saveData(sessionId, 'errors', errors);
+        await sessionStore.update(sessionId, { imageCount: merged.length });
+      }
+      
+      return { images, errors };
     });
+  } catch (error) {
+    if (isCancellation(error)) {
+      return { cancelled: true };
+    }
+    console.error('Error retrying scan errors:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('export-scan-errors', async (event, failures) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export scan problems',
+    defaultPath: `scan-problems-${new Date().toISOString().slice(0, 10)}.csv`,
+    filters: [
+      { name: 'CSV', extensions: ['csv'] },
+      { name: 'JSON', extensions: ['json'] }
+    ]
+  });
+  
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+  
+  if (path.extname(result.filePath).toLowerCase() === '.json') {
+    await fs.writeJson(result.filePath, failures, { spaces: 2 });
+  } else {
+    const columns = ['path', 'type', 'category', 'code', 'message', 'size', 'rootLabel'];
+    const quote = value => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+    const lines = failures.map(failure => columns.map(column => quote(failure[column])).join(','));
+    await fs.writeFile(result.filePath, [columns.join(','), ...lines].join('\n'));
+  }
+  
+  return result.filePath;
+});
+
+// Returns a cached thumbnail of the given size ('grid' or 'zoom'), rendering it on first use
+ipcMain.handle('get-thumbnail', async (event, image, sizeName = 'grid') => {
+  const size = THUMBNAIL_SIZES[sizeName];
+  if (!size) {
+    throw new Error(`Unknown thumbnail size: ${sizeName}`);
+  }
+  
+  try {
+    if (await thumbnailCache.has(image.hash, size)) {
+      thumbnailCache.touch(image.hash, size);
+      return thumbnailCache.pathFor(image.hash, size);
+    }
     
-    // Perform comprehensive safety checks
-    await safetyManager.performSafetyChecks(duplicates);
+    // RAW and HEIF images render from their decodable proxy while it still exists
+    const thumbnailPath = await renderThumbnail(image, size);
+    const stat = await fs.stat(thumbnailPath);
+    thumbnailCache.record(image.hash, size, stat.size);
+    await thumbnailCache.save();
     
-    return duplicates;
+    return thumbnailPath;
   } catch (error) {
-    console.error('Error detecting duplicates:', error);
+    console.error('Error generating thumbnail:', error);
     throw error;
   }
 });
 
-ipcMain.handle('delete-files', async (event, filesToDelete) => {
+// What the configured AI providers would charge for these images under the chosen
+// privacy mode, shown before detection
+ipcMain.handle('estimate-provider-cost', async (event, images, options = {}) => {
   try {
-    // Create pre-deletion backup (actual file copies for ultimate safety)
-    event.sender.send('deletion-progress', {
-      current: 0,
-      total: filesToDelete.length,
-      percentage: 0,
-      stage: 'Creating safety backup...',
-      currentFile: 'Preparing backup'
-    });
-    
-    const backupId = await safetyManager.createPreDeletionBackup(filesToDelete);
+    return await estimateProviderCost(images, { privacy: options.privacy });
+  } catch (error) {
+    console.error('Error estimating provider cost:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('detect-duplicates', async (event, images, detectionOptions = {}, sessionId = null) => {
+  // A checkpoint left by an interrupted run of this session lets detection pick up where it stopped
+  let resumeFrom = null;
+  if (sessionId) {
+    await sessionStore.update(sessionId, { status: 'detecting', detectionOptions });
+    resumeFrom = await sessionStore.loadData(sessionId, 'checkpoint');
+  }
+  
+  try {
+    // Resolved by name before the job starts, so an unknown policy fails straight away
+    const keeperPolicy = await keeperPolicyStore.resolve(detectionOptions.keeperPolicy);
+    // Configured cloud providers confirm the local pipeline's matches when the privacy
+    // mode lets them; otherwise nothing is uploaded. Their features are cached on disk,
+    // so a resumed run does not pay for them again.
+    const cloud = await usesCloudProviders({ privacy: detectionOptions.privacy });
     
-    // Verify all files exist before proceeding
-    const verification = await safetyManager.verifyFilesExist(filesToDelete);
-    if (!verification.verified) {
-      throw new Error(`Cannot proceed: ${verification.missing.length} files are missing`);
+    return await jobManager.run('detect', async (job) => {
+      event.sender.send('detection-progress', {
+        current: 0,
+        total: images.length,
+        percentage: 0,
+        stage: resumeFrom ? 'Resuming Enterprise AI Detection' : 'Initializing Enterprise AI Detection',
+        provider: 'multi-provider',
+        confidence: '99%',
+        jobId: job.id
+      });
+      
+      const duplicates = await detectDuplicates(images, (progress) => {
+        event.sender.send('detection-progress', { ...progress, jobId: job.id });
+      }, {
+        ...detectionOptions,
+        keeperPolicy,
+        job,
+        resumeFrom,
+        onCheckpoint: sessionId ? (state) => sessionStore.checkpoint(sessionId, state) : null,
+        confirmMatches: cloud
+          ? (pairs, onProgress) => confirmWithProviders(pairs, onProgress, { privacy: detectionOptions.privacy, job })
+          : null
+      });
+      
+      // Perform comprehensive safety checks
+      await safetyManager.performSafetyChecks(duplicates);
+      
+      if (sessionId) {
+        await sessionStore.saveData(sessionId, 'groups', duplicates);
+        await sessionStore.clearCheckpoint(sessionId);
+        await sessionStore.update(sessionId, { status: 'completed', groupCount: duplicates.length });
+      }
+      
+      return duplicates;
+    });
+  } catch (error) {
+    // Keep the latest checkpoint so a later run continues from it
+    if (sessionId) {
+      await sessionStore.flushCheckpoint(sessionId);
+      await sessionStore.update(sessionId, { status: 'scanned' });
     }
-    
-    // Proceed with deletion only after backup is verified
-    const result = await deleteFiles(filesToDelete, (progress) => {
+    if (isCancellation(error)) {
+      return { cancelled: true };
+    }
+    console.error('Error detecting duplicates:', error);
+    throw error;
+  }
+});
+
+// The most recent session, if it was interrupted or can be reopened
+ipcMain.handle('get-last-session', async () => {
+  const session = await sessionStore.latest();
+  if (!session) return null;
+  
+  const reopenable = isInterrupted(session) || ['scanned', 'completed'].includes(session.status);
+  return reopenable ? { ...session, interrupted: isInterrupted(session) } : null;
+});
+
+ipcMain.handle('open-session', async (event, sessionId) => {
+  const session = await sessionStore.get(sessionId);
+  if (!session) {
+    throw new Error(`Session ${sessionId} not found`);
+  }
+  
+  return {
+    session,
+    images: await sessionStore.loadData(sessionId, 'images'),
+    errors: await sessionStore.loadData(sessionId, 'errors') || [],
+    groups: await sessionStore.loadData(sessionId, 'groups')
+  };
+});
+
+ipcMain.handle('discard-session', async (event, sessionId) => {
+  await sessionStore.remove(sessionId);
+  return true;
+});
+
+ipcMain.handle('delete-files', async (event, filesToDelete, sessionId = null) => {
+  try {
+    return await jobManager.run('delete', async (job) => {
+      // Create pre-deletion backup (actual file copies for ultimate safety)
       event.sender.send('deletion-progress', {
-        ...progress,
-        backupId: backupId,
-        stage: 'Safely deleting files...'
+        current: 0,
+        total: filesToDelete.length,
+        percentage: 0,
+        stage: 'Creating safety backup...',
+        currentFile: 'Preparing backup',
+        jobId: job.id
       });
+      
+      const backupId = await safetyManager.createPreDeletionBackup(filesToDelete);
+      
+      // Verify all files exist before proceeding
+      const verification = await safetyManager.verifyFilesExist(filesToDelete);
+      if (!verification.verified) {
+        throw new Error(`Cannot proceed: ${verification.missing.length} files are missing`);
+      }
+      
+      // Proceed with deletion only after backup is verified
+      const result = await deleteFiles(filesToDelete, (progress) => {
+        event.sender.send('deletion-progress', {
+          ...progress,
+          backupId: backupId,
+          stage: 'Safely deleting files...',
+          jobId: job.id
+        });
+      }, { job });
+      
+      result.backupId = backupId;
+      result.safetyLevel = 'maximum';
+      
+      // The session's results no longer match the disk, so it is not offered again
+      if (sessionId && result.deleted.length > 0) {
+        await sessionStore.update(sessionId, { status: 'closed' });
+      }
+      
+      return result;
     });
-    
-    result.backupId = backupId;
-    result.safetyLevel = 'maximum';
-    
-    return result;
   } catch (error) {
     console.error('Error deleting files:', error);
     throw error;
   }
 });
 
+// Keeper policies, with their rules as editable text (one rule per line)
+ipcMain.handle('get-keeper-policies', async () => {
+  const policies = await keeperPolicyStore.list();
+  return policies.map(policy => ({ ...policy, text: formatPolicyRules(policy) }));
+});
+
+ipcMain.handle('save-keeper-policy', async (event, name, text) => {
+  return keeperPolicyStore.save({ name, rules: parsePolicyRules(text) });
+});
+
+ipcMain.handle('delete-keeper-policy', async (event, name) => keeperPolicyStore.remove(name));
+
+ipcMain.handle('pause-job', async (event, jobId) => jobManager.pause(jobId));
+
+ipcMain.handle('resume-job', async (event, jobId) => jobManager.resume(jobId));
+
+ipcMain.handle('cancel-job', async (event, jobId) => jobManager.cancel(jobId));
+
 // Emergency safety handlers
 ipcMain.handle('emergency-stop', async () => {
-  try {
-    await safetyManager.emergencyStop();
-  } catch (error) {
-    return { stopped: true, message: error.message };
-  }
+  const cancelledJobs = jobManager.cancelAll('Emergency stop');
+  return safetyManager.emergencyStop(cancelledJobs);
 });
 
 ipcMain.handle('restore-backup', async (event, backupId) => {
@@ -348,18 +348,25 @@ class DataSafetyManager {
     return backups.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
   }
 
-  async emergencyStop() {
+  // Records an emergency stop; the caller cancels the running jobs and passes their ids
+  async emergencyStop(cancelledJobIds = []) {
     console.log('EMERGENCY STOP ACTIVATED - All operations halted');
     
     this.operationLog.push({
       operation: 'emergency-stop',
       timestamp: new Date().toISOString(),
       status: 'activated',
-      reason: 'User initiated emergency stop'
+      reason: 'User initiated emergency stop',
+      cancelledJobs: cancelledJobIds
     });
     
-    // In a real implementation, this would stop all ongoing operations
-    throw new Error('Emergency stop activated - all operations cancelled');
+    return {
+      stopped: true,
+      cancelledJobs: cancelledJobIds,
+      message: cancelledJobIds.length > 0
+        ? `Cancelled ${cancelledJobIds.length} running operation${cancelledJobIds.length > 1 ? 's' : ''}. Files already processed are safe and the rest were left untouched.`
+        : 'No operations were running.'
+    };
   }
 }
 
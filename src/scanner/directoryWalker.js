@@ -0,0 +1,257 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+const IGNORE_FILE_NAME = '.dupeignore';
+
+// Folders this app writes into; scanning them would report our own copies as duplicates
+const APP_DIRECTORIES = [
+  path.join(__dirname, '../backup'),
+  path.join(__dirname, '../temp'),
+  path.join(__dirname, '../cache'),
+  path.join(__dirname, '../logs'),
+  path.join(__dirname, '../settings')
+];
+const APP_DIRECTORY_NAMES = ['.backup'];
+
+const DEFAULT_WALK_OPTIONS = {
+  include: [],
+  exclude: [],
+  skipHidden: false,
+  maxDepth: Infinity,
+  symlinks: 'skip', // 'skip' | 'follow' (following always guards against loops)
+  match: () => true,
+  // Called with { path, error, type: 'directory' | 'file' } for entries that cannot be
+  // read; the walk carries on past them. Without a handler the error is thrown.
+  onError: null
+};
+
+// Depth-first walk that yields matching files as soon as each directory is read.
+// Only matching files are stat'ed; directories are classified from their dirents.
+async function* walkDirectory(rootPath, options = {}) {
+  const config = { ...DEFAULT_WALK_OPTIONS, ...options };
+  // Infinity does not survive JSON (saved sessions), so null also means unlimited
+  if (config.maxDepth === null || config.maxDepth === undefined) {
+    config.maxDepth = Infinity;
+  }
+  const root = path.resolve(rootPath);
+  const stats = options.stats || createWalkStats();
+  const visitedDirectories = new Set();
+
+  const rootRules = await readIgnoreRules(root, []);
+  const stack = [{ dir: root, depth: 0, rules: rootRules }];
+  const followSymlinks = config.symlinks === 'follow';
+  if (followSymlinks) {
+    await markVisited(root, visitedDirectories);
+  }
+  stats.pendingDirectories = 1;
+
+  while (stack.length > 0) {
+    const { dir, depth, rules } = stack.pop();
+
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      reportError(config, { path: dir, error, type: 'directory' });
+      stats.unreadableDirectories++;
+      stats.directoriesVisited++;
+      stats.pendingDirectories = stack.length;
+      continue;
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    const subdirectories = [];
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = toPosix(path.relative(root, fullPath));
+      let isDirectory = entry.isDirectory();
+      let isFile = entry.isFile();
+
+      if (entry.name === IGNORE_FILE_NAME) continue;
+      if (config.skipHidden && entry.name.startsWith('.')) continue;
+
+      if (entry.isSymbolicLink()) {
+        if (!followSymlinks) {
+          stats.skippedSymlinks++;
+          continue;
+        }
+
+        try {
+          const target = await fs.stat(fullPath);
+          isDirectory = target.isDirectory();
+          isFile = target.isFile();
+        } catch (error) {
+          // Dangling link
+          stats.skippedSymlinks++;
+          continue;
+        }
+      }
+
+      if (isDirectory) {
+        if (isAppDirectory(fullPath, entry.name)) continue;
+        if (isExcluded(relativePath, fullPath, true, config.exclude, rules)) continue;
+        if (depth + 1 > config.maxDepth) continue;
+
+        // Without symlinks there can be no cycles, so only pay for the stat when following
+        if (followSymlinks && !await markVisited(fullPath, visitedDirectories)) {
+          stats.loopsDetected++;
+          continue;
+        }
+
+        subdirectories.push({ dir: fullPath, depth: depth + 1 });
+      } else if (isFile) {
+        if (!config.match(entry.name)) continue;
+        if (isExcluded(relativePath, fullPath, false, config.exclude, rules)) continue;
+        if (config.include.length > 0 && !matchesAny(relativePath, config.include)) continue;
+
+        let stat;
+        try {
+          stat = await fs.stat(fullPath);
+        } catch (error) {
+          reportError(config, { path: fullPath, error, type: 'file' });
+          continue;
+        }
+
+        stats.filesFound++;
+        yield { path: fullPath, name: entry.name, relativePath, depth, stat };
+      }
+    }
+
+    // Reverse so subdirectories are visited in sorted order
+    for (let i = subdirectories.length - 1; i >= 0; i--) {
+      const subdirectory = subdirectories[i];
+      subdirectory.rules = await readIgnoreRules(subdirectory.dir, rules);
+      stack.push(subdirectory);
+    }
+
+    stats.directoriesVisited++;
+    stats.pendingDirectories = stack.length;
+  }
+
+  stats.complete = true;
+}
+
+function createWalkStats() {
+  return {
+    filesFound: 0,
+    directoriesVisited: 0,
+    pendingDirectories: 0,
+    skippedSymlinks: 0,
+    loopsDetected: 0,
+    unreadableDirectories: 0,
+    complete: false
+  };
+}
+
+// Projects the final file count from the average yield of directories seen so far
+function estimateTotalFiles(stats) {
+  if (stats.complete || stats.directoriesVisited === 0) {
+    return stats.filesFound;
+  }
+
+  const filesPerDirectory = stats.filesFound / stats.directoriesVisited;
+  return Math.round(stats.filesFound + stats.pendingDirectories * filesPerDirectory);
+}
+
+async function readIgnoreRules(dir, inheritedRules) {
+  const ignorePath = path.join(dir, IGNORE_FILE_NAME);
+
+  let content;
+  try {
+    content = await fs.readFile(ignorePath, 'utf8');
+  } catch (error) {
+    return inheritedRules;
+  }
+
+  const patterns = content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  if (patterns.length === 0) {
+    return inheritedRules;
+  }
+
+  return [...inheritedRules, { base: dir, patterns }];
+}
+
+function isExcluded(relativePath, fullPath, isDirectory, excludePatterns, ignoreRules) {
+  if (matchesAny(relativePath, excludePatterns, isDirectory)) {
+    return true;
+  }
+
+  return ignoreRules.some(rule => {
+    const ruleRelative = toPosix(path.relative(rule.base, fullPath));
+    return matchesAny(ruleRelative, rule.patterns, isDirectory);
+  });
+}
+
+// Gitignore-style: patterns without a slash match the name at any depth,
+// a trailing slash restricts the pattern to directories
+function matchesAny(relativePath, patterns, isDirectory = false) {
+  return patterns.some(rawPattern => {
+    let pattern = toPosix(rawPattern);
+
+    if (pattern.endsWith('/')) {
+      if (!isDirectory) return false;
+      pattern = pattern.slice(0, -1);
+    }
+
+    // A leading slash anchors the pattern to the folder it was declared in
+    const anchored = pattern.startsWith('/');
+    if (anchored) {
+      pattern = pattern.slice(1);
+    }
+
+    return minimatch(relativePath, pattern, {
+      dot: true,
+      nocase: true,
+      matchBase: !anchored && !pattern.includes('/')
+    });
+  });
+}
+
+function reportError(config, failure) {
+  if (!config.onError) {
+    throw failure.error;
+  }
+  config.onError(failure);
+}
+
+function isAppDirectory(fullPath, name) {
+  if (APP_DIRECTORY_NAMES.includes(name)) {
+    return true;
+  }
+  return APP_DIRECTORIES.some(appDir => path.resolve(appDir) === fullPath);
+}
+
+// Tracks directories by device + inode so symlink cycles are only entered once
+async function markVisited(dir, visited) {
+  let key;
+  try {
+    const stat = await fs.stat(dir);
+    key = stat.ino ? `${stat.dev}:${stat.ino}` : await fs.realpath(dir);
+  } catch (error) {
+    key = dir;
+  }
+
+  if (visited.has(key)) {
+    return false;
+  }
+  visited.add(key);
+  return true;
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+module.exports = {
+  walkDirectory,
+  createWalkStats,
+  estimateTotalFiles,
+  DEFAULT_WALK_OPTIONS,
+  IGNORE_FILE_NAME
+};
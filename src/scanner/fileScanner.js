@@ -2,64 +2,313 @@ const fs = require('fs-extra');
 const path = require('path');
 const sharp = require('sharp');
 const crypto = require('crypto');
+const os = require('os');
+const WorkerPool = require('./workerPool');
+const { extractMetadata, applyOrientation, orientedDimensions } = require('./metadataExtractor');
+const { walkDirectory, createWalkStats, estimateTotalFiles } = require('./directoryWalker');
+const { THUMBNAIL_SIZES, getThumbnailPath } = require('./thumbnailCache');
+const { createScanError, confirmScanError, emptyFileError } = require('./scanErrors');
+const { checkpoint } = require('../jobs/jobManager');
+const {
+  SUPPORTED_FORMATS,
+  HEIF_FORMATS,
+  getExtension,
+  isRawFile,
+  needsDecodeProxy,
+  extractEmbeddedPreview
+} = require('./imageFormats');
 
-const supportedFormats = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.tiff', '.webp'];
+const supportedFormats = SUPPORTED_FORMATS;
 
-async function scanFolder(folderPath, progressCallback) {
+const PREVIEW_CONFIG = {
+  dir: path.join(__dirname, '../cache/previews'),
+  maxSize: 1024,
+  quality: 90
+};
+
+// Parallel scanning settings
+const SCAN_CONFIG = {
+  concurrency: parseInt(process.env.SCAN_CONCURRENCY, 10) || Math.max(1, os.cpus().length - 1),
+  maxMemoryMb: parseInt(process.env.SCAN_MEMORY_LIMIT_MB, 10) || 512,
+  // Rough ratio of decoded pixel memory to compressed file size
+  decodeExpansion: 8,
+  // How often the scan index is saved mid-scan, so a crash keeps finished files
+  checkpointIntervalMs: 30000,
+  // The walk waits once this many files per worker are queued, so huge trees
+  // never hold every file in memory at once
+  queuedPerWorker: 4
+};
+
+async function scanFolder(folderPath, progressCallback, options = {}) {
+  const result = await scanFolders([folderPath], progressCallback, options);
+  return result.images;
+}
+
+// Scans several root folders in one session. Roots are paths or { path, label }
+// objects; every image records which root it was found under. A root may also name
+// a `directory` inside it or a list of `files` to rescan just those (see retryScanErrors).
+// Unreadable folders and files never abort the scan; they are returned as `errors`.
+// With options.job the scan can be paused (queued files are held back) and cancelled.
+async function scanFolders(roots, progressCallback, options = {}) {
+  const { index, thumbnailCache, job } = options;
+  const scanRoots = normalizeRoots(roots);
   const images = [];
+  const errors = [];
+  const inFlight = new Set();
+  const maxInFlight = (options.concurrency || SCAN_CONFIG.concurrency) * SCAN_CONFIG.queuedPerWorker;
+  const seenPaths = new Set();
+  const rootStats = scanRoots.map(() => createWalkStats());
   let processedFiles = 0;
-  let totalFiles = 0;
-
-  // First pass: count total files
-  async function countFiles(dir) {
-    const items = await fs.readdir(dir);
-    for (const item of items) {
-      const fullPath = path.join(dir, item);
-      const stat = await fs.stat(fullPath);
-      
-      if (stat.isDirectory()) {
-        await countFiles(fullPath);
-      } else if (isImageFile(item)) {
-        totalFiles++;
+  let pool = null;
+  let lastCheckpoint = Date.now();
+  let checkpointing = null;
+
+  function getPool() {
+    if (!pool) {
+      pool = new WorkerPool(path.join(__dirname, 'scanWorker.js'), {
+        concurrency: options.concurrency || SCAN_CONFIG.concurrency,
+        maxMemoryBytes: (options.maxMemoryMb || SCAN_CONFIG.maxMemoryMb) * 1024 * 1024
+      });
+      if (job && job.status === 'paused') {
+        pool.pause();
       }
     }
+    return pool;
+  }
+  
+  function onJobStatus(status) {
+    if (!pool) return;
+    if (status === 'paused') {
+      pool.pause();
+    } else {
+      pool.resume();
+    }
+  }
+
+  function processInPool(filePath, stat) {
+    const cost = stat.size * SCAN_CONFIG.decodeExpansion;
+    return getPool().run({ filePath, stat: { size: stat.size, mtime: stat.mtime } }, cost);
   }
 
-  // Second pass: process files
-  async function processFiles(dir) {
-    const items = await fs.readdir(dir);
+  function checkpointIndex() {
+    if (!index || checkpointing || Date.now() - lastCheckpoint < SCAN_CONFIG.checkpointIntervalMs) return;
     
-    for (const item of items) {
-      const fullPath = path.join(dir, item);
-      const stat = await fs.stat(fullPath);
+    lastCheckpoint = Date.now();
+    checkpointing = index.save()
+      .catch(error => console.warn(`Failed to checkpoint scan index: ${error.message}`))
+      .then(() => { checkpointing = null; });
+  }
+  
+  // Results arrive out of order, so progress counts completions rather than walk position.
+  // The total is projected from the walk so far and becomes exact once every walk finishes.
+  function reportProgress(filePath) {
+    processedFiles++;
+    checkpointIndex();
+    if (progressCallback) {
+      const estimate = rootStats.reduce((sum, stats) => sum + estimateTotalFiles(stats), 0);
+      const total = Math.max(estimate, processedFiles);
+      progressCallback({
+        current: processedFiles,
+        total,
+        percentage: Math.round((processedFiles / total) * 100),
+        estimated: !rootStats.every(stats => stats.complete),
+        currentFile: filePath
+      });
+    }
+  }
+
+  if (index) {
+    index.beginScan();
+  }
+  if (job) {
+    job.on('status', onJobStatus);
+  }
+
+  try {
+    for (let i = 0; i < scanRoots.length; i++) {
+      const root = scanRoots[i];
+      const rootDetails = { root: root.path, rootLabel: root.label };
+      const onError = ({ path: failedPath, error, type }) => {
+        errors.push(createScanError(failedPath, error, { ...rootDetails, type }));
+      };
       
-      if (stat.isDirectory()) {
-        await processFiles(fullPath);
-      } else if (isImageFile(item)) {
-        try {
-          const imageInfo = await processImage(fullPath, stat);
-          images.push(imageInfo);
-          
-          processedFiles++;
-          if (progressCallback) {
-            progressCallback({
-              current: processedFiles,
-              total: totalFiles,
-              percentage: Math.round((processedFiles / totalFiles) * 100),
-              currentFile: fullPath
-            });
-          }
-        } catch (error) {
-          console.error(`Error processing image ${fullPath}:`, error);
+      // Single streaming pass: files are queued on the pool as soon as they are found
+      const walker = root.files
+        ? listFiles(root.files, rootStats[i], onError)
+        : walkDirectory(root.directory || root.path, {
+          ...options.walk,
+          match: isImageFile,
+          stats: rootStats[i],
+          onError
+        });
+      
+      for await (const file of walker) {
+        await checkpoint(job);
+        
+        // Nested or overlapping roots must not report a file twice
+        if (seenPaths.has(file.path)) continue;
+        seenPaths.add(file.path);
+        
+        // Empty files are never valid images; don't spend a worker on them
+        if (file.stat.size === 0) {
+          errors.push(createScanError(file.path, emptyFileError(file.path), { ...rootDetails, size: 0 }));
+          reportProgress(file.path);
+          continue;
+        }
+        
+        while (inFlight.size >= maxInFlight) {
+          await untilSettledOrCancelled(Promise.race(inFlight), job);
         }
+        
+        // Reserve a slot so results keep walk order regardless of completion order
+        const slot = images.length;
+        images.push(null);
+        
+        const task = loadOrProcessImage(file.path, file.stat, index, processInPool)
+          .then((imageInfo) => {
+            images[slot] = { ...imageInfo, root: root.path, rootLabel: root.label };
+            if (thumbnailCache) {
+              thumbnailCache.record(imageInfo.hash, THUMBNAIL_SIZES.grid, imageInfo.thumbnailBytes);
+            }
+          })
+          .catch(async (error) => {
+            console.warn(`Skipping ${file.path}: ${error.message}`);
+            errors.push(await confirmScanError(file.path, error, { ...rootDetails, size: file.stat.size }));
+          })
+          .then(() => reportProgress(file.path))
+          .finally(() => inFlight.delete(task));
+        inFlight.add(task);
       }
     }
+    
+    await untilSettledOrCancelled(Promise.all(inFlight), job);
+  } catch (error) {
+    // Keep whatever was processed before a cancel so the next scan can reuse it.
+    // The walk did not finish, so nothing is pruned.
+    if (index) {
+      await checkpointing;
+      await index.save();
+    }
+    throw error;
+  } finally {
+    if (job) {
+      job.off('status', onJobStatus);
+    }
+    // Drops queued files; thumbnails and proxies are written atomically, so
+    // terminating a worker mid-file leaves nothing half-written behind
+    if (pool) {
+      await pool.destroy();
+    }
   }
+  
+  let changes = null;
+  if (index) {
+    // Only prune after complete walks, otherwise unvisited files would be dropped.
+    // Folders that could not be read keep their entries until they can be walked again.
+    const unreadable = errors.filter(error => error.type === 'directory').map(error => error.path);
+    const walked = scanRoots.filter(root => !root.files).map(root => root.directory || root.path);
+    changes = index.finishScan(walked, unreadable);
+    await checkpointing;
+    await index.save();
+    
+    // Proxies are only reached through index records, so anything else is stale
+    const referenced = index.records().concat(images.filter(Boolean)).map(image => image.decodePath);
+    await pruneDecodeProxies(new Set(referenced));
+  }
+  
+  if (thumbnailCache) {
+    // Trim the shared cache, but never drop thumbnails the current results point at
+    const results = images.filter(Boolean);
+    await thumbnailCache.evict(new Set(results.map(image => image.hash)));
+    await thumbnailCache.save();
+  }
+  
+  return {
+    images: images.filter(Boolean),
+    roots: scanRoots.map(({ path: rootPath, label }) => ({ path: rootPath, label })),
+    changes,
+    errors: errors.sort((a, b) => a.path.localeCompare(b.path))
+  };
+}
 
-  await countFiles(folderPath);
-  await processFiles(folderPath);
+// Rescans the files and folders behind earlier scan errors, keeping each one
+// attributed to the root it was originally found under
+async function retryScanErrors(failures, progressCallback, options = {}) {
+  const roots = [];
+  const fileRoots = new Map();
   
-  return images;
+  failures.forEach(failure => {
+    const root = failure.root || path.dirname(failure.path);
+    const label = failure.rootLabel;
+    
+    if (failure.type === 'directory') {
+      roots.push({ path: root, label, directory: failure.path });
+      return;
+    }
+    
+    if (!fileRoots.has(root)) {
+      fileRoots.set(root, { path: root, label, files: [] });
+      roots.push(fileRoots.get(root));
+    }
+    fileRoots.get(root).files.push(failure.path);
+  });
+  
+  return scanFolders(roots, progressCallback, options);
+}
+
+function untilSettledOrCancelled(promise, job) {
+  if (!job) {
+    return promise;
+  }
+  
+  const cancelled = new Promise((resolve, reject) => {
+    job.signal.throwIfAborted();
+    job.signal.addEventListener('abort', () => reject(job.signal.reason), { once: true });
+  });
+  return Promise.race([promise, cancelled]);
+}
+
+async function* listFiles(files, stats, onError) {
+  stats.complete = true;
+  for (const filePath of files) {
+    try {
+      const stat = await fs.stat(filePath);
+      stats.filesFound++;
+      yield { path: filePath, name: path.basename(filePath), stat };
+    } catch (error) {
+      onError({ path: filePath, error, type: 'file' });
+    }
+  }
+}
+
+function normalizeRoots(roots) {
+  return roots.map((root, i) => {
+    const rootPath = path.resolve(typeof root === 'string' ? root : root.path);
+    const label = (typeof root === 'object' && root.label) || path.basename(rootPath) || `Root ${i + 1}`;
+    const normalized = { path: rootPath, label };
+    if (root.directory) normalized.directory = path.resolve(root.directory);
+    if (root.files) normalized.files = root.files.map(filePath => path.resolve(filePath));
+    return normalized;
+  });
+}
+
+async function loadOrProcessImage(filePath, stat, index, processFn = processImage) {
+  if (!index) {
+    return processFn(filePath, stat);
+  }
+  
+  const cached = index.lookup(filePath, stat);
+  
+  // Thumbnails may have been evicted and decode proxies pruned since the last scan
+  if (cached && await fs.pathExists(cached.thumbnail) &&
+      (!cached.decodePath || await fs.pathExists(cached.decodePath))) {
+    index.reuse(filePath);
+    return { ...cached, modified: stat.mtime };
+  }
+  
+  const imageInfo = await processFn(filePath, stat);
+  index.update(filePath, stat, imageInfo);
+  return imageInfo;
 }
 
 function isImageFile(filename) {
@@ -68,56 +317,181 @@ function isImageFile(filename) {
 }
 
 async function processImage(filePath, stat) {
-  try {
-    // Get image metadata
-    const metadata = await sharp(filePath).metadata();
-    
-    // Generate thumbnail
-    const thumbnailPath = await generateThumbnail(filePath);
-    
-    // Calculate file hash for quick duplicate detection
-    const fileHash = await calculateFileHash(filePath);
-    
+  // Capture metadata (EXIF/XMP/IPTC) first: RAW previews need its orientation
+  const exif = await extractMetadata(filePath);
+  const source = await openImageSource(filePath, exif.orientation);
+  
+  // Get image metadata
+  const metadata = await source.open().metadata();
+  const orientation = source.orientation || metadata.orientation || 1;
+  const { width, height } = orientedDimensions(metadata.width, metadata.height, orientation);
+  
+  // Calculate file hash for quick duplicate detection
+  const fileHash = await calculateFileHash(filePath);
+  
+  // Thumbnails are content-addressed, so copies of the same file share one
+  const thumbnailPath = await generateThumbnail(filePath, fileHash, THUMBNAIL_SIZES.grid, source);
+  const thumbnailStat = await fs.stat(thumbnailPath);
+  
+  // Detection decodes with jimp, which cannot read RAW, HEIF, AVIF, WebP or JXL
+  const decodePath = needsDecodeProxy(filePath)
+    ? await writeDecodeProxy(source, fileHash)
+    : filePath;
+  
+  return {
+    path: filePath,
+    name: path.basename(filePath),
+    size: stat.size,
+    modified: stat.mtime,
+    width,
+    height,
+    format: source.format || metadata.format,
+    thumbnail: thumbnailPath,
+    thumbnailBytes: thumbnailStat.size,
+    hash: fileHash,
+    resolution: width * height,
+    decodePath,
+    isRaw: isRawFile(filePath),
+    previewOnly: source.previewOnly,
+    orientation,
+    captureDate: exif.captureDate,
+    exif
+  };
+}
+
+// Returns a factory for upright sharp instances reading the best decodable source for
+// the file, so thumbnails and hashing proxies of EXIF-rotated copies match.
+// RAW files use their embedded JPEG preview (dimensions are the preview's, not the
+// sensor's) rotated by the RAW's own orientation; HEIC falls back to a WASM decoder
+// when libvips was built without HEVC.
+async function openImageSource(filePath, exifOrientation = 1) {
+  if (isRawFile(filePath)) {
+    const preview = await extractEmbeddedPreview(filePath);
+    if (!preview) {
+      throw new Error(`No embedded preview found in RAW file ${filePath}`);
+    }
     return {
-      path: filePath,
-      name: path.basename(filePath),
-      size: stat.size,
-      modified: stat.mtime,
-      width: metadata.width,
-      height: metadata.height,
-      format: metadata.format,
-      thumbnail: thumbnailPath,
-      hash: fileHash,
-      resolution: metadata.width * metadata.height
+      open: () => applyOrientation(sharp(preview), exifOrientation),
+      orientation: exifOrientation,
+      previewOnly: true,
+      format: getExtension(filePath).slice(1)
     };
-  } catch (error) {
-    console.error(`Error processing image metadata for ${filePath}:`, error);
-    throw error;
   }
+  
+  if (HEIF_FORMATS.includes(getExtension(filePath))) {
+    try {
+      await sharp(filePath).resize(8, 8).raw().toBuffer();
+      return { open: () => sharp(filePath).rotate(), previewOnly: false };
+    } catch (error) {
+      // libheif applies the container's rotation while decoding
+      const decoded = await decodeHeif(filePath);
+      const raw = { width: decoded.width, height: decoded.height, channels: 4 };
+      return { open: () => sharp(decoded.data, { raw }), orientation: 1, previewOnly: false, format: 'heif' };
+    }
+  }
+  
+  // rotate() without an angle applies the file's own EXIF orientation
+  return { open: () => sharp(filePath).rotate(), previewOnly: false };
+}
+
+async function decodeHeif(filePath) {
+  const decode = require('heic-decode');
+  const buffer = await fs.readFile(filePath);
+  const { width, height, data } = await decode({ buffer });
+  return { width, height, data: Buffer.from(data.buffer, data.byteOffset, data.byteLength) };
+}
+
+// Downscaled JPEG stand-in used for perceptual hashing, keyed by content hash
+async function writeDecodeProxy(source, fileHash) {
+  await fs.ensureDir(PREVIEW_CONFIG.dir);
+  const proxyPath = path.join(PREVIEW_CONFIG.dir, `${fileHash}.jpg`);
+  
+  if (!await fs.pathExists(proxyPath)) {
+    const tempPath = uniqueTempPath(proxyPath);
+    await source.open()
+      .resize(PREVIEW_CONFIG.maxSize, PREVIEW_CONFIG.maxSize, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: PREVIEW_CONFIG.quality })
+      .toFile(tempPath);
+    await fs.move(tempPath, proxyPath, { overwrite: true });
+  }
+  
+  return proxyPath;
+}
+
+// Removes decode proxies (and leftover temp files) that no kept path points at, so the
+// preview directory does not keep growing across rescans
+async function pruneDecodeProxies(keepPaths, dir = PREVIEW_CONFIG.dir) {
+  if (!await fs.pathExists(dir)) {
+    return 0;
+  }
+  
+  let removed = 0;
+  for (const name of await fs.readdir(dir)) {
+    const proxyPath = path.join(dir, name);
+    if (keepPaths.has(proxyPath)) continue;
+    
+    await fs.remove(proxyPath);
+    removed++;
+  }
+  
+  return removed;
+}
+
+// Renders a thumbnail from the image's decode proxy, or from the file itself when the
+// proxy has since been pruned
+async function renderThumbnail(image, size) {
+  if (image.decodePath && image.decodePath !== image.path && await fs.pathExists(image.decodePath)) {
+    return generateThumbnail(image.decodePath, image.hash, size);
+  }
+  
+  const source = await openImageSource(image.path, image.orientation);
+  return generateThumbnail(image.path, image.hash, size, source);
 }
 
-async function generateThumbnail(imagePath) {
-  const thumbnailDir = path.join(__dirname, '../temp/thumbnails');
-  await fs.ensureDir(thumbnailDir);
+async function generateThumbnail(imagePath, fileHash, size = THUMBNAIL_SIZES.grid, source = { open: () => sharp(imagePath).rotate() }) {
+  const thumbnailPath = getThumbnailPath(fileHash, size);
+  
+  if (await fs.pathExists(thumbnailPath)) {
+    return thumbnailPath;
+  }
   
-  const filename = path.basename(imagePath, path.extname(imagePath));
-  const thumbnailPath = path.join(thumbnailDir, `${filename}_thumb.jpg`);
+  await fs.ensureDir(path.dirname(thumbnailPath));
   
-  await sharp(imagePath)
-    .resize(200, 200, { fit: 'inside', withoutEnlargement: true })
-    .jpeg({ quality: 80 })
-    .toFile(thumbnailPath);
+  // Write under a unique name and rename, so two workers rendering the same
+  // content never leave a half-written thumbnail behind
+  const tempPath = uniqueTempPath(thumbnailPath);
+  await source.open()
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: size > THUMBNAIL_SIZES.grid ? 85 : 80 })
+    .toFile(tempPath);
+  await fs.move(tempPath, thumbnailPath, { overwrite: true });
     
   return thumbnailPath;
 }
 
-async function calculateFileHash(filePath) {
-  const data = await fs.readFile(filePath);
-  return crypto.createHash('md5').update(data).digest('hex');
+function uniqueTempPath(targetPath) {
+  return `${targetPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+}
+
+// Streamed so concurrent workers never hold whole files in memory just to hash them
+function calculateFileHash(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('md5');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
 }
 
 module.exports = {
   scanFolder,
+  scanFolders,
+  retryScanErrors,
+  SCAN_CONFIG,
   isImageFile,
-  processImage
+  processImage,
+  generateThumbnail,
+  renderThumbnail,
+  pruneDecodeProxies
 };
@@ -0,0 +1,129 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const STANDARD_FORMATS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.tiff', '.webp'];
+const MODERN_FORMATS = ['.heic', '.heif', '.avif', '.jxl'];
+const RAW_FORMATS = ['.cr2', '.cr3', '.nef', '.nrw', '.arw', '.srf', '.sr2', '.dng', '.orf', '.rw2', '.raf', '.pef', '.srw'];
+const HEIF_FORMATS = ['.heic', '.heif'];
+
+// Formats jimp can decode itself; anything else gets a JPEG proxy for hashing
+const JIMP_READABLE_FORMATS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.tiff'];
+
+const SUPPORTED_FORMATS = [...STANDARD_FORMATS, ...MODERN_FORMATS, ...RAW_FORMATS];
+
+const JPEG_SOI = Buffer.from([0xff, 0xd8, 0xff]);
+
+function getExtension(filePath) {
+  return path.extname(filePath).toLowerCase();
+}
+
+function isRawFile(filePath) {
+  return RAW_FORMATS.includes(getExtension(filePath));
+}
+
+function needsDecodeProxy(filePath) {
+  return !JIMP_READABLE_FORMATS.includes(getExtension(filePath));
+}
+
+// RAW containers (TIFF-based CR2/NEF/ARW/DNG, as well as CR3/RAF) embed one or more
+// JPEG previews. Walk every JPEG start marker and keep the largest complete stream.
+async function extractEmbeddedPreview(filePath) {
+  const buffer = await fs.readFile(filePath);
+  let best = null;
+  let offset = 0;
+
+  while ((offset = buffer.indexOf(JPEG_SOI, offset)) !== -1) {
+    const end = findJpegEnd(buffer, offset);
+
+    if (end !== -1) {
+      if (!best || end - offset > best.length) {
+        best = { start: offset, length: end - offset };
+      }
+      offset = end;
+    } else {
+      offset += JPEG_SOI.length;
+    }
+  }
+
+  return best ? buffer.subarray(best.start, best.start + best.length) : null;
+}
+
+// Follows the JPEG segment chain to the start of scan, then scans entropy-coded
+// data for the end-of-image marker. Returns the offset just past EOI, or -1.
+function findJpegEnd(buffer, start) {
+  let offset = start + 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return -1;
+
+    const marker = buffer[offset + 1];
+
+    // Fill bytes
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+
+    const segmentLength = buffer.readUInt16BE(offset + 2);
+    if (segmentLength < 2) return -1;
+
+    offset += 2 + segmentLength;
+
+    // Start of scan: entropy-coded data follows until the next non-RST marker
+    if (marker === 0xda) {
+      while ((offset = buffer.indexOf(0xff, offset)) !== -1 && offset + 1 < buffer.length) {
+        const next = buffer[offset + 1];
+        if (next === 0xd9) return offset + 2;
+        // Stuffed zero or restart marker: still inside scan data
+        if (next === 0x00 || (next >= 0xd0 && next <= 0xd7)) {
+          offset += 2;
+          continue;
+        }
+        // Another marker (progressive JPEGs have several scans)
+        break;
+      }
+      if (offset === -1) return -1;
+    }
+  }
+
+  return -1;
+}
+
+// Pairs RAW files with a rendered sibling (same folder, same base name) from the
+// same shot. These are companions, not duplicates, and must never be offered for deletion.
+function findSidecarPairs(images) {
+  const byStem = new Map();
+
+  images.forEach(image => {
+    const stem = path.join(path.dirname(image.path), path.basename(image.path, path.extname(image.path))).toLowerCase();
+    if (!byStem.has(stem)) {
+      byStem.set(stem, []);
+    }
+    byStem.get(stem).push(image);
+  });
+
+  const pairs = [];
+  for (const siblings of byStem.values()) {
+    const raws = siblings.filter(image => isRawFile(image.path));
+    const rendered = siblings.filter(image => !isRawFile(image.path));
+
+    if (raws.length > 0 && rendered.length > 0) {
+      pairs.push({ raw: raws, rendered });
+    }
+  }
+
+  return pairs;
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  RAW_FORMATS,
+  MODERN_FORMATS,
+  HEIF_FORMATS,
+  getExtension,
+  isRawFile,
+  needsDecodeProxy,
+  extractEmbeddedPreview,
+  findJpegEnd,
+  findSidecarPairs
+};
@@ -0,0 +1,138 @@
+const exifr = require('exifr');
+
+const PARSE_OPTIONS = {
+  tiff: true,
+  exif: true,
+  gps: true,
+  xmp: true,
+  iptc: true,
+  icc: false,
+  // Keep raw numeric values (Orientation 6 rather than "Rotate 90 CW")
+  translateValues: false,
+  reviveValues: true,
+  mergeOutput: true
+};
+
+// Orientations 5-8 are stored rotated by 90 degrees, so display width and height swap
+const TRANSPOSED_ORIENTATIONS = [5, 6, 7, 8];
+
+async function extractMetadata(filePath) {
+  let raw;
+  try {
+    raw = await exifr.parse(filePath, PARSE_OPTIONS);
+  } catch (error) {
+    // Missing or malformed metadata is common and never fatal for a scan
+    console.warn(`Could not read metadata for ${filePath}:`, error.message);
+    raw = null;
+  }
+
+  return normalizeMetadata(raw);
+}
+
+function normalizeMetadata(raw) {
+  if (!raw) {
+    return emptyMetadata();
+  }
+
+  const captureDate = firstDate(raw.DateTimeOriginal, raw.CreateDate, raw.DateCreated, raw.DateTimeDigitized);
+  const latitude = toNumber(raw.latitude);
+  const longitude = toNumber(raw.longitude);
+
+  return {
+    hasExif: Boolean(raw.Make || raw.Model || raw.DateTimeOriginal || raw.ExposureTime || raw.FNumber),
+    captureDate: captureDate ? captureDate.toISOString() : null,
+    make: cleanString(raw.Make),
+    model: cleanString(raw.Model),
+    lens: cleanString(raw.LensModel || raw.Lens),
+    gps: latitude !== null && longitude !== null
+      ? { latitude, longitude, altitude: toNumber(raw.GPSAltitude) }
+      : null,
+    orientation: normalizeOrientation(raw.Orientation),
+    rating: toNumber(raw.Rating),
+    keywords: collectKeywords(raw.Keywords, raw.subject)
+  };
+}
+
+function emptyMetadata() {
+  return {
+    hasExif: false,
+    captureDate: null,
+    make: null,
+    model: null,
+    lens: null,
+    gps: null,
+    orientation: 1,
+    rating: null,
+    keywords: []
+  };
+}
+
+function normalizeOrientation(value) {
+  const orientation = parseInt(value, 10);
+  return orientation >= 1 && orientation <= 8 ? orientation : 1;
+}
+
+// Applies an EXIF orientation explicitly, for sources whose own EXIF does not
+// carry it (e.g. the embedded preview of a RAW file)
+function applyOrientation(pipeline, orientation) {
+  switch (orientation) {
+    case 2: return pipeline.flop();
+    case 3: return pipeline.rotate(180);
+    case 4: return pipeline.flip();
+    case 5: return pipeline.rotate(90).flop();
+    case 6: return pipeline.rotate(90);
+    case 7: return pipeline.rotate(270).flop();
+    case 8: return pipeline.rotate(270);
+    default: return pipeline;
+  }
+}
+
+function orientedDimensions(width, height, orientation) {
+  return TRANSPOSED_ORIENTATIONS.includes(orientation)
+    ? { width: height, height: width }
+    : { width, height };
+}
+
+function firstDate(...values) {
+  for (const value of values) {
+    const date = value instanceof Date ? value : (value ? new Date(value) : null);
+    if (date && !Number.isNaN(date.getTime())) {
+      return date;
+    }
+  }
+  return null;
+}
+
+function collectKeywords(...sources) {
+  const keywords = new Set();
+
+  sources.forEach(source => {
+    if (!source) return;
+    const values = Array.isArray(source) ? source : String(source).split(/[;,]/);
+    values.forEach(keyword => {
+      const cleaned = cleanString(keyword);
+      if (cleaned) keywords.add(cleaned);
+    });
+  });
+
+  return Array.from(keywords);
+}
+
+function cleanString(value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return cleanString(value.join(' '));
+  const cleaned = String(value).replace(/\0/g, '').trim();
+  return cleaned || null;
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return value !== undefined && value !== null && Number.isFinite(number) ? number : null;
+}
+
+module.exports = {
+  extractMetadata,
+  normalizeMetadata,
+  applyOrientation,
+  orientedDimensions
+};
@@ -0,0 +1,141 @@
+const fs = require('fs-extra');
+
+const ERROR_CATEGORIES = {
+  permission: 'Permission denied',
+  corrupt: 'Corrupt or truncated',
+  unsupported: 'Unsupported codec',
+  empty: 'Zero-byte file',
+  'path-too-long': 'Path too long',
+  io: 'Read failed (try again)',
+  unknown: 'Unreadable'
+};
+
+// Categories that mean the file itself is broken, offered as a cleanup category
+const CLEANUP_CATEGORIES = ['corrupt', 'empty'];
+
+const CODE_CATEGORIES = {
+  EACCES: 'permission',
+  EPERM: 'permission',
+  ENAMETOOLONG: 'path-too-long',
+  EEMPTY: 'empty',
+  // Disk, network share or handle trouble; the file may read fine next time
+  EIO: 'io',
+  EBUSY: 'io',
+  EAGAIN: 'io',
+  EINTR: 'io',
+  ETIMEDOUT: 'io',
+  EMFILE: 'io',
+  ENFILE: 'io',
+  ESTALE: 'io',
+  ENXIO: 'io',
+  ECONNRESET: 'io',
+  EHOSTDOWN: 'io',
+  ENETUNREACH: 'io'
+};
+
+// Messages from libvips/sharp, heic-decode and our RAW preview extraction.
+// Kept to decoder wording; generic "read error" text also comes from failing disks.
+const CORRUPT_PATTERNS = [
+  /premature end/i,
+  /truncated/i,
+  /corrupt (jpeg|png|image|data)/i,
+  /unexpected end/i,
+  /bad huffman/i,
+  /invalid (marker|jpeg|png|huffman)/i,
+  /crc error/i,
+  /not enough data/i,
+  /libpng read error/i
+];
+
+const UNSUPPORTED_PATTERNS = [
+  /unsupported image format/i,
+  /compression format has not been built in/i,
+  /no decoding plugin/i,
+  /no embedded preview/i,
+  /unsupported (codec|feature|bit depth)/i
+];
+
+// Windows refuses paths beyond MAX_PATH with a plain ENOENT
+const WINDOWS_MAX_PATH = 260;
+
+function classifyScanError(error, filePath = '') {
+  const category = error && CODE_CATEGORIES[error.code];
+  if (category) {
+    return category;
+  }
+
+  if (error && error.code === 'ENOENT' && process.platform === 'win32' && filePath.length >= WINDOWS_MAX_PATH) {
+    return 'path-too-long';
+  }
+
+  // Any other system error happened before a decoder saw the bytes
+  if (error && typeof error.code === 'string' && /^E[A-Z]+$/.test(error.code)) {
+    return 'unknown';
+  }
+
+  const message = (error && error.message) || String(error);
+  if (UNSUPPORTED_PATTERNS.some(pattern => pattern.test(message))) {
+    return 'unsupported';
+  }
+  if (CORRUPT_PATTERNS.some(pattern => pattern.test(message))) {
+    return 'corrupt';
+  }
+
+  return 'unknown';
+}
+
+// Builds the serialisable record reported to the UI for a file or folder that failed
+function createScanError(filePath, error, details = {}) {
+  const category = classifyScanError(error, filePath);
+
+  return {
+    path: filePath,
+    type: details.type || 'file',
+    category,
+    categoryLabel: ERROR_CATEGORIES[category],
+    removable: details.type !== 'directory' && CLEANUP_CATEGORIES.includes(category),
+    code: (error && error.code) || null,
+    message: (error && error.message) || String(error),
+    size: details.size !== undefined ? details.size : null,
+    root: details.root || null,
+    rootLabel: details.rootLabel || null,
+    occurredAt: new Date().toISOString()
+  };
+}
+
+// A decoder cannot tell bytes it could not read from bytes that are broken, so a
+// file is only reported corrupt once it reads to the end; otherwise the read error is kept
+async function confirmScanError(filePath, error, details = {}) {
+  if (classifyScanError(error, filePath) === 'corrupt') {
+    try {
+      await readToEnd(filePath);
+    } catch (readError) {
+      return createScanError(filePath, readError, details);
+    }
+  }
+  return createScanError(filePath, error, details);
+}
+
+function readToEnd(filePath) {
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .on('data', () => {})
+      .on('error', reject)
+      .on('end', resolve);
+  });
+}
+
+function emptyFileError(filePath) {
+  const error = new Error(`File is empty: ${filePath}`);
+  error.code = 'EEMPTY';
+  return error;
+}
+
+module.exports = {
+  ERROR_CATEGORIES,
+  CLEANUP_CATEGORIES,
+  classifyScanError,
+  createScanError,
+  confirmScanError,
+  emptyFileError
+};
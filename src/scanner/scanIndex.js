@@ -0,0 +1,166 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Bump when the shape of stored records changes so stale indexes are discarded
+const INDEX_VERSION = 3;
+
+class ScanIndex {
+  constructor(indexPath = path.join(__dirname, '../cache/scan-index.json')) {
+    this.indexPath = indexPath;
+    this.entries = new Map();
+    this.lastSummary = null;
+    this.beginScan();
+  }
+
+  async load() {
+    this.entries.clear();
+
+    if (!await fs.pathExists(this.indexPath)) {
+      return this;
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+
+      if (data.version !== INDEX_VERSION) {
+        console.warn(`Discarding scan index with version ${data.version}`);
+        return this;
+      }
+
+      for (const [filePath, entry] of Object.entries(data.entries || {})) {
+        this.entries.set(filePath, entry);
+      }
+    } catch (error) {
+      // A corrupt index only costs a full rescan, never a failed one
+      console.warn(`Failed to read scan index, starting fresh: ${error.message}`);
+    }
+
+    return this;
+  }
+
+  async save() {
+    await fs.ensureDir(path.dirname(this.indexPath));
+
+    const data = {
+      version: INDEX_VERSION,
+      savedAt: new Date().toISOString(),
+      entries: Object.fromEntries(this.entries)
+    };
+
+    // Write to a temp file first so a crash mid-write leaves the old index intact
+    const tempPath = `${this.indexPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data));
+    await fs.move(tempPath, this.indexPath, { overwrite: true });
+  }
+
+  beginScan() {
+    this.seen = new Set();
+    this.replaced = new Map();
+    this.stats = { added: 0, changed: 0, unchanged: 0, removed: 0 };
+  }
+
+  // Returns the cached record when the file is unchanged since it was indexed,
+  // otherwise invalidates any stale entry and returns null. Nothing is counted until
+  // the file is either reused or reprocessed successfully.
+  lookup(filePath, stat) {
+    this.seen.add(filePath);
+
+    const entry = this.entries.get(filePath);
+    if (!entry) {
+      return null;
+    }
+
+    if (!ScanIndex.matches(entry.fingerprint, ScanIndex.fingerprint(stat))) {
+      this.entries.delete(filePath);
+      this.replaced.set(filePath, entry.fingerprint);
+      return null;
+    }
+
+    return entry.record;
+  }
+
+  // Counts a file whose cached record was used as is
+  reuse(filePath) {
+    this.seen.add(filePath);
+    this.stats.unchanged++;
+  }
+
+  update(filePath, stat, record) {
+    const fingerprint = ScanIndex.fingerprint(stat);
+    const entry = this.entries.get(filePath);
+    const previous = entry ? entry.fingerprint : this.replaced.get(filePath);
+
+    // A reprocessed file is only new or changed if its fingerprint says so; one whose
+    // thumbnail was evicted is still unchanged
+    if (!previous) {
+      this.stats.added++;
+    } else if (ScanIndex.matches(previous, fingerprint)) {
+      this.stats.unchanged++;
+    } else {
+      this.stats.changed++;
+    }
+
+    this.seen.add(filePath);
+    this.replaced.delete(filePath);
+    this.entries.set(filePath, {
+      fingerprint,
+      record,
+      indexedAt: new Date().toISOString()
+    });
+  }
+
+  records() {
+    return Array.from(this.entries.values(), entry => entry.record);
+  }
+
+  remove(filePath) {
+    this.entries.delete(filePath);
+  }
+
+  // Drops entries under the walked roots that were not seen during this scan, except
+  // under folders that could not be read this time. The summary covers every root.
+  finishScan(rootPaths, unreadablePaths = []) {
+    const roots = [].concat(rootPaths).map(root => path.resolve(root));
+    const unreadable = unreadablePaths.map(dir => path.resolve(dir));
+
+    for (const filePath of Array.from(this.entries.keys())) {
+      if (this.seen.has(filePath) || !roots.some(root => isInside(root, filePath))) continue;
+      if (unreadable.some(dir => isInside(dir, filePath))) continue;
+
+      this.entries.delete(filePath);
+      this.stats.removed++;
+    }
+
+    this.lastSummary = { ...this.stats, total: this.seen.size };
+    return this.lastSummary;
+  }
+
+  static fingerprint(stat) {
+    return {
+      size: stat.size,
+      mtimeMs: Math.floor(stat.mtimeMs),
+      // Some filesystems (FAT, certain network shares) report 0 for every inode
+      ino: stat.ino || null
+    };
+  }
+
+  static matches(stored, current) {
+    if (stored.size !== current.size || stored.mtimeMs !== current.mtimeMs) {
+      return false;
+    }
+
+    // Only compare inodes when both sides actually have one
+    if (stored.ino && current.ino && String(stored.ino) !== String(current.ino)) {
+      return false;
+    }
+
+    return true;
+  }
+}
+
+function isInside(root, filePath) {
+  const relative = path.relative(root, path.resolve(filePath));
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+module.exports = ScanIndex;
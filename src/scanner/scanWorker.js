@@ -0,0 +1,19 @@
+const { parentPort } = require('worker_threads');
+const sharp = require('sharp');
+const { processImage } = require('./fileScanner');
+
+// Parallelism comes from the pool, so keep each worker's libvips single-threaded
+sharp.concurrency(1);
+sharp.cache(false);
+
+parentPort.on('message', async ({ id, payload }) => {
+  try {
+    const result = await processImage(payload.filePath, payload.stat);
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({
+      id,
+      error: { message: error.message, code: error.code }
+    });
+  }
+});
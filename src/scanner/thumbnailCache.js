@@ -0,0 +1,122 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const THUMBNAIL_SIZES = {
+  grid: 200,
+  zoom: 800
+};
+
+const CACHE_CONFIG = {
+  dir: path.join(__dirname, '../cache/thumbnails'),
+  maxMb: parseInt(process.env.THUMBNAIL_CACHE_MB, 10) || 1024
+};
+
+// Thumbnails are addressed by content hash and size, so identically named files in
+// different folders never collide and identical copies share one thumbnail.
+// Sharded by hash prefix to keep directories small on large libraries.
+function getThumbnailPath(fileHash, size, dir = CACHE_CONFIG.dir) {
+  return path.join(dir, fileHash.slice(0, 2), `${fileHash}_${size}.jpg`);
+}
+
+// Bookkeeping for the on-disk cache. Scan workers write thumbnails straight to their
+// content-addressed paths; only the main process records them here, so the manifest
+// has a single writer.
+class ThumbnailCache {
+  constructor(options = {}) {
+    this.dir = options.dir || CACHE_CONFIG.dir;
+    this.maxBytes = (options.maxMb || CACHE_CONFIG.maxMb) * 1024 * 1024;
+    this.manifestPath = path.join(this.dir, 'manifest.json');
+    this.entries = new Map();
+    this.totalBytes = 0;
+  }
+
+  async load() {
+    this.entries.clear();
+    this.totalBytes = 0;
+
+    try {
+      if (await fs.pathExists(this.manifestPath)) {
+        const manifest = JSON.parse(await fs.readFile(this.manifestPath, 'utf8'));
+        for (const [key, entry] of Object.entries(manifest.entries || {})) {
+          this.entries.set(key, entry);
+          this.totalBytes += entry.bytes;
+        }
+      }
+    } catch (error) {
+      console.warn(`Failed to read thumbnail cache manifest: ${error.message}`);
+    }
+
+    return this;
+  }
+
+  async save() {
+    await fs.ensureDir(this.dir);
+
+    const tempPath = `${this.manifestPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ entries: Object.fromEntries(this.entries) }));
+    await fs.move(tempPath, this.manifestPath, { overwrite: true });
+  }
+
+  pathFor(fileHash, size) {
+    return getThumbnailPath(fileHash, size, this.dir);
+  }
+
+  record(fileHash, size, bytes) {
+    const key = cacheKey(fileHash, size);
+    const existing = this.entries.get(key);
+
+    if (existing) {
+      this.totalBytes -= existing.bytes;
+    }
+
+    this.entries.set(key, { hash: fileHash, size, bytes: bytes || 0, lastAccess: Date.now() });
+    this.totalBytes += bytes || 0;
+  }
+
+  touch(fileHash, size) {
+    const entry = this.entries.get(cacheKey(fileHash, size));
+    if (entry) {
+      entry.lastAccess = Date.now();
+    }
+    return Boolean(entry);
+  }
+
+  async has(fileHash, size) {
+    return fs.pathExists(this.pathFor(fileHash, size));
+  }
+
+  // Removes least recently used thumbnails until the cache fits its size cap.
+  // Thumbnails for hashes in keepHashes (e.g. the current results) are never evicted.
+  async evict(keepHashes = new Set()) {
+    if (this.totalBytes <= this.maxBytes) {
+      return 0;
+    }
+
+    const candidates = Array.from(this.entries.entries())
+      .filter(([, entry]) => !keepHashes.has(entry.hash))
+      .sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+
+    let removed = 0;
+    for (const [key, entry] of candidates) {
+      if (this.totalBytes <= this.maxBytes) break;
+
+      await fs.remove(this.pathFor(entry.hash, entry.size));
+      this.entries.delete(key);
+      this.totalBytes -= entry.bytes;
+      removed++;
+    }
+
+    return removed;
+  }
+}
+
+function cacheKey(fileHash, size) {
+  return `${fileHash}_${size}`;
+}
+
+module.exports = {
+  ThumbnailCache,
+  THUMBNAIL_SIZES,
+  CACHE_CONFIG,
+  getThumbnailPath
+};
@@ -0,0 +1,149 @@
+const { Worker } = require('worker_threads');
+const os = require('os');
+
+class WorkerPool {
+  constructor(workerPath, options = {}) {
+    this.workerPath = workerPath;
+    this.concurrency = Math.max(1, options.concurrency || os.cpus().length);
+    this.maxMemoryBytes = options.maxMemoryBytes || Infinity;
+    this.workerOptions = options.workerOptions || {};
+
+    this.queue = [];
+    this.workers = new Set();
+    this.idle = [];
+    this.inFlightBytes = 0;
+    this.nextTaskId = 0;
+    this.destroyed = false;
+    this.paused = false;
+  }
+
+  // Queue a task; cost is the estimated memory it needs while in flight
+  run(payload, cost = 0) {
+    if (this.destroyed) {
+      return Promise.reject(new Error('Worker pool has been destroyed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextTaskId++, payload, cost, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  // Holds queued tasks back; tasks already running are allowed to finish
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.dispatch();
+  }
+
+  dispatch() {
+    while (!this.paused && this.queue.length > 0) {
+      const task = this.queue[0];
+      const busy = this.workers.size - this.idle.length;
+
+      // Always let one task through so a single huge file cannot stall the pool
+      if (busy > 0 && this.inFlightBytes + task.cost > this.maxMemoryBytes) break;
+
+      const worker = this.acquireWorker();
+      if (!worker) break;
+
+      this.queue.shift();
+      this.inFlightBytes += task.cost;
+      worker.currentTask = task;
+      worker.postMessage({ id: task.id, payload: task.payload });
+    }
+  }
+
+  acquireWorker() {
+    if (this.idle.length > 0) {
+      return this.idle.pop();
+    }
+    if (this.workers.size < this.concurrency) {
+      return this.spawnWorker();
+    }
+    return null;
+  }
+
+  spawnWorker() {
+    const worker = new Worker(this.workerPath, this.workerOptions);
+
+    worker.on('message', (message) => {
+      const task = worker.currentTask;
+      this.release(worker);
+
+      if (!task) return;
+      if (message.error) {
+        task.reject(deserializeError(message.error));
+      } else {
+        task.resolve(message.result);
+      }
+    });
+
+    worker.on('error', (error) => this.handleWorkerFailure(worker, error));
+    worker.on('exit', (code) => {
+      if (this.workers.has(worker)) {
+        this.handleWorkerFailure(worker, new Error(`Worker exited unexpectedly with code ${code}`));
+      }
+    });
+
+    this.workers.add(worker);
+    return worker;
+  }
+
+  release(worker) {
+    if (worker.currentTask) {
+      this.inFlightBytes -= worker.currentTask.cost;
+      worker.currentTask = null;
+    }
+
+    if (this.workers.has(worker)) {
+      this.idle.push(worker);
+    }
+    this.dispatch();
+  }
+
+  // A crashed worker (e.g. decoder out of memory) only fails its own task;
+  // a replacement is spawned on demand for the rest of the queue
+  handleWorkerFailure(worker, error) {
+    const task = worker.currentTask;
+
+    this.workers.delete(worker);
+    this.idle = this.idle.filter(idleWorker => idleWorker !== worker);
+
+    if (task) {
+      this.inFlightBytes -= task.cost;
+      worker.currentTask = null;
+      task.reject(error);
+    }
+
+    if (!this.destroyed) {
+      this.dispatch();
+    }
+  }
+
+  async destroy() {
+    this.destroyed = true;
+
+    const queued = this.queue.splice(0);
+    queued.forEach(task => task.reject(new Error('Worker pool has been destroyed')));
+
+    const workers = Array.from(this.workers);
+    this.workers.clear();
+    this.idle = [];
+
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+function deserializeError(data) {
+  const error = new Error(data.message);
+  if (data.code) {
+    error.code = data.code;
+  }
+  return error;
+}
+
+module.exports = WorkerPool;
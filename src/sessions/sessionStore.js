@@ -0,0 +1,171 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Statuses a session can be left in by a crash or restart
+const INTERRUPTED_STATUSES = ['scanning', 'detecting'];
+
+const SESSION_CONFIG = {
+  dir: path.join(__dirname, '../cache/sessions'),
+  maxSessions: 5,
+  // Detection checkpoints are written at most this often
+  checkpointIntervalMs: 2000
+};
+
+// Persists each scan/detect session so it survives a crash or restart. A session is a
+// folder holding session.json (small metadata, rewritten on every status change) plus
+// larger data files written once per phase: images, errors, groups and checkpoint.
+class SessionStore {
+  constructor(options = {}) {
+    this.dir = options.dir || SESSION_CONFIG.dir;
+    this.maxSessions = options.maxSessions || SESSION_CONFIG.maxSessions;
+    this.checkpointIntervalMs = options.checkpointIntervalMs !== undefined
+      ? options.checkpointIntervalMs
+      : SESSION_CONFIG.checkpointIntervalMs;
+    this.pendingCheckpoints = new Map();
+  }
+
+  async create(data = {}) {
+    const now = new Date().toISOString();
+    const session = {
+      ...data,
+      id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      status: data.status || 'scanning',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.writeMeta(session);
+    await this.prune();
+    return session;
+  }
+
+  async get(id) {
+    try {
+      return await fs.readJson(this.metaPath(id));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async update(id, changes) {
+    const session = await this.get(id);
+    if (!session) {
+      throw new Error(`Session ${id} not found`);
+    }
+
+    const updated = { ...session, ...changes, id, updatedAt: new Date().toISOString() };
+    await this.writeMeta(updated);
+    return updated;
+  }
+
+  async list() {
+    if (!await fs.pathExists(this.dir)) {
+      return [];
+    }
+
+    const ids = await fs.readdir(this.dir);
+    const sessions = await Promise.all(ids.map(id => this.get(id)));
+    return sessions
+      .filter(Boolean)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async latest() {
+    const [session] = await this.list();
+    return session || null;
+  }
+
+  async saveData(id, name, data) {
+    await writeJsonAtomic(this.dataPath(id, name), data);
+  }
+
+  async loadData(id, name) {
+    try {
+      return await fs.readJson(this.dataPath(id, name));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Throttled: only the newest state is kept, and it is written at most once per
+  // interval. Call flushCheckpoint() when the phase ends or is interrupted.
+  checkpoint(id, state) {
+    const pending = this.pendingCheckpoints.get(id) || { writtenAt: 0, writing: null };
+    pending.state = state;
+    this.pendingCheckpoints.set(id, pending);
+
+    if (!pending.writing && Date.now() - pending.writtenAt >= this.checkpointIntervalMs) {
+      return this.flushCheckpoint(id);
+    }
+    return pending.writing || Promise.resolve();
+  }
+
+  async flushCheckpoint(id) {
+    const pending = this.pendingCheckpoints.get(id);
+    if (!pending) return;
+
+    if (pending.writing) {
+      await pending.writing;
+    }
+    if (!pending.state) return;
+
+    const state = pending.state;
+    pending.state = null;
+    pending.writing = this.saveData(id, 'checkpoint', state)
+      .catch(error => console.warn(`Failed to write checkpoint for session ${id}: ${error.message}`))
+      .then(() => {
+        pending.writing = null;
+        pending.writtenAt = Date.now();
+      });
+    await pending.writing;
+  }
+
+  async clearCheckpoint(id) {
+    this.pendingCheckpoints.delete(id);
+    await fs.remove(this.dataPath(id, 'checkpoint'));
+  }
+
+  async remove(id) {
+    this.pendingCheckpoints.delete(id);
+    await fs.remove(path.join(this.dir, id));
+  }
+
+  // Keeps only the most recent sessions
+  async prune() {
+    const sessions = await this.list();
+    for (const session of sessions.slice(this.maxSessions)) {
+      await this.remove(session.id);
+    }
+  }
+
+  metaPath(id) {
+    return this.dataPath(id, 'session');
+  }
+
+  dataPath(id, name) {
+    return path.join(this.dir, id, `${name}.json`);
+  }
+
+  async writeMeta(session) {
+    await writeJsonAtomic(this.metaPath(session.id), session);
+  }
+}
+
+// Write to a temp file first so a crash mid-write leaves the previous version intact
+async function writeJsonAtomic(filePath, data) {
+  await fs.ensureDir(path.dirname(filePath));
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data));
+  await fs.move(tempPath, filePath, { overwrite: true });
+}
+
+function isInterrupted(session) {
+  return Boolean(session && INTERRUPTED_STATUSES.includes(session.status));
+}
+
+module.exports = {
+  SessionStore,
+  SESSION_CONFIG,
+  isInterrupted
+};
@@ -2,13 +2,25 @@ const { ipcRenderer } = require('electron');
 
 class DuplicateImageDetector {
     constructor() {
-        this.selectedFolder = null;
+        this.roots = [];
+        this.preferredRoot = null;
         this.scannedImages = [];
         this.duplicateGroups = [];
         this.selectedGroups = new Set();
+        this.scanErrors = [];
+        this.activeJob = null;
+        this.sessionId = null;
+        this.previousSession = null;
+        this.providerHealth = {};
+        // Until the user picks one, the PRIVACY_MODE configured in .env applies
+        this.privacyMode = null;
+        this.keeperPolicies = [];
+        this.keeperPolicyName = 'default';
         
         this.initializeEventListeners();
         this.initializeProgressListeners();
+        this.checkForPreviousSession();
+        this.loadKeeperPolicies();
     }
     
     initializeEventListeners() {
@@ -17,6 +29,10 @@ class DuplicateImageDetector {
             this.selectFolder();
         });
         
+        document.getElementById('continue-to-scan-btn').addEventListener('click', () => {
+            this.showStep('scanning');
+        });
+        
         // Start scanning
         document.getElementById('start-scan-btn').addEventListener('click', () => {
             this.startScanning();
@@ -36,6 +52,46 @@ class DuplicateImageDetector {
             this.deleteSelectedDuplicates();
         });
         
+        document.getElementById('privacy-mode').addEventListener('change', (event) => {
+            this.privacyMode = event.target.value;
+            this.showCostEstimate();
+        });
+        
+        document.getElementById('keeper-policy').addEventListener('change', (event) => {
+            this.keeperPolicyName = event.target.value;
+            this.showKeeperPolicy();
+        });
+        
+        document.getElementById('group-sort').addEventListener('change', (event) => {
+            this.sortGroups(event.target.value);
+        });
+        
+        // Previous session
+        document.getElementById('resume-session-btn').addEventListener('click', () => {
+            this.resumeSession();
+        });
+        
+        document.getElementById('discard-session-btn').addEventListener('click', () => {
+            this.discardSession();
+        });
+        
+        // Results tabs and scan problems
+        document.getElementById('duplicates-tab-btn').addEventListener('click', () => {
+            this.showResultsTab('duplicates');
+        });
+        
+        document.getElementById('problems-tab-btn').addEventListener('click', () => {
+            this.showResultsTab('problems');
+        });
+        
+        document.getElementById('retry-problems-btn').addEventListener('click', () => {
+            this.retryProblems();
+        });
+        
+        document.getElementById('export-problems-btn').addEventListener('click', () => {
+            this.exportProblems();
+        });
+        
         // Emergency stop
         document.getElementById('emergency-stop-btn').addEventListener('click', () => {
             this.emergencyStop();
@@ -62,44 +118,364 @@ class DuplicateImageDetector {
         ipcRenderer.on('deletion-progress', (event, progress) => {
             this.updateDeletionProgress(progress);
         });
+        
+        // Pause/resume/cancel state of long-running operations
+        ipcRenderer.on('job-update', (event, job) => {
+            this.updateJob(job);
+        });
+        
+        // Retries, rate limiting and outages of the cloud providers
+        ipcRenderer.on('provider-health', (event, health) => {
+            this.updateProviderHealth(health);
+        });
     }
     
     async selectFolder() {
         try {
-            const folderPath = await ipcRenderer.invoke('select-folder');
-            if (folderPath) {
-                this.selectedFolder = folderPath;
-                document.getElementById('selected-folder').textContent = folderPath;
-                document.getElementById('start-scan-btn').disabled = false;
-                this.showStep('scanning');
+            const folderPaths = await ipcRenderer.invoke('select-folder');
+            if (folderPaths) {
+                folderPaths
+                    .filter(folderPath => !this.roots.some(root => root.path === folderPath))
+                    .forEach(folderPath => {
+                        const name = folderPath.split(/[\\/]/).filter(Boolean).pop() || folderPath;
+                        this.roots.push({ path: folderPath, label: name });
+                    });
+                this.renderRoots();
             }
         } catch (error) {
             this.showError('Error selecting folder', error);
         }
     }
     
-    async startScanning() {
-        if (!this.selectedFolder) return;
+    renderRoots() {
+        const container = document.getElementById('selected-folder');
+        container.innerHTML = this.roots.map((root, index) => `
+            <div class="root-item">
+                <input type="text" value="${this.escapeHtml(root.label)}" title="Label for this folder"
+                       onchange="app.setRootLabel(${index}, this.value)">
+                <div class="folder-path" title="${this.escapeHtml(root.path)}">${this.escapeHtml(root.path)}</div>
+                <label class="root-prefer">
+                    <input type="radio" name="preferred-root" ${root.path === this.preferredRoot ? 'checked' : ''}
+                           onchange="app.setPreferredRoot(${index})">
+                    Prefer keeping copies here
+                </label>
+                <button class="remove-root-btn" title="Remove folder" onclick="app.removeRoot(${index})">✖️</button>
+            </div>
+        `).join('');
+        
+        const hasRoots = this.roots.length > 0;
+        document.getElementById('continue-to-scan-btn').disabled = !hasRoots;
+        document.getElementById('start-scan-btn').disabled = !hasRoots;
+    }
+    
+    setRootLabel(index, label) {
+        this.roots[index].label = label.trim() || this.roots[index].label;
+    }
+    
+    setPreferredRoot(index) {
+        this.preferredRoot = this.roots[index].path;
+    }
+    
+    removeRoot(index) {
+        const [removed] = this.roots.splice(index, 1);
+        if (removed.path === this.preferredRoot) {
+            this.preferredRoot = null;
+        }
+        this.renderRoots();
+    }
+    
+    async startScanning(walkOptions = this.getScanOptions()) {
+        if (this.roots.length === 0) return;
         
         try {
             document.getElementById('start-scan-btn').disabled = true;
-            document.getElementById('scan-status').textContent = 'Scanning folder for images...';
+            document.getElementById('scan-status').textContent = 
+                `Scanning ${this.roots.length} folder${this.roots.length > 1 ? 's' : ''} for images...`;
+            
+            const result = await ipcRenderer.invoke('scan-folder', this.roots, walkOptions, {
+                id: this.sessionId,
+                preferredRoot: this.preferredRoot
+            });
+            if (result.cancelled) {
+                document.getElementById('scan-status').textContent = 'Scan cancelled. Files scanned so far will be reused next time.';
+                document.getElementById('start-scan-btn').disabled = false;
+                return;
+            }
             
-            const result = await ipcRenderer.invoke('scan-folder', this.selectedFolder);
             this.scannedImages = result.images;
             this.backupId = result.backupId;
+            this.sessionId = result.sessionId;
+            this.scanErrors = result.errors || [];
+            this.renderProblems();
             
+            const problems = this.scanErrors.length > 0
+                ? ` ${this.scanErrors.length} could not be read (see Problems after detection).`
+                : '';
             document.getElementById('scan-status').textContent = 
-                `Scan complete! Found ${this.scannedImages.length} images. Safety backup created.`;
+                `Scan complete! Found ${this.scannedImages.length} images. Safety backup created.${problems}`;
+            
+            if (result.changes) {
+                const { added, changed, removed, unchanged } = result.changes;
+                document.getElementById('scan-details').textContent = 
+                    `${added} new, ${changed} changed, ${removed} removed, ${unchanged} unchanged since last scan`;
+            }
             document.getElementById('start-detection-btn').disabled = false;
             
             this.showStep('detection');
+            await this.showCostEstimate();
         } catch (error) {
             this.showError('Error during scanning', error);
             document.getElementById('start-scan-btn').disabled = false;
         }
     }
     
+    // Offers to resume an interrupted scan/detection, or reopen finished results
+    async checkForPreviousSession() {
+        try {
+            const session = await ipcRenderer.invoke('get-last-session');
+            if (!session) return;
+            
+            this.previousSession = session;
+            const when = new Date(session.updatedAt).toLocaleString();
+            const folders = `${session.roots.length} folder${session.roots.length > 1 ? 's' : ''}`;
+            const messages = {
+                scanning: [`A scan of ${folders} was interrupted (${when}).`, '▶️ Resume Scan'],
+                detecting: [`Duplicate detection on ${session.imageCount} images was interrupted (${when}).`, '▶️ Resume Detection'],
+                scanned: [`${session.imageCount} images from ${folders} were scanned (${when}) but not yet checked.`, '▶️ Continue'],
+                completed: [`Your last session found ${session.groupCount} duplicate groups (${when}).`, '📂 Reopen Results']
+            };
+            const [text, action] = messages[session.status];
+            
+            document.getElementById('session-banner-text').textContent = text;
+            document.getElementById('resume-session-btn').textContent = action;
+            document.getElementById('session-banner').classList.remove('hidden');
+        } catch (error) {
+            console.error('Error checking for previous session:', error);
+        }
+    }
+    
+    async resumeSession() {
+        const previous = this.previousSession;
+        if (!previous) return;
+        
+        try {
+            const { session, images, errors, groups } = await ipcRenderer.invoke('open-session', previous.id);
+            document.getElementById('session-banner').classList.add('hidden');
+            
+            this.sessionId = session.id;
+            this.roots = session.roots;
+            this.preferredRoot = (session.detectionOptions && session.detectionOptions.preferredRoot) || session.preferredRoot;
+            this.setDetectionOptions(session.detectionOptions);
+            this.renderRoots();
+            
+            if (session.status === 'scanning') {
+                this.showStep('scanning');
+                await this.startScanning(session.walkOptions);
+                return;
+            }
+            
+            this.scannedImages = images || [];
+            this.scanErrors = errors;
+            this.renderProblems();
+            document.getElementById('scan-status').textContent = 
+                `Restored ${this.scannedImages.length} scanned images from your previous session.`;
+            
+            if (session.status === 'completed' && groups) {
+                this.setDuplicateGroups(groups);
+                this.displayResults();
+                this.showStep('results');
+                return;
+            }
+            
+            document.getElementById('start-detection-btn').disabled = false;
+            this.showStep('detection');
+            await this.showCostEstimate();
+            if (session.status === 'detecting') {
+                await this.startDetection();
+            }
+        } catch (error) {
+            this.showError('Error restoring previous session', error);
+        }
+    }
+    
+    async discardSession() {
+        if (!this.previousSession) return;
+        
+        try {
+            await ipcRenderer.invoke('discard-session', this.previousSession.id);
+        } catch (error) {
+            console.error('Error discarding session:', error);
+        }
+        this.previousSession = null;
+        document.getElementById('session-banner').classList.add('hidden');
+    }
+    
+    getScanOptions() {
+        const exclude = document.getElementById('exclude-patterns').value
+            .split(',')
+            .map(pattern => pattern.trim())
+            .filter(Boolean);
+        const maxDepth = parseInt(document.getElementById('max-depth').value, 10);
+        
+        return {
+            exclude,
+            maxDepth: Number.isNaN(maxDepth) ? Infinity : maxDepth,
+            skipHidden: document.getElementById('skip-hidden').checked,
+            symlinks: document.getElementById('follow-symlinks').checked ? 'follow' : 'skip'
+        };
+    }
+    
+    getDetectionOptions() {
+        const hashAlgorithms = [document.getElementById('hash-algorithm').value];
+        if (document.getElementById('hash-color').checked) {
+            hashAlgorithms.push('color');
+        }
+        
+        return {
+            preferredRoot: this.preferredRoot,
+            hashAlgorithms,
+            hashBits: parseInt(document.getElementById('hash-bits').value, 10),
+            clustering: document.getElementById('clustering').value,
+            detectRotatedImages: document.getElementById('detect-rotated').checked,
+            detectCroppedVersions: document.getElementById('detect-cropped').checked,
+            verifyStructure: document.getElementById('verify-structure').checked,
+            semanticSimilarity: document.getElementById('semantic-similarity').checked,
+            privacy: document.getElementById('privacy-mode').value,
+            keeperPolicy: this.keeperPolicyName
+        };
+    }
+    
+    // Restores the detection options a session was run with
+    setDetectionOptions(options = {}) {
+        if (!options.hashAlgorithms) return;
+        
+        document.getElementById('hash-algorithm').value = options.hashAlgorithms[0];
+        document.getElementById('hash-color').checked = options.hashAlgorithms.includes('color');
+        document.getElementById('hash-bits').value = String(options.hashBits || 64);
+        document.getElementById('clustering').value = options.clustering || 'single';
+        document.getElementById('detect-rotated').checked = options.detectRotatedImages !== false;
+        document.getElementById('detect-cropped').checked = options.detectCroppedVersions !== false;
+        document.getElementById('verify-structure').checked = options.verifyStructure !== false;
+        document.getElementById('semantic-similarity').checked = options.semanticSimilarity === true;
+        if (options.privacy) {
+            this.privacyMode = options.privacy;
+            document.getElementById('privacy-mode').value = options.privacy;
+        }
+        if (options.keeperPolicy) {
+            this.keeperPolicyName = options.keeperPolicy;
+            this.showKeeperPolicy();
+        }
+    }
+    
+    async loadKeeperPolicies() {
+        try {
+            this.keeperPolicies = await ipcRenderer.invoke('get-keeper-policies');
+            this.showKeeperPolicy();
+        } catch (error) {
+            console.error('Error loading keeper policies:', error);
+        }
+    }
+    
+    // Lists the policies with the chosen one selected and its rules in the editor
+    showKeeperPolicy() {
+        if (!this.keeperPolicies.some(policy => policy.name === this.keeperPolicyName)) {
+            this.keeperPolicyName = 'default';
+        }
+        const policy = this.keeperPolicies.find(entry => entry.name === this.keeperPolicyName);
+        
+        const select = document.getElementById('keeper-policy');
+        select.innerHTML = this.keeperPolicies.map(entry => `
+            <option value="${this.escapeHtml(entry.name)}">${this.escapeHtml(entry.label)}${entry.builtIn ? '' : ' (saved)'}</option>
+        `).join('');
+        select.value = this.keeperPolicyName;
+        
+        if (!policy) return;
+        document.getElementById('keeper-policy-name').value = policy.builtIn ? '' : policy.name;
+        document.getElementById('keeper-policy-rules').value = policy.text;
+        document.getElementById('delete-keeper-policy-btn').disabled = policy.builtIn;
+    }
+    
+    async saveKeeperPolicy() {
+        const name = document.getElementById('keeper-policy-name').value.trim();
+        if (!name) {
+            alert('Give the policy a name to save it under. Built-in policies cannot be changed, but you can save an edited copy.');
+            return;
+        }
+        
+        try {
+            const saved = await ipcRenderer.invoke('save-keeper-policy', name, document.getElementById('keeper-policy-rules').value);
+            this.keeperPolicyName = saved.name;
+            await this.loadKeeperPolicies();
+        } catch (error) {
+            this.showError('Error saving keeper policy', error);
+        }
+    }
+    
+    async deleteKeeperPolicy() {
+        const name = this.keeperPolicyName;
+        if (!confirm(`Delete the keeper policy "${name}"?`)) return;
+        
+        try {
+            await ipcRenderer.invoke('delete-keeper-policy', name);
+            this.keeperPolicyName = 'default';
+            await this.loadKeeperPolicies();
+        } catch (error) {
+            this.showError('Error deleting keeper policy', error);
+        }
+    }
+    
+    // What the configured cloud providers would charge, before anything is sent to them.
+    // Images analysed in an earlier session are cached and cost nothing. Providers the
+    // privacy mode switches off are left out. Detection only uses the providers shown here.
+    async showCostEstimate() {
+        const element = document.getElementById('cost-estimate');
+        
+        try {
+            const estimate = await ipcRenderer.invoke('estimate-provider-cost', this.scannedImages,
+                { privacy: this.privacyMode });
+            const privacy = estimate.privacy;
+            document.getElementById('privacy-mode').value = privacy.mode;
+            const available = new Set(estimate.providers.map(provider => provider.name));
+            ['google', 'azure', 'aws', 'local-advanced'].forEach(name => {
+                if (!available.has(name)) {
+                    this.updateProviderStatus(name, 'inactive');
+                } else if (this.providerHealth[name]) {
+                    this.updateProviderHealth(this.providerHealth[name]);
+                } else {
+                    this.updateProviderStatus(name, 'active');
+                }
+            });
+            
+            const remote = estimate.providers.filter(provider => provider.remote);
+            // The upload setting only matters once a cloud provider is configured
+            document.getElementById('privacy-field').classList.toggle('hidden',
+                remote.length === 0 && privacy.blocked.length === 0);
+            if (remote.length === 0) {
+                element.textContent = privacy.blocked.length > 0
+                    ? 'Local only: no image leaves this computer and detection runs at no cost.'
+                    : 'No cloud providers configured: detection runs on this computer at no cost.';
+                return;
+            }
+            
+            const minutes = Math.max(1, Math.ceil(estimate.totalSeconds / 60));
+            const lines = remote.map(provider => {
+                const cached = provider.cached > 0 ? ` (${provider.cached} cached from earlier runs)` : '';
+                return `${provider.label}: ${provider.images} images to analyse${cached}, up to $${provider.cost.toFixed(2)}`;
+            });
+            const uploads = privacy.mode === 'proxy'
+                ? `Uploads: copies of at most ${privacy.proxyMaxSize} px, without location or camera metadata`
+                : 'Uploads: original files';
+            element.textContent = [
+                `Estimated cost: up to $${estimate.totalCost.toFixed(2)}, about ${minutes} min of API calls`,
+                ...lines,
+                uploads
+            ].join('\n');
+        } catch (error) {
+            console.error('Error estimating provider cost:', error);
+            element.textContent = '';
+        }
+    }
+    
     async startDetection() {
         if (this.scannedImages.length === 0) return;
         
@@ -107,7 +483,15 @@ class DuplicateImageDetector {
             document.getElementById('start-detection-btn').disabled = true;
             document.getElementById('detection-status').textContent = 'Running AI duplicate detection...';
             
-            this.duplicateGroups = await ipcRenderer.invoke('detect-duplicates', this.scannedImages);
+            const groups = await ipcRenderer.invoke('detect-duplicates', this.scannedImages,
+                this.getDetectionOptions(), this.sessionId);
+            if (groups.cancelled) {
+                document.getElementById('detection-status').textContent = 'Detection cancelled.';
+                document.getElementById('start-detection-btn').disabled = false;
+                return;
+            }
+            
+            this.setDuplicateGroups(groups);
             
             document.getElementById('detection-status').textContent = 
                 `Detection complete! Found ${this.duplicateGroups.length} duplicate groups.`;
@@ -120,9 +504,19 @@ class DuplicateImageDetector {
         }
     }
     
+    setDuplicateGroups(groups) {
+        // Remembered so the original order can be restored after sorting
+        groups.forEach((group, index) => {
+            group.detectionOrder = index;
+        });
+        this.duplicateGroups = groups;
+        this.selectedGroups.clear();
+        document.getElementById('group-sort').value = 'detection';
+    }
+    
     displayResults() {
         // Update statistics
-        const totalDuplicates = this.duplicateGroups.reduce((sum, group) => sum + group.images.length - 1, 0);
+        const totalDuplicates = this.getDeletableGroups().reduce((sum, group) => sum + group.images.length - 1, 0);
         const spaceToSave = this.calculateSpaceToSave();
         
         document.getElementById('total-groups').textContent = this.duplicateGroups.length;
@@ -143,40 +537,112 @@ class DuplicateImageDetector {
         const groupDiv = document.createElement('div');
         groupDiv.className = 'duplicate-group';
         
-        const similarity = Math.round(group.similarity * 100);
-        const typeLabel = group.type === 'exact' ? 'Exact Duplicate' : 'Similar Images';
+        const stats = group.similarityStats;
+        const similarity = Math.round((stats ? stats.mean : group.similarity) * 100);
+        const typeLabels = {
+            'exact': 'Exact Duplicate',
+            'sidecar-pair': 'RAW + JPEG Pair (kept together)'
+        };
+        const typeLabel = typeLabels[group.type] || 'Similar Images';
+        const toDelete = new Set(this.getImagesToDelete(group));
         
         groupDiv.innerHTML = `
             <div class="group-header">
                 <div>
-                    <input type="checkbox" class="group-checkbox" id="group-${index}" 
+                    <input type="checkbox" class="group-checkbox" id="group-${index}" ${group.protected ? 'disabled' : ''}
                            onchange="app.toggleGroupSelection(${index}, this.checked)">
                     <label for="group-${index}" class="group-title">
                         ${typeLabel} - ${group.images.length} images
                     </label>
+                    ${group.crossRoot ? `<span class="root-badge">Across ${group.roots.map(root => this.escapeHtml(root.label)).join(', ')}</span>` : ''}
+                    ${group.transforms && group.transforms.length
+                        ? `<span class="root-badge">${this.escapeHtml(Array.from(new Set(group.transforms.map(transform => transform.label))).join(', '))}</span>`
+                        : ''}
+                </div>
+                <div>
+                    <div class="similarity-score">${similarity}% similar</div>
+                    ${stats ? `<div class="similarity-details">
+                        min ${this.formatPercent(stats.min)} · max ${this.formatPercent(stats.max)}${stats.sampled ? ' (linked pairs only)' : ''}
+                        ${group.matchedBy && group.matchedBy.length ? `<br>by ${this.escapeHtml(group.matchedBy.join(', '))}` : ''}
+                    </div>` : ''}
                 </div>
-                <div class="similarity-score">${similarity}% similar</div>
             </div>
+            ${group.keeperExplanation ? `<div class="keeper-reason">
+                Keeping ${this.escapeHtml(group.recommendedToKeep.name)}: ${this.escapeHtml(group.keeperExplanation.reason)}
+                ${group.keeperExplanation.setAside.length
+                    ? `<br>Set aside because every copy breaks it: ${this.escapeHtml(group.keeperExplanation.setAside.join(', '))}`
+                    : ''}
+            </div>` : ''}
             <div class="image-comparison" id="images-${index}">
-                ${group.images.map((image, imgIndex) => this.createImageElement(image, imgIndex === 0)).join('')}
+                ${group.images.map(image => {
+                    const keep = !toDelete.has(image);
+                    return this.createImageElement(image, keep, index,
+                        keep || !group.keeperSimilarity ? null : group.keeperSimilarity[image.path],
+                        keep || !group.keeperTransform ? null : group.keeperTransform[image.path]);
+                }).join('')}
             </div>
         `;
         
         return groupDiv;
     }
     
-    createImageElement(image, isRecommended) {
+    formatPercent(value) {
+        return `${Math.round(value * 100)}%`;
+    }
+    
+    // Reorders the groups by their similarity figures, keeping selected groups selected
+    sortGroups(order) {
+        const selected = new Set(Array.from(this.selectedGroups, index => this.duplicateGroups[index]));
+        const mean = group => (group.similarityStats ? group.similarityStats.mean : group.similarity);
+        const min = group => (group.similarityStats ? group.similarityStats.min : group.similarity);
+        const comparators = {
+            'detection': (a, b) => a.detectionOrder - b.detectionOrder,
+            'min-asc': (a, b) => min(a) - min(b),
+            'mean-desc': (a, b) => mean(b) - mean(a),
+            'size-desc': (a, b) => b.images.length - a.images.length
+        };
+        
+        this.duplicateGroups.sort((a, b) => comparators[order](a, b) || a.detectionOrder - b.detectionOrder);
+        
+        this.selectedGroups = new Set();
+        this.duplicateGroups.forEach((group, index) => {
+            if (selected.has(group)) this.selectedGroups.add(index);
+        });
+        
+        this.displayResults();
+        this.selectedGroups.forEach(index => {
+            document.getElementById(`group-${index}`).checked = true;
+        });
+    }
+    
+    // How a copy relates to the kept image when it was matched rotated, flipped or cropped
+    describeKeeperTransform(transform) {
+        const change = transform.label.charAt(0).toLowerCase() + transform.label.slice(1);
+        return transform.relation === 'keeper-transformed'
+            ? `Kept image, ${change}`
+            : `Kept image is this one ${change}`;
+    }
+    
+    createImageElement(image, isRecommended, groupIndex, keeperSimilarity = null, keeperTransform = null) {
         const itemClass = isRecommended ? 'image-item recommended' : 'image-item to-delete';
         const status = isRecommended ? '✅ Recommended to keep' : '🗑️ Will be deleted';
         
         return `
             <div class="${itemClass}">
-                <img src="file://${image.thumbnail}" alt="${image.name}" class="image-preview">
+                <img src="file://${this.escapeHtml(image.thumbnail)}" alt="${this.escapeHtml(image.name)}" class="image-preview"
+                     onclick="app.openComparison(${groupIndex})"
+                     onerror="app.restoreThumbnail(this, ${groupIndex}, ${this.duplicateGroups[groupIndex].images.indexOf(image)})">
                 <div class="image-info">
-                    <div><strong>${image.name}</strong></div>
+                    <div><strong>${this.escapeHtml(image.name)}</strong></div>
+                    ${image.rootLabel ? `<div>Location: ${this.escapeHtml(image.rootLabel)}</div>` : ''}
                     <div>Size: ${this.formatFileSize(image.size)}</div>
                     <div>Resolution: ${image.width}x${image.height}</div>
-                    <div>Modified: ${new Date(image.modified).toLocaleDateString()}</div>
+                    ${image.captureDate
+                        ? `<div>Captured: ${new Date(image.captureDate).toLocaleString()}</div>`
+                        : `<div>Modified: ${new Date(image.modified).toLocaleDateString()}</div>`}
+                    ${image.exif && image.exif.model ? `<div>Camera: ${this.escapeHtml([image.exif.make, image.exif.model].filter(Boolean).join(' '))}</div>` : ''}
+                    ${typeof keeperSimilarity === 'number' ? `<div>Similarity to kept image: ${this.formatPercent(keeperSimilarity)}</div>` : ''}
+                    ${keeperTransform ? `<div>${this.escapeHtml(this.describeKeeperTransform(keeperTransform))}</div>` : ''}
                     <div style="color: ${isRecommended ? '#38a169' : '#e53e3e'}; font-weight: bold;">
                         ${status}
                     </div>
@@ -185,6 +651,158 @@ class DuplicateImageDetector {
         `;
     }
     
+    // A later scan may have evicted the thumbnails of a reopened session from the cache;
+    // get-thumbnail renders them again
+    async restoreThumbnail(element, groupIndex, imageIndex) {
+        element.onerror = null;
+        try {
+            const image = this.duplicateGroups[groupIndex].images[imageIndex];
+            const thumbnailPath = await ipcRenderer.invoke('get-thumbnail', image, 'grid');
+            element.src = `file://${thumbnailPath}?${Date.now()}`;
+        } catch (error) {
+            console.error('Error restoring thumbnail:', error);
+        }
+    }
+    
+    // Shows a group's images side by side at zoom size, rendered on demand and cached
+    async openComparison(groupIndex) {
+        const group = this.duplicateGroups[groupIndex];
+        const container = document.getElementById('comparison-images');
+        
+        try {
+            const zoomPaths = await Promise.all(
+                group.images.map(image => ipcRenderer.invoke('get-thumbnail', image, 'zoom'))
+            );
+            
+            container.innerHTML = group.images.map((image, i) => `
+                <figure>
+                    <img src="file://${this.escapeHtml(zoomPaths[i])}" alt="${this.escapeHtml(image.name)}">
+                    <figcaption>${this.escapeHtml(image.name)} · ${image.width}x${image.height}</figcaption>
+                </figure>
+            `).join('');
+            
+            document.getElementById('comparison-overlay').classList.remove('hidden');
+        } catch (error) {
+            console.error('Error opening comparison:', error);
+            this.showError('Error loading comparison images', error);
+        }
+    }
+    
+    closeComparison(event) {
+        // Clicks inside the panel bubble up to the overlay; only the backdrop closes it
+        if (event && event.target !== event.currentTarget) return;
+        document.getElementById('comparison-overlay').classList.add('hidden');
+    }
+    
+    showResultsTab(tab) {
+        const showProblems = tab === 'problems';
+        document.getElementById('duplicate-groups').classList.toggle('hidden', showProblems);
+        document.getElementById('scan-problems').classList.toggle('hidden', !showProblems);
+        document.getElementById('duplicates-tab-btn').classList.toggle('active', !showProblems);
+        document.getElementById('problems-tab-btn').classList.toggle('active', showProblems);
+    }
+    
+    renderProblems() {
+        document.getElementById('problem-count').textContent = this.scanErrors.length;
+        document.getElementById('retry-problems-btn').disabled = this.scanErrors.length === 0;
+        document.getElementById('export-problems-btn').disabled = this.scanErrors.length === 0;
+        
+        const container = document.getElementById('problem-list');
+        if (this.scanErrors.length === 0) {
+            container.innerHTML = '<p>Every file and folder was scanned successfully.</p>';
+            return;
+        }
+        
+        const byCategory = new Map();
+        this.scanErrors.forEach(failure => {
+            if (!byCategory.has(failure.category)) {
+                byCategory.set(failure.category, []);
+            }
+            byCategory.get(failure.category).push(failure);
+        });
+        
+        container.innerHTML = Array.from(byCategory.entries()).map(([category, failures]) => `
+            <div class="problem-category">
+                <div class="problem-category-header">
+                    <h4>${this.escapeHtml(failures[0].categoryLabel)} (${failures.length})</h4>
+                    ${failures.some(failure => failure.removable)
+                        ? `<button class="danger-btn" onclick="app.deleteBrokenFiles('${category}')">🗑️ Clean Up These Files</button>`
+                        : ''}
+                </div>
+                ${failures.map(failure => `
+                    <div class="problem-item">
+                        <div class="problem-path">${failure.type === 'directory' ? '📁 ' : ''}${this.escapeHtml(failure.path)}</div>
+                        <div class="problem-message">${this.escapeHtml(failure.message)}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+    
+    async retryProblems() {
+        if (this.scanErrors.length === 0) return;
+        
+        try {
+            document.getElementById('retry-problems-btn').disabled = true;
+            const result = await ipcRenderer.invoke('retry-scan-errors', this.scanErrors, this.getScanOptions(), this.sessionId);
+            if (result.cancelled) {
+                this.renderProblems();
+                return;
+            }
+            
+            const known = new Set(this.scannedImages.map(image => image.path));
+            const recovered = result.images.filter(image => !known.has(image.path));
+            this.scannedImages.push(...recovered);
+            this.scanErrors = result.errors;
+            this.renderProblems();
+            
+            if (recovered.length > 0) {
+                alert(`${recovered.length} file${recovered.length > 1 ? 's' : ''} recovered. Detection will run again to include them.`);
+                await this.startDetection();
+                this.showResultsTab('problems');
+            }
+        } catch (error) {
+            this.showError('Error retrying failed files', error);
+            document.getElementById('retry-problems-btn').disabled = false;
+        }
+    }
+    
+    async exportProblems() {
+        try {
+            const filePath = await ipcRenderer.invoke('export-scan-errors', this.scanErrors);
+            if (filePath) {
+                alert(`Problem report saved to ${filePath}`);
+            }
+        } catch (error) {
+            this.showError('Error exporting problem report', error);
+        }
+    }
+    
+    // Corrupt, truncated and empty files are not duplicates but are still worth removing
+    async deleteBrokenFiles(category) {
+        const filesToDelete = this.scanErrors
+            .filter(failure => failure.category === category && failure.removable)
+            .map(failure => failure.path);
+        
+        if (filesToDelete.length === 0) return;
+        
+        const confirmMessage = `Are you sure you want to delete ${filesToDelete.length} unreadable images?\n\nThey will be moved to the recycle bin and can be restored if needed.`;
+        
+        if (confirm(confirmMessage)) {
+            this.showStep('deletion');
+            
+            try {
+                const results = await ipcRenderer.invoke('delete-files', filesToDelete, this.sessionId);
+                const deleted = this.getDeletedPaths(results);
+                this.scanErrors = this.scanErrors.filter(failure => !deleted.includes(failure.path));
+                this.renderProblems();
+                this.displayDeletionResults(results);
+            } catch (error) {
+                this.showError('Error during deletion', error);
+            }
+        }
+    }
+    
     toggleGroupSelection(groupIndex, isSelected) {
         if (isSelected) {
             this.selectedGroups.add(groupIndex);
@@ -197,9 +815,10 @@ class DuplicateImageDetector {
     
     selectAllGroups() {
         const checkboxes = document.querySelectorAll('.group-checkbox');
-        const shouldSelectAll = this.selectedGroups.size < this.duplicateGroups.length;
+        const shouldSelectAll = this.selectedGroups.size < this.getDeletableGroups().length;
         
         checkboxes.forEach((checkbox, index) => {
+            if (this.duplicateGroups[index].protected) return;
             checkbox.checked = shouldSelectAll;
             this.toggleGroupSelection(index, shouldSelectAll);
         });
@@ -213,9 +832,7 @@ class DuplicateImageDetector {
         
         selectedGroupsArray.forEach(groupIndex => {
             const group = this.duplicateGroups[groupIndex];
-            // Skip the first image (recommended to keep), delete the rest
-            const duplicatesToDelete = group.images.slice(1);
-            filesToDelete.push(...duplicatesToDelete.map(img => img.path));
+            filesToDelete.push(...this.getImagesToDelete(group).map(img => img.path));
         });
         
         if (filesToDelete.length === 0) return;
@@ -226,7 +843,7 @@ class DuplicateImageDetector {
             this.showStep('deletion');
             
             try {
-                const results = await ipcRenderer.invoke('delete-files', filesToDelete);
+                const results = await ipcRenderer.invoke('delete-files', filesToDelete, this.sessionId);
                 this.displayDeletionResults(results);
             } catch (error) {
                 this.showError('Error during deletion', error);
@@ -235,11 +852,16 @@ class DuplicateImageDetector {
     }
     
     displayDeletionResults(results) {
-        const spaceFreed = results.deleted.reduce((sum, filePath) => {
+        const spaceFreed = this.getDeletedPaths(results).reduce((sum, filePath) => {
             const image = this.findImageByPath(filePath);
             return sum + (image ? image.size : 0);
         }, 0);
         
+        if (results.cancelled) {
+            document.getElementById('deletion-status').textContent = 
+                `Deletion cancelled. ${results.skipped.length} files were left untouched.`;
+        }
+        
         document.getElementById('deleted-count').textContent = results.deleted.length;
         document.getElementById('failed-count').textContent = results.failed.length;
         document.getElementById('space-freed').textContent = this.formatFileSize(spaceFreed);
@@ -251,16 +873,78 @@ class DuplicateImageDetector {
         }
     }
     
+    // The backup-based deletion manager reports { original, backup } entries rather than paths
+    getDeletedPaths(results) {
+        return results.deleted.map(entry => (typeof entry === 'string' ? entry : entry.original));
+    }
+    
+    updateJob(job) {
+        const active = ['running', 'paused', 'cancelling'].includes(job.status);
+        if (active) {
+            this.activeJob = job;
+        } else if (this.activeJob && this.activeJob.id === job.id) {
+            this.activeJob = null;
+        }
+        
+        document.querySelectorAll('.job-controls').forEach(controls => {
+            const visible = this.activeJob && controls.dataset.jobType === this.activeJob.type;
+            controls.classList.toggle('hidden', !visible);
+            if (!visible) return;
+            
+            const pauseButton = controls.querySelector('.job-pause-btn');
+            pauseButton.textContent = this.activeJob.status === 'paused' ? '▶️ Resume' : '⏸️ Pause';
+            controls.querySelectorAll('button').forEach(button => {
+                button.disabled = this.activeJob.status === 'cancelling';
+            });
+        });
+    }
+    
+    async togglePauseJob() {
+        if (!this.activeJob) return;
+        const channel = this.activeJob.status === 'paused' ? 'resume-job' : 'pause-job';
+        await ipcRenderer.invoke(channel, this.activeJob.id);
+    }
+    
+    async cancelJob() {
+        if (!this.activeJob) return;
+        if (confirm('Cancel this operation? Work already completed is kept.')) {
+            await ipcRenderer.invoke('cancel-job', this.activeJob.id);
+        }
+    }
+    
+    // Sidecar pairs and other protected relationships are shown but never deleted
+    getDeletableGroups() {
+        return this.duplicateGroups.filter(group => !group.protected);
+    }
+    
+    // Everything but the image the keeper policy picked; groups from before keeper
+    // policies keep their first image
+    getImagesToDelete(group) {
+        if (group.protected) return [];
+        return group.images.some(image => image.recommended)
+            ? group.images.filter(image => !image.recommended)
+            : group.images.slice(1);
+    }
+    
     calculateSpaceToSave() {
-        return this.duplicateGroups.reduce((total, group) => {
-            // Calculate space from duplicates (all images except the first one)
-            const duplicates = group.images.slice(1);
+        return this.getDeletableGroups().reduce((total, group) => {
+            const duplicates = this.getImagesToDelete(group);
             return total + duplicates.reduce((sum, image) => sum + image.size, 0);
         }, 0);
     }
+
     
     findImageByPath(path) {
-        return this.scannedImages.find(img => img.path === path);
+        return this.scannedImages.find(img => img.path === path)
+            || this.scanErrors.find(failure => failure.path === path && failure.size !== null);
+    }
+    
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
     
     formatFileSize(bytes) {
@@ -277,7 +961,8 @@ class DuplicateImageDetector {
         const detailsText = document.getElementById('scan-details');
         
         progressBar.style.width = progress.percentage + '%';
-        statusText.textContent = `Scanning... ${progress.current}/${progress.total} files`;
+        const total = progress.estimated ? `~${progress.total}` : progress.total;
+        statusText.textContent = `Scanning... ${progress.current}/${total} files`;
         detailsText.textContent = `Current: ${progress.currentFile}`;
     }
     
@@ -296,7 +981,11 @@ class DuplicateImageDetector {
         
         if (progress.provider) {
             providerElement.textContent = `Provider: ${progress.provider}`;
-            this.updateProviderStatus(progress.provider, 'active');
+            // Progress must not hide a provider that is retrying or down
+            const health = this.providerHealth[progress.provider];
+            if (!health || health.state === 'healthy') {
+                this.updateProviderStatus(progress.provider, 'active');
+            }
         }
         
         if (progress.currentComparison) {
@@ -321,7 +1010,20 @@ class DuplicateImageDetector {
         document.getElementById(stepId).classList.add('active');
     }
     
-    updateProviderStatus(provider, status) {
+    updateProviderHealth(health) {
+        this.providerHealth[health.provider] = health;
+        
+        const retryAt = health.retryAt ? new Date(health.retryAt).toLocaleTimeString() : null;
+        const details = {
+            healthy: ['active', 'Working normally'],
+            degraded: ['degraded', `Retrying${retryAt ? ` at ${retryAt}` : ''}: ${health.lastError}`],
+            down: ['down', `Paused until ${retryAt} after repeated failures: ${health.lastError}`]
+        };
+        const [status, title] = details[health.state];
+        this.updateProviderStatus(health.provider, status, title);
+    }
+    
+    updateProviderStatus(provider, status, title = '') {
         const statusMap = {
             'google': 'google-indicator',
             'azure': 'azure-indicator',
@@ -333,6 +1035,7 @@ class DuplicateImageDetector {
         if (indicatorId) {
             const indicator = document.getElementById(indicatorId);
             indicator.className = `status-indicator ${status}`;
+            indicator.title = title;
             
             switch (status) {
                 case 'active':
@@ -341,6 +1044,12 @@ class DuplicateImageDetector {
                 case 'inactive':
                     indicator.textContent = '❌';
                     break;
+                case 'degraded':
+                    indicator.textContent = '⚠️';
+                    break;
+                case 'down':
+                    indicator.textContent = '⛔';
+                    break;
                 case 'pending':
                     indicator.textContent = '⏳';
                     indicator.classList.add('pending');
@@ -370,13 +1079,18 @@ class DuplicateImageDetector {
     }
     
     startOver() {
-        this.selectedFolder = null;
+        this.roots = [];
+        this.preferredRoot = null;
         this.scannedImages = [];
         this.duplicateGroups = [];
         this.selectedGroups.clear();
+        this.scanErrors = [];
+        this.sessionId = null;
         
         // Reset UI
-        document.getElementById('selected-folder').textContent = '';
+        this.renderRoots();
+        this.renderProblems();
+        this.showResultsTab('duplicates');
         document.getElementById('start-scan-btn').disabled = true;
         document.getElementById('start-detection-btn').disabled = true;
         document.getElementById('delete-selected-btn').disabled = true;
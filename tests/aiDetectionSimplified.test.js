@@ -0,0 +1,60 @@
+const fs = require('fs-extra');
+const jimp = require('jimp');
+const path = require('path');
+const { detectDuplicates } = require('../src/detection/aiDetectionSimplified');
+
+describe('Local Detection Pipeline', () => {
+  const tempDir = path.join(__dirname, 'temp', 'local-detection');
+  let images;
+
+  beforeAll(async () => {
+    const scene = new jimp(160, 120, 0x2050d0ff);
+    scene.scan(0, 0, 80, 60, function(x, y, idx) {
+      this.bitmap.data[idx] = 230;
+      this.bitmap.data[idx + 1] = 200;
+      this.bitmap.data[idx + 2] = 40;
+    });
+
+    await fs.ensureDir(tempDir);
+    images = [];
+    for (const [name, image] of [['original.png', scene], ['smaller.png', scene.clone().resize(120, 90)]]) {
+      const filePath = path.join(tempDir, name);
+      await image.writeAsync(filePath);
+      images.push({ path: filePath, name, hash: name, size: (await fs.stat(filePath)).size });
+    }
+  });
+
+  afterAll(async () => {
+    await fs.remove(tempDir);
+  });
+
+  const similarGroups = groups => groups.filter(group => group.type === 'similar');
+
+  test('should group near duplicates without confirmation', async () => {
+    const groups = similarGroups(await detectDuplicates(images, null, { verifyStructure: false }));
+    expect(groups).toHaveLength(1);
+  });
+
+  test('should let confirmation reject, confirm or leave a match', async () => {
+    const asked = [];
+    const decide = decision => async (pairs) => {
+      asked.push(...pairs.map(pair => [pair.a.name, pair.b.name].sort()));
+      return pairs.map(() => decision);
+    };
+
+    const rejected = await detectDuplicates(images, null, { verifyStructure: false, confirmMatches: decide({ accepted: false }) });
+    expect(similarGroups(rejected)).toHaveLength(0);
+    expect(asked).toEqual([['original.png', 'smaller.png']]);
+
+    const explanation = { strategy: 'weighted-mean', accepted: true };
+    const [confirmed] = similarGroups(await detectDuplicates(images, null, {
+      verifyStructure: false,
+      confirmMatches: decide({ accepted: true, similarity: 0.97, providers: ['google'], explanation })
+    }));
+    expect(confirmed.pairs[0]).toMatchObject({ providerSimilarity: 0.97, method: ['google'], explanation });
+    expect(confirmed.matchedBy).toContain('google');
+
+    const unjudged = await detectDuplicates(images, null, { verifyStructure: false, confirmMatches: decide(null) });
+    expect(similarGroups(unjudged)).toHaveLength(1);
+  });
+});
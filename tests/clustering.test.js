@@ -0,0 +1,115 @@
+const { clusterBySimilarity, describePairs } = require('../src/detection/clustering');
+
+describe('Clustering', () => {
+  // A~B and B~C, but A and C are not alike: a chain
+  const chainKeys = ['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg'];
+  const chainEdges = [
+    { a: 0, b: 1, similarity: 0.95 },
+    { a: 1, b: 2, similarity: 0.9 }
+  ];
+
+  function keysOf(clusters, keys) {
+    return clusters.map(cluster => cluster.members.map(index => keys[index]));
+  }
+
+  // Reorders items and remaps edges as if they had been scanned in another order
+  function permute(keys, edges, order) {
+    const position = new Map(order.map((oldIndex, newIndex) => [oldIndex, newIndex]));
+    return {
+      keys: order.map(oldIndex => keys[oldIndex]),
+      edges: edges.map(edge => ({ ...edge, a: position.get(edge.a), b: position.get(edge.b) }))
+    };
+  }
+
+  test('should join chains transitively with single linkage', () => {
+    const clusters = clusterBySimilarity(4, chainEdges, { keys: chainKeys });
+    expect(keysOf(clusters, chainKeys)).toEqual([['a.jpg', 'b.jpg', 'c.jpg']]);
+  });
+
+  test('should not let complete linkage drift along a chain', () => {
+    const clusters = clusterBySimilarity(4, chainEdges, { keys: chainKeys, linkage: 'complete' });
+    // The strongest edge wins; C cannot join because it is not alike A
+    expect(keysOf(clusters, chainKeys)).toEqual([['a.jpg', 'b.jpg']]);
+  });
+
+  test('should give the same groups whatever the scan order', () => {
+    const keys = ['a', 'b', 'c', 'd', 'e', 'f'];
+    const edges = [
+      { a: 0, b: 1, similarity: 0.9 },
+      { a: 1, b: 2, similarity: 0.9 },
+      { a: 0, b: 2, similarity: 0.9 },
+      { a: 2, b: 3, similarity: 0.9 },
+      { a: 4, b: 5, similarity: 0.95 },
+      { a: 3, b: 4, similarity: 0.85 }
+    ];
+    const orders = [[0, 1, 2, 3, 4, 5], [5, 4, 3, 2, 1, 0], [3, 0, 5, 1, 4, 2], [2, 5, 0, 4, 3, 1]];
+
+    for (const linkage of ['single', 'complete']) {
+      const results = orders.map(order => {
+        const permuted = permute(keys, edges, order);
+        return keysOf(clusterBySimilarity(keys.length, permuted.edges, { keys: permuted.keys, linkage }), permuted.keys);
+      });
+      results.forEach(result => expect(result).toEqual(results[0]));
+    }
+  });
+
+  test('should only merge clusters that stay close to their centroid', () => {
+    // Items are points on a line; the centroid is their mean
+    const positions = [0, 1, 2, 10, 11];
+    const edges = [
+      { a: 0, b: 1, similarity: 0.9 },
+      { a: 1, b: 2, similarity: 0.9 },
+      { a: 2, b: 3, similarity: 0.5 },
+      { a: 3, b: 4, similarity: 0.9 }
+    ];
+    const clusters = clusterBySimilarity(positions.length, edges, {
+      linkage: 'centroid',
+      centroid: members => members.reduce((sum, index) => sum + positions[index], 0) / members.length,
+      similarityToCentroid: (index, centroid) => 1 - Math.abs(positions[index] - centroid) / 10,
+      centroidThreshold: 0.8
+    });
+
+    expect(clusters.map(cluster => cluster.members)).toEqual([[0, 1, 2], [3, 4]]);
+  });
+
+  test('should score every pair inside a group', () => {
+    const clusters = clusterBySimilarity(4, chainEdges, {
+      keys: chainKeys,
+      score: () => 0.7
+    });
+
+    expect(clusters[0].pairs).toEqual([
+      { a: 0, b: 1, similarity: 0.95, linked: true },
+      { a: 0, b: 2, similarity: 0.7, linked: false },
+      { a: 1, b: 2, similarity: 0.9, linked: true }
+    ]);
+
+    const images = chainKeys.map(key => ({ path: `/photos/${key}` }));
+    expect(describePairs(clusters[0].pairs, images)[1]).toEqual({
+      a: '/photos/a.jpg',
+      b: '/photos/c.jpg',
+      similarity: 0.7,
+      linked: false
+    });
+  });
+
+  test('should keep only the linked pairs of a long chain', () => {
+    const count = 3000;
+    const edges = Array.from({ length: count - 1 }, (_, i) => ({ a: i + 1, b: i, similarity: 0.9, method: 'hash' }));
+    const score = jest.fn(() => 0.5);
+
+    const [chain] = clusterBySimilarity(count, edges, { score });
+    expect(chain.members).toHaveLength(count);
+    expect(chain.sampled).toBe(true);
+    expect(chain.pairs).toHaveLength(count - 1);
+    expect(chain.pairs[0]).toEqual({ a: 0, b: 1, similarity: 0.9, linked: true, method: 'hash' });
+    expect(score).not.toHaveBeenCalled();
+
+    const [small] = clusterBySimilarity(4, chainEdges, { score, maxScoredPairs: 3 });
+    expect(small.sampled).toBe(false);
+  });
+
+  test('should reject an unknown linkage', () => {
+    expect(() => clusterBySimilarity(2, [], { linkage: 'ward' })).toThrow('Unknown clustering linkage: ward');
+  });
+});
@@ -0,0 +1,102 @@
+const { CONSENSUS_STRATEGIES, resolveStrategy, decideConsensus } = require('../src/detection/consensus');
+
+describe('Consensus Strategies', () => {
+  const options = { threshold: 0.9, minConfidence: 0.8 };
+
+  // Google alone is convinced; Azure and the local pixels are not
+  const oneFalsePositive = [
+    { provider: 'google', similarity: 0.99, confidence: 0.95, weight: 0.6, remote: true },
+    { provider: 'azure', similarity: 0.85, confidence: 0.93, weight: 0.3, remote: true },
+    { provider: 'local-advanced', similarity: 0.6, confidence: 0.9, weight: 0.1, remote: false }
+  ];
+
+  const allAgree = [
+    { provider: 'google', similarity: 0.97, confidence: 0.95, weight: 0.4, remote: true },
+    { provider: 'azure', similarity: 0.95, confidence: 0.93, weight: 0.35, remote: true },
+    { provider: 'local-advanced', similarity: 0.93, confidence: 0.9, weight: 0.2, remote: false }
+  ];
+
+  const decide = (results, strategy, extra = {}) => decideConsensus(results, { ...options, strategy, ...extra });
+
+  test('should reject unknown strategies', () => {
+    expect(Object.keys(CONSENSUS_STRATEGIES)).toEqual(['weighted-mean', 'majority', 'unanimous', 'local-must-agree', 'calibrated']);
+    expect(resolveStrategy()).toBe('weighted-mean');
+    expect(() => resolveStrategy('loudest')).toThrow('Unknown consensus strategy: loudest');
+  });
+
+  test('should let one heavy provider tip the weighted mean', () => {
+    const explanation = decide(oneFalsePositive, 'weighted-mean');
+
+    expect(explanation.accepted).toBe(true);
+    expect(explanation.similarity).toBeCloseTo(0.909);
+    expect(explanation.reason).toBe('Weighted similarity 90.9% reaches 90%');
+  });
+
+  test('should stop a single false positive under the voting strategies', () => {
+    expect(decide(oneFalsePositive, 'majority')).toMatchObject({ accepted: false, reason: '1 of 3 providers matched, not a majority' });
+    expect(decide(oneFalsePositive, 'unanimous')).toMatchObject({ accepted: false, reason: 'azure, local-advanced did not match' });
+    expect(decide(oneFalsePositive, 'local-must-agree')).toMatchObject({ accepted: false, reason: 'Local local-advanced did not match' });
+  });
+
+  test('should accept a pair every provider matches under every strategy', () => {
+    Object.keys(CONSENSUS_STRATEGIES).forEach(strategy => {
+      expect(decide(allAgree, strategy)).toMatchObject({ strategy, accepted: true });
+    });
+    expect(decide(allAgree, 'unanimous').reason).toBe('All 3 providers matched');
+  });
+
+  test('should vote with each provider\'s calibrated threshold', () => {
+    // Azure's scores run low: 0.85 is a clear match for it
+    const calibrated = oneFalsePositive.map(result => (result.provider === 'azure' ? { ...result, threshold: 0.8 } : result));
+    const explanation = decide(calibrated, 'majority');
+
+    expect(explanation.accepted).toBe(true);
+    expect(explanation.providers.map(vote => [vote.provider, vote.threshold, vote.match])).toEqual([
+      ['google', 0.9, true],
+      ['azure', 0.8, true],
+      ['local-advanced', 0.9, false]
+    ]);
+  });
+
+  test('should map each provider\'s threshold to the middle of the calibrated scale', () => {
+    const atThreshold = [
+      { provider: 'strict', similarity: 0.95, confidence: 1, weight: 1, threshold: 0.95 },
+      { provider: 'lenient', similarity: 0.7, confidence: 1, weight: 1, threshold: 0.7 }
+    ];
+
+    expect(decide(atThreshold, 'calibrated').score).toBeCloseTo(0.5);
+    expect(decide(atThreshold, 'calibrated').accepted).toBe(true);
+  });
+
+  test('should require a local method for local-must-agree', () => {
+    const cloudOnly = allAgree.filter(result => result.remote);
+    expect(decide(cloudOnly, 'local-must-agree')).toMatchObject({ accepted: false, reason: 'No local method compared this pair' });
+  });
+
+  test('should explain rejections for low confidence and missing providers', () => {
+    const unsure = allAgree.map(result => ({ ...result, confidence: 0.5 }));
+    expect(decide(unsure, 'weighted-mean').reason).toBe('Weighted similarity 95.4% reaches 90%, but the providers\' confidence 50% is below 80%');
+    expect(decide(unsure, 'weighted-mean').accepted).toBe(false);
+
+    const failed = [{ provider: 'aws', error: 'HTTP 503' }];
+    expect(decide([], 'majority', { failed })).toMatchObject({ accepted: false, reason: 'No provider could compare this pair', failed });
+  });
+
+  test('should judge confidence against what the run\'s providers can give', () => {
+    const local = [{ provider: 'local-advanced', similarity: 0.97, confidence: 0.8, weight: 0.2, remote: false }];
+    const floor = { minConfidence: 0.9 };
+
+    // A run of local methods only can still accept a pair
+    const localRun = decide(local, 'weighted-mean', { ...floor, expectedConfidence: 0.8 });
+    expect(localRun.accepted).toBe(true);
+    expect(localRun.confidenceFloor).toBeCloseTo(0.72);
+
+    // In a run with cloud providers, a pair only the local method could compare falls short
+    const explanation = decide(local, 'weighted-mean', { ...floor, expectedConfidence: 0.92 });
+    expect(explanation.accepted).toBe(false);
+    expect(explanation.reason).toBe('Weighted similarity 97% reaches 90%, but the providers\' confidence 80% is below 82.8%');
+
+    // Every provider answering always clears its own run's floor
+    expect(decide(allAgree, 'unanimous', { ...floor, expectedConfidence: 0.935 }).accepted).toBe(true);
+  });
+});
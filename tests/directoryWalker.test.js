@@ -0,0 +1,110 @@
+const { walkDirectory, createWalkStats, estimateTotalFiles } = require('../src/scanner/directoryWalker');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Directory Walker', () => {
+  const testDir = path.join(__dirname, 'temp', 'walker-test');
+
+  async function collect(options) {
+    const files = [];
+    for await (const file of walkDirectory(testDir, options)) {
+      files.push(file.relativePath);
+    }
+    return files;
+  }
+
+  beforeEach(async () => {
+    await fs.ensureDir(testDir);
+    await fs.outputFile(path.join(testDir, 'a.jpg'), 'a');
+    await fs.outputFile(path.join(testDir, 'notes.txt'), 'n');
+    await fs.outputFile(path.join(testDir, 'albums', 'b.png'), 'b');
+    await fs.outputFile(path.join(testDir, 'albums', 'deep', 'c.jpg'), 'c');
+    await fs.outputFile(path.join(testDir, '.hidden', 'd.jpg'), 'd');
+    await fs.outputFile(path.join(testDir, 'albums', '.backup', 'b.png'), 'b');
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  test('should yield each folder\'s files before descending and skip app backups', async () => {
+    const files = await collect({});
+    expect(files).toEqual(['a.jpg', 'notes.txt', '.hidden/d.jpg', 'albums/b.png', 'albums/deep/c.jpg']);
+  });
+
+  test('should skip the folders the app writes into', async () => {
+    const appRoot = path.join(__dirname, '../src');
+    const planted = [
+      path.join(appRoot, 'temp', 'upload-proxies', 'proxy-walker-test.jpg'),
+      path.join(appRoot, 'logs', 'walker-test.jpg')
+    ];
+    await Promise.all(planted.map(filePath => fs.outputFile(filePath, 'p')));
+
+    try {
+      const found = [];
+      for await (const file of walkDirectory(appRoot, { match: name => name.endsWith('walker-test.jpg') })) {
+        found.push(file.path);
+      }
+      expect(found).toEqual([]);
+    } finally {
+      await Promise.all(planted.map(filePath => fs.remove(filePath)));
+    }
+  });
+
+  test('should apply match, exclude, include and hidden rules', async () => {
+    const match = name => name.endsWith('.jpg') || name.endsWith('.png');
+
+    expect(await collect({ match, skipHidden: true })).toEqual(['a.jpg', 'albums/b.png', 'albums/deep/c.jpg']);
+    expect(await collect({ match, skipHidden: true, exclude: ['deep/'] })).toEqual(['a.jpg', 'albums/b.png']);
+    expect(await collect({ match, skipHidden: true, include: ['*.png'] })).toEqual(['albums/b.png']);
+  });
+
+  test('should respect max depth', async () => {
+    expect(await collect({ skipHidden: true, maxDepth: 0 })).toEqual(['a.jpg', 'notes.txt']);
+    expect(await collect({ skipHidden: true, maxDepth: 1 })).toEqual(['a.jpg', 'notes.txt', 'albums/b.png']);
+  });
+
+  test('should honour .dupeignore files for their folder and below', async () => {
+    await fs.outputFile(path.join(testDir, 'albums', '.dupeignore'), '# comment\ndeep/\n*.png\n');
+
+    expect(await collect({ skipHidden: true })).toEqual(['a.jpg', 'notes.txt']);
+  });
+
+  test('should follow symlinks without looping', async () => {
+    await fs.symlink(testDir, path.join(testDir, 'albums', 'loop'), 'dir');
+
+    const stats = createWalkStats();
+    const skipped = await collect({ skipHidden: true, stats });
+    expect(skipped).toEqual(['a.jpg', 'notes.txt', 'albums/b.png', 'albums/deep/c.jpg']);
+    expect(stats.skippedSymlinks).toBe(1);
+
+    const followStats = createWalkStats();
+    const followed = await collect({ skipHidden: true, symlinks: 'follow', stats: followStats });
+    expect(followed).toEqual(skipped);
+    expect(followStats.loopsDetected).toBe(1);
+  });
+
+  test('should report unreadable directories and carry on', async () => {
+    const failures = [];
+    const stats = createWalkStats();
+    const missing = path.join(testDir, 'missing');
+    const files = [];
+
+    for await (const file of walkDirectory(missing, { stats, onError: failure => failures.push(failure) })) {
+      files.push(file);
+    }
+
+    expect(files).toEqual([]);
+    expect(failures).toEqual([expect.objectContaining({ path: missing, type: 'directory' })]);
+    expect(failures[0].error.code).toBe('ENOENT');
+    expect(stats.unreadableDirectories).toBe(1);
+    expect(stats.complete).toBe(true);
+
+    await expect(walkDirectory(missing).next()).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  test('should estimate totals from directories seen so far', () => {
+    expect(estimateTotalFiles({ filesFound: 10, directoriesVisited: 2, pendingDirectories: 3, complete: false })).toBe(25);
+    expect(estimateTotalFiles({ filesFound: 10, directoriesVisited: 2, pendingDirectories: 3, complete: true })).toBe(10);
+  });
+});
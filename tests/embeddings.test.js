@@ -0,0 +1,147 @@
+const jimp = require('jimp');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Stand-in encoder: the embedding is the mean of each input channel
+const mockRun = jest.fn(async (feeds) => {
+  const { data, dims } = feeds.pixel_values;
+  const plane = dims[2] * dims[3];
+  const means = [0, 1, 2].map(channel => data.slice(channel * plane, (channel + 1) * plane).reduce((sum, value) => sum + value, 0) / plane);
+  return { image_embeds: { data: Float32Array.from(means) } };
+});
+
+jest.mock('onnxruntime-node', () => ({
+  Tensor: class {
+    constructor(type, data, dims) {
+      Object.assign(this, { type, data, dims });
+    }
+  },
+  InferenceSession: {
+    create: async () => ({ inputNames: ['pixel_values'], outputNames: ['image_embeds'], run: mockRun })
+  }
+}), { virtual: true });
+
+const {
+  EMBEDDING_CONFIG,
+  EmbeddingCache,
+  openEmbeddingCache,
+  preprocess,
+  embedImages,
+  cosineSimilarity,
+  searchSimilar
+} = require('../src/detection/embeddings');
+
+describe('Embeddings', () => {
+  const tempDir = path.join(__dirname, 'temp', 'embeddings');
+  const modelPath = path.join(tempDir, 'encoder.onnx');
+
+  beforeEach(async () => {
+    await fs.outputFile(modelPath, 'model');
+    mockRun.mockClear();
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  test('should compute cosine similarity', () => {
+    expect(cosineSimilarity([1, 0], [1, 0])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 2])).toBeCloseTo(0);
+    expect(cosineSimilarity([1, 1], [2, 2])).toBeCloseTo(1);
+    expect(cosineSimilarity(null, [1, 0])).toBe(0);
+  });
+
+  test('should find every pair above the threshold and skip missing vectors', async () => {
+    const vectors = [
+      Float32Array.from([1, 0, 0]),
+      Float32Array.from([0.99, 0.1, 0]),
+      null,
+      Float32Array.from([0, 1, 0]),
+      Float32Array.from([0.98, 0, 0.15])
+    ];
+    const pairs = await searchSimilar(vectors, 0.95);
+
+    expect(pairs.map(({ a, b }) => [a, b])).toEqual([[0, 1], [0, 4], [1, 4]]);
+    pairs.forEach(pair => expect(pair.similarity).toBeGreaterThanOrEqual(0.95));
+  });
+
+  test('should find the same pairs as comparing every vector with every other', async () => {
+    // Deterministic pseudo-random vectors, each third one a slightly edited copy of the one before
+    let state = 7;
+    const random = () => {
+      state = (state * 16807) % 2147483647;
+      return state / 2147483647 - 0.5;
+    };
+    const vectors = [];
+    for (let i = 0; i < 300; i++) {
+      const base = i % 3 === 2 ? vectors[i - 1] : null;
+      vectors.push(Float32Array.from({ length: 64 }, (value, k) => (base ? base[k] + random() * 0.12 : random())));
+    }
+
+    const expected = [];
+    for (let a = 0; a < vectors.length; a++) {
+      for (let b = a + 1; b < vectors.length; b++) {
+        if (cosineSimilarity(vectors[a], vectors[b]) >= EMBEDDING_CONFIG.threshold) expected.push([a, b]);
+      }
+    }
+
+    const pairs = await searchSimilar(vectors);
+    expect(expected.length).toBeGreaterThan(50);
+    expect(pairs.map(({ a, b }) => [a, b])).toEqual(expected);
+  });
+
+  test('should preprocess to normalised planar RGB at the model size', () => {
+    const red = new jimp(300, 200, 0xff0000ff);
+    const tensor = preprocess(red);
+    const plane = EMBEDDING_CONFIG.inputSize ** 2;
+
+    expect(tensor.length).toBe(3 * plane);
+    expect(tensor[0]).toBeCloseTo((1 - EMBEDDING_CONFIG.mean[0]) / EMBEDDING_CONFIG.std[0], 5);
+    expect(tensor[plane]).toBeCloseTo(-EMBEDDING_CONFIG.mean[1] / EMBEDDING_CONFIG.std[1], 5);
+  });
+
+  test('should persist vectors exactly, per model', async () => {
+    const cache = new EmbeddingCache('model-a', { dir: tempDir });
+    const vector = Float32Array.from([0.1, -0.25, 1 / 3]);
+    cache.set('hash1', vector);
+    await cache.save();
+
+    expect((await new EmbeddingCache('model-a', { dir: tempDir }).load()).get('hash1')).toEqual(vector);
+    expect((await new EmbeddingCache('model-b', { dir: tempDir }).load()).get('hash1')).toBeNull();
+  });
+
+  test('should embed each image once and reuse cached vectors', async () => {
+    const images = [];
+    for (const [name, colour] of [['red.png', 0xff0000ff], ['green.png', 0x00ff00ff], ['red-copy.png', 0xff0000ff]]) {
+      const imagePath = path.join(tempDir, name);
+      await new jimp(64, 48, colour).writeAsync(imagePath);
+      images.push({ path: imagePath, name, hash: name });
+    }
+
+    const cache = await openEmbeddingCache({ modelPath, dir: tempDir });
+    const vectors = await embedImages(images, { cache, modelPath });
+    await cache.save();
+
+    expect(mockRun).toHaveBeenCalledTimes(3);
+    expect(cosineSimilarity(vectors[0], vectors[2])).toBeCloseTo(1);
+    expect(cosineSimilarity(vectors[0], vectors[1])).toBeLessThan(0.9);
+    expect(Math.hypot(...vectors[1])).toBeCloseTo(1);
+
+    const reopened = await openEmbeddingCache({ modelPath, dir: tempDir });
+    expect(await embedImages(images, { cache: reopened, modelPath })).toEqual(vectors);
+    expect(mockRun).toHaveBeenCalledTimes(3);
+  });
+
+  test('should explain when no model is installed', async () => {
+    await expect(openEmbeddingCache({ modelPath: path.join(tempDir, 'missing.onnx') }))
+      .rejects.toThrow('Local embedding model unavailable');
+  });
+
+  test('should try again once a missing model has been installed', async () => {
+    const later = path.join(tempDir, 'later.onnx');
+    await expect(openEmbeddingCache({ modelPath: later, dir: tempDir })).rejects.toThrow('no model at');
+
+    await fs.outputFile(later, 'model');
+    await expect(openEmbeddingCache({ modelPath: later, dir: tempDir })).resolves.toBeDefined();
+  });
+});
@@ -0,0 +1,79 @@
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  FeatureCache,
+  isCacheable,
+  openFeatureCaches,
+  saveFeatureCaches,
+  estimateCost
+} = require('../src/detection/providers/featureCache');
+
+describe('Provider Feature Cache', () => {
+  const cacheDir = path.join(__dirname, 'temp', 'provider-features');
+  const cloud = { name: 'cloud', version: '2', remote: true, hints: { costPerImage: 0.002, latencyMs: 500 } };
+  const local = { name: 'local', remote: false, hints: { costPerImage: 0, latencyMs: 100 } };
+
+  afterEach(async () => {
+    await fs.remove(cacheDir);
+  });
+
+  test('should only cache remote providers unless told otherwise', () => {
+    expect(isCacheable(cloud)).toBe(true);
+    expect(isCacheable(local)).toBe(false);
+    expect(isCacheable({ ...local, cacheFeatures: true })).toBe(true);
+    expect(isCacheable({ ...cloud, cacheFeatures: false })).toBe(false);
+  });
+
+  test('should keep features across sessions by content hash', async () => {
+    const caches = await openFeatureCaches([cloud, local], { dir: cacheDir });
+    expect(Array.from(caches.keys())).toEqual(['cloud']);
+
+    caches.get('cloud').set('abc123', { labels: ['cat'] });
+    await saveFeatureCaches(caches);
+
+    const reopened = await new FeatureCache(cloud, { dir: cacheDir }).load();
+    expect(reopened.get('abc123')).toEqual({ labels: ['cat'] });
+    expect(reopened.get('def456')).toBeNull();
+    expect(reopened.stats).toEqual({ hits: 1, misses: 1 });
+  });
+
+  test('should not reuse features from another provider version', async () => {
+    const cache = new FeatureCache(cloud, { dir: cacheDir });
+    cache.set('abc123', { labels: ['cat'] });
+    await cache.save();
+
+    const upgraded = await new FeatureCache({ ...cloud, version: '3' }, { dir: cacheDir }).load();
+    expect(upgraded.size).toBe(0);
+  });
+
+  test('should survive a corrupt cache file', async () => {
+    const cache = new FeatureCache(cloud, { dir: cacheDir });
+    await fs.outputFile(cache.cachePath, '{not json');
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await cache.load();
+    warn.mockRestore();
+
+    expect(cache.size).toBe(0);
+  });
+
+  test('should estimate only the images that still need fetching', async () => {
+    const cache = new FeatureCache(cloud, { dir: cacheDir });
+    cache.set('hash-a', {});
+    const images = [
+      { path: '/photos/a.jpg', hash: 'hash-a' },
+      { path: '/photos/a copy.jpg', hash: 'hash-a' },
+      { path: '/photos/b.jpg', hash: 'hash-b' },
+      { path: '/photos/c.jpg', hash: 'hash-c' }
+    ];
+
+    const estimate = estimateCost(images, [cloud, local], new Map([['cloud', cache]]));
+
+    expect(estimate.images).toBe(3);
+    expect(estimate.providers[0]).toMatchObject({ name: 'cloud', remote: true, images: 2, cached: 1 });
+    expect(estimate.providers[0].cost).toBeCloseTo(0.004);
+    expect(estimate.providers[1]).toMatchObject({ name: 'local', images: 3, cached: 0, cost: 0 });
+    expect(estimate.totalCost).toBeCloseTo(0.004);
+    expect(estimate.totalSeconds).toBeCloseTo(1.3);
+  });
+});
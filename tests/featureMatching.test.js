@@ -0,0 +1,79 @@
+const jimp = require('jimp');
+const { extractFeatures, matchFeatures, compareFeatures } = require('../src/detection/featureMatching');
+
+describe('Feature Matching', () => {
+  // A scene with corners at many scales; shift moves the camera sideways, seed changes the scene
+  function scene(width, height, { shift = 0, seed = 1 } = {}) {
+    const image = new jimp(width, height);
+    image.scan(0, 0, width, height, function(x, y, idx) {
+      const nx = x / width + shift;
+      const ny = y / height;
+      const texture = 30 * Math.sin(nx * 53 * seed) * Math.cos(ny * 41 * seed) +
+        25 * Math.sign(Math.sin(nx * 23 * seed + ny * 7) * Math.cos(ny * 19 - nx * 5 * seed));
+      const channels = [255 * nx, 180 * ny, 120 + 100 * Math.sin(nx * 17 * seed + ny * 9) * Math.cos(ny * 13)];
+      channels.forEach((value, channel) => {
+        this.bitmap.data[idx + channel] = Math.max(0, Math.min(255, value + texture));
+      });
+      this.bitmap.data[idx + 3] = 255;
+    });
+    return image;
+  }
+
+  const original = scene(480, 360);
+
+  test('should describe an image with oriented keypoints and 256-bit descriptors', () => {
+    const features = extractFeatures(original);
+
+    expect(features.width).toBe(320);
+    expect(features.height).toBe(240);
+    expect(features.keypoints.length).toBeGreaterThan(100);
+    expect(features.descriptors.length).toBe(features.keypoints.length * 8);
+    expect(extractFeatures(original)).toEqual(features);
+  });
+
+  test('should verify a re-encoded copy', async () => {
+    const reencoded = await jimp.read(await original.clone().quality(60).getBufferAsync(jimp.MIME_JPEG));
+    const result = compareFeatures(original, reencoded);
+
+    expect(result.verified).toBe(true);
+    expect(result.contained).toBe(true);
+    expect(result.inliers).toBeGreaterThan(100);
+  });
+
+  test('should find a crop or zoom inside the original', () => {
+    const crop = compareFeatures(original, original.clone().crop(72, 54, 336, 252));
+    const zoom = compareFeatures(original, original.clone().crop(30, 120, 240, 180).resize(480, 360));
+
+    expect(crop.verified && crop.contained).toBe(true);
+    expect(zoom.verified && zoom.contained).toBe(true);
+    // The zoomed copy's top-left corner lands where it was cut from, in described pixels
+    const [h0, h1, h2, h3, h4, h5] = zoom.homography;
+    expect(h2).toBeCloseTo(20, 0);
+    expect(h5).toBeCloseTo(80, 0);
+    expect(h0).toBeCloseTo(0.5, 1);
+    expect(h4).toBeCloseTo(0.5, 1);
+    expect(Math.abs(h1) + Math.abs(h3)).toBeLessThan(0.05);
+  });
+
+  test('should find a photo shown inside a screenshot', () => {
+    const screenshot = new jimp(960, 600, 0x202020ff);
+    screenshot.composite(original.clone().resize(480, 360), 240, 160);
+    const result = compareFeatures(screenshot, original);
+
+    expect(result.verified).toBe(true);
+    expect(result.contained).toBe(true);
+  });
+
+  test('should not place a shifted shot inside the original', () => {
+    const result = compareFeatures(original, scene(480, 360, { shift: 0.15 }));
+    expect(result.contained).toBe(false);
+  });
+
+  test('should not verify a different scene', () => {
+    const result = matchFeatures(extractFeatures(original), extractFeatures(scene(480, 360, { seed: 2.3 })));
+
+    expect(result.verified).toBe(false);
+    expect(result.similarity).toBe(0);
+    expect(result.homography).toBeNull();
+  });
+});
@@ -0,0 +1,16 @@
+const { parentPort } = require('worker_threads');
+
+// Test worker: echoes payloads back after an optional delay, or fails on request
+parentPort.on('message', ({ id, payload }) => {
+  if (payload.crash) {
+    process.exit(1);
+  }
+
+  setTimeout(() => {
+    if (payload.fail) {
+      parentPort.postMessage({ id, error: { message: 'Task failed', code: 'EFAIL' } });
+    } else {
+      parentPort.postMessage({ id, result: payload.value });
+    }
+  }, payload.delay || 0);
+});
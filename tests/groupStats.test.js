@@ -0,0 +1,89 @@
+const { summarizeSimilarity } = require('../src/detection/groupStats');
+
+describe('Group Similarity Stats', () => {
+  const images = ['/photos/a.jpg', '/photos/b.jpg', '/photos/c.jpg'].map(path => ({ path }));
+
+  test('should summarise pair scores relative to the keeper', () => {
+    const group = summarizeSimilarity({
+      type: 'similar',
+      images,
+      recommendedToKeep: images[1],
+      detectionMethod: 'perceptual-hash',
+      hashAlgorithms: ['DCT hash (pHash)'],
+      pairs: [
+        { a: '/photos/a.jpg', b: '/photos/b.jpg', similarity: 0.9, linked: true },
+        { a: '/photos/a.jpg', b: '/photos/c.jpg', similarity: 0.8, linked: false },
+        { a: '/photos/c.jpg', b: '/photos/b.jpg', similarity: 1, linked: true }
+      ]
+    });
+
+    expect(group.similarityStats.min).toBe(0.8);
+    expect(group.similarityStats.mean).toBeCloseTo(0.9);
+    expect(group.similarityStats.max).toBe(1);
+    expect(group.similarity).toBe(0.8);
+    expect(group.keeperSimilarity).toEqual({
+      '/photos/a.jpg': 0.9,
+      '/photos/b.jpg': 1,
+      '/photos/c.jpg': 1
+    });
+    expect(group.matchedBy).toEqual(['perceptual-hash', 'DCT hash (pHash)']);
+  });
+
+  test('should treat exact duplicates as perfect matches', () => {
+    const group = summarizeSimilarity({ type: 'exact', images, detectionMethod: 'file-hash' });
+
+    expect(group.similarityStats).toEqual({ min: 1, mean: 1, max: 1, pairs: 3 });
+    expect(Object.values(group.keeperSimilarity)).toEqual([1, 1, 1]);
+  });
+
+  test('should ignore pairs that were never compared and collect per-pair methods', () => {
+    const group = summarizeSimilarity({
+      type: 'ai-detected',
+      images,
+      detectionMethod: 'multi-provider-ai',
+      pairs: [
+        { a: '/photos/a.jpg', b: '/photos/b.jpg', similarity: 0.95, linked: true, method: ['google', 'local-advanced'] },
+        { a: '/photos/a.jpg', b: '/photos/c.jpg', similarity: 0.93, linked: true, method: 'local-hash' },
+        { a: '/photos/b.jpg', b: '/photos/c.jpg', similarity: null, linked: false }
+      ]
+    });
+
+    expect(group.similarityStats.pairs).toBe(2);
+    expect(group.similarity).toBe(0.93);
+    expect(group.keeperSimilarity['/photos/b.jpg']).toBe(0.95);
+    expect(group.matchedBy).toEqual(['multi-provider-ai', 'google', 'local-advanced', 'local-hash']);
+  });
+
+  test('should summarise groups of several hundred images without enumerating exact pairs', () => {
+    const many = Array.from({ length: 700 }, (_, i) => ({ path: `/photos/placeholder-${i}.jpg` }));
+
+    const exact = summarizeSimilarity({ type: 'exact', images: many, detectionMethod: 'file-hash' });
+    expect(exact.similarityStats).toEqual({ min: 1, mean: 1, max: 1, pairs: 244650 });
+    expect(exact.keeperSimilarity[many[699].path]).toBe(1);
+
+    const pairs = [];
+    for (let i = 0; i < many.length; i++) {
+      for (let j = i + 1; j < many.length; j++) {
+        pairs.push({ a: many[i].path, b: many[j].path, similarity: i === 0 ? 0.9 : 0.95, linked: true });
+      }
+    }
+    const similar = summarizeSimilarity({ type: 'similar', images: many, pairs });
+    expect(similar.similarityStats).toMatchObject({ min: 0.9, max: 0.95, pairs: 244650 });
+    expect(similar.keeperSimilarity[many[699].path]).toBe(0.9);
+  });
+
+  test('should mark stats of a sampled group', () => {
+    const group = summarizeSimilarity({
+      type: 'similar',
+      images,
+      pairsSampled: true,
+      pairs: [
+        { a: '/photos/a.jpg', b: '/photos/b.jpg', similarity: 0.9, linked: true },
+        { a: '/photos/b.jpg', b: '/photos/c.jpg', similarity: 0.95, linked: true }
+      ]
+    });
+
+    expect(group.similarityStats).toMatchObject({ min: 0.9, pairs: 2, sampled: true });
+    expect(group.keeperSimilarity['/photos/c.jpg']).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+const { BKTree, hammingDistance, hashSimilarity, hashCentroid, radiusForSimilarity } = require('../src/detection/hashIndex');
+
+describe('Hash Index', () => {
+  function randomHash(bits, random) {
+    let hash = '';
+    for (let i = 0; i < bits / 4; i++) {
+      hash += Math.floor(random() * 16).toString(16);
+    }
+    return hash;
+  }
+
+  function flipBit(hash, bit) {
+    const digit = Math.floor(bit / 4);
+    const flipped = (parseInt(hash[digit], 16) ^ (1 << (bit % 4))).toString(16);
+    return hash.slice(0, digit) + flipped + hash.slice(digit + 1);
+  }
+
+  // Small deterministic PRNG so failures are reproducible
+  function seededRandom(seed) {
+    let state = seed;
+    return () => {
+      state = (state * 1103515245 + 12345) % 2147483648;
+      return state / 2147483648;
+    };
+  }
+
+  test('should compute Hamming distance between hex hashes', () => {
+    expect(hammingDistance('00ff', '00ff')).toBe(0);
+    expect(hammingDistance('0f', 'f0')).toBe(8);
+    expect(hammingDistance('a', '5')).toBe(4);
+    expect(hammingDistance('8', '9')).toBe(1);
+    expect(hammingDistance('01', '0110')).toBe(16);
+  });
+
+  test('should express Hamming distance as a similarity', () => {
+    expect(hashSimilarity('ffff', 'ffff')).toBe(1);
+    expect(hashSimilarity('ffff', 'fff0')).toBe(0.75);
+    expect(hashSimilarity('ff', 'ffff')).toBe(0);
+  });
+
+  test('should take the bitwise majority as the centroid', () => {
+    expect(hashCentroid(['f0', 'f1', '01'])).toBe('f1');
+    expect(hashCentroid(['ff', '00'])).toBe('00');
+  });
+
+  test('should convert a similarity threshold into a search radius', () => {
+    expect(radiusForSimilarity(64, 0.9)).toBe(6);
+    expect(radiusForSimilarity(1024, 0.92)).toBe(81);
+    expect(radiusForSimilarity(64, 1)).toBe(0);
+  });
+
+  test('should return the same matches as a brute-force scan', () => {
+    const random = seededRandom(42);
+    const hashes = [];
+    const base = randomHash(64, random);
+
+    for (let i = 0; i < 300; i++) {
+      // Half are near variants of one hash so there is something to find
+      if (i % 2 === 0) {
+        let hash = base;
+        const flips = Math.floor(random() * 10);
+        for (let f = 0; f < flips; f++) {
+          hash = flipBit(hash, Math.floor(random() * 64));
+        }
+        hashes.push(hash);
+      } else {
+        hashes.push(randomHash(64, random));
+      }
+    }
+
+    const tree = new BKTree();
+    hashes.forEach((hash, index) => tree.add(hash, index));
+    expect(tree.size).toBe(hashes.length);
+
+    for (const radius of [0, 3, 8, 20]) {
+      for (const query of [base, hashes[1], hashes[17]]) {
+        const expected = hashes
+          .map((hash, index) => ({ index, distance: hammingDistance(query, hash) }))
+          .filter(match => match.distance <= radius)
+          .map(match => match.index)
+          .sort((a, b) => a - b);
+
+        const actual = tree.search(query, radius).map(match => match.value).sort((a, b) => a - b);
+        expect(actual).toEqual(expected);
+      }
+    }
+  });
+
+  test('should keep every value stored under an identical hash', () => {
+    const tree = new BKTree();
+    tree.add('a0f3', 'a');
+    tree.add('a0f3', 'b');
+    tree.add('5f0c', 'c');
+
+    const matches = tree.search('a0f3', 0);
+    expect(matches.map(match => match.value).sort()).toEqual(['a', 'b']);
+    expect(matches.every(match => match.distance === 0)).toBe(true);
+  });
+
+  test('should return nothing from an empty tree', () => {
+    expect(new BKTree().search('a0f3', 4)).toEqual([]);
+  });
+});
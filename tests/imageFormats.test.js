@@ -0,0 +1,68 @@
+const { extractEmbeddedPreview, findSidecarPairs, needsDecodeProxy } = require('../src/scanner/imageFormats');
+const fs = require('fs-extra');
+const path = require('path');
+const jimp = require('jimp');
+
+describe('Image Formats', () => {
+  const testDir = path.join(__dirname, 'temp', 'formats-test');
+
+  beforeEach(async () => {
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  async function createJpeg(width, height) {
+    const image = new jimp(width, height, 0x336699ff);
+    return image.getBufferAsync(jimp.MIME_JPEG);
+  }
+
+  test('should extract the largest embedded JPEG from a RAW container', async () => {
+    const thumbnail = await createJpeg(16, 16);
+    const preview = await createJpeg(64, 48);
+    const header = Buffer.from('II*\u0000fake raw header with stray ÿØ bytes');
+    const sensorData = Buffer.alloc(512, 0x7f);
+    const rawPath = path.join(testDir, 'IMG_0001.CR2');
+
+    await fs.writeFile(rawPath, Buffer.concat([header, thumbnail, sensorData, preview, sensorData]));
+
+    const extracted = await extractEmbeddedPreview(rawPath);
+    expect(extracted.equals(preview)).toBe(true);
+
+    const decoded = await jimp.read(extracted);
+    expect(decoded.bitmap.width).toBe(64);
+  });
+
+  test('should return null when no preview is embedded', async () => {
+    const rawPath = path.join(testDir, 'empty.nef');
+    await fs.writeFile(rawPath, Buffer.alloc(1024, 0x11));
+
+    expect(await extractEmbeddedPreview(rawPath)).toBeNull();
+  });
+
+  test('should pair RAW files with rendered siblings from the same folder', () => {
+    const images = [
+      { path: '/shoot/IMG_0001.CR2' },
+      { path: '/shoot/IMG_0001.JPG' },
+      { path: '/shoot/IMG_0002.CR2' },
+      { path: '/export/IMG_0002.jpg' },
+      { path: '/shoot/IMG_0003.jpg' }
+    ];
+
+    const pairs = findSidecarPairs(images);
+
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].raw.map(image => image.path)).toEqual(['/shoot/IMG_0001.CR2']);
+    expect(pairs[0].rendered.map(image => image.path)).toEqual(['/shoot/IMG_0001.JPG']);
+  });
+
+  test('should only proxy formats jimp cannot decode', () => {
+    expect(needsDecodeProxy('photo.jpg')).toBe(false);
+    expect(needsDecodeProxy('photo.png')).toBe(false);
+    expect(needsDecodeProxy('photo.heic')).toBe(true);
+    expect(needsDecodeProxy('photo.webp')).toBe(true);
+    expect(needsDecodeProxy('photo.arw')).toBe(true);
+  });
+});
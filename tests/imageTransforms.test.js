@@ -0,0 +1,74 @@
+const jimp = require('jimp');
+const { ORIENTATIONS, orient, crop, findBorders } = require('../src/detection/imageTransforms');
+
+describe('Image Transforms', () => {
+  // 3x2 image whose red channel numbers the pixels row by row: 0 1 2 / 3 4 5
+  function numbered() {
+    const image = new jimp(3, 2);
+    image.scan(0, 0, 3, 2, function(x, y, idx) {
+      this.bitmap.data[idx] = y * 3 + x;
+      this.bitmap.data[idx + 3] = 255;
+    });
+    return image;
+  }
+
+  function rows(image) {
+    const result = [];
+    for (let y = 0; y < image.bitmap.height; y++) {
+      const row = [];
+      for (let x = 0; x < image.bitmap.width; x++) {
+        row.push(image.bitmap.data[(y * image.bitmap.width + x) * 4]);
+      }
+      result.push(row);
+    }
+    return result;
+  }
+
+  test('should produce all 8 dihedral orientations', () => {
+    const image = numbered();
+
+    expect(rows(orient(image, 'identity'))).toEqual([[0, 1, 2], [3, 4, 5]]);
+    expect(rows(orient(image, 'rotate90'))).toEqual([[3, 0], [4, 1], [5, 2]]);
+    expect(rows(orient(image, 'rotate180'))).toEqual([[5, 4, 3], [2, 1, 0]]);
+    expect(rows(orient(image, 'rotate270'))).toEqual([[2, 5], [1, 4], [0, 3]]);
+    expect(rows(orient(image, 'mirror'))).toEqual([[2, 1, 0], [5, 4, 3]]);
+    expect(rows(orient(image, 'flip'))).toEqual([[3, 4, 5], [0, 1, 2]]);
+    expect(rows(orient(image, 'transpose'))).toEqual([[0, 3], [1, 4], [2, 5]]);
+    expect(rows(orient(image, 'transverse'))).toEqual([[5, 2], [4, 1], [3, 0]]);
+  });
+
+  test('should give 8 distinct orientations', () => {
+    const image = numbered();
+    const results = Object.keys(ORIENTATIONS).map(name => JSON.stringify(rows(orient(image, name))));
+    expect(new Set(results).size).toBe(8);
+  });
+
+  test('should find letterbox bars and remove them', () => {
+    const image = new jimp(100, 80, 0x000000ff);
+    const picture = new jimp(100, 50, 0xff8040ff);
+    image.composite(picture, 0, 15);
+
+    expect(findBorders(image)).toEqual({ top: 15, bottom: 15, left: 0, right: 0 });
+
+    const trimmed = crop(image, 'letterbox');
+    expect(trimmed.bitmap.width).toBe(100);
+    expect(trimmed.bitmap.height).toBe(50);
+  });
+
+  test('should not mistake a plain image for padding', () => {
+    const image = new jimp(40, 40, 0xffffffff);
+    expect(findBorders(image)).toEqual({ top: 0, bottom: 0, left: 0, right: 0 });
+    expect(crop(image, 'letterbox')).toBeNull();
+  });
+
+  test('should crop centred regions and squares', () => {
+    const image = new jimp(200, 100);
+
+    const centre = crop(image, 'centre-80');
+    expect([centre.bitmap.width, centre.bitmap.height]).toEqual([160, 80]);
+
+    const square = crop(image, 'square');
+    expect([square.bitmap.width, square.bitmap.height]).toEqual([100, 100]);
+    expect(crop(new jimp(50, 50), 'square')).toBeNull();
+  });
+});
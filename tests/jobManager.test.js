@@ -0,0 +1,73 @@
+const { JobManager, checkpoint, isCancellation } = require('../src/jobs/jobManager');
+const { deleteFiles } = require('../src/deletion/deletionManagerSimple');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Job Manager', () => {
+  const testDir = path.join(__dirname, 'temp', 'job-test');
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  test('should block checkpoints while paused and continue on resume', async () => {
+    const manager = new JobManager();
+    const job = manager.create('scan');
+    let passed = false;
+
+    manager.pause(job.id);
+    const waiting = checkpoint(job).then(() => { passed = true; });
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(passed).toBe(false);
+    expect(job.status).toBe('paused');
+
+    manager.resume(job.id);
+    await waiting;
+    expect(passed).toBe(true);
+  });
+
+  test('should wake paused work with a cancellation error', async () => {
+    const manager = new JobManager();
+    const job = manager.create('detect');
+
+    job.pause();
+    const waiting = checkpoint(job);
+    job.cancel();
+
+    const error = await waiting.catch(caught => caught);
+    expect(isCancellation(error)).toBe(true);
+  });
+
+  test('should track a job from start to its final status', async () => {
+    const manager = new JobManager();
+    const updates = [];
+    manager.on('update', job => updates.push(job.status));
+
+    await expect(manager.run('scan', async () => 'done')).resolves.toBe('done');
+    await expect(manager.run('scan', async (job) => {
+      job.cancel();
+      await checkpoint(job);
+    })).rejects.toMatchObject({ code: 'JOB_CANCELLED' });
+
+    expect(updates).toEqual(['running', 'completed', 'running', 'cancelling', 'cancelled']);
+    expect(manager.list()).toEqual([]);
+    expect(manager.cancelAll()).toEqual([]);
+  });
+
+  test('should stop deleting between files and report the rest as skipped', async () => {
+    const files = ['a.jpg', 'b.jpg', 'c.jpg'].map(name => path.join(testDir, name));
+    await Promise.all(files.map(file => fs.outputFile(file, 'x')));
+
+    const manager = new JobManager();
+    const job = manager.create('delete');
+    const results = await deleteFiles(files, (progress) => {
+      if (progress.current === 1) job.cancel();
+    }, { job });
+
+    expect(results.cancelled).toBe(true);
+    expect(results.deleted.map(entry => entry.original)).toEqual([files[0]]);
+    expect(results.skipped).toEqual(files.slice(1));
+    expect(await fs.pathExists(files[1])).toBe(true);
+  });
+});
@@ -0,0 +1,173 @@
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  BUILT_IN_POLICIES,
+  KeeperPolicyStore,
+  validatePolicy,
+  chooseKeeper,
+  applyKeeperPolicy,
+  parsePolicyRules,
+  formatPolicyRules
+} = require('../src/detection/keeperPolicy');
+
+describe('Keeper Policies', () => {
+  const testDir = path.join(__dirname, 'temp', 'keeper');
+
+  const image = (filePath, extra = {}) => ({
+    path: filePath,
+    name: path.basename(filePath),
+    size: 1000,
+    width: 100,
+    height: 100,
+    resolution: 10000,
+    modified: '2024-01-01T00:00:00.000Z',
+    ...extra
+  });
+
+  afterAll(async () => {
+    await fs.remove(testDir);
+  });
+
+  test('should apply rules in order and name the one that decided', () => {
+    const policy = validatePolicy({ name: 'test', rules: ['prefer-exif', 'prefer-highest-resolution'] });
+    const large = image('/photos/large.jpg', { width: 400, height: 300, resolution: 120000 });
+    const withExif = image('/photos/camera.jpg', { exif: { hasExif: true } });
+
+    const { keeper, ranked, explanation } = chooseKeeper([large, withExif], policy);
+    expect(keeper).toBe(withExif);
+    expect(ranked).toEqual([withExif, large]);
+    expect(explanation).toMatchObject({ policy: 'test', keeper: '/photos/camera.jpg', rule: 'prefer-exif', label: 'Prefer has EXIF' });
+    expect(explanation.reason).toContain('camera.jpg: has camera metadata');
+
+    // Equal on EXIF, so resolution decides
+    const second = chooseKeeper([withExif, { ...large, exif: { hasExif: true } }], policy);
+    expect(second.keeper.name).toBe('large.jpg');
+    expect(second.explanation.rule).toBe('prefer-highest-resolution');
+  });
+
+  test('should apply never-folder rules before any preference', () => {
+    const policy = validatePolicy({
+      name: 'test',
+      rules: ['prefer-largest-file', { rule: 'never-folder', folder: 'Downloads' }]
+    });
+    const downloaded = image('/home/me/Downloads/photo.jpg', { size: 5000 });
+    const kept = image('/home/me/Pictures/photo.jpg');
+
+    const { keeper, explanation } = chooseKeeper([downloaded, kept], policy);
+    expect(keeper).toBe(kept);
+    expect(explanation.rule).toBe('never-folder');
+    expect(explanation.setAside).toEqual([]);
+
+    // Folders match whole segments only
+    const lookalike = image('/home/me/MyDownloads/photo.jpg', { size: 5000 });
+    expect(chooseKeeper([lookalike, kept], policy).keeper).toBe(lookalike);
+  });
+
+  test('should set a never-folder rule aside when every copy breaks it', () => {
+    const policy = validatePolicy({
+      name: 'test',
+      rules: [{ rule: 'never-folder', folder: 'downloads' }, 'prefer-largest-file']
+    });
+    const small = image('/Downloads/a.jpg');
+    const big = image('/Downloads/b.jpg', { size: 2000 });
+
+    const { keeper, explanation } = chooseKeeper([small, big], policy);
+    expect(keeper).toBe(big);
+    expect(explanation.rule).toBe('prefer-largest-file');
+    expect(explanation.setAside).toEqual(['Never pick from downloads']);
+  });
+
+  test('should prefer the preferred root and keep the first copy on a full tie', () => {
+    const policy = validatePolicy(BUILT_IN_POLICIES.default);
+    const first = image('/a/photo.jpg', { root: '/a' });
+    const second = image('/b/photo.jpg', { root: '/b' });
+
+    expect(chooseKeeper([first, second], policy, { preferredRoot: '/b' }).keeper).toBe(second);
+    expect(chooseKeeper([first, second], policy, { preferredRoot: '/b/' }).keeper).toBe(second);
+
+    const tie = chooseKeeper([first, second], policy);
+    expect(tie.keeper).toBe(first);
+    expect(tie.explanation.rule).toBeNull();
+  });
+
+  test('should prefer formats in the order listed', () => {
+    const policy = validatePolicy(BUILT_IN_POLICIES['camera-originals']);
+    const jpeg = image('/shoot/IMG_1.jpg', { width: 4000, height: 3000, resolution: 12000000 });
+    const raw = image('/shoot/IMG_1.CR2', { format: 'jpeg' });
+
+    const { keeper, explanation } = chooseKeeper([jpeg, raw], policy);
+    expect(keeper).toBe(raw);
+    expect(explanation.rule).toBe('prefer-format');
+  });
+
+  test('should recommend exactly one image per group and leave protected groups alone', () => {
+    const policy = validatePolicy({ name: 'test', rules: ['prefer-largest-file'] });
+    const group = { images: [image('/a.jpg'), image('/b.jpg', { size: 3000 }), image('/c.jpg')] };
+    const pair = { protected: true, images: [image('/x.cr2'), image('/x.jpg')] };
+
+    applyKeeperPolicy([group, pair], policy);
+
+    expect(group.images.filter(entry => entry.recommended).map(entry => entry.path)).toEqual(['/b.jpg']);
+    expect(group.recommendedToKeep.path).toBe('/b.jpg');
+    expect(group.candidatesForDeletion.map(entry => entry.path)).toEqual(['/a.jpg', '/c.jpg']);
+    expect(group.keeperPolicy).toBe('test');
+    expect(group.keeperExplanation.rule).toBe('prefer-largest-file');
+
+    expect(pair.images.some(entry => 'recommended' in entry)).toBe(false);
+    expect(pair.keeperExplanation).toBeUndefined();
+  });
+
+  test('should reject invalid policies', () => {
+    expect(() => validatePolicy({ name: '', rules: ['prefer-exif'] })).toThrow('must have a name');
+    expect(() => validatePolicy({ name: 'empty', rules: [] })).toThrow('has no rules');
+    expect(() => validatePolicy({ name: 'x', rules: ['prefer-bigger'] })).toThrow('Unknown keeper rule');
+    expect(() => validatePolicy({ name: 'x', rules: ['prefer-folder'] })).toThrow('needs a folder');
+  });
+
+  test('should parse and format rules as one rule per line', () => {
+    const text = [
+      '# keep masters',
+      'never-folder Downloads',
+      '',
+      'prefer-folder /Photos/Masters',
+      'prefer-format .DNG, tiff jpg',
+      'prefer-highest-resolution'
+    ].join('\n');
+
+    const rules = parsePolicyRules(text);
+    expect(rules).toEqual([
+      { rule: 'never-folder', folder: 'Downloads' },
+      { rule: 'prefer-folder', folder: '/Photos/Masters' },
+      { rule: 'prefer-format', formats: ['.DNG', 'tiff', 'jpg'] },
+      { rule: 'prefer-highest-resolution' }
+    ]);
+
+    const formatted = formatPolicyRules({ name: 'masters', rules });
+    expect(formatted).toBe('never-folder Downloads\nprefer-folder /Photos/Masters\nprefer-format dng, tiff, jpg\nprefer-highest-resolution');
+    expect(formatPolicyRules({ name: 'again', rules: parsePolicyRules(formatted) })).toBe(formatted);
+
+    expect(() => parsePolicyRules('prefer-everything')).toThrow('Unknown keeper rule');
+    expect(() => parsePolicyRules('prefer-exif always')).toThrow('takes no value');
+  });
+
+  test('should save, resolve and remove user policies', async () => {
+    const store = new KeeperPolicyStore({ path: path.join(testDir, 'keeper-policies.json') });
+
+    expect((await store.list()).map(policy => policy.name)).toEqual(['default', 'camera-originals']);
+    expect((await store.resolve()).name).toBe('default');
+
+    await store.save({ name: 'masters', rules: parsePolicyRules('prefer-folder Masters\nprefer-oldest') });
+    const listed = await store.list();
+    expect(listed.find(policy => policy.name === 'masters')).toMatchObject({ builtIn: false, label: 'masters' });
+
+    const resolved = await store.resolve('masters');
+    expect(resolved.rules).toEqual([{ rule: 'prefer-folder', folder: 'Masters' }, { rule: 'prefer-oldest' }]);
+
+    await expect(store.save({ name: 'default', rules: ['prefer-oldest'] })).rejects.toThrow('built-in');
+    await expect(store.resolve('missing')).rejects.toThrow('Unknown keeper policy');
+
+    expect(await store.remove('masters')).toBe(true);
+    expect(await store.remove('masters')).toBe(false);
+    await expect(store.resolve('masters')).rejects.toThrow('Unknown keeper policy');
+  });
+});
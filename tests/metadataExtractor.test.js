@@ -0,0 +1,55 @@
+const { normalizeMetadata, orientedDimensions } = require('../src/scanner/metadataExtractor');
+
+describe('Metadata Extractor', () => {
+  test('should normalise EXIF, XMP and IPTC fields', () => {
+    const metadata = normalizeMetadata({
+      Make: 'Canon\u0000',
+      Model: ' EOS R5 ',
+      LensModel: 'RF24-70mm F2.8 L IS USM',
+      DateTimeOriginal: new Date('2023-06-01T10:15:30Z'),
+      CreateDate: new Date('2023-06-02T00:00:00Z'),
+      latitude: 51.5007,
+      longitude: -0.1246,
+      GPSAltitude: 12,
+      Orientation: 6,
+      Rating: 4,
+      Keywords: ['London', 'Travel'],
+      subject: ['travel', 'Travel']
+    });
+
+    expect(metadata).toEqual({
+      hasExif: true,
+      captureDate: '2023-06-01T10:15:30.000Z',
+      make: 'Canon',
+      model: 'EOS R5',
+      lens: 'RF24-70mm F2.8 L IS USM',
+      gps: { latitude: 51.5007, longitude: -0.1246, altitude: 12 },
+      orientation: 6,
+      rating: 4,
+      keywords: ['London', 'Travel', 'travel']
+    });
+  });
+
+  test('should return empty metadata when nothing could be read', () => {
+    const metadata = normalizeMetadata(undefined);
+
+    expect(metadata.hasExif).toBe(false);
+    expect(metadata.captureDate).toBeNull();
+    expect(metadata.orientation).toBe(1);
+    expect(metadata.keywords).toEqual([]);
+  });
+
+  test('should ignore invalid orientation and dates', () => {
+    const metadata = normalizeMetadata({ Orientation: 42, DateTimeOriginal: 'not a date', Keywords: 'a; b' });
+
+    expect(metadata.orientation).toBe(1);
+    expect(metadata.captureDate).toBeNull();
+    expect(metadata.keywords).toEqual(['a', 'b']);
+  });
+
+  test('should swap dimensions for transposed orientations', () => {
+    expect(orientedDimensions(4000, 3000, 1)).toEqual({ width: 4000, height: 3000 });
+    expect(orientedDimensions(4000, 3000, 6)).toEqual({ width: 3000, height: 4000 });
+    expect(orientedDimensions(4000, 3000, 3)).toEqual({ width: 4000, height: 3000 });
+  });
+});
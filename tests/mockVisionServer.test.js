@@ -0,0 +1,191 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const jimp = require('jimp');
+const path = require('path');
+const { MockVisionServer, describeImage } = require('../tools/mockVisionServer');
+
+describe('Mock Vision Server', () => {
+  const tempDir = path.join(__dirname, 'temp', 'mock-vision');
+  const files = {};
+  let mock;
+
+  // Loads the providers with their endpoints pointed at the running mock
+  function loadProviders() {
+    const saved = { ...process.env };
+    Object.assign(process.env, mock.environment);
+    let providers;
+    jest.isolateModules(() => {
+      providers = {
+        google: require('../src/detection/providers/google'),
+        azure: require('../src/detection/providers/azure')
+      };
+    });
+    process.env = saved;
+    return providers;
+  }
+
+  beforeAll(async () => {
+    await fs.ensureDir(tempDir);
+
+    const scene = new jimp(120, 80, 0x2050d0ff);
+    scene.scan(0, 0, 60, 40, function(x, y, idx) {
+      this.bitmap.data[idx] = 230;
+      this.bitmap.data[idx + 1] = 200;
+      this.bitmap.data[idx + 2] = 40;
+    });
+    const other = new jimp(80, 120, 0x30a040ff);
+    other.scan(40, 60, 40, 60, function(x, y, idx) {
+      this.bitmap.data[idx] = 240;
+      this.bitmap.data[idx + 1] = 240;
+      this.bitmap.data[idx + 2] = 240;
+    });
+
+    files.original = path.join(tempDir, 'original.png');
+    files.copy = path.join(tempDir, 'copy.jpg');
+    files.other = path.join(tempDir, 'other.png');
+    await scene.writeAsync(files.original);
+    await scene.clone().quality(80).writeAsync(files.copy);
+    await other.writeAsync(files.other);
+  });
+
+  afterAll(async () => {
+    await fs.remove(tempDir);
+  });
+
+  afterEach(async () => {
+    if (mock) await mock.stop();
+    mock = null;
+  });
+
+  test('should describe the same picture the same way every time', async () => {
+    const first = await describeImage(await fs.readFile(files.original));
+    const again = await describeImage(await fs.readFile(files.original));
+
+    expect(again).toEqual(first);
+    expect(first.labels.map(label => label.name)).toEqual(expect.arrayContaining(['blue', 'yellow', 'landscape']));
+    expect(first.objects.map(object => object.name)).toEqual(['yellow shape', 'blue shape']);
+  });
+
+  test('should let the Google and Azure providers tell copies from other pictures', async () => {
+    mock = new MockVisionServer({ latencyMs: 0, errorRate: 0, failFirst: 0 });
+    await mock.start(0);
+    const { google, azure } = loadProviders();
+
+    for (const provider of [google, azure]) {
+      expect(provider.isConfigured()).toBe(true);
+      const [original, copy, other] = await Promise.all(
+        [files.original, files.copy, files.other].map(file => provider.extractFeatures({ path: file }))
+      );
+
+      expect(provider.compare(original, copy)).toBeGreaterThan(0.9);
+      expect(provider.compare(original, other)).toBeLessThan(0.6);
+    }
+    expect(mock.stats).toMatchObject({ google: 3, azure: 3, errors: 0 });
+  });
+
+  test('should answer Rekognition calls in the AWS JSON protocol', async () => {
+    mock = new MockVisionServer({ errorRate: 0, failFirst: 0 });
+    await mock.start(0);
+    const image = { Image: { Bytes: (await fs.readFile(files.original)).toString('base64') } };
+    const headers = target => ({
+      'Content-Type': 'application/x-amz-json-1.1',
+      'X-Amz-Target': `RekognitionService.${target}`,
+      Authorization: 'AWS4-HMAC-SHA256 Credential=mock-aws-key'
+    });
+
+    const labels = await axios.post(`${mock.url}/`, image, { headers: headers('DetectLabels') });
+    const text = await axios.post(`${mock.url}/`, image, { headers: headers('DetectText') });
+
+    expect(labels.data.Labels.map(label => label.Name)).toContain('blue');
+    expect(labels.data.Labels[0].Confidence).toBeGreaterThan(50);
+    expect(text.data.TextDetections).toEqual([]);
+  });
+
+  test('should inject failures that the providers retry through', async () => {
+    mock = new MockVisionServer({ failFirst: 1, errorStatus: 503, retryAfter: '0', errorRate: 0 });
+    await mock.start(0);
+    const { google } = loadProviders();
+
+    const features = await google.extractFeatures({ path: files.original });
+
+    expect(features.localizedObjectAnnotations.length).toBeGreaterThan(0);
+    expect(mock.stats).toMatchObject({ requests: 2, errors: 1 });
+  });
+
+  test('should report errors the way each API does', async () => {
+    mock = new MockVisionServer({ failFirst: 1, errorStatus: 429, retryAfter: '7', errorRate: 0 });
+    await mock.start(0);
+    const image = { Image: { Bytes: (await fs.readFile(files.original)).toString('base64') } };
+
+    const throttled = await axios.post(`${mock.url}/`, image, {
+      headers: { 'X-Amz-Target': 'RekognitionService.DetectLabels', Authorization: 'AWS4-HMAC-SHA256' },
+      validateStatus: () => true
+    });
+    expect(throttled.status).toBe(400);
+    expect(throttled.data.__type).toBe('ThrottlingException');
+    expect(throttled.headers['retry-after']).toBe('7');
+
+    const unauthorised = await axios.post(`${mock.url}/v1/images:annotate`, { requests: [] }, { validateStatus: () => true });
+    expect(unauthorised.status).toBe(403);
+    expect(unauthorised.data.error.status).toBe('PERMISSION_DENIED');
+
+    const badImage = await axios.post(`${mock.url}/v1/images:annotate?key=mock`, {
+      requests: [{ image: { content: Buffer.from('not an image').toString('base64') }, features: [] }]
+    });
+    expect(badImage.data.responses[0].error.message).toBe('Bad image data.');
+  });
+
+  test('should fail a Google image the API rejected instead of returning the error as features', async () => {
+    mock = new MockVisionServer({ errorRate: 0 });
+    await mock.start(0);
+    const { google } = loadProviders();
+    const broken = path.join(tempDir, 'broken.jpg');
+    await fs.writeFile(broken, 'not an image');
+
+    const error = await google.extractFeatures({ path: broken }).catch(e => e);
+
+    expect(error.message).toContain('Bad image data.');
+    expect(error.statusCode).toBe(400);
+    // A rejected image says nothing about the service, so it is not retried
+    expect(mock.stats.requests).toBe(1);
+  });
+
+  test('should confirm local matches with the cloud providers', async () => {
+    mock = new MockVisionServer({ latencyMs: 0, errorRate: 0, failFirst: 0 });
+    await mock.start(0);
+    const saved = { ...process.env };
+    Object.assign(process.env, mock.environment);
+    let enterprise;
+    jest.isolateModules(() => {
+      enterprise = require('../src/detection/aiDetectionEnterprise');
+    });
+
+    const same = path.join(tempDir, 'same.png');
+    await fs.copy(files.original, same);
+    const image = file => ({ path: file, name: path.basename(file) });
+    const progress = [];
+
+    // Providers check their configuration when the run starts
+    let decisions;
+    try {
+      decisions = await enterprise.confirmWithProviders(
+        [{ a: image(files.original), b: image(same) }, { a: image(files.original), b: image(files.other) }],
+        update => progress.push(update),
+        { privacy: 'full' }
+      );
+    } finally {
+      process.env = saved;
+    }
+
+    expect(decisions.map(decision => decision.accepted)).toEqual([true, false]);
+    expect(decisions[0].providers).toEqual(expect.arrayContaining(['google', 'azure']));
+    expect(progress[progress.length - 1]).toMatchObject({ current: 2, total: 2 });
+    expect(progress.filter(update => update.stage === 'Fetching provider features').map(update => update.current))
+      .toEqual(expect.arrayContaining([3]));
+    expect(progress.every(update => update.current > 0 && update.current <= update.total)).toBe(true);
+
+    // Nothing to ask without a cloud provider: the local matches stand
+    const local = await enterprise.confirmWithProviders([{ a: image(files.original), b: image(same) }], null, { privacy: 'local-only' });
+    expect(local).toEqual([null]);
+  });
+});
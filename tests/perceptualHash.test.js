@@ -0,0 +1,148 @@
+const jimp = require('jimp');
+const {
+  HASH_ALGORITHMS,
+  resolveHashOptions,
+  hashImage,
+  hashVariants,
+  maxDistanceFor
+} = require('../src/detection/perceptualHash');
+const { hammingDistance } = require('../src/detection/hashIndex');
+
+describe('Perceptual Hashes', () => {
+  const allAlgorithms = Object.keys(HASH_ALGORITHMS);
+
+  // A product shot: a coloured shape on a plain white background
+  function productShot(color, shape, size = 160) {
+    const image = new jimp(size, size, 0xffffffff);
+    image.scan(0, 0, size, size, function(x, y, idx) {
+      const nx = x / size - 0.5;
+      const ny = y / size - 0.5;
+      const inside = shape === 'square'
+        ? Math.abs(nx) < 0.15 && Math.abs(ny) < 0.15
+        : nx * nx + ny * ny < 0.03;
+      if (inside) {
+        this.bitmap.data[idx] = color[0];
+        this.bitmap.data[idx + 1] = color[1];
+        this.bitmap.data[idx + 2] = color[2];
+      }
+    });
+    return image;
+  }
+
+  function matches(hashes1, hashes2, algorithm, bits) {
+    return hammingDistance(hashes1[algorithm], hashes2[algorithm]) <= maxDistanceFor(algorithm, bits);
+  }
+
+  test('should produce compact hex hashes of the requested size', () => {
+    const image = productShot([200, 30, 30], 'square');
+
+    for (const bits of [64, 256]) {
+      const hashes = hashImage(image, { algorithms: allAlgorithms, bits });
+      for (const algorithm of allAlgorithms) {
+        expect(hashes[algorithm]).toMatch(/^[0-9a-f]+$/);
+        expect(hashes[algorithm]).toHaveLength(bits / 4);
+      }
+    }
+  });
+
+  test('should match a resized copy with every algorithm', () => {
+    const original = productShot([200, 30, 30], 'square');
+    const resized = original.clone().resize(100, 100);
+
+    for (const bits of [64, 256]) {
+      const hashes1 = hashImage(original, { algorithms: allAlgorithms, bits });
+      const hashes2 = hashImage(resized, { algorithms: allAlgorithms, bits });
+      for (const algorithm of allAlgorithms) {
+        expect(matches(hashes1, hashes2, algorithm, bits)).toBe(true);
+      }
+    }
+  });
+
+  test('should tell apart white product shots that aHash confuses', () => {
+    const square = hashImage(productShot([200, 30, 30], 'square'), { algorithms: allAlgorithms });
+    const circle = hashImage(productShot([200, 30, 30], 'circle'), { algorithms: allAlgorithms });
+    const blueSquare = hashImage(productShot([30, 30, 200], 'square'), { algorithms: allAlgorithms });
+
+    expect(matches(square, circle, 'average', 64)).toBe(true);
+    expect(matches(square, circle, 'perceptual', 64)).toBe(false);
+
+    expect(matches(square, blueSquare, 'perceptual', 64)).toBe(true);
+    expect(matches(square, blueSquare, 'color', 64)).toBe(false);
+  });
+
+  test('should leave overall brightness out of the pHash', () => {
+    const darker = productShot([120, 20, 20], 'circle');
+    darker.scan(0, 0, 160, 160, function(x, y, idx) {
+      for (let channel = 0; channel < 3; channel++) {
+        this.bitmap.data[idx + channel] = Math.min(this.bitmap.data[idx + channel], 180);
+      }
+    });
+    const brighter = darker.clone().scan(0, 0, 160, 160, function(x, y, idx) {
+      for (let channel = 0; channel < 3; channel++) {
+        this.bitmap.data[idx + channel] += 60;
+      }
+    });
+
+    for (const bits of [64, 256]) {
+      const options = { algorithms: ['perceptual'], bits };
+      expect(hashImage(brighter, options).perceptual).toBe(hashImage(darker, options).perceptual);
+    }
+
+    // The DC term is always far above the median, so keeping it would pin the first bit
+    const firstBit = shade => {
+      const image = new jimp(64, 64);
+      image.scan(0, 0, 64, 64, function(x, y, idx) {
+        this.bitmap.data.fill(shade(x / 64, y / 64), idx, idx + 3);
+        this.bitmap.data[idx + 3] = 255;
+      });
+      return parseInt(hashImage(image, { algorithms: ['perceptual'] }).perceptual[0], 16) >> 3;
+    };
+    expect(firstBit((x, y) => 255 * x * y)).not.toBe(firstBit((x, y) => 255 * (1 - x) * y));
+  });
+
+  test('should find rotated, mirrored and cropped copies through variant hashes', () => {
+    // A gradient with off-centre shapes, so each orientation and crop really differs
+    const original = new jimp(200, 200);
+    original.scan(0, 0, 200, 200, function(x, y, idx) {
+      const nx = x / 200;
+      const ny = y / 200;
+      const inCircle = (nx - 0.3) ** 2 + (ny - 0.35) ** 2 < 0.02;
+      this.bitmap.data[idx] = inCircle ? 250 : 255 * nx;
+      this.bitmap.data[idx + 1] = inCircle ? 240 : 180 * ny;
+      this.bitmap.data[idx + 2] = 120 + 100 * Math.sin(nx * 7 + ny * 3);
+      this.bitmap.data[idx + 3] = 255;
+    });
+    const options = { algorithms: ['perceptual'], orientations: true, crops: true };
+    const variants = hashVariants(original, options);
+
+    const copies = {
+      rotate270: original.clone().rotate(90),
+      mirror: original.clone().mirror(true, false),
+      'centre-80': original.clone().crop(20, 20, 160, 160)
+    };
+    for (const [variant, copy] of Object.entries(copies)) {
+      const copyHash = hashVariants(copy, options).identity.perceptual;
+      expect(hammingDistance(variants.identity.perceptual, copyHash)).toBeGreaterThan(maxDistanceFor('perceptual', 64));
+      expect(hammingDistance(variants[variant].perceptual, copyHash)).toBeLessThanOrEqual(maxDistanceFor('perceptual', 64));
+    }
+  });
+
+  test('should only hash the variants asked for', () => {
+    const image = productShot([200, 30, 30], 'square');
+    expect(Object.keys(hashVariants(image, { algorithms: ['average'] }))).toEqual(['identity']);
+    expect(Object.keys(hashVariants(image, { algorithms: ['average'], orientations: true }))).toHaveLength(8);
+  });
+
+  test('should scale thresholds with the hash size', () => {
+    expect(maxDistanceFor('perceptual', 64)).toBe(10);
+    expect(maxDistanceFor('perceptual', 256)).toBe(40);
+  });
+
+  test('should validate the hash options for a run', () => {
+    expect(resolveHashOptions()).toEqual({ algorithms: ['perceptual', 'color'], bits: 64 });
+    expect(resolveHashOptions({ hashAlgorithms: 'difference', hashBits: '256' }))
+      .toEqual({ algorithms: ['difference'], bits: 256 });
+    expect(() => resolveHashOptions({ hashAlgorithms: ['sift'] })).toThrow('Unknown hash algorithm: sift');
+    expect(() => resolveHashOptions({ hashBits: 128 })).toThrow('Unsupported hash size');
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require('fs-extra');
+const path = require('path');
+const jimp = require('jimp');
+const { PrivacyPolicy, isUploadBlocked, resolvePrivacyMode } = require('../src/detection/providers/privacyPolicy');
+
+describe('Upload Privacy Policy', () => {
+  const testDir = path.join(__dirname, 'temp', 'privacy');
+  const dirs = { proxyDir: path.join(testDir, 'proxies'), auditDir: path.join(testDir, 'audit') };
+  const cloud = { name: 'cloud', label: 'Cloud Vision', remote: true };
+  const local = { name: 'local', remote: false };
+  let photo;
+
+  // A 1600x1200 JPEG carrying an EXIF block with a recognisable secret in it
+  beforeAll(async () => {
+    await fs.ensureDir(testDir);
+    const picture = new jimp(1600, 1200, 0x3366ccff);
+    const jpeg = await picture.getBufferAsync(jimp.MIME_JPEG);
+    const exif = Buffer.concat([
+      Buffer.from('Exif\0\0MM\0*\0\0\0\x08\0\0\0\0\0\0', 'binary'),
+      Buffer.from('GPS 51.5007N 0.1246W SECRET')
+    ]);
+    const segment = Buffer.concat([Buffer.from([0xff, 0xe1, (exif.length + 2) >> 8, (exif.length + 2) & 0xff]), exif]);
+    const filePath = path.join(testDir, 'holiday.jpg');
+    await fs.writeFile(filePath, Buffer.concat([jpeg.slice(0, 2), segment, jpeg.slice(2)]));
+    photo = { path: filePath, name: 'holiday.jpg', hash: 'abc123', size: (await fs.stat(filePath)).size, width: 1600, height: 1200, format: 'jpg' };
+  });
+
+  afterAll(async () => {
+    await fs.remove(testDir);
+  });
+
+  test('should reject unknown modes', () => {
+    expect(resolvePrivacyMode('proxy')).toBe('proxy');
+    expect(() => resolvePrivacyMode('some')).toThrow('Unknown privacy mode');
+  });
+
+  test('should switch cloud providers off in local-only mode', async () => {
+    const policy = new PrivacyPolicy({ mode: 'local-only', ...dirs });
+    expect(policy.filter([cloud, local])).toEqual([local]);
+
+    const task = jest.fn();
+    const error = await policy.run(cloud, photo, task).catch(e => e);
+    expect(isUploadBlocked(error)).toBe(true);
+    expect(task).not.toHaveBeenCalled();
+
+    await policy.run(local, photo, task);
+    expect(task).toHaveBeenCalledWith(photo);
+    expect(policy.summary()).toMatchObject({ files: 0, uploads: 0, blocked: ['cloud'] });
+  });
+
+  test('should only hand cloud providers a downscaled copy without metadata', async () => {
+    const policy = new PrivacyPolicy({ mode: 'proxy', proxyMaxSize: 800, ...dirs });
+    let seen;
+    await policy.run(cloud, photo, async upload => {
+      seen = upload;
+      const data = await fs.readFile(upload.path);
+      expect(data.includes('SECRET')).toBe(false);
+      expect(data.includes('Exif')).toBe(false);
+      const proxy = await jimp.read(data);
+      expect([proxy.bitmap.width, proxy.bitmap.height]).toEqual([800, 600]);
+    });
+
+    expect(seen).toMatchObject({ hash: 'abc123', format: 'jpeg', width: 800, height: 600 });
+    expect(seen.name).toBeUndefined();
+    expect(JSON.stringify(seen)).not.toContain('holiday');
+
+    // Every provider gets the same proxy
+    await policy.run({ ...cloud, name: 'other' }, photo, async upload => expect(upload.path).toBe(seen.path));
+    expect(policy.summary()).toMatchObject({ files: 1, uploads: 2 });
+
+    await policy.close();
+    expect(await fs.pathExists(seen.path)).toBe(false);
+  });
+
+  test('should audit exactly which files left and how big they were', async () => {
+    const policy = new PrivacyPolicy({ mode: 'proxy', proxyMaxSize: 400, runId: 'run-1', ...dirs });
+    await policy.run(cloud, photo, async () => ({ labels: [] }));
+    await policy.run(local, { ...photo, path: '/local/only.jpg' }, async () => ({}));
+    await policy.run(cloud, photo, async () => {
+      throw new Error('HTTP 503');
+    }).catch(() => {});
+
+    const summary = await policy.close();
+    expect(summary).toMatchObject({ mode: 'proxy', files: 1, uploads: 2 });
+
+    const audit = await fs.readJson(path.join(dirs.auditDir, 'upload-audit-run-1.json'));
+    expect(audit.proxy).toEqual({ maxSize: 400, quality: 85 });
+    expect(audit.uploads.map(upload => [upload.file, upload.provider, upload.status])).toEqual([
+      [photo.path, 'cloud', 'sent'],
+      [photo.path, 'cloud', 'failed']
+    ]);
+    expect(audit.uploads[0].sent).toMatchObject({ width: 400, height: 300, format: 'jpeg', metadata: 'stripped' });
+    expect(audit.uploads[0].sent.bytes).toBeLessThan(photo.size);
+    expect(audit.uploads[0].original).toEqual({ bytes: photo.size, width: 1600, height: 1200 });
+    expect(audit.uploads[1].error).toBe('HTTP 503');
+  });
+
+  test('should cache features of originals and of each proxy size apart', () => {
+    const full = new PrivacyPolicy({ mode: 'full', ...dirs });
+    const proxy = new PrivacyPolicy({ mode: 'proxy', proxyMaxSize: 1024, ...dirs });
+    const smaller = new PrivacyPolicy({ mode: 'proxy', proxyMaxSize: 512, ...dirs });
+
+    const keys = [full, proxy, smaller].map(policy => policy.cacheKey(cloud, photo));
+    expect(new Set(keys).size).toBe(3);
+    expect(keys.every(key => key.startsWith('abc123'))).toBe(true);
+    // Local providers always see the original
+    expect(proxy.cacheKey(local, photo)).toBe(full.cacheKey(local, photo));
+  });
+
+  test('should pass originals through in full mode and still audit them', async () => {
+    const policy = new PrivacyPolicy({ mode: 'full', ...dirs });
+    const task = jest.fn(async () => ({}));
+    await policy.run(cloud, photo, task);
+
+    expect(task).toHaveBeenCalledWith(photo);
+    expect(policy.uploads[0].sent).toEqual({ bytes: photo.size, width: 1600, height: 1200, format: 'jpg', metadata: 'original' });
+    await policy.close();
+  });
+});
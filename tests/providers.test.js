@@ -0,0 +1,132 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ProviderRegistry, createDefaultRegistry, parseWeights } = require('../src/detection/providers');
+const { hasCredential } = require('../src/detection/providers/shared');
+
+describe('Detection Providers', () => {
+  const pluginDir = path.join(__dirname, 'temp', 'provider-plugins');
+
+  function provider(name, overrides = {}) {
+    return {
+      name,
+      defaultWeight: 0.5,
+      extractFeatures: async image => image.path,
+      compare: () => 1,
+      ...overrides
+    };
+  }
+
+  afterEach(async () => {
+    await fs.remove(pluginDir);
+  });
+
+  test('should register the built-in providers as ordinary plugins', () => {
+    const registry = createDefaultRegistry({ dirs: [], weights: {}, disabled: [] });
+    const names = registry.list().map(plugin => plugin.name);
+
+    expect(names).toEqual(['google', 'aws', 'azure', 'local-embedding', 'local-advanced']);
+    expect(registry.get('google').remote).toBe(true);
+    expect(registry.get('local-advanced').remote).toBe(false);
+  });
+
+  test('should reject modules that do not implement the interface', () => {
+    const registry = new ProviderRegistry();
+
+    expect(() => registry.register({ compare: () => 1 })).toThrow('Provider must have a name');
+    expect(() => registry.register({ name: 'half', compare: () => 1 })).toThrow('must implement extractFeatures');
+    registry.register(provider('once'));
+    expect(() => registry.register(provider('once'))).toThrow('already registered');
+  });
+
+  test('should order providers by configured weight', () => {
+    const registry = new ProviderRegistry({ weights: { light: 0.9 } });
+    registry.register(provider('heavy', { defaultWeight: 0.6 }));
+    registry.register(provider('light', { defaultWeight: 0.1 }));
+
+    expect(registry.list().map(plugin => plugin.name)).toEqual(['light', 'heavy']);
+    expect(registry.weightFor('light')).toBe(0.9);
+    expect(registry.weightFor('heavy')).toBe(0.6);
+  });
+
+  test('should take match thresholds from the provider unless overridden', () => {
+    const registry = new ProviderRegistry({ thresholds: { strict: 0.97 } });
+    registry.register(provider('strict', { threshold: 0.9 }));
+    registry.register(provider('calibrated', { threshold: 0.8 }));
+    registry.register(provider('plain'));
+
+    expect(registry.thresholdFor('strict', 0.92)).toBe(0.97);
+    expect(registry.thresholdFor('calibrated', 0.92)).toBe(0.8);
+    expect(registry.thresholdFor('plain', 0.92)).toBe(0.92);
+    expect(() => registry.register(provider('broken', { threshold: 1.5 }))).toThrow('invalid threshold');
+  });
+
+  test('should only offer enabled, weighted and configured providers', async () => {
+    const registry = new ProviderRegistry({ disabled: ['off'], weights: { zero: 0 } });
+    registry.register(provider('ready', { isConfigured: async () => true }));
+    registry.register(provider('no-keys', { isConfigured: () => false }));
+    registry.register(provider('off'));
+    registry.register(provider('zero'));
+    registry.register(provider('always'));
+
+    expect((await registry.available()).map(plugin => plugin.name)).toEqual(['always', 'ready']);
+  });
+
+  test('should load providers dropped into a plugin directory and skip broken ones', async () => {
+    await fs.outputFile(path.join(pluginDir, 'modelServer.js'), `
+      module.exports = {
+        name: 'model-server',
+        label: 'Self-hosted model server',
+        remote: true,
+        defaultWeight: 0.45,
+        hints: { costPerImage: 0, latencyMs: 120 },
+        extractFeatures: async image => image.path.length,
+        compare: (a, b) => (a === b ? 1 : 0)
+      };
+    `);
+    await fs.outputFile(path.join(pluginDir, 'broken.js'), 'module.exports = { name: "broken" };');
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const registry = createDefaultRegistry({ dirs: [pluginDir], weights: {}, disabled: [] });
+    errors.mockRestore();
+
+    expect(registry.get('model-server').label).toBe('Self-hosted model server');
+    expect(registry.list()[0].name).toBe('model-server');
+    expect(registry.get('broken')).toBeNull();
+  });
+
+  test('should parse weight overrides', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(parseWeights('google=0.5, model-server = 0.4,bad=x')).toEqual({ google: 0.5, 'model-server': 0.4 });
+    expect(parseWeights(undefined)).toEqual({});
+    warn.mockRestore();
+  });
+
+  test('should not treat placeholder keys as credentials', () => {
+    expect(hasCredential('AIzaSyExample123')).toBe(true);
+    expect(hasCredential('your-google-vision-api-key-here')).toBe(false);
+    expect(hasCredential('demo-key')).toBe(false);
+    expect(hasCredential('')).toBe(false);
+    expect(hasCredential(undefined)).toBe(false);
+  });
+
+  test('should only offer AWS when its optional SDK is installed', () => {
+    const saved = { ...process.env };
+    Object.assign(process.env, { AWS_ACCESS_KEY_ID: 'AKIAEXAMPLE', AWS_SECRET_ACCESS_KEY: 'secret-example' });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    let aws;
+    jest.isolateModules(() => {
+      aws = require('../src/detection/providers/aws');
+    });
+    process.env = saved;
+
+    let installed = true;
+    try {
+      require.resolve('aws-sdk');
+    } catch (error) {
+      installed = false;
+    }
+    expect(aws.isConfigured()).toBe(installed);
+    expect(warn).toHaveBeenCalledTimes(installed ? 0 : 1);
+    warn.mockRestore();
+  });
+});
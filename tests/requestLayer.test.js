@@ -0,0 +1,128 @@
+const { ProviderGate, RequestLayer, isCircuitOpen, isRetryable, retryAfterMs } = require('../src/detection/providers/requestLayer');
+
+describe('Provider Request Layer', () => {
+  const fast = { maxConcurrent: 3, minIntervalMs: 0, retryAttempts: 3, baseDelayMs: 1, maxDelayMs: 50, failureThreshold: 3, cooldownMs: 40 };
+
+  function httpError(status, headers = {}) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+  }
+
+  function failing(...errors) {
+    let call = 0;
+    return jest.fn(async () => {
+      const error = errors[Math.min(call++, errors.length - 1)];
+      if (error) throw error;
+      return 'ok';
+    });
+  }
+
+  test('should never run more requests at once than allowed', async () => {
+    const gate = new ProviderGate('test', { ...fast, maxConcurrent: 2 });
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+    };
+
+    await Promise.all(Array.from({ length: 6 }, () => gate.run(task)));
+
+    expect(peak).toBe(2);
+    expect(gate.stats.requests).toBe(6);
+  });
+
+  test('should space out request starts', async () => {
+    const gate = new ProviderGate('test', { ...fast, minIntervalMs: 30 });
+    const starts = [];
+
+    await Promise.all(Array.from({ length: 3 }, () => gate.run(async () => starts.push(Date.now()))));
+
+    expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(25);
+    expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(25);
+  });
+
+  test('should retry throttled and failing requests', async () => {
+    const gate = new ProviderGate('test', fast);
+    const task = failing(httpError(429, { 'retry-after': '0' }), httpError(503), null);
+
+    await expect(gate.run(task)).resolves.toBe('ok');
+    expect(task).toHaveBeenCalledTimes(3);
+    expect(gate.stats.retries).toBe(2);
+    expect(gate.health().state).toBe('healthy');
+  });
+
+  test('should give up with the last error once retries run out', async () => {
+    const gate = new ProviderGate('test', fast);
+    const task = failing(httpError(500));
+
+    await expect(gate.run(task)).rejects.toThrow('status code 500');
+    expect(task).toHaveBeenCalledTimes(4);
+    expect(gate.health()).toMatchObject({ state: 'degraded', consecutiveFailures: 1, lastError: 'HTTP 500: Request failed with status code 500' });
+  });
+
+  test('should not retry or blame the provider for a rejected image', async () => {
+    const gate = new ProviderGate('test', fast);
+    const task = failing(httpError(400));
+
+    await expect(gate.run(task)).rejects.toThrow('status code 400');
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(gate.health()).toMatchObject({ state: 'healthy', consecutiveFailures: 0 });
+  });
+
+  test('should open the circuit after repeated failures and close it after a good trial', async () => {
+    const gate = new ProviderGate('test', { ...fast, retryAttempts: 0 });
+    const down = failing(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+    for (let i = 0; i < 3; i++) {
+      await expect(gate.run(down)).rejects.toThrow('socket hang up');
+    }
+    expect(gate.health()).toMatchObject({ state: 'down', circuit: 'open' });
+
+    const skipped = jest.fn(async () => 'ok');
+    const error = await gate.run(skipped).catch(e => e);
+    expect(isCircuitOpen(error)).toBe(true);
+    expect(skipped).not.toHaveBeenCalled();
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await expect(gate.run(skipped)).resolves.toBe('ok');
+    expect(gate.health()).toMatchObject({ state: 'healthy', circuit: 'closed' });
+  });
+
+  test('should stay away for as long as a long Retry-After asks', async () => {
+    const gate = new ProviderGate('test', fast);
+    const task = failing(httpError(429, { 'retry-after': '3600' }));
+
+    await expect(gate.run(task)).rejects.toThrow('status code 429');
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(gate.health().circuit).toBe('open');
+    expect(new Date(gate.health().retryAt).getTime()).toBeGreaterThan(Date.now() + 3500 * 1000);
+  });
+
+  test('should read Retry-After as seconds or a date', () => {
+    expect(retryAfterMs(httpError(429, { 'retry-after': '2' }))).toBe(2000);
+    const later = retryAfterMs(httpError(503, { 'retry-after': new Date(Date.now() + 10000).toUTCString() }));
+    expect(later).toBeGreaterThan(8000);
+    expect(later).toBeLessThanOrEqual(10000);
+    expect(retryAfterMs(httpError(503))).toBeNull();
+  });
+
+  test('should recognise retryable errors from axios and the AWS SDK', () => {
+    expect(isRetryable(httpError(502))).toBe(true);
+    expect(isRetryable(httpError(403))).toBe(false);
+    expect(isRetryable(Object.assign(new Error('Rate exceeded'), { code: 'ThrottlingException', statusCode: 400 }))).toBe(true);
+    expect(isRetryable(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))).toBe(true);
+  });
+
+  test('should report health changes of every provider', async () => {
+    const layer = new RequestLayer(fast);
+    const updates = [];
+    layer.on('health', health => updates.push([health.provider, health.state]));
+
+    await layer.run('cloud', failing(httpError(503), null));
+
+    expect(updates).toEqual([['cloud', 'degraded'], ['cloud', 'healthy']]);
+    expect(layer.health()).toEqual([expect.objectContaining({ provider: 'cloud', state: 'healthy' })]);
+  });
+});
@@ -0,0 +1,79 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { classifyScanError, createScanError, confirmScanError, emptyFileError } = require('../src/scanner/scanErrors');
+
+describe('Scan Errors', () => {
+  function errorWith(message, code) {
+    const error = new Error(message);
+    if (code) error.code = code;
+    return error;
+  }
+
+  test('should classify filesystem errors by code', () => {
+    expect(classifyScanError(errorWith('permission denied', 'EACCES'))).toBe('permission');
+    expect(classifyScanError(errorWith('operation not permitted', 'EPERM'))).toBe('permission');
+    expect(classifyScanError(errorWith('name too long', 'ENAMETOOLONG'))).toBe('path-too-long');
+    expect(classifyScanError(emptyFileError('/photos/a.jpg'))).toBe('empty');
+  });
+
+  test('should keep transient I/O errors retryable and out of cleanup', () => {
+    ['EIO', 'EBUSY', 'EAGAIN', 'ETIMEDOUT', 'EMFILE', 'ESTALE'].forEach(code => {
+      expect(classifyScanError(errorWith('read error', code))).toBe('io');
+    });
+
+    // System errors never fall through to the decoder patterns
+    expect(classifyScanError(errorWith('corrupt filesystem entry', 'EUCLEAN'))).toBe('unknown');
+    expect(classifyScanError(errorWith('Input file is missing: read error'))).toBe('unknown');
+    expect(classifyScanError(errorWith('The file or directory is corrupted and unreadable'))).toBe('unknown');
+
+    const failure = createScanError('/share/a.jpg', errorWith('i/o error, read', 'EIO'));
+    expect(failure).toMatchObject({ category: 'io', removable: false });
+  });
+
+  test('should classify decoder errors by message', () => {
+    expect(classifyScanError(errorWith('VipsJpeg: Premature end of input file'))).toBe('corrupt');
+    expect(classifyScanError(errorWith('pngload: libpng read error'))).toBe('corrupt');
+    expect(classifyScanError(errorWith('Input file contains unsupported image format'))).toBe('unsupported');
+    expect(classifyScanError(errorWith('heif: Support for this compression format has not been built in'))).toBe('unsupported');
+    expect(classifyScanError(errorWith('something else entirely'))).toBe('unknown');
+  });
+
+  test('should build a serialisable report entry', () => {
+    const failure = createScanError('/photos/a.jpg', errorWith('Premature end of JPEG file'), {
+      size: 120,
+      root: '/photos',
+      rootLabel: 'Photos'
+    });
+
+    expect(failure).toMatchObject({
+      path: '/photos/a.jpg',
+      type: 'file',
+      category: 'corrupt',
+      categoryLabel: 'Corrupt or truncated',
+      removable: true,
+      code: null,
+      size: 120,
+      rootLabel: 'Photos'
+    });
+    expect(JSON.parse(JSON.stringify(failure))).toEqual(failure);
+
+    const folder = createScanError('/photos/locked', errorWith('denied', 'EACCES'), { type: 'directory' });
+    expect(folder.removable).toBe(false);
+  });
+
+  test('should only report a decoder failure as corrupt when the file reads to the end', async () => {
+    const testDir = path.join(__dirname, 'temp', 'scan-errors');
+    const readable = path.join(testDir, 'broken.jpg');
+    await fs.outputFile(readable, Buffer.alloc(64, 1));
+
+    try {
+      const corrupt = await confirmScanError(readable, errorWith('VipsJpeg: Premature end of input file'), { size: 64 });
+      expect(corrupt).toMatchObject({ category: 'corrupt', removable: true, size: 64 });
+
+      const unreadable = await confirmScanError(path.join(testDir, 'gone.jpg'), errorWith('VipsJpeg: Premature end of input file'));
+      expect(unreadable).toMatchObject({ category: 'unknown', code: 'ENOENT', removable: false });
+    } finally {
+      await fs.remove(testDir);
+    }
+  });
+});
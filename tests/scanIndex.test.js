@@ -0,0 +1,127 @@
+const ScanIndex = require('../src/scanner/scanIndex');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Scan Index', () => {
+  const testDir = path.join(__dirname, 'temp', 'scan-index-test');
+  const indexPath = path.join(testDir, 'scan-index.json');
+  const stat = { size: 1024, mtimeMs: 1700000000000.25, ino: 42 };
+
+  beforeEach(async () => {
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  test('should return cached record for unchanged file', () => {
+    const index = new ScanIndex(indexPath);
+    index.update('/photos/a.jpg', stat, { hash: 'abc' });
+
+    index.beginScan();
+    expect(index.lookup('/photos/a.jpg', { ...stat })).toEqual({ hash: 'abc' });
+    index.reuse('/photos/a.jpg');
+    expect(index.stats.unchanged).toBe(1);
+  });
+
+  test('should invalidate entry when size, mtime or inode change', () => {
+    const index = new ScanIndex(indexPath);
+    index.update('/photos/a.jpg', stat, { hash: 'a' });
+    index.update('/photos/b.jpg', stat, { hash: 'b' });
+    index.update('/photos/c.jpg', stat, { hash: 'c' });
+
+    index.beginScan();
+    expect(index.lookup('/photos/a.jpg', { ...stat, size: 2048 })).toBeNull();
+    expect(index.lookup('/photos/b.jpg', { ...stat, mtimeMs: stat.mtimeMs + 5000 })).toBeNull();
+    expect(index.lookup('/photos/c.jpg', { ...stat, ino: 43 })).toBeNull();
+    // Counted once the files are reprocessed, not on lookup
+    expect(index.stats.changed).toBe(0);
+    expect(index.entries.size).toBe(0);
+  });
+
+  test('should ignore missing inodes', () => {
+    const index = new ScanIndex(indexPath);
+    index.update('/photos/a.jpg', { ...stat, ino: 0 }, { hash: 'a' });
+
+    index.beginScan();
+    expect(index.lookup('/photos/a.jpg', stat)).toEqual({ hash: 'a' });
+  });
+
+  test('should count added files and prune removed ones under the root', () => {
+    const index = new ScanIndex(indexPath);
+    index.update('/photos/gone.jpg', stat, { hash: 'gone' });
+    index.update('/other/kept.jpg', stat, { hash: 'other' });
+
+    index.beginScan();
+    index.lookup('/photos/new.jpg', stat);
+    index.update('/photos/new.jpg', stat, { hash: 'new' });
+    const summary = index.finishScan('/photos');
+
+    expect(summary).toEqual({ added: 1, changed: 0, unchanged: 0, removed: 1, total: 1 });
+    expect(index.entries.has('/photos/gone.jpg')).toBe(false);
+    expect(index.entries.has('/other/kept.jpg')).toBe(true);
+  });
+
+  test('should only count files once they are processed', () => {
+    const index = new ScanIndex(indexPath);
+    index.update('/photos/edited.jpg', stat, { hash: 'old' });
+    index.update('/photos/evicted.jpg', stat, { hash: 'e' });
+
+    index.beginScan();
+    const edited = { ...stat, size: 2048 };
+    expect(index.lookup('/photos/edited.jpg', edited)).toBeNull();
+    index.update('/photos/edited.jpg', edited, { hash: 'new' });
+    // A record whose thumbnail was evicted is reprocessed, but the file is unchanged
+    expect(index.lookup('/photos/evicted.jpg', stat)).toEqual({ hash: 'e' });
+    index.update('/photos/evicted.jpg', stat, { hash: 'e' });
+    // Files that fail processing are not counted at all
+    index.lookup('/photos/broken.jpg', stat);
+    const summary = index.finishScan('/photos');
+
+    expect(summary).toMatchObject({ added: 0, changed: 1, unchanged: 1, removed: 0 });
+  });
+
+  test('should summarise every root of a multi-root scan', () => {
+    const index = new ScanIndex(indexPath);
+    index.update('/photos/gone.jpg', stat, { hash: 'p' });
+    index.update('/backup/gone.jpg', stat, { hash: 'b' });
+    index.update('/other/kept.jpg', stat, { hash: 'o' });
+
+    index.beginScan();
+    index.update('/photos/new.jpg', stat, { hash: 'pn' });
+    index.update('/backup/new.jpg', stat, { hash: 'bn' });
+    const summary = index.finishScan(['/photos', '/backup']);
+
+    expect(summary).toEqual({ added: 2, changed: 0, unchanged: 0, removed: 2, total: 2 });
+    expect(index.entries.has('/other/kept.jpg')).toBe(true);
+  });
+
+  test('should keep entries under folders that could not be read', () => {
+    const index = new ScanIndex(indexPath);
+    index.update('/photos/locked/a.jpg', stat, { hash: 'a' });
+    index.update('/photos/gone.jpg', stat, { hash: 'g' });
+
+    index.beginScan();
+    const summary = index.finishScan('/photos', ['/photos/locked']);
+
+    expect(summary.removed).toBe(1);
+    expect(index.entries.has('/photos/locked/a.jpg')).toBe(true);
+  });
+
+  test('should persist entries across sessions', async () => {
+    const index = new ScanIndex(indexPath);
+    index.update('/photos/a.jpg', stat, { hash: 'abc', thumbnail: '/thumbs/a.jpg' });
+    await index.save();
+
+    const reloaded = await new ScanIndex(indexPath).load();
+    expect(reloaded.lookup('/photos/a.jpg', stat)).toEqual({ hash: 'abc', thumbnail: '/thumbs/a.jpg' });
+  });
+
+  test('should start fresh when index file is corrupt', async () => {
+    await fs.writeFile(indexPath, '{not json');
+
+    const index = await new ScanIndex(indexPath).load();
+    expect(index.entries.size).toBe(0);
+  });
+});
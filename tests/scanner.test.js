@@ -1,4 +1,4 @@
-const { scanFolder, isImageFile } = require('../src/scanner/fileScanner');
+const { scanFolder, scanFolders, isImageFile, pruneDecodeProxies } = require('../src/scanner/fileScanner');
 const fs = require('fs-extra');
 const path = require('path');
 
@@ -21,6 +21,11 @@ describe('File Scanner', () => {
     expect(isImageFile('test.bmp')).toBe(true);
     expect(isImageFile('test.tiff')).toBe(true);
     expect(isImageFile('test.webp')).toBe(true);
+    expect(isImageFile('IMG_0001.HEIC')).toBe(true);
+    expect(isImageFile('test.avif')).toBe(true);
+    expect(isImageFile('test.jxl')).toBe(true);
+    expect(isImageFile('DSC_0001.NEF')).toBe(true);
+    expect(isImageFile('test.dng')).toBe(true);
     
     expect(isImageFile('test.txt')).toBe(false);
     expect(isImageFile('test.pdf')).toBe(false);
@@ -32,6 +37,49 @@ describe('File Scanner', () => {
     expect(images).toEqual([]);
   });
   
+  test('should scan multiple labelled roots in one session', async () => {
+    const laptopDir = path.join(testDir, 'laptop');
+    const driveDir = path.join(testDir, 'drive');
+    await fs.ensureDir(laptopDir);
+    await fs.ensureDir(driveDir);
+    
+    const result = await scanFolders([{ path: laptopDir, label: 'Laptop' }, driveDir]);
+    
+    expect(result.images).toEqual([]);
+    expect(result.roots).toEqual([
+      { path: laptopDir, label: 'Laptop' },
+      { path: driveDir, label: 'drive' }
+    ]);
+  });
+  
+  test('should report unreadable files instead of dropping them', async () => {
+    await fs.writeFile(path.join(testDir, 'empty.jpg'), '');
+    await fs.writeFile(path.join(testDir, 'broken.png'), 'not really a png');
+    
+    const result = await scanFolders([testDir]);
+    
+    expect(result.images).toEqual([]);
+    expect(result.errors.map(error => [path.basename(error.path), error.category])).toEqual([
+      ['broken.png', 'unsupported'],
+      ['empty.jpg', 'empty']
+    ]);
+    expect(result.errors[1].removable).toBe(true);
+  });
+  
+  test('should prune decode proxies no indexed file points at', async () => {
+    const previewDir = path.join(testDir, 'previews');
+    const kept = path.join(previewDir, 'aaa.jpg');
+    await fs.ensureDir(previewDir);
+    await fs.writeFile(kept, 'proxy');
+    await fs.writeFile(path.join(previewDir, 'bbb.jpg'), 'proxy');
+    await fs.writeFile(path.join(previewDir, 'ccc.jpg.123.ab.tmp'), 'partial');
+    
+    const removed = await pruneDecodeProxies(new Set([kept]), previewDir);
+    
+    expect(removed).toBe(2);
+    expect(await fs.readdir(previewDir)).toEqual(['aaa.jpg']);
+  });
+  
   test('should track progress correctly', async () => {
     const progressCallbacks = [];
     const progressCallback = (progress) => {
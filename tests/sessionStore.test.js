@@ -0,0 +1,57 @@
+const { SessionStore, isInterrupted } = require('../src/sessions/sessionStore');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Session Store', () => {
+  const sessionDir = path.join(__dirname, 'temp', 'sessions');
+
+  afterEach(async () => {
+    await fs.remove(sessionDir);
+  });
+
+  test('should persist session metadata and phase data', async () => {
+    const store = new SessionStore({ dir: sessionDir });
+    const session = await store.create({ roots: [{ path: '/photos', label: 'Photos' }] });
+
+    expect(session.status).toBe('scanning');
+    expect(isInterrupted(session)).toBe(true);
+
+    await store.saveData(session.id, 'images', [{ path: '/photos/a.jpg' }]);
+    await store.update(session.id, { status: 'scanned', imageCount: 1 });
+
+    const reopened = new SessionStore({ dir: sessionDir });
+    const latest = await reopened.latest();
+    expect(latest).toMatchObject({ id: session.id, status: 'scanned', imageCount: 1 });
+    expect(isInterrupted(latest)).toBe(false);
+    expect(await reopened.loadData(session.id, 'images')).toEqual([{ path: '/photos/a.jpg' }]);
+    expect(await reopened.loadData(session.id, 'groups')).toBeNull();
+  });
+
+  test('should keep only the most recent sessions', async () => {
+    const store = new SessionStore({ dir: sessionDir, maxSessions: 2 });
+    const first = await store.create({ roots: [] });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.create({ roots: [] });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.create({ roots: [] });
+
+    const sessions = await store.list();
+    expect(sessions).toHaveLength(2);
+    expect(sessions.map(session => session.id)).not.toContain(first.id);
+  });
+
+  test('should throttle checkpoints and write the latest state on flush', async () => {
+    const store = new SessionStore({ dir: sessionDir, checkpointIntervalMs: 60000 });
+    const session = await store.create({ roots: [] });
+
+    await store.checkpoint(session.id, { nextIndex: 1 });
+    await store.checkpoint(session.id, { nextIndex: 2 });
+    expect(await store.loadData(session.id, 'checkpoint')).toEqual({ nextIndex: 1 });
+
+    await store.flushCheckpoint(session.id);
+    expect(await store.loadData(session.id, 'checkpoint')).toEqual({ nextIndex: 2 });
+
+    await store.clearCheckpoint(session.id);
+    expect(await store.loadData(session.id, 'checkpoint')).toBeNull();
+  });
+});
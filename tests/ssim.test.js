@@ -0,0 +1,69 @@
+const jimp = require('jimp');
+const { compareStructure, ssim, msSsim } = require('../src/detection/ssim');
+
+describe('SSIM', () => {
+  // A smooth textured scene; shift moves the camera sideways, seed changes the scene
+  function scene(width, height, { shift = 0, seed = 1 } = {}) {
+    const image = new jimp(width, height);
+    image.scan(0, 0, width, height, function(x, y, idx) {
+      const nx = x / width + shift;
+      const ny = y / height;
+      const texture = 20 * Math.sin(x * 0.31 * seed) * Math.cos(y * 0.27 * seed);
+      const inCircle = (nx - 0.3) ** 2 + (ny - 0.35) ** 2 < 0.02;
+      const channels = inCircle
+        ? [250, 240, 30]
+        : [255 * nx, 180 * ny, 120 + 100 * Math.sin(nx * 17 * seed + ny * 9) * Math.cos(ny * 13)];
+      channels.forEach((value, channel) => {
+        this.bitmap.data[idx + channel] = Math.max(0, Math.min(255, value + texture));
+      });
+      this.bitmap.data[idx + 3] = 255;
+    });
+    return image;
+  }
+
+  async function reencode(image, quality) {
+    return jimp.read(await image.clone().quality(quality).getBufferAsync(jimp.MIME_JPEG));
+  }
+
+  test('should score identical planes as 1', () => {
+    const plane = Float64Array.from({ length: 64 * 64 }, (_, i) => (i * 37) % 255);
+    expect(ssim(plane, plane, 64, 64)).toBeCloseTo(1, 10);
+    expect(msSsim(plane, plane, 64, 64)).toBeCloseTo(1, 10);
+  });
+
+  test('should score near-identical re-encodes high', async () => {
+    const original = scene(600, 400);
+    const smallCopy = await reencode(original.clone().resize(300, 200), 50);
+
+    expect(compareStructure(original, await reencode(original, 60)).msSsim).toBeGreaterThan(0.97);
+    expect(compareStructure(original, smallCopy).msSsim).toBeGreaterThan(0.95);
+  });
+
+  test('should score other shots of the same scene low', () => {
+    const original = scene(600, 400);
+
+    expect(compareStructure(original, scene(600, 400, { shift: 0.08 })).msSsim).toBeLessThan(0.8);
+    expect(compareStructure(original, scene(600, 400, { seed: 2.1 })).msSsim).toBeLessThan(0.8);
+  });
+
+  test('should compare at a common size that keeps the aspect ratio', () => {
+    const result = compareStructure(scene(600, 400), scene(300, 200));
+    expect(result.height).toBe(192);
+    expect(result.width).toBe(288);
+  });
+
+  test('should not compare images of different aspect ratios', () => {
+    const result = compareStructure(scene(600, 400), scene(400, 400));
+    expect(result.aspectMismatch).toBe(true);
+    expect(result.msSsim).toBe(0);
+  });
+
+  test('should skip images smaller than one window instead of throwing', () => {
+    const result = compareStructure(scene(8, 8), scene(16, 16));
+    expect(result).toMatchObject({ ssim: null, msSsim: null, width: 8, height: 8, aspectMismatch: false });
+
+    const plane = new Float64Array(10 * 40);
+    expect(ssim(plane, plane, 40, 10)).toBeNull();
+    expect(msSsim(plane, plane, 40, 10)).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+const { ThumbnailCache, getThumbnailPath } = require('../src/scanner/thumbnailCache');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('Thumbnail Cache', () => {
+  const cacheDir = path.join(__dirname, 'temp', 'thumbnail-cache');
+
+  async function writeThumbnail(cache, hash, size, bytes) {
+    await fs.outputFile(cache.pathFor(hash, size), Buffer.alloc(bytes));
+    cache.record(hash, size, bytes);
+  }
+
+  afterEach(async () => {
+    await fs.remove(cacheDir);
+  });
+
+  test('should address thumbnails by content hash and size', () => {
+    const grid = getThumbnailPath('abcdef', 200, cacheDir);
+    const zoom = getThumbnailPath('abcdef', 800, cacheDir);
+
+    expect(grid).toBe(path.join(cacheDir, 'ab', 'abcdef_200.jpg'));
+    expect(zoom).not.toBe(grid);
+  });
+
+  test('should evict least recently used thumbnails past the size cap', async () => {
+    const cache = new ThumbnailCache({ dir: cacheDir, maxMb: 1 });
+    const now = jest.spyOn(Date, 'now');
+
+    now.mockReturnValue(1000);
+    await writeThumbnail(cache, 'aa11', 200, 400 * 1024);
+    now.mockReturnValue(2000);
+    await writeThumbnail(cache, 'bb22', 200, 400 * 1024);
+    now.mockReturnValue(3000);
+    await writeThumbnail(cache, 'cc33', 200, 400 * 1024);
+    now.mockReturnValue(4000);
+    cache.touch('aa11', 200);
+    now.mockRestore();
+
+    expect(await cache.evict()).toBe(1);
+    expect(await cache.has('bb22', 200)).toBe(false);
+    expect(await cache.has('aa11', 200)).toBe(true);
+    expect(cache.totalBytes).toBe(800 * 1024);
+  });
+
+  test('should never evict kept hashes and should persist across sessions', async () => {
+    const cache = new ThumbnailCache({ dir: cacheDir, maxMb: 1 });
+    await writeThumbnail(cache, 'aa11', 200, 700 * 1024);
+    await writeThumbnail(cache, 'bb22', 200, 700 * 1024);
+
+    expect(await cache.evict(new Set(['aa11', 'bb22']))).toBe(0);
+    await cache.save();
+
+    const reloaded = await new ThumbnailCache({ dir: cacheDir, maxMb: 1 }).load();
+    expect(reloaded.entries.size).toBe(2);
+    expect(reloaded.totalBytes).toBe(1400 * 1024);
+  });
+});
@@ -0,0 +1,67 @@
+const WorkerPool = require('../src/scanner/workerPool');
+const path = require('path');
+
+describe('Worker Pool', () => {
+  const workerPath = path.join(__dirname, 'fixtures', 'echoWorker.js');
+  let pool;
+
+  afterEach(async () => {
+    if (pool) {
+      await pool.destroy();
+    }
+  });
+
+  test('should run tasks concurrently up to the configured limit', async () => {
+    pool = new WorkerPool(workerPath, { concurrency: 2 });
+
+    const results = await Promise.all([
+      pool.run({ value: 1, delay: 30 }),
+      pool.run({ value: 2, delay: 10 }),
+      pool.run({ value: 3 })
+    ]);
+
+    expect(results).toEqual([1, 2, 3]);
+    expect(pool.workers.size).toBe(2);
+  });
+
+  test('should hold back tasks that exceed the memory ceiling', async () => {
+    pool = new WorkerPool(workerPath, { concurrency: 4, maxMemoryBytes: 100 });
+
+    const first = pool.run({ value: 'a', delay: 30 }, 80);
+    const second = pool.run({ value: 'b' }, 80);
+
+    expect(pool.inFlightBytes).toBe(80);
+    expect(pool.queue).toHaveLength(1);
+
+    await expect(Promise.all([first, second])).resolves.toEqual(['a', 'b']);
+    expect(pool.inFlightBytes).toBe(0);
+  });
+
+  test('should hold queued tasks while paused and let running ones finish', async () => {
+    pool = new WorkerPool(workerPath, { concurrency: 1 });
+
+    const running = pool.run({ value: 'running', delay: 20 });
+    pool.pause();
+    const queued = pool.run({ value: 'queued' });
+
+    await expect(running).resolves.toBe('running');
+    expect(pool.queue).toHaveLength(1);
+
+    pool.resume();
+    await expect(queued).resolves.toBe('queued');
+  });
+
+  test('should reject failed tasks with their error code', async () => {
+    pool = new WorkerPool(workerPath, { concurrency: 1 });
+
+    await expect(pool.run({ fail: true })).rejects.toMatchObject({ message: 'Task failed', code: 'EFAIL' });
+    await expect(pool.run({ value: 'next' })).resolves.toBe('next');
+  });
+
+  test('should replace a crashed worker and keep processing', async () => {
+    pool = new WorkerPool(workerPath, { concurrency: 1 });
+
+    await expect(pool.run({ crash: true })).rejects.toThrow('exited unexpectedly');
+    await expect(pool.run({ value: 'recovered' })).resolves.toBe('recovered');
+  });
+});
@@ -0,0 +1,473 @@
+const http = require('http');
+const jimp = require('jimp');
+
+// Local stand-in for the cloud vision APIs, for tests and demos without credentials.
+// Speaks the parts of the Google Vision images:annotate, Azure Computer Vision v3.2
+// analyze and Rekognition DetectLabels/DetectText protocols the providers use. Labels,
+// objects and colours are derived from the pixels, so the same picture always gets the
+// same answer and a re-encoded copy gets nearly the same one.
+const MOCK_CONFIG = {
+  port: parseInt(process.env.MOCK_VISION_PORT, 10) || 8089,
+  // Added to every response
+  latencyMs: parseInt(process.env.MOCK_VISION_LATENCY_MS, 10) || 0,
+  // Share of requests answered with errorStatus instead, and how many requests fail
+  // before any succeed
+  errorRate: parseFloat(process.env.MOCK_VISION_ERROR_RATE) || 0,
+  failFirst: parseInt(process.env.MOCK_VISION_FAIL_FIRST, 10) || 0,
+  errorStatus: parseInt(process.env.MOCK_VISION_ERROR_STATUS, 10) || 503,
+  // Seconds sent as Retry-After with injected errors; unset sends none
+  retryAfter: process.env.MOCK_VISION_RETRY_AFTER,
+  // Makes the injected errors repeatable
+  seed: parseInt(process.env.MOCK_VISION_SEED, 10) || 1,
+  maxBodyBytes: 20 * 1024 * 1024
+};
+
+const NAMED_COLOURS = [
+  ['black', 0, 0, 0], ['white', 255, 255, 255], ['grey', 128, 128, 128],
+  ['red', 220, 40, 40], ['orange', 240, 140, 30], ['yellow', 240, 220, 40],
+  ['green', 50, 170, 60], ['teal', 30, 150, 150], ['blue', 40, 80, 220],
+  ['purple', 140, 60, 180], ['pink', 240, 130, 180], ['brown', 130, 80, 40]
+];
+
+const QUADRANTS = [['top left', 0, 0], ['top right', 1, 0], ['bottom left', 0, 1], ['bottom right', 1, 1]];
+
+// What the mock "sees" in an image: { width, height, labels, objects, colours }
+async function describeImage(buffer) {
+  const image = await jimp.read(buffer);
+  const { width, height } = image.bitmap;
+  const side = 32;
+  const { data } = image.clone().resize(side, side, jimp.RESIZE_BILINEAR).bitmap;
+
+  const colours = dominantColours(data, 0, 0, side, side, side);
+  const total = colours.reduce((sum, colour) => sum + colour.count, 0);
+
+  const objects = [];
+  QUADRANTS.forEach(([position, qx, qy]) => {
+    const [main] = dominantColours(data, qx * side / 2, qy * side / 2, side / 2, side / 2, side);
+    const name = `${colourName(main)} shape`;
+    if (!objects.some(object => object.name === name)) {
+      objects.push({
+        name,
+        position,
+        confidence: round(0.6 + 0.4 * main.count / (side * side / 4)),
+        box: { left: qx / 2, top: qy / 2, right: qx / 2 + 0.5, bottom: qy / 2 + 0.5 }
+      });
+    }
+  });
+
+  const luminance = [];
+  for (let i = 0; i < side * side; i++) {
+    luminance.push(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+  }
+  const brightness = luminance.reduce((sum, value) => sum + value, 0) / luminance.length;
+
+  const labels = [];
+  colours.slice(0, 3).forEach(colour => addLabel(labels, colourName(colour), colour.count / total));
+  addLabel(labels, brightness > 170 ? 'bright' : brightness < 85 ? 'dark' : 'mid-tone', 0.9);
+  addLabel(labels, width > height * 1.1 ? 'landscape' : height > width * 1.1 ? 'portrait' : 'square', 0.99);
+  addLabel(labels, `pattern ${layoutCode(luminance, side)}`, 0.8);
+
+  return {
+    width,
+    height,
+    labels,
+    objects,
+    colours: colours.slice(0, 5).map(colour => ({
+      red: colour.red,
+      green: colour.green,
+      blue: colour.blue,
+      name: colourName(colour),
+      fraction: round(colour.count / total)
+    }))
+  };
+}
+
+// Colours of a region quantised to 4 levels a channel, most common first, each the mean
+// of the pixels in its bin
+function dominantColours(data, x0, y0, width, height, stride) {
+  const bins = new Map();
+  for (let y = y0; y < y0 + height; y++) {
+    for (let x = x0; x < x0 + width; x++) {
+      const idx = (y * stride + x) * 4;
+      const key = (data[idx] >> 6) * 16 + (data[idx + 1] >> 6) * 4 + (data[idx + 2] >> 6);
+      const bin = bins.get(key) || { key, count: 0, red: 0, green: 0, blue: 0 };
+      bin.count++;
+      bin.red += data[idx];
+      bin.green += data[idx + 1];
+      bin.blue += data[idx + 2];
+      bins.set(key, bin);
+    }
+  }
+
+  return Array.from(bins.values())
+    .sort((a, b) => b.count - a.count || a.key - b.key)
+    .map(bin => ({
+      count: bin.count,
+      red: Math.round(bin.red / bin.count),
+      green: Math.round(bin.green / bin.count),
+      blue: Math.round(bin.blue / bin.count)
+    }));
+}
+
+function colourName({ red, green, blue }) {
+  let best = NAMED_COLOURS[0];
+  let bestDistance = Infinity;
+  for (const colour of NAMED_COLOURS) {
+    const distance = (red - colour[1]) ** 2 + (green - colour[2]) ** 2 + (blue - colour[3]) ** 2;
+    if (distance < bestDistance) {
+      best = colour;
+      bestDistance = distance;
+    }
+  }
+  return best[0];
+}
+
+// Which cells of a 4x4 grid are brighter than the image: a coarse layout fingerprint
+function layoutCode(luminance, side) {
+  const cell = side / 4;
+  const means = [];
+  for (let gy = 0; gy < 4; gy++) {
+    for (let gx = 0; gx < 4; gx++) {
+      let sum = 0;
+      for (let y = gy * cell; y < (gy + 1) * cell; y++) {
+        for (let x = gx * cell; x < (gx + 1) * cell; x++) {
+          sum += luminance[y * side + x];
+        }
+      }
+      means.push(sum / (cell * cell));
+    }
+  }
+  const average = means.reduce((sum, value) => sum + value, 0) / means.length;
+  return parseInt(means.map(value => (value > average ? '1' : '0')).join(''), 2).toString(16).padStart(4, '0');
+}
+
+function addLabel(labels, name, confidence) {
+  if (!labels.some(label => label.name === name)) {
+    labels.push({ name, confidence: round(Math.min(1, 0.5 + confidence / 2)) });
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Response bodies in each API's format
+const RESPONSES = {
+  google(description, features) {
+    const types = new Set(features.map(feature => feature.type));
+    const response = {};
+
+    if (types.has('OBJECT_LOCALIZATION')) {
+      response.localizedObjectAnnotations = description.objects.map(object => ({
+        mid: `/m/mock-${object.name.replace(/\s+/g, '-')}`,
+        name: object.name,
+        score: object.confidence,
+        boundingPoly: {
+          normalizedVertices: [
+            { x: object.box.left, y: object.box.top },
+            { x: object.box.right, y: object.box.top },
+            { x: object.box.right, y: object.box.bottom },
+            { x: object.box.left, y: object.box.bottom }
+          ]
+        }
+      }));
+    }
+    if (types.has('LABEL_DETECTION')) {
+      response.labelAnnotations = description.labels.map(label => ({ description: label.name, score: label.confidence }));
+    }
+    if (types.has('IMAGE_PROPERTIES')) {
+      response.imagePropertiesAnnotation = {
+        dominantColors: {
+          colors: description.colours.map(colour => ({
+            color: { red: colour.red, green: colour.green, blue: colour.blue },
+            score: colour.fraction,
+            pixelFraction: colour.fraction
+          }))
+        }
+      };
+    }
+    if (types.has('CROP_HINTS')) {
+      response.cropHintsAnnotation = {
+        cropHints: [{
+          boundingPoly: {
+            vertices: [
+              { x: 0, y: 0 }, { x: description.width - 1, y: 0 },
+              { x: description.width - 1, y: description.height - 1 }, { x: 0, y: description.height - 1 }
+            ]
+          },
+          confidence: 1,
+          importanceFraction: 1
+        }]
+      };
+    }
+    return response;
+  },
+
+  azure(description) {
+    const [first, second] = description.colours;
+    const capitalise = name => name.charAt(0).toUpperCase() + name.slice(1);
+    const pixels = box => ({
+      x: Math.round(box.left * description.width),
+      y: Math.round(box.top * description.height),
+      w: Math.round((box.right - box.left) * description.width),
+      h: Math.round((box.bottom - box.top) * description.height)
+    });
+
+    return {
+      objects: description.objects.map(object => ({ object: object.name, confidence: object.confidence, rectangle: pixels(object.box) })),
+      tags: description.labels.map(label => ({ name: label.name, confidence: label.confidence })),
+      color: {
+        dominantColorForeground: capitalise(first.name),
+        dominantColorBackground: capitalise((second || first).name),
+        dominantColors: Array.from(new Set(description.colours.slice(0, 3).map(colour => capitalise(colour.name)))),
+        accentColor: [first.red, first.green, first.blue].map(value => value.toString(16).padStart(2, '0')).join('').toUpperCase(),
+        isBwImg: description.colours.every(colour => ['black', 'white', 'grey'].includes(colour.name))
+      },
+      imageType: { clipArtType: 0, lineDrawingType: 0 },
+      categories: [{ name: 'others_', score: 0.5 }],
+      description: { tags: description.labels.map(label => label.name), captions: [] },
+      metadata: { width: description.width, height: description.height, format: 'Jpeg' },
+      modelVersion: 'mock'
+    };
+  }
+};
+
+// Rekognition responses by operation (the X-Amz-Target suffix)
+const AWS_OPERATIONS = {
+  DetectLabels(description) {
+    return {
+      Labels: description.labels.map(label => ({ Name: label.name, Confidence: label.confidence * 100, Instances: [], Parents: [] })),
+      LabelModelVersion: 'mock'
+    };
+  },
+
+  // The mock reads no text
+  DetectText() {
+    return { TextDetections: [], TextModelVersion: 'mock' };
+  }
+};
+
+class MockVisionServer {
+  constructor(options = {}) {
+    this.config = { ...MOCK_CONFIG, ...options };
+    this.random = seededRandom(this.config.seed);
+    this.stats = { requests: 0, errors: 0, google: 0, azure: 0, aws: 0 };
+    this.server = http.createServer((request, response) => {
+      this.handle(request, response).catch(error => {
+        send(response, 500, { error: { message: error.message } });
+      });
+    });
+  }
+
+  // Resolves to the base URL; port 0 picks a free port
+  start(port = this.config.port) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.server.off('error', reject);
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  // Settings that point the app's providers at this server
+  get environment() {
+    return {
+      GOOGLE_VISION_ENDPOINT: `${this.url}/v1/images:annotate`,
+      GOOGLE_VISION_API_KEY: 'mock-google-key',
+      AZURE_VISION_ENDPOINT: this.url,
+      AZURE_VISION_API_KEY: 'mock-azure-key',
+      AWS_REKOGNITION_ENDPOINT: this.url,
+      AWS_ACCESS_KEY_ID: 'mock-aws-key',
+      AWS_SECRET_ACCESS_KEY: 'mock-aws-secret'
+    };
+  }
+
+  async handle(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    const pathname = url.pathname.replace(/\/{2,}/g, '/');
+    const api = request.method !== 'POST' ? null
+      : pathname === '/v1/images:annotate' ? 'google'
+      : /^\/vision\/v3\.\d\/analyze$/.test(pathname) ? 'azure'
+      : pathname === '/' && request.headers['x-amz-target'] ? 'aws'
+      : null;
+    if (!api) {
+      return send(response, 404, { error: { message: `No mock for ${request.method} ${pathname}` } });
+    }
+
+    const body = await readBody(request, this.config.maxBodyBytes);
+    this.stats.requests++;
+    this.stats[api]++;
+
+    if (this.config.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.config.latencyMs));
+    }
+    if (body === null) {
+      return sendError(response, api, 413, 'Request entity too large');
+    }
+    if (!authorised(api, request, url)) {
+      return sendError(response, api, api === 'azure' ? 401 : 403, 'Missing credentials');
+    }
+    if (this.stats.requests <= this.config.failFirst || this.random() < this.config.errorRate) {
+      this.stats.errors++;
+      const retryAfter = this.config.retryAfter;
+      return sendError(response, api, this.config.errorStatus, 'Injected failure',
+        retryAfter !== undefined && retryAfter !== null && retryAfter !== '' ? { 'Retry-After': String(retryAfter) } : {});
+    }
+
+    return this[api](request, response, body);
+  }
+
+  async google(request, response, body) {
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      return sendError(response, 'google', 400, 'Invalid JSON payload');
+    }
+
+    // Like the real API, an unreadable image fails only its own entry
+    const responses = [];
+    for (const entry of payload.requests || []) {
+      try {
+        const description = await describeImage(Buffer.from(entry.image.content, 'base64'));
+        responses.push(RESPONSES.google(description, entry.features || []));
+      } catch (error) {
+        responses.push({ error: { code: 3, message: 'Bad image data.' } });
+      }
+    }
+    return send(response, 200, { responses });
+  }
+
+  async azure(request, response, body) {
+    try {
+      return send(response, 200, RESPONSES.azure(await describeImage(body)));
+    } catch (error) {
+      return sendError(response, 'azure', 400, 'Input data is not a valid image.');
+    }
+  }
+
+  async aws(request, response, body) {
+    const operation = String(request.headers['x-amz-target']).split('.').pop();
+    if (!AWS_OPERATIONS[operation]) {
+      return sendError(response, 'aws', 400, `Unsupported operation ${operation}`);
+    }
+
+    try {
+      const payload = JSON.parse(body.toString('utf8'));
+      const description = await describeImage(Buffer.from(payload.Image.Bytes, 'base64'));
+      return send(response, 200, AWS_OPERATIONS[operation](description), { 'Content-Type': 'application/x-amz-json-1.1' });
+    } catch (error) {
+      return sendError(response, 'aws', 400, 'Request has invalid image format');
+    }
+  }
+}
+
+function authorised(api, request, url) {
+  if (api === 'google') return Boolean(url.searchParams.get('key'));
+  if (api === 'azure') return Boolean(request.headers['ocp-apim-subscription-key']);
+  return Boolean(request.headers.authorization);
+}
+
+// Resolves to the body, or null once it exceeds limit
+function readBody(request, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size <= limit) chunks.push(chunk);
+    });
+    request.on('end', () => resolve(size > limit ? null : Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+function send(response, status, body, headers = {}) {
+  response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  response.end(JSON.stringify(body));
+}
+
+// Errors in each API's format. Rekognition reports throttling as a 400 with an error type.
+function sendError(response, api, status, message, headers = {}) {
+  if (api === 'aws') {
+    const type = status === 429 ? 'ThrottlingException'
+      : status === 403 ? 'MissingAuthenticationTokenException'
+      : status >= 500 ? 'InternalServerError'
+      : 'InvalidImageFormatException';
+    return send(response, status === 429 ? 400 : status, { __type: type, message },
+      { 'Content-Type': 'application/x-amz-json-1.1', 'x-amzn-ErrorType': type, ...headers });
+  }
+  if (api === 'azure') {
+    return send(response, status, { error: { code: String(status), message } }, headers);
+  }
+  return send(response, status, { error: { code: status, message, status: GOOGLE_STATUS[status] || 'UNKNOWN' } }, headers);
+}
+
+const GOOGLE_STATUS = { 400: 'INVALID_ARGUMENT', 403: 'PERMISSION_DENIED', 413: 'INVALID_ARGUMENT', 429: 'RESOURCE_EXHAUSTED', 500: 'INTERNAL', 503: 'UNAVAILABLE' };
+
+// mulberry32
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function parseArguments(args) {
+  const flags = {
+    '--port': ['port', parseInt],
+    '--latency': ['latencyMs', parseInt],
+    '--error-rate': ['errorRate', parseFloat],
+    '--fail-first': ['failFirst', parseInt],
+    '--error-status': ['errorStatus', parseInt],
+    '--retry-after': ['retryAfter', String],
+    '--seed': ['seed', parseInt]
+  };
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    if (!flags[args[i]]) {
+      throw new Error(`Unknown option ${args[i]} (expected ${Object.keys(flags).join(', ')})`);
+    }
+    const [key, parse] = flags[args[i]];
+    options[key] = parse(args[i + 1]);
+  }
+  return options;
+}
+
+if (require.main === module) {
+  (async () => {
+    const mock = new MockVisionServer(parseArguments(process.argv.slice(2)));
+    await mock.start();
+    console.log(`Mock vision APIs listening on ${mock.url}`);
+    console.log('Point the app at it with these lines in .env:');
+    Object.entries(mock.environment).forEach(([name, value]) => console.log(`${name}=${value}`));
+
+    process.on('SIGINT', async () => {
+      await mock.stop();
+      console.log(`Served ${mock.stats.requests} requests (${mock.stats.errors} injected errors)`);
+      process.exit(0);
+    });
+  })().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  MOCK_CONFIG,
+  MockVisionServer,
+  describeImage
+};